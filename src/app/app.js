@@ -6,6 +6,7 @@
 import { WebGPURenderer } from "../gpu/renderer.js";
 import { dom } from "../ui/dom.js";
 import { copySettingsUrlToClipboard } from "./settings.js";
+import { encodeUrlPattern, MAX_URL_PATTERN_LENGTH } from "./urlPattern.js";
 import { LoopController } from "./loop.js";
 import { createAppState } from "./state.js";
 import { bindUI } from "../ui/bindings.js";
@@ -37,11 +38,13 @@ const {
   playIcon,
   pauseIcon,
   speedSlider,
+  generationsSelect,
   screenShowCheckbox,
   selfTestGroup,
   selfTestBtn,
   generationDisplay,
   populationDisplay,
+  seedDisplay,
   statsPanel,
   header,
 } = dom;
@@ -109,12 +112,47 @@ function refreshSpeedFromSlider() {
   state.settings.speed = delayFromSpeedSliderValue(speedSlider.value);
 }
 
+function refreshGenerationsFromSelect() {
+  const n = generationsSelect ? parseInt(generationsSelect.value, 10) : 1;
+  state.settings.generationsPerTick = Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+/**
+ * Cells for a share URL to start from: the seed alone while the run is still at its random
+ * Gen0, otherwise the exact grid when it encodes short enough, otherwise the Gen0 seed (none
+ * when the grid was loaded from a file).
+ *
+ * @returns {Promise<import("./settings.js").SharedGen0>}
+ */
+async function readSharedGen0() {
+  const renderer = ctx.renderer;
+  if (!renderer) return {};
+  const seed = renderer.gen0Seed;
+  if (seed != null && renderer.generation === 0) return { seed };
+
+  // A large population cannot fit; skip the grid readback.
+  if (renderer.population <= MAX_URL_PATTERN_LENGTH) {
+    try {
+      await waitForIdle();
+      const pattern = encodeUrlPattern(await renderer.readCells());
+      if (pattern.length <= MAX_URL_PATTERN_LENGTH) return { pattern };
+    } catch (e) {
+      debugWarn(LOG_MSG.URL_PATTERN_FAILED, e);
+    }
+  }
+  return { seed };
+}
+
 async function handleCopyUrlButton() {
-  const ok = await copySettingsUrlToClipboard(dom, {
-    fallbackGridSize: state.settings.gridSize,
-    fallbackInitSize: state.settings.initSize,
-    fallbackDensity: state.settings.density,
-  });
+  const ok = await copySettingsUrlToClipboard(
+    dom,
+    {
+      fallbackGridDims: state.settings.gridDims,
+      fallbackInitSize: state.settings.initSize,
+      fallbackDensity: state.settings.density,
+    },
+    await readSharedGen0(),
+  );
 
   // Surface clipboard failures to the user (mobile browsers often hide console output).
   // For success, the button label swap is sufficient and avoids toast noise.
@@ -159,6 +197,13 @@ const ctx = {
     densityUi: null,
     rendererSettingsUi: null,
     rulesUi: null,
+    patternUi: null,
+    seedUi: null,
+    gen0ShapeUi: null,
+    cellEditUi: null,
+    sliceEditorUi: null,
+    selectionUi: null,
+    clipPlanesUi: null,
   },
 
   // UI bindings are installed once during init(); kept so destroyApp() can tear them down.
@@ -264,6 +309,13 @@ function destroyApp() {
     ctx.ui.densityUi = null;
     ctx.ui.rendererSettingsUi = null;
     ctx.ui.rulesUi = null;
+    ctx.ui.patternUi = null;
+    ctx.ui.seedUi = null;
+    ctx.ui.gen0ShapeUi = null;
+    ctx.ui.cellEditUi = null;
+    ctx.ui.sliceEditorUi = null;
+    ctx.ui.selectionUi = null;
+    ctx.ui.clipPlanesUi = null;
     ctx.uiBindings = null;
   })();
 
@@ -439,6 +491,8 @@ const statsUi = createStatsController({
   state,
   generationEl: generationDisplay || null,
   populationEl: populationDisplay || null,
+  seedEl: seedDisplay || null,
+  getSeed: () => ctx.renderer?.gen0Seed ?? null,
   scheduleStatsViewportPin,
 });
 
@@ -482,16 +536,26 @@ ctx.simControl = createSimController({
   },
 });
 
-// Global hotkeys (space: run/pause; s: step; r: reset; f: fullscreen; c/b: camera reset).
+// Global hotkeys (space: run/pause; s/a: step/step back; r: reset; f: fullscreen; c/b: camera reset;
+// Ctrl/Cmd+C/X/V: copy/cut/paste cells; x/y/z: rotate the clipboard, Shift to mirror; k: crop).
 const handleKeyDown = createKeyDownHandler({
   settingsPanel: settingsPanel || null,
   getScreenShowNavLocked: () => (ctx.screenShow ? ctx.screenShow.isNavLocked() : false),
   togglePlay,
   step,
+  stepBack,
   reset,
   toggleFullscreen: fullscreen.toggleFullscreen,
   getRenderer: () => ctx.renderer,
   requestRender,
+  hasSelection: () => !!ctx.ui.selectionUi?.hasSelection(),
+  hasClipboard: () => !!ctx.ui.selectionUi?.hasClipboard(),
+  copySelection: () => ctx.ui.selectionUi?.handleCopy(),
+  cutSelection: () => ctx.ui.selectionUi?.handleCut(),
+  pasteClipboard: () => ctx.ui.selectionUi?.handlePaste(),
+  rotateClipboard: (axis) => ctx.ui.selectionUi?.handleRotate(axis),
+  mirrorClipboard: (axis) => ctx.ui.selectionUi?.handleMirror(axis),
+  cropToSelection: () => ctx.ui.selectionUi?.handleCrop(),
 });
 
 /**
@@ -609,6 +673,17 @@ async function init() {
     ctx.orbitControls = new OrbitControls(canvas, ctx.renderer, {
       requestRender,
       isNavLocked: () => isSelfTesting || (ctx.screenShow ? ctx.screenShow.isNavLocked() : false),
+      isClickEnabled: () =>
+        !!ctx.ui.cellEditUi?.isEditing() || !!ctx.ui.selectionUi?.isSelecting(),
+      onClick: (x, y, mods) =>
+        ctx.ui.selectionUi?.isSelecting()
+          ? ctx.ui.selectionUi.handleCanvasClick(x, y, mods)
+          : ctx.ui.cellEditUi?.handleCanvasClick(x, y),
+      dragHandle: {
+        begin: (x, y) => !!ctx.ui.clipPlanesUi?.dragHandle.begin(x, y),
+        move: (x, y) => ctx.ui.clipPlanesUi?.dragHandle.move(x, y),
+        end: () => ctx.ui.clipPlanesUi?.dragHandle.end(),
+      },
     });
 
     if (ctx.screenShow) {
@@ -639,12 +714,14 @@ async function init() {
     updateStats,
     clearStickyError,
     refreshSpeedFromSlider,
+    refreshGenerationsFromSelect,
     fullscreen,
     toast,
     uiMsg: UI_MSG,
     debugWarn,
     error,
     logMsg: LOG_MSG,
+    stopPlaying,
     waitForIdle,
     reset,
     installUiBindings,
@@ -656,6 +733,13 @@ async function init() {
   ctx.ui.densityUi = startup.densityUi;
   ctx.ui.rendererSettingsUi = startup.rendererSettingsUi;
   ctx.ui.rulesUi = startup.rulesUi;
+  ctx.ui.patternUi = startup.patternUi;
+  ctx.ui.seedUi = startup.seedUi;
+  ctx.ui.gen0ShapeUi = startup.gen0ShapeUi;
+  ctx.ui.cellEditUi = startup.cellEditUi;
+  ctx.ui.sliceEditorUi = startup.sliceEditorUi;
+  ctx.ui.selectionUi = startup.selectionUi;
+  ctx.ui.clipPlanesUi = startup.clipPlanesUi;
 
   hideLoadingOverlay();
 }
@@ -666,6 +750,13 @@ async function init() {
  * @property {any} densityUi
  * @property {any} rendererSettingsUi
  * @property {any} rulesUi
+ * @property {any} patternUi
+ * @property {any} seedUi
+ * @property {any} gen0ShapeUi
+ * @property {any} cellEditUi
+ * @property {any} sliceEditorUi
+ * @property {any} selectionUi
+ * @property {any} clipPlanesUi
  */
 
 /**
@@ -678,15 +769,28 @@ async function init() {
  * @param {UiControllers} controllers
  */
 function installUiBindings(controllers) {
-  const { gridSizeUi, densityUi, rendererSettingsUi, rulesUi } = controllers;
+  const {
+    gridSizeUi,
+    densityUi,
+    seedUi,
+    gen0ShapeUi,
+    rendererSettingsUi,
+    rulesUi,
+    patternUi,
+    sliceEditorUi,
+    selectionUi,
+    clipPlanesUi,
+  } = controllers;
 
   ctx.uiBindings = bindUI(dom, {
     step,
+    stepBack,
     togglePlay,
     reset,
     toggleFullscreen: fullscreen.toggleFullscreen,
     handleSpeedPreview,
     handleSpeedChange,
+    handleGenerationsChange: refreshGenerationsFromSelect,
 
     // Grid size + Gen0 init-size controls
     handleSizeChange: () => gridSizeUi.handleSizeChange(),
@@ -703,8 +807,12 @@ function installUiBindings(controllers) {
     handleDensityPointerUpGlobal: () => densityUi.handleDensityPointerUpGlobal(),
     handleDensityBlur: () => densityUi.handleDensityBlur(),
     handleDensityMouseLeave: () => densityUi.handleDensityMouseLeave(),
+    handleSeedChange: () => seedUi.handleSeedChange(),
+    handleSeedLockChange: () => seedUi.handleSeedLockChange(),
+    handleGen0ShapeChange: () => gen0ShapeUi.handleGen0ShapeChange(),
 
     // Renderer/visual settings
+    handleCellColorModeChange: () => rendererSettingsUi.handleCellColorModeChange(),
     handleCellColorPreview: (e) => rendererSettingsUi.handleCellColorPreview(e),
     handleCellColorCommit: () => rendererSettingsUi.handleCellColorCommit(),
     handleBgColorPreview: (e) => rendererSettingsUi.handleBgColorPreview(e),
@@ -717,14 +825,55 @@ function installUiBindings(controllers) {
     handleLanternChange: () => rendererSettingsUi.handleLanternChange(),
     handleScreenShowChange: () => rendererSettingsUi.handleScreenShowChange(),
     handleGridProjectionChange: () => rendererSettingsUi.handleGridProjectionChange(),
-    handleToroidalChange: () => rendererSettingsUi.handleToroidalChange(),
+    handleBoundaryChange: () => rendererSettingsUi.handleBoundaryChange(),
     handleStableStopChange: () => rendererSettingsUi.handleStableStopChange(),
+    handleHistoryChange: () => rendererSettingsUi.handleHistoryChange(),
+    handleActiveRegionChange: () => rendererSettingsUi.handleActiveRegionChange(),
 
     // Rules
     handlePresetChange: () => rulesUi.handlePresetChange(),
+    handleNeighborhoodChange: () => rulesUi.handleNeighborhoodChange(),
+    handleNeighborMaskClick: (e) => rulesUi.handleNeighborMaskClick(e),
     handleRuleInputChange: (e) => rulesUi.handleRuleInputChange(e),
+    handleRuleNotationChange: (e) => rulesUi.handleRuleNotationChange(e),
     handleRuleKeydown: (e) => rulesUi.handleRuleKeydown(e),
 
+    // Pattern files
+    handleSavePattern: () => patternUi.handleSavePattern(),
+    handleExportRle3: () => patternUi.handleExportRle3(),
+    handleExportVox: () => patternUi.handleExportVox(),
+    handleOpenPattern: () => patternUi.handleOpenPattern(),
+    handlePatternFileChange: () => patternUi.handlePatternFileChange(),
+    handleExportStl: () => patternUi.handleExportStl(),
+    handleExportObj: () => patternUi.handleExportObj(),
+    handleImportMesh: () => patternUi.handleImportMesh(),
+    handleMeshFileChange: () => patternUi.handleMeshFileChange(),
+    handleImportImages: () => patternUi.handleImportImages(),
+    handleImageFileChange: () => patternUi.handleImageFileChange(),
+    handleImageDragOver: (e) => patternUi.handleImageDragOver(e),
+    handleImageDrop: (e) => patternUi.handleImageDrop(e),
+    handleEditModeChange: () => {
+      clipPlanesUi.handleEditModeChange();
+      ctx.orbitControls?.refreshCursor();
+    },
+    handleSlicePanelOpen: () => sliceEditorUi.handlePanelOpen(),
+    handleSlicePanelClose: () => sliceEditorUi.handlePanelClose(),
+    handleSliceAxisChange: () => sliceEditorUi.handleAxisChange(),
+    handleSliceLayerInput: () => sliceEditorUi.handleLayerInput(),
+    handleSlicePointerDown: (e) => sliceEditorUi.handlePointerDown(e),
+    handleSlicePointerMove: (e) => sliceEditorUi.handlePointerMove(e),
+    handleSlicePointerUp: (e) => sliceEditorUi.handlePointerUp(e),
+    handleCopySelection: () => selectionUi.handleCopy(),
+    handleCutSelection: () => selectionUi.handleCut(),
+    handlePasteSelection: () => selectionUi.handlePaste(),
+    handleCropSelection: () => selectionUi.handleCrop(),
+    handleRotateClipboard: () => selectionUi.handleRotate(),
+    handleMirrorClipboard: () => selectionUi.handleMirror(),
+    handleClipAxisChange: () => clipPlanesUi.handleAxisChange(),
+    handleClipRangeInput: (which) => clipPlanesUi.handleRangeInput(which),
+    handleResetClip: () => clipPlanesUi.handleReset(),
+    handlePeelChange: () => clipPlanesUi.handlePeelChange(),
+
     handleCopyUrlButton,
     handleSelfTestButton,
     handleKeyDown,
@@ -769,7 +918,8 @@ async function handleSelfTestButton() {
     "#controls button, #controls input, #controls select, #controls textarea," +
       "#header button, #header input, #header select, #header textarea," +
       "#settings-panel button, #settings-panel input, #settings-panel select, #settings-panel textarea," +
-      "#help-panel button, #help-panel input, #help-panel select, #help-panel textarea",
+      "#help-panel button, #help-panel input, #help-panel select, #help-panel textarea," +
+      "#slice-panel button, #slice-panel input, #slice-panel select, #slice-panel textarea",
   );
 
   for (const el of candidates) {
@@ -842,6 +992,14 @@ async function step() {
   await ctx.simControl.step();
 }
 
+/**
+ * Return to the previous state.sim.generation kept in the history ring
+ */
+async function stepBack() {
+  if (!ctx.simControl) return;
+  await ctx.simControl.stepBack();
+}
+
 /**
  * Toggle play/pause
  */
@@ -868,6 +1026,10 @@ async function reset(opts = {}) {
  */
 function updateStats() {
   statsUi.updateStats();
+  ctx.ui.seedUi?.syncSeedInput();
+  ctx.ui.sliceEditorUi?.handleSimChanged();
+  ctx.ui.selectionUi?.handleSimChanged();
+  ctx.ui.clipPlanesUi?.handleSimChanged();
 }
 
 /**
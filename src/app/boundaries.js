@@ -0,0 +1,68 @@
+/**
+ * Per-axis boundary modes.
+ *
+ * Each grid axis picks what a neighbor outside the grid is: dead (hard edges), wrapped
+ * around (torus), alive (a constant live border) or reflected back inside (mirror). Mixing
+ * modes describes tubes (wrap X and Y, dead Z) and slabs (wrap X and Y, mirror Z). See
+ * BOUNDARY_* in src/gpu/constants.js for how the kernels apply them.
+ *
+ * The share URL writes one mode when all axes agree ("edges=wrap") and three otherwise
+ * ("edges=wrap,wrap,dead").
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import {
+  BOUNDARY_DEAD,
+  BOUNDARY_WRAP,
+  BOUNDARY_ALIVE,
+  BOUNDARY_MIRROR,
+} from "../gpu/constants.js";
+
+/**
+ * Boundary modes, keyed by the IDs used in the settings panel and the share URL.
+ */
+export const BOUNDARY_MODES = Object.freeze({
+  dead: Object.freeze({ mode: BOUNDARY_DEAD, name: "Dead" }),
+  wrap: Object.freeze({ mode: BOUNDARY_WRAP, name: "Wrap" }),
+  alive: Object.freeze({ mode: BOUNDARY_ALIVE, name: "Alive" }),
+  mirror: Object.freeze({ mode: BOUNDARY_MIRROR, name: "Mirror" }),
+});
+
+export const DEFAULT_BOUNDARY = "dead";
+
+/**
+ * Resolve boundary IDs to the renderer's numeric modes; unknown IDs read as DEFAULT_BOUNDARY.
+ *
+ * @param {ArrayLike<string>} ids [x, y, z]
+ * @returns {number[]}
+ */
+export function resolveBoundaryModes(ids) {
+  return [0, 1, 2].map((i) => (BOUNDARY_MODES[ids[i]] || BOUNDARY_MODES[DEFAULT_BOUNDARY]).mode);
+}
+
+/**
+ * Parse "wrap" (all axes) or "wrap,wrap,dead" (x, y, z).
+ *
+ * @param {string|null|undefined} str
+ * @returns {[string, string, string]|null} null when malformed or when a mode is unknown
+ */
+export function parseBoundaryModes(str) {
+  const parts = String(str ?? "")
+    .trim()
+    .toLowerCase()
+    .split(/\s*,\s*/);
+  if (parts.length !== 1 && parts.length !== 3) return null;
+  if (!parts.every((p) => Object.prototype.hasOwnProperty.call(BOUNDARY_MODES, p))) return null;
+  return parts.length === 1 ? [parts[0], parts[0], parts[0]] : [parts[0], parts[1], parts[2]];
+}
+
+/**
+ * Inverse of parseBoundaryModes(): a single ID when all axes agree.
+ *
+ * @param {ArrayLike<string>} ids [x, y, z]
+ * @returns {string}
+ */
+export function formatBoundaryModes(ids) {
+  return ids[0] === ids[1] && ids[1] === ids[2] ? ids[0] : `${ids[0]},${ids[1]},${ids[2]}`;
+}
@@ -0,0 +1,91 @@
+/**
+ * Cell edit UI controller.
+ *
+ * With Edit cells set to Add or Remove, a click or tap on the 3D view that does not turn into
+ * a drag (see OrbitControls) edits the cell under the pointer on the GPU (see
+ * WebGPURenderer.editCellAt): Add places a live cell on the face of the first cell the ray
+ * hits (or against the far grid wall), Remove kills that cell. A run is stopped first; the
+ * generation counter is kept.
+ *
+ * This module is intentionally deterministic and does not register any event listeners.
+ */
+
+import { EDIT_MODE_ADD, EDIT_MODE_REMOVE } from "../gpu/constants.js";
+
+/** Edit cells select values mapped to EDIT_MODE_* ("off" is absent). */
+const EDIT_MODES = Object.freeze({ add: EDIT_MODE_ADD, remove: EDIT_MODE_REMOVE });
+
+/**
+ * @typedef {Object} CellEditControllerDeps
+ * @property {HTMLSelectElement | null} editModeSelect
+ * @property {{ sim: { generation: number, population: number, populationGeneration: number } }} state
+ * @property {any} renderer
+ * @property {() => void} stopPlaying
+ * @property {() => Promise<void>} waitForIdle
+ * @property {(force?: boolean) => void} requestRender
+ * @property {() => void} updateStats
+ * @property {() => void} clearStickyError
+ * @property {{
+ *   show: (args: { kind: "info" | "warn" | "error" | "success", message: string }) => void,
+ * }} toast
+ * @property {any} uiMsg
+ * @property {(msg: any, err?: any) => void} error
+ * @property {any} logMsg
+ */
+
+/**
+ * @param {CellEditControllerDeps} deps
+ */
+export function createCellEditController(deps) {
+  const {
+    editModeSelect,
+    state,
+    renderer,
+    stopPlaying,
+    waitForIdle,
+    requestRender,
+    updateStats,
+    clearStickyError,
+    toast,
+    uiMsg,
+    error,
+    logMsg,
+  } = deps;
+
+  // Clicks arriving while an edit is in flight are dropped.
+  let busy = false;
+
+  /** @returns {boolean} whether canvas clicks edit cells */
+  function isEditing() {
+    return !!editModeSelect && Object.hasOwn(EDIT_MODES, editModeSelect.value);
+  }
+
+  /**
+   * Edit the cell under a canvas point.
+   *
+   * @param {number} x CSS pixels from the canvas' left edge
+   * @param {number} y CSS pixels from the canvas' top edge
+   */
+  async function handleCanvasClick(x, y) {
+    if (!isEditing() || busy) return;
+    const mode = EDIT_MODES[/** @type {HTMLSelectElement} */ (editModeSelect).value];
+    busy = true;
+    try {
+      stopPlaying();
+      await waitForIdle();
+      if (!(await renderer.editCellAt(x, y, mode))) return;
+      state.sim.population = renderer.population;
+      state.sim.populationGeneration = state.sim.generation;
+      updateStats();
+      clearStickyError();
+      requestRender(true);
+    } catch (e) {
+      error(logMsg.CELL_EDIT_FAILED, e);
+      toast.show({ kind: "error", message: uiMsg.edit.failed(e?.message || String(e)) });
+    } finally {
+      busy = false;
+    }
+  }
+
+  return { isEditing, handleCanvasClick };
+}
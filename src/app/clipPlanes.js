@@ -0,0 +1,125 @@
+/**
+ * Clipping box math.
+ *
+ * The clipping box is a box of cells ({ min, max }, inclusive, as in selection.js); only
+ * cells inside it are drawn. Its six faces are the planes the user moves: face `side` 0 of
+ * `axis` lies at min[axis], side 1 at max[axis] + 1 (in cell units, where cell (x, y, z)
+ * spans [x, x + 1) along each axis, as for picking rays).
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+/**
+ * The box covering a whole grid (nothing clipped).
+ *
+ * @param {ArrayLike<number>} dims
+ * @returns {import("./selection.js").CellBox}
+ */
+export function fullClipBox(dims) {
+  return { min: [0, 0, 0], max: [dims[0] - 1, dims[1] - 1, dims[2] - 1] };
+}
+
+/**
+ * Clamp a box into a grid, keeping it at least one cell thick.
+ *
+ * @param {import("./selection.js").CellBox} box
+ * @param {ArrayLike<number>} dims
+ * @returns {import("./selection.js").CellBox}
+ */
+export function clampClipBox({ min, max }, dims) {
+  const lo = /** @type {[number, number, number]} */ ([0, 0, 0]);
+  const hi = /** @type {[number, number, number]} */ ([0, 0, 0]);
+  for (let a = 0; a < 3; a++) {
+    lo[a] = Math.min(Math.max(0, min[a]), dims[a] - 1);
+    hi[a] = Math.min(Math.max(lo[a], max[a]), dims[a] - 1);
+  }
+  return { min: lo, max: hi };
+}
+
+/**
+ * Whether a box clips anything from a grid.
+ *
+ * @param {import("./selection.js").CellBox} box
+ * @param {ArrayLike<number>} dims
+ * @returns {boolean}
+ */
+export function clipsAnything({ min, max }, dims) {
+  return [0, 1, 2].some((a) => min[a] > 0 || max[a] < dims[a] - 1);
+}
+
+/**
+ * Move one face of a box to the plane at `position` (rounded to whole cells), keeping the
+ * box inside the grid and at least one cell thick.
+ *
+ * @param {import("./selection.js").CellBox} box
+ * @param {ArrayLike<number>} dims
+ * @param {number} axis 0..2
+ * @param {number} side 0 for the min face, 1 for the max face
+ * @param {number} position plane coordinate in cell units
+ * @returns {import("./selection.js").CellBox}
+ */
+export function moveClipFace(box, dims, axis, side, position) {
+  const min = /** @type {[number, number, number]} */ (Array.from(box.min));
+  const max = /** @type {[number, number, number]} */ (Array.from(box.max));
+  const p = Math.round(position);
+  if (side === 0) {
+    min[axis] = Math.min(Math.max(0, p), max[axis]);
+  } else {
+    max[axis] = Math.max(Math.min(dims[axis], p) - 1, min[axis]);
+  }
+  return { min, max };
+}
+
+/**
+ * The face of a box a ray enters it through, as a drag grab: the face and the entry point.
+ * A ray that misses the box, or starts inside it, grabs nothing.
+ *
+ * @param {import("./selection.js").CellBox} box
+ * @param {{ origin: ArrayLike<number>, dir: ArrayLike<number> }} ray in cell units
+ * @returns {{ axis: number, side: number, point: number[] } | null}
+ */
+export function grabClipFace(box, { origin, dir }) {
+  let tEnter = -Infinity;
+  let tExit = Infinity;
+  let axis = -1;
+  let side = 0;
+  for (let a = 0; a < 3; a++) {
+    const lo = box.min[a];
+    const hi = box.max[a] + 1;
+    if (Math.abs(dir[a]) < 1e-9) {
+      if (origin[a] < lo || origin[a] > hi) return null;
+      continue;
+    }
+    const t0 = (lo - origin[a]) / dir[a];
+    const t1 = (hi - origin[a]) / dir[a];
+    const near = Math.min(t0, t1);
+    if (near > tEnter) {
+      tEnter = near;
+      axis = a;
+      side = t0 < t1 ? 0 : 1;
+    }
+    tExit = Math.min(tExit, Math.max(t0, t1));
+  }
+  if (axis < 0 || tEnter < 0 || tEnter > tExit) return null;
+  return { axis, side, point: [0, 1, 2].map((a) => origin[a] + dir[a] * tEnter) };
+}
+
+/**
+ * Where a grabbed face is dragged to: the point on the line through the grab point along
+ * its axis that comes closest to the pointer's ray, as a plane coordinate along that axis.
+ *
+ * @param {{ axis: number, point: ArrayLike<number> }} grab
+ * @param {{ origin: ArrayLike<number>, dir: ArrayLike<number> }} ray in cell units
+ * @returns {number | null} null while the ray runs (nearly) along the axis
+ */
+export function dragClipFace({ axis, point }, { origin, dir }) {
+  // Closest points of the lines point + s * e (e the axis unit vector) and origin + t * dir.
+  const w = [0, 1, 2].map((a) => point[a] - origin[a]);
+  const b = dir[axis];
+  const c = dir[0] * dir[0] + dir[1] * dir[1] + dir[2] * dir[2];
+  const d = w[axis];
+  const e = dir[0] * w[0] + dir[1] * w[1] + dir[2] * w[2];
+  const denom = c - b * b;
+  if (denom < 1e-6 * c) return null;
+  return point[axis] + (b * e - c * d) / denom;
+}
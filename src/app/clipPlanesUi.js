@@ -0,0 +1,189 @@
+/**
+ * Clipping planes UI controller.
+ *
+ * Responsibilities:
+ * - Keep a clipping box (see clipPlanes.js): only cells inside it are drawn, so dense states
+ *   can be cut open. The Clip axis select picks which pair of planes the From/To sliders move.
+ * - With Edit cells set to Clip planes, outline the box in the 3D view and let a drag that
+ *   starts on one of its faces move that face (OrbitControls' dragHandle hook).
+ * - Animated peel: sweep the far plane along the clip axis through the box and back
+ *   (renderer.setClipPeel).
+ *
+ * Clipping only changes what is drawn; the simulation is unaffected. A grid resize resets the
+ * box to the whole grid.
+ *
+ * This module is intentionally deterministic and does not register any event listeners.
+ */
+
+import {
+  clampClipBox,
+  clipsAnything,
+  dragClipFace,
+  fullClipBox,
+  grabClipFace,
+  moveClipFace,
+} from "./clipPlanes.js";
+
+const AXIS_NAMES = Object.freeze(["x", "y", "z"]);
+
+/**
+ * @typedef {Object} ClipPlanesControllerDeps
+ * @property {HTMLSelectElement | null} editModeSelect
+ * @property {HTMLSelectElement | null} clipAxisSelect
+ * @property {HTMLInputElement | null} clipMinInput
+ * @property {HTMLInputElement | null} clipMaxInput
+ * @property {HTMLElement | null} clipRangeValue
+ * @property {HTMLInputElement | null} peelCheckbox
+ * @property {any} renderer
+ * @property {(force?: boolean) => void} requestRender
+ */
+
+/**
+ * @param {ClipPlanesControllerDeps} deps
+ */
+export function createClipPlanesController(deps) {
+  const {
+    editModeSelect,
+    clipAxisSelect,
+    clipMinInput,
+    clipMaxInput,
+    clipRangeValue,
+    peelCheckbox,
+    renderer,
+    requestRender,
+  } = deps;
+
+  let axis = 1;
+  let dims = Array.from(renderer.gridDims);
+  let box = fullClipBox(dims);
+
+  /** @type {{ axis: number, side: number, point: number[] } | null} the face being dragged */
+  let grab = null;
+
+  /** @returns {boolean} whether the clipping box is shown and its faces can be dragged */
+  function isDraggable() {
+    return editModeSelect?.value === "clip";
+  }
+
+  /** Sync the From/To sliders and their label with the box along the clip axis. */
+  function syncInputs() {
+    const last = String(dims[axis] - 1);
+    if (clipMinInput) {
+      clipMinInput.max = last;
+      clipMinInput.value = String(box.min[axis]);
+    }
+    if (clipMaxInput) {
+      clipMaxInput.max = last;
+      clipMaxInput.value = String(box.max[axis]);
+    }
+    if (clipRangeValue) {
+      clipRangeValue.textContent = `${AXIS_NAMES[axis].toUpperCase()} ${box.min[axis]}–${box.max[axis]}`;
+    }
+  }
+
+  /** Push the box, handle visibility and peel state to the renderer. */
+  function apply() {
+    renderer.setClipBox(clipsAnything(box, dims) ? box : null);
+    renderer.setClipBoxVisible(isDraggable());
+    renderer.setClipPeel(peelCheckbox?.checked ? axis : -1);
+    syncInputs();
+    requestRender(true);
+  }
+
+  function handleAxisChange() {
+    const next = AXIS_NAMES.indexOf(String(clipAxisSelect?.value));
+    if (next < 0 || next === axis) return;
+    axis = next;
+    apply();
+  }
+
+  /**
+   * Move the plane a From/To slider controls; the other one follows when they would cross.
+   *
+   * @param {"min" | "max"} which
+   */
+  function handleRangeInput(which) {
+    const input = which === "min" ? clipMinInput : clipMaxInput;
+    const v = Math.floor(Number(input?.value));
+    if (!Number.isFinite(v)) return;
+    const min = Array.from(box.min);
+    const max = Array.from(box.max);
+    if (which === "min") {
+      min[axis] = v;
+      max[axis] = Math.max(max[axis], v);
+    } else {
+      max[axis] = v;
+      min[axis] = Math.min(min[axis], v);
+    }
+    box = clampClipBox({ min, max }, dims);
+    apply();
+  }
+
+  function handleReset() {
+    box = fullClipBox(dims);
+    apply();
+  }
+
+  function handlePeelChange() {
+    apply();
+  }
+
+  function handleEditModeChange() {
+    renderer.setClipBoxVisible(isDraggable());
+    requestRender(true);
+  }
+
+  /** Reset the box when the grid shape changes. */
+  function handleSimChanged() {
+    const next = renderer.gridDims;
+    if (next.every((d, i) => d === dims[i])) return;
+    dims = Array.from(next);
+    box = fullClipBox(dims);
+    grab = null;
+    apply();
+  }
+
+  /**
+   * OrbitControls dragHandle hook: grab the face of the box under the pointer.
+   *
+   * @param {number} x CSS pixels from the canvas' left edge
+   * @param {number} y CSS pixels from the canvas' top edge
+   * @returns {boolean} whether a face was grabbed
+   */
+  function beginDrag(x, y) {
+    grab = isDraggable() ? grabClipFace(box, renderer.cellRayAt(x, y)) : null;
+    return !!grab;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  function moveDrag(x, y) {
+    if (!grab) return;
+    const position = dragClipFace(grab, renderer.cellRayAt(x, y));
+    if (position == null) return;
+    const next = moveClipFace(box, dims, grab.axis, grab.side, position);
+    if (next.min.every((m, i) => m === box.min[i]) && next.max.every((m, i) => m === box.max[i])) {
+      return;
+    }
+    box = next;
+    apply();
+  }
+
+  function endDrag() {
+    grab = null;
+  }
+
+  apply();
+
+  return {
+    handleAxisChange,
+    handleRangeInput,
+    handleReset,
+    handlePeelChange,
+    handleEditModeChange,
+    handleSimChanged,
+    dragHandle: { begin: beginDrag, move: moveDrag, end: endDrag },
+  };
+}
@@ -27,3 +27,61 @@ export function blurOnEnter(e, input) {
   e.preventDefault();
   input.blur();
 }
+
+/**
+ * Read the mask drawn in a neighborhood mask editor (buttons with data-bit + aria-pressed).
+ *
+ * @param {HTMLElement | null} editor
+ * @returns {number}
+ */
+export function readNeighborMaskEditor(editor) {
+  if (!editor) return 0;
+  let mask = 0;
+  for (const cell of editor.querySelectorAll("[data-bit]")) {
+    if (cell.getAttribute("aria-pressed") !== "true") continue;
+    const bit = parseInt(/** @type {HTMLElement} */ (cell).dataset.bit || "", 10);
+    if (bit >= 0 && bit < 27) mask |= 1 << bit;
+  }
+  return mask >>> 0;
+}
+
+/**
+ * Reflect a neighbor mask in a neighborhood mask editor.
+ *
+ * @param {HTMLElement | null} editor
+ * @param {number} mask
+ */
+export function writeNeighborMaskEditor(editor, mask) {
+  if (!editor) return;
+  for (const cell of editor.querySelectorAll("[data-bit]")) {
+    const bit = parseInt(/** @type {HTMLElement} */ (cell).dataset.bit || "", 10);
+    const on = bit >= 0 && bit < 27 && ((mask >>> bit) & 1) === 1;
+    cell.setAttribute("aria-pressed", on ? "true" : "false");
+  }
+}
+
+/**
+ * Read the Grid X/Y/Z inputs as [x, y, z]. A missing Y/Z input mirrors X (cubic grid);
+ * non-numeric values read as NaN so callers can clamp them.
+ *
+ * @param {Array<HTMLInputElement | null>} inputs [x, y, z]
+ * @returns {[number, number, number]}
+ */
+export function readGridDimsInputs(inputs) {
+  const x = inputs[0] ? parseInt(inputs[0].value, 10) : NaN;
+  const y = inputs[1] ? parseInt(inputs[1].value, 10) : x;
+  const z = inputs[2] ? parseInt(inputs[2].value, 10) : x;
+  return [x, y, z];
+}
+
+/**
+ * Reflect grid dimensions in the Grid X/Y/Z inputs.
+ *
+ * @param {Array<HTMLInputElement | null>} inputs [x, y, z]
+ * @param {ArrayLike<number>} dims
+ */
+export function writeGridDimsInputs(inputs, dims) {
+  for (let i = 0; i < 3; i++) {
+    if (inputs[i]) inputs[i].value = String(dims[i]);
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Gen0 shape UI controller.
+ *
+ * The shape, symmetry and fill selects (plus the noise fields of the noise fill) choose which
+ * cells of the Gen0 cube may start alive and how the random soup is laid out (see
+ * gen0Shapes.js). Like Gen0 density, a change is applied right away only when stopped at
+ * generation 0, otherwise on the next reset.
+ *
+ * This module is intentionally deterministic and does not register any event listeners.
+ */
+
+import { resolveGen0Shape, resolveGen0Noise, clampGen0Noise } from "./gen0Shapes.js";
+
+/**
+ * @typedef {Object} Gen0ShapeControllerDeps
+ * @property {HTMLSelectElement | null} gen0ShapeSelect
+ * @property {HTMLSelectElement | null} gen0SymmetrySelect
+ * @property {HTMLSelectElement | null} gen0FillSelect
+ * @property {HTMLInputElement | null} noiseFrequencyInput
+ * @property {HTMLInputElement | null} noiseOctavesInput
+ * @property {HTMLInputElement | null} noiseLevelInput
+ * @property {{ sim: { isPlaying: boolean, generation: number } }} state
+ * @property {() => any} getRenderer
+ * @property {{
+ *   show: (args: { kind: "info" | "warn" | "error" | "success", message: string }) => void,
+ * }} toast
+ * @property {any} uiMsg
+ * @property {(opts?: { showToastOnFailure?: boolean }) => Promise<boolean>} reset
+ */
+
+/**
+ * @param {Gen0ShapeControllerDeps} deps
+ */
+export function createGen0ShapeController(deps) {
+  const {
+    gen0ShapeSelect,
+    gen0SymmetrySelect,
+    gen0FillSelect,
+    noiseFrequencyInput,
+    noiseOctavesInput,
+    noiseLevelInput,
+    state,
+    getRenderer,
+    toast,
+    uiMsg,
+    reset,
+  } = deps;
+
+  /** Clamp the noise fields in place and show them only with the noise fill. */
+  function syncNoiseInputs() {
+    const inputs = [noiseFrequencyInput, noiseOctavesInput, noiseLevelInput];
+    const clamped = clampGen0Noise({
+      frequency: noiseFrequencyInput?.value,
+      octaves: noiseOctavesInput?.value,
+      level: noiseLevelInput?.value,
+    });
+    [clamped.frequency, clamped.octaves, clamped.level].forEach((v, i) => {
+      if (inputs[i] && inputs[i].value !== String(v)) inputs[i].value = String(v);
+    });
+    const row = noiseFrequencyInput ? noiseFrequencyInput.closest(".gen0-noise-inputs") : null;
+    if (row) row.classList.toggle("hidden", !resolveGen0Noise(gen0FillSelect?.value ?? "", clamped));
+    return clamped;
+  }
+
+  /** Pass the selected shape, symmetry and fill to the renderer for later resets. */
+  function applyGen0Shape() {
+    const noise = syncNoiseInputs();
+    const renderer = getRenderer();
+    if (!renderer) return;
+    const { shape, symmetry } = resolveGen0Shape(
+      gen0ShapeSelect ? gen0ShapeSelect.value : "",
+      gen0SymmetrySelect ? gen0SymmetrySelect.value : "",
+    );
+    renderer.setGen0Shape(shape, symmetry);
+    renderer.setGen0Noise(resolveGen0Noise(gen0FillSelect ? gen0FillSelect.value : "", noise));
+  }
+
+  /** Apply a changed select or noise field, resetting when stopped at generation 0. */
+  async function handleGen0ShapeChange() {
+    applyGen0Shape();
+    if (state.sim.isPlaying || state.sim.generation !== 0) {
+      toast.show({ kind: "info", message: uiMsg.sim.applyOnNextReset.shape });
+      return;
+    }
+    await reset();
+  }
+
+  return { applyGen0Shape, handleGen0ShapeChange };
+}
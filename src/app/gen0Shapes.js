@@ -0,0 +1,134 @@
+/**
+ * Gen0 soup shapes and symmetries.
+ *
+ * A reset fills the Gen0 cube at random; the shape keeps only the cells inside a sphere,
+ * hollow shell, Y-axis cylinder, thin slab or single plane inscribed in it, and the symmetry
+ * copies the random choices across mirror planes or around the Y axis. The noise fill limits
+ * live cells to the blobs of a value-noise field (frequency = blobs per Gen0 edge, octaves of
+ * finer detail, and a level: the percent of the Gen0 cube left outside the blobs, so higher
+ * levels leave smaller, fuller blobs). See
+ * INIT_SHAPE_*, INIT_SYMMETRY_* and INIT_FILL_* in src/gpu/constants.js for how the init
+ * kernels apply them.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import {
+  INIT_SHAPE_CUBE,
+  INIT_SHAPE_SPHERE,
+  INIT_SHAPE_SHELL,
+  INIT_SHAPE_CYLINDER,
+  INIT_SHAPE_SLAB,
+  INIT_SHAPE_PLANE,
+  INIT_SYMMETRY_NONE,
+  INIT_SYMMETRY_MIRROR_X,
+  INIT_SYMMETRY_MIRROR_XYZ,
+  INIT_SYMMETRY_ROTATE_2,
+  INIT_SYMMETRY_ROTATE_4,
+  INIT_FILL_RANDOM,
+  INIT_FILL_NOISE,
+  MAX_INIT_NOISE_OCTAVES,
+} from "../gpu/constants.js";
+
+/**
+ * Gen0 shapes, keyed by the IDs used in the settings panel and the share URL.
+ */
+export const GEN0_SHAPES = Object.freeze({
+  cube: Object.freeze({ shape: INIT_SHAPE_CUBE, name: "Cube" }),
+  sphere: Object.freeze({ shape: INIT_SHAPE_SPHERE, name: "Sphere" }),
+  shell: Object.freeze({ shape: INIT_SHAPE_SHELL, name: "Hollow shell" }),
+  cylinder: Object.freeze({ shape: INIT_SHAPE_CYLINDER, name: "Cylinder" }),
+  slab: Object.freeze({ shape: INIT_SHAPE_SLAB, name: "Thin slab" }),
+  plane: Object.freeze({ shape: INIT_SHAPE_PLANE, name: "Single plane" }),
+});
+
+/**
+ * Gen0 symmetries, keyed by the IDs used in the settings panel and the share URL.
+ */
+export const GEN0_SYMMETRIES = Object.freeze({
+  none: Object.freeze({ symmetry: INIT_SYMMETRY_NONE, name: "None" }),
+  mirror: Object.freeze({ symmetry: INIT_SYMMETRY_MIRROR_X, name: "Mirror X" }),
+  mirror3: Object.freeze({ symmetry: INIT_SYMMETRY_MIRROR_XYZ, name: "Mirror XYZ" }),
+  rot2: Object.freeze({ symmetry: INIT_SYMMETRY_ROTATE_2, name: "2-fold (Y)" }),
+  rot4: Object.freeze({ symmetry: INIT_SYMMETRY_ROTATE_4, name: "4-fold (Y)" }),
+});
+
+/**
+ * Gen0 fills, keyed by the IDs used in the settings panel and the share URL.
+ */
+export const GEN0_FILLS = Object.freeze({
+  random: Object.freeze({ fill: INIT_FILL_RANDOM, name: "Random" }),
+  noise: Object.freeze({ fill: INIT_FILL_NOISE, name: "Noise blobs" }),
+});
+
+export const DEFAULT_GEN0_SHAPE = "cube";
+export const DEFAULT_GEN0_SYMMETRY = "none";
+export const DEFAULT_GEN0_FILL = "random";
+
+export const MIN_NOISE_FREQUENCY = 1;
+export const MAX_NOISE_FREQUENCY = 32;
+export const MIN_NOISE_OCTAVES = 1;
+export const MAX_NOISE_OCTAVES = MAX_INIT_NOISE_OCTAVES;
+/** Noise level bounds, in percent of the Gen0 cube left outside the blobs. */
+export const MIN_NOISE_LEVEL = 0;
+export const MAX_NOISE_LEVEL = 95;
+
+/**
+ * Resolve shape and symmetry IDs to the renderer's numeric values; unknown IDs read as the
+ * defaults.
+ *
+ * @param {string} shapeId
+ * @param {string} symmetryId
+ * @returns {{ shape: number, symmetry: number }}
+ */
+export function resolveGen0Shape(shapeId, symmetryId) {
+  const shape = Object.prototype.hasOwnProperty.call(GEN0_SHAPES, shapeId)
+    ? GEN0_SHAPES[shapeId]
+    : GEN0_SHAPES[DEFAULT_GEN0_SHAPE];
+  const symmetry = Object.prototype.hasOwnProperty.call(GEN0_SYMMETRIES, symmetryId)
+    ? GEN0_SYMMETRIES[symmetryId]
+    : GEN0_SYMMETRIES[DEFAULT_GEN0_SYMMETRY];
+  return { shape: shape.shape, symmetry: symmetry.symmetry };
+}
+
+/**
+ * @param {unknown} v
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clampIntOr(v, min, max) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : min;
+}
+
+/**
+ * Clamp noise-fill fields (as typed in the settings panel) to their bounds.
+ *
+ * @param {{ frequency: unknown, octaves: unknown, level: unknown }} noise level in percent
+ * @returns {{ frequency: number, octaves: number, level: number }}
+ */
+export function clampGen0Noise({ frequency, octaves, level }) {
+  return {
+    frequency: clampIntOr(frequency, MIN_NOISE_FREQUENCY, MAX_NOISE_FREQUENCY),
+    octaves: clampIntOr(octaves, MIN_NOISE_OCTAVES, MAX_NOISE_OCTAVES),
+    level: clampIntOr(level, MIN_NOISE_LEVEL, MAX_NOISE_LEVEL),
+  };
+}
+
+/**
+ * Resolve a fill ID and the noise fields to the renderer's noise settings (null for the
+ * random fill; unknown IDs read as DEFAULT_GEN0_FILL).
+ *
+ * @param {string} fillId
+ * @param {{ frequency: unknown, octaves: unknown, level: unknown }} noise level in percent
+ * @returns {{ frequency: number, octaves: number, threshold: number } | null}
+ */
+export function resolveGen0Noise(fillId, noise) {
+  const fill = Object.prototype.hasOwnProperty.call(GEN0_FILLS, fillId)
+    ? GEN0_FILLS[fillId]
+    : GEN0_FILLS[DEFAULT_GEN0_FILL];
+  if (fill.fill !== INIT_FILL_NOISE) return null;
+  const { frequency, octaves, level } = clampGen0Noise(noise);
+  return { frequency, octaves, threshold: level / 100 };
+}
@@ -0,0 +1,83 @@
+/**
+ * Grid dimension helpers.
+ *
+ * Grids are X×Y×Z boxes (cells are indexed x-major, then y, then z); a cube is the special
+ * case X = Y = Z. The share URL writes cubes as a single edge ("grid=128") and other shapes
+ * as "XxYxZ" ("grid=256x256x16"), so older cube-only URLs keep working.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+/** Smallest edge accepted along any axis (matches the Grid inputs' min attribute). */
+export const MIN_GRID_EDGE = 4;
+
+/**
+ * @param {ArrayLike<number>} dims
+ * @returns {boolean}
+ */
+export function isCubicGrid(dims) {
+  return dims[0] === dims[1] && dims[1] === dims[2];
+}
+
+/**
+ * Format dimensions for the share URL and messages: "128" for cubes, "256x256x16" otherwise.
+ *
+ * @param {ArrayLike<number>} dims
+ * @returns {string}
+ */
+export function formatGridDims(dims) {
+  return isCubicGrid(dims) ? String(dims[0]) : `${dims[0]}x${dims[1]}x${dims[2]}`;
+}
+
+/**
+ * Parse "N" (cube) or "XxYxZ" (also "X,Y,Z"). Values are not clamped here.
+ *
+ * @param {string|null|undefined} str
+ * @returns {[number, number, number]|null} null when malformed
+ */
+export function parseGridDims(str) {
+  const s = String(str ?? "").trim().toLowerCase();
+  if (/^\d+$/.test(s)) {
+    const n = parseInt(s, 10);
+    return [n, n, n];
+  }
+  const m = s.match(/^(\d+)\s*[x×,]\s*(\d+)\s*[x×,]\s*(\d+)$/);
+  if (!m) return null;
+  return [parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10)];
+}
+
+/**
+ * Clamp dimensions to device limits.
+ *
+ * Each axis is clamped to MIN_GRID_EDGE..maxEdge. If the box still has more than maxCells
+ * cells, all axes are scaled down by the same factor, so the shape is kept (a cube stays
+ * a cube, a slab stays a slab).
+ *
+ * @param {ArrayLike<number>} dims
+ * @param {{ maxEdge: number, maxCells: number }} limits
+ * @returns {{ dims: [number, number, number], clamped: boolean }}
+ */
+export function clampGridDims(dims, limits) {
+  const { maxEdge, maxCells } = limits;
+  /** @type {[number, number, number]} */
+  const out = [0, 1, 2].map((i) => {
+    const v = Math.floor(Number(dims[i]));
+    return Number.isFinite(v) ? Math.min(maxEdge, Math.max(MIN_GRID_EDGE, v)) : MIN_GRID_EDGE;
+  });
+  let clamped = out.some((v, i) => v !== dims[i]);
+
+  const cells = out[0] * out[1] * out[2];
+  if (cells > maxCells) {
+    const f = Math.cbrt(maxCells / cells);
+    for (let i = 0; i < 3; i++) out[i] = Math.max(MIN_GRID_EDGE, Math.floor(out[i] * f));
+    // Rounding and the minimum edge can leave the box slightly over budget; trim the longest axis.
+    while (out[0] * out[1] * out[2] > maxCells) {
+      const i = out.indexOf(Math.max(...out));
+      if (out[i] <= MIN_GRID_EDGE) break;
+      out[i]--;
+    }
+    clamped = true;
+  }
+
+  return { dims: out, clamped };
+}
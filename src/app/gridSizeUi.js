@@ -2,22 +2,35 @@
  * Grid size and init-size UI controller.
  *
  * Responsibilities:
- * - validate + clamp grid size to device limits
- * - validate + clamp Gen0 init cube edge length
+ * - validate + clamp the grid X/Y/Z edges to device limits (per-axis edge and total cell budget)
+ * - validate + clamp Gen0 init cube edge length (the cube is clipped per axis on thin grids)
  * - apply Gen0 init-size changes immediately only when the simulation is stopped at generation 0
  * - otherwise store changes and apply them on the next explicit reset (or when grid size is changed while stopped)
  *
  * This module is intentionally deterministic and does not register any event listeners.
  */
 
-import { blurOnEnter, setInvalid } from "./domHelpers.js";
+import {
+  blurOnEnter,
+  setInvalid,
+  readGridDimsInputs,
+  writeGridDimsInputs,
+} from "./domHelpers.js";
+import { MIN_GRID_EDGE, clampGridDims, formatGridDims } from "./gridDims.js";
 
 /**
  * @typedef {Object} GridSizeControllerDeps
- * @property {HTMLInputElement | null} sizeInput
+ * @property {HTMLInputElement | null} sizeInput Grid X edge
+ * @property {HTMLInputElement | null} [sizeYInput] Grid Y edge
+ * @property {HTMLInputElement | null} [sizeZInput] Grid Z edge
  * @property {HTMLInputElement | null} initSizeInput
  * @property {{
- *   settings: { gridSize: number, initSize: number, density: number },
+ *   settings: {
+ *     gridDims: [number, number, number],
+ *     initSize: number,
+ *     density: number,
+ *     seed: number | null,
+ *   },
  *   sim: { isPlaying: boolean, generation: number, population: number, populationGeneration: number },
  * }} state
  * @property {any} renderer
@@ -40,6 +53,8 @@ import { blurOnEnter, setInvalid } from "./domHelpers.js";
 export function createGridSizeController(deps) {
   const {
     sizeInput,
+    sizeYInput = null,
+    sizeZInput = null,
     initSizeInput,
     state,
     renderer,
@@ -54,50 +69,59 @@ export function createGridSizeController(deps) {
     logMsg,
   } = deps;
 
-  function getMaxGrid() {
-    return renderer && typeof renderer.getMaxSupportedGridSize === "function"
-      ? renderer.getMaxSupportedGridSize()
-      : 256;
+  const sizeInputs = [sizeInput, sizeYInput, sizeZInput];
+
+  /**
+   * Device limits for the grid shape (see WebGPURenderer.getMaxGridAxisSize()).
+   *
+   * @returns {{ maxEdge: number, maxCells: number }}
+   */
+  function getGridLimits() {
+    if (renderer && typeof renderer.getMaxGridAxisSize === "function") {
+      return {
+        maxEdge: renderer.getMaxGridAxisSize(),
+        maxCells: renderer.getMaxSupportedCellCount(),
+      };
+    }
+    return { maxEdge: 256, maxCells: 256 ** 3 };
+  }
+
+  /** Longest grid edge: the Gen0 cube edge can never usefully exceed it. */
+  function maxEdgeOf(dims) {
+    return Math.max(dims[0], dims[1], dims[2]);
   }
 
   /**
-   * Handle grid size input change.
+   * Handle a change in any of the grid X/Y/Z inputs.
    */
   async function handleSizeChange() {
     if (!sizeInput) return;
 
-    const prevSize = state.settings.gridSize;
-    let value = parseInt(sizeInput.value, 10);
-    const wrapper = sizeInput.parentElement;
-
-    const max = getMaxGrid();
+    const prevDims = state.settings.gridDims;
+    const requested = readGridDimsInputs(sizeInputs);
+    const limits = getGridLimits();
 
-    if (isNaN(value) || value < 4) {
-      value = 4;
-    }
+    // Invalid or too-small values are silently raised to the minimum; only device limits warn.
+    const raised = requested.map((v) => (isNaN(v) || v < MIN_GRID_EDGE ? MIN_GRID_EDGE : v));
+    const { dims, clamped: clampedToMax } = clampGridDims(raised, limits);
 
-    let clampedToMax = false;
-    if (value > max) {
-      value = max;
-      clampedToMax = true;
-    }
-
-    sizeInput.value = value;
-    setInvalid(wrapper, false);
+    writeGridDimsInputs(sizeInputs, dims);
+    for (const input of sizeInputs) setInvalid(input ? input.parentElement : null, false);
 
     // Inform the user when the value is clamped due to device limits.
     if (clampedToMax) {
       toast.show({
         kind: "warn",
-        message: uiMsg.gpu.gridSizeClamped(max),
+        message: uiMsg.gpu.gridSizeClamped(formatGridDims(dims)),
       });
     }
 
     // Keep Gen0 edge HTML constraint in sync with the intended logical maximum.
-    if (initSizeInput) initSizeInput.max = String(value);
+    const maxEdge = maxEdgeOf(dims);
+    if (initSizeInput) initSizeInput.max = String(maxEdge);
 
-    if (state.settings.initSize > value) {
-      state.settings.initSize = value;
+    if (state.settings.initSize > maxEdge) {
+      state.settings.initSize = maxEdge;
       if (initSizeInput) {
         initSizeInput.value = state.settings.initSize;
         setInvalid(initSizeInput.parentElement, false);
@@ -109,9 +133,16 @@ export function createGridSizeController(deps) {
       try {
         await waitForIdle();
         state.sim.generation = 0;
-        renderer.setGridSize(value);
-        state.settings.gridSize = value;
-        await renderer.randomize(state.settings.density, state.settings.initSize);
+        const wasPacked = !!renderer.gridPacked;
+        renderer.setGridSize(dims[0], dims[1], dims[2]);
+        state.settings.gridDims = dims;
+        if (renderer.gridPacked && !wasPacked) {
+          toast.show({
+            kind: renderer.stateCount > 2 ? "warn" : "info",
+            message: uiMsg.gpu.packedGrid(renderer.maxCells),
+          });
+        }
+        await renderer.randomize(state.settings.density, state.settings.initSize, state.settings.seed);
         state.sim.population = renderer.population;
         state.sim.populationGeneration = state.sim.generation;
         updateStats();
@@ -122,19 +153,18 @@ export function createGridSizeController(deps) {
 
         toast.show({
           kind: "warn",
-          message: uiMsg.gpu.gridSizeAllocFail(value, prevSize),
+          message: uiMsg.gpu.gridSizeAllocFail(formatGridDims(dims), formatGridDims(prevDims)),
         });
 
         // Revert to previous grid size.
-        sizeInput.value = prevSize;
-        value = prevSize;
-        state.settings.gridSize = prevSize;
+        writeGridDimsInputs(sizeInputs, prevDims);
+        state.settings.gridDims = prevDims;
 
         // Restore Gen0 edge max to match the reverted grid size.
-        if (initSizeInput) initSizeInput.max = String(value);
+        if (initSizeInput) initSizeInput.max = String(maxEdgeOf(prevDims));
       }
     } else {
-      state.settings.gridSize = value;
+      state.settings.gridDims = dims;
       toast.show({
         kind: "info",
         message: uiMsg.sim.stopToApply.gridSize,
@@ -143,22 +173,21 @@ export function createGridSizeController(deps) {
   }
 
   /**
-   * Validate grid size input.
+   * Validate the grid X/Y/Z inputs (each against the per-axis edge limit).
    */
   function validateSizeInput() {
-    if (!sizeInput) return;
-
-    const value = parseInt(sizeInput.value, 10);
-    const wrapper = sizeInput.parentElement;
-
-    const max = getMaxGrid();
-
-    setInvalid(wrapper, isNaN(value) || value < 4 || value > max);
+    const { maxEdge } = getGridLimits();
+    for (const input of sizeInputs) {
+      if (!input) continue;
+      const value = parseInt(input.value, 10);
+      setInvalid(input.parentElement, isNaN(value) || value < MIN_GRID_EDGE || value > maxEdge);
+    }
   }
 
   function handleSizeKeydown(e) {
-    if (!sizeInput) return;
-    blurOnEnter(e, sizeInput);
+    const input = /** @type {HTMLInputElement | null} */ (e && e.target);
+    if (!input) return;
+    blurOnEnter(e, input);
   }
 
   /**
@@ -188,9 +217,8 @@ export function createGridSizeController(deps) {
 
     // Compute the effective maximum.
     const maxAttr = parseInt(initSizeInput.max, 10);
-    const max = Number.isFinite(maxAttr)
-      ? Math.min(maxAttr, state.settings.gridSize)
-      : state.settings.gridSize;
+    const gridMax = maxEdgeOf(state.settings.gridDims);
+    const max = Number.isFinite(maxAttr) ? Math.min(maxAttr, gridMax) : gridMax;
 
     /** @type {string | null} */
     let clampedMsg = null;
@@ -235,7 +263,7 @@ export function createGridSizeController(deps) {
     try {
       await waitForIdle();
       state.sim.generation = 0;
-      await renderer.randomize(state.settings.density, state.settings.initSize);
+      await renderer.randomize(state.settings.density, state.settings.initSize, state.settings.seed);
       clearStickyError();
       state.sim.population = renderer.population;
       state.sim.populationGeneration = state.sim.generation;
@@ -258,7 +286,7 @@ export function createGridSizeController(deps) {
       try {
         await waitForIdle();
         state.sim.generation = 0;
-        await renderer.randomize(state.settings.density, prevInitSize);
+        await renderer.randomize(state.settings.density, prevInitSize, state.settings.seed);
         clearStickyError();
         state.sim.population = renderer.population;
         state.sim.populationGeneration = state.sim.generation;
@@ -284,9 +312,8 @@ export function createGridSizeController(deps) {
     const wrapper = initSizeInput.parentElement;
 
     const maxAttr = parseInt(initSizeInput.max, 10);
-    const max = Number.isFinite(maxAttr)
-      ? Math.min(maxAttr, state.settings.gridSize)
-      : state.settings.gridSize;
+    const gridMax = maxEdgeOf(state.settings.gridDims);
+    const max = Number.isFinite(maxAttr) ? Math.min(maxAttr, gridMax) : gridMax;
 
     setInvalid(wrapper, isNaN(value) || value < 2 || value > max);
   }
@@ -297,6 +324,7 @@ export function createGridSizeController(deps) {
   }
 
   return {
+    getGridLimits,
     handleSizeChange,
     validateSizeInput,
     handleSizeKeydown,
@@ -35,6 +35,15 @@ function isTextEntryElement(el) {
   return false;
 }
 
+/** Whether the page has selected text (which Ctrl/Cmd+C should copy instead). */
+function hasTextSelection() {
+  const sel = typeof window !== "undefined" && window.getSelection ? window.getSelection() : null;
+  return !!sel && !sel.isCollapsed && String(sel).length > 0;
+}
+
+/** Hotkey letters for the X, Y and Z axes (clipboard rotate/mirror). */
+const AXIS_KEYS = Object.freeze(["x", "y", "z"]);
+
 /**
  * Create the global keydown handler.
  *
@@ -46,10 +55,19 @@ function isTextEntryElement(el) {
  *   getScreenShowNavLocked: () => boolean,
  *   togglePlay: () => void,
  *   step: () => void,
+ *   stepBack: () => void,
  *   reset: () => void,
  *   toggleFullscreen: () => void,
  *   getRenderer: () => any,
  *   requestRender: (immediate?: boolean) => void,
+ *   hasSelection?: () => boolean,
+ *   hasClipboard?: () => boolean,
+ *   copySelection?: () => void,
+ *   cutSelection?: () => void,
+ *   pasteClipboard?: () => void,
+ *   rotateClipboard?: (axis: number) => void,
+ *   mirrorClipboard?: (axis: number) => void,
+ *   cropToSelection?: () => void,
  * }} opts
  */
 export function createKeyDownHandler(opts) {
@@ -58,15 +76,54 @@ export function createKeyDownHandler(opts) {
     getScreenShowNavLocked,
     togglePlay,
     step,
+    stepBack,
     reset,
     toggleFullscreen,
     getRenderer,
     requestRender,
+    hasSelection,
+    hasClipboard,
+    copySelection,
+    cutSelection,
+    pasteClipboard,
+    rotateClipboard,
+    mirrorClipboard,
+    cropToSelection,
   } = opts || {};
 
+  /**
+   * Ctrl/Cmd+C, X and V copy, cut and paste cells, but only with a cell selection (or a
+   * clipboard to paste) and no text to copy or type into; otherwise the browser keeps them.
+   *
+   * @param {KeyboardEvent} e
+   * @returns {boolean} whether the key was handled
+   */
+  function handleClipboardKey(e) {
+    if (e.altKey || e.shiftKey || isTextEntryElement(document.activeElement)) return false;
+    const key = String(e.key || "").toLowerCase();
+    if (key === "c" || key === "x") {
+      if (typeof hasSelection !== "function" || !hasSelection() || hasTextSelection()) return false;
+      const action = key === "c" ? copySelection : cutSelection;
+      if (typeof action !== "function") return false;
+      e.preventDefault();
+      action();
+      return true;
+    }
+    if (key === "v") {
+      if (typeof hasClipboard !== "function" || !hasClipboard()) return false;
+      if (typeof pasteClipboard !== "function") return false;
+      e.preventDefault();
+      pasteClipboard();
+      return true;
+    }
+    return false;
+  }
+
   return function handleKeyDown(e) {
     if (!e || e.isComposing) return;
 
+    if ((e.ctrlKey || e.metaKey) && handleClipboardKey(e)) return;
+
     // Do not intercept browser/OS shortcuts.
     if (e.ctrlKey || e.metaKey || e.altKey) return;
 
@@ -99,6 +156,10 @@ export function createKeyDownHandler(opts) {
         e.preventDefault();
         if (typeof step === "function") step();
         break;
+      case "a":
+        e.preventDefault();
+        if (typeof stepBack === "function") stepBack();
+        break;
       case "r":
         e.preventDefault();
         if (typeof reset === "function") reset();
@@ -123,6 +184,20 @@ export function createKeyDownHandler(opts) {
         renderer.resetView();
         if (typeof requestRender === "function") requestRender(true);
         break;
+      case "x":
+      case "y":
+      case "z": {
+        // Turn the clipboard a quarter turn about the axis; with Shift, mirror it.
+        const turn = e.shiftKey ? mirrorClipboard : rotateClipboard;
+        if (typeof turn !== "function") break;
+        e.preventDefault();
+        turn(AXIS_KEYS.indexOf(String(e.key).toLowerCase()));
+        break;
+      }
+      case "k":
+        e.preventDefault();
+        if (typeof cropToSelection === "function") cropToSelection();
+        break;
       default:
         // Do not block other keys; keep accessibility and native behaviors intact.
         break;
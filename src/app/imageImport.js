@@ -0,0 +1,123 @@
+/**
+ * PNG heightmap and image-stack import.
+ *
+ * Images arrive as luminance (one byte per pixel, row 0 at the top) and are thresholded at a
+ * chosen level: a pixel counts when its luminance is at least the threshold.
+ *
+ * - A heightmap becomes a field of columns standing on the grid floor (Y up): image x is grid
+ *   x, image rows run along z, and a counting pixel grows a column of 1..height cells, taller
+ *   the brighter it is.
+ * - A stack of slices becomes z-layers, slice i at z = i; image rows run down the Y axis, so
+ *   the picture stands upright.
+ *
+ * Decoding and scaling pixels is left to the caller (it needs a canvas); imageImportSize picks
+ * the scaled image size that keeps the result within the grid limits.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+export const IMAGE_IMPORT_EXTENSION = ".png";
+
+/**
+ * @typedef {Object} LumaImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} luma One byte per pixel, row-major from the top-left corner.
+ */
+
+/**
+ * Whether a file looks like a PNG image, by name or MIME type.
+ *
+ * @param {{ name: string, type?: string }} file
+ * @returns {boolean}
+ */
+export function isImageFile({ name, type = "" }) {
+  return type === "image/png" || String(name).toLowerCase().endsWith(IMAGE_IMPORT_EXTENSION);
+}
+
+/**
+ * Luminance of RGBA pixels (Rec. 709 weights). Transparent pixels fade to black.
+ *
+ * @param {Uint8ClampedArray | Uint8Array} rgba
+ * @returns {Uint8Array}
+ */
+export function rgbaToLuma(rgba) {
+  const luma = new Uint8Array(rgba.length >> 2);
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    const y = 0.2126 * rgba[p] + 0.7152 * rgba[p + 1] + 0.0722 * rgba[p + 2];
+    luma[i] = Math.round((y * rgba[p + 3]) / 255);
+  }
+  return luma;
+}
+
+/**
+ * Image size to scale to (never up) so that `depth` layers of it fit the grid limits.
+ * For a heightmap, `depth` is the column height; for a stack, the slice count.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} depth
+ * @param {{ maxEdge: number, maxCells: number }} limits
+ * @returns {{ width: number, height: number }}
+ * @throws {Error} when `depth` alone does not fit
+ */
+export function imageImportSize(width, height, depth, { maxEdge, maxCells }) {
+  if (depth > maxEdge) {
+    throw new Error(`${depth} layers do not fit; this device supports up to ${maxEdge} per axis.`);
+  }
+  const budget = Math.sqrt(maxCells / (width * height * depth));
+  const scale = Math.min(1, maxEdge / width, maxEdge / height, budget);
+  return {
+    width: Math.max(1, Math.floor(width * scale)),
+    height: Math.max(1, Math.floor(height * scale)),
+  };
+}
+
+/**
+ * Columns for a heightmap: pixels at the threshold get one cell, white pixels `height` cells.
+ *
+ * @param {LumaImage} image
+ * @param {{ threshold: number, height: number }} opts
+ * @returns {{ size: [number, number, number], cells: Uint8Array }} x-major, then y, then z
+ */
+export function buildHeightmap({ width, height: rows, luma }, { threshold, height }) {
+  const size = /** @type {[number, number, number]} */ ([width, height, rows]);
+  const cells = new Uint8Array(width * height * rows);
+  const span = 256 - threshold;
+  for (let z = 0; z < rows; z++) {
+    for (let x = 0; x < width; x++) {
+      const v = luma[x + z * width];
+      if (v < threshold) continue;
+      const top = Math.max(1, Math.ceil(((v - threshold + 1) / span) * height));
+      for (let y = 0; y < top; y++) cells[x + (y + z * height) * width] = 1;
+    }
+  }
+  return { size, cells };
+}
+
+/**
+ * Z-layers for a stack of equally sized slices.
+ *
+ * @param {LumaImage[]} slices
+ * @param {{ threshold: number }} opts
+ * @returns {{ size: [number, number, number], cells: Uint8Array }} x-major, then y, then z
+ * @throws {Error} when the slices differ in size
+ */
+export function buildSliceStack(slices, { threshold }) {
+  const { width, height } = slices[0];
+  if (slices.some((s) => s.width !== width || s.height !== height)) {
+    throw new Error("All slices must have the same size.");
+  }
+  const size = /** @type {[number, number, number]} */ ([width, height, slices.length]);
+  const cells = new Uint8Array(width * height * slices.length);
+  slices.forEach(({ luma }, z) => {
+    for (let y = 0; y < height; y++) {
+      const src = (height - 1 - y) * width;
+      const dst = (y + z * height) * width;
+      for (let x = 0; x < width; x++) {
+        if (luma[src + x] >= threshold) cells[dst + x] = 1;
+      }
+    }
+  });
+  return { size, cells };
+}
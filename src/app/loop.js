@@ -18,6 +18,7 @@ import { getCaps } from "../util/caps.js";
 /**
  * @typedef {Object} LoopHooks
  * @property {() => number} getSpeedDelayMs
+ * @property {() => number} [getGenerationsPerTick]
  * @property {() => boolean} isInteracting
  * @property {(ts:number) => boolean} updateScreenShow
  * @property {() => boolean} updateInertia
@@ -314,14 +315,17 @@ export class LoopController {
    * Queue exactly one simulation step, ensuring steps never overlap.
    * Returns the renderer's "changed" value for that step.
    *
+   * A step may advance several generations in one GPU submit; only the last is drawn.
+   *
    * @param {boolean} [syncStats]
+   * @param {number} [generations]
    * @returns {Promise<boolean>}
    */
-  queueStep(syncStats = true) {
+  queueStep(syncStats = true, generations = 1) {
     if (this.isDestroyed || !this.renderer) return Promise.resolve(false);
     if (this.isSuspended) return Promise.resolve(false);
     const p = this.stepQueue.then(async () => {
-      const changed = await this.renderer.step({ syncStats, pace: true });
+      const changed = await this.renderer.step({ syncStats, pace: true, generations });
 
       let statsFresh = false;
       let population = 0;
@@ -361,7 +365,7 @@ export class LoopController {
   }
 
   /**
-   * One tick of play mode: run one step, then schedule the next tick.
+   * One tick of play mode: run one (possibly multi-generation) step, then schedule the next tick.
    *
    * @param {number} sessionId
    */
@@ -379,7 +383,11 @@ export class LoopController {
     try {
       const speedDelayMs = this.hooks.getSpeedDelayMs();
       const syncStats = speedDelayMs >= 200;
-      changed = await this.queueStep(syncStats);
+      const generations =
+        typeof this.hooks.getGenerationsPerTick === "function"
+          ? this.hooks.getGenerationsPerTick()
+          : 1;
+      changed = await this.queueStep(syncStats, generations);
     } catch (e) {
       // Step errors are fatal for the current run session. Stop play mode and
       // let the app decide how to surface the failure (toast/overlay/etc.).
@@ -461,6 +469,8 @@ export class LoopController {
     const lanternAnimating = !!(
       this.renderer && this.renderer.lanternEnabled > 0.5
     );
+    // The animated clipping peel is paced like the lantern.
+    const peelAnimating = !!(this.renderer && this.renderer.clipPeelAxis >= 0);
 
     const interacting = (() => {
       try {
@@ -470,7 +480,7 @@ export class LoopController {
       }
     })();
 
-    const animating = lanternAnimating || screenShowAnimating;
+    const animating = lanternAnimating || peelAnimating || screenShowAnimating;
 
     let targetFps = 0;
     if (animating) {
@@ -70,6 +70,8 @@ export function createLoopHooks(deps) {
 
     getSpeedDelayMs: () => state.settings.speed,
 
+    getGenerationsPerTick: () => state.settings.generationsPerTick,
+
     getAutoStopEnabled: () => {
       // Auto-stop (stable configuration) is disabled while Screen show is actively running.
       // Empty grids are still auto-stopped by the loop controller.
@@ -0,0 +1,448 @@
+/**
+ * Mesh export (binary STL, OBJ + MTL) of the live-cell list.
+ *
+ * Input is the packed live-cell list written by the extract kernel (x | y << 10 | z << 20 |
+ * decay << 30, see src/gpu/constants.js). Every cell is a unit cube centered like in the
+ * cell vertex shader, in cell units (1 cell = 1 unit, centered on the grid center), and
+ * colored like the shader: the bottom-to-top gradient along Y, with dying cells faded toward
+ * an ember tone.
+ *
+ * Two modes:
+ * - Solid (default): cubes touch, and only faces between a cell and empty space are emitted,
+ *   so the result is a closed surface. Optional greedy merging joins coplanar neighboring
+ *   faces of the same color into larger rectangles; their edges keep a corner wherever
+ *   another face's corner lies on them, so the merged surface stays closed.
+ * - Gap: cubes are shrunk to 0.9 like on screen. They no longer touch, so every face is
+ *   exposed and nothing is merged.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import { parseHex6 } from "../util/color.js";
+
+/** Cube edge relative to the cell pitch in gap mode (matches the cell vertex shader). */
+export const CELL_GAP_SCALE = 0.9;
+
+/** Upper bound on emitted faces to keep the files within memory. */
+export const MAX_MESH_QUADS = 2_000_000;
+
+/** Upper bound on cells in the solid-mode occupancy box. */
+const MAX_OCCUPANCY_CELLS = 1 << 26;
+
+/**
+ * @typedef {Object} Mesh
+ * @property {Float32Array} positions Face corners (xyz), counter-clockwise seen from outside
+ * @property {Uint32Array} starts Face f has corners starts[f] .. starts[f + 1] - 1 (4 for a
+ *   plain rectangle, more where a merged edge passes other faces' corners)
+ * @property {Uint8Array} axes Normal per face: 0..5 = +X, -X, +Y, -Y, +Z, -Z
+ * @property {Uint16Array} colors Palette index per face
+ * @property {Float32Array} palette RGB (0..1) per palette index
+ * @property {number} faceCount
+ */
+
+/**
+ * @param {string} hex
+ * @returns {number[]} RGB in 0..1 (black when malformed)
+ */
+function hexToRgb01(hex) {
+  const s = parseHex6(hex) || "000000";
+  return [0, 2, 4].map((i) => parseInt(s.slice(i, i + 2), 16) / 255);
+}
+
+/**
+ * Palette with one entry per (y, decay) pair: index = y * 4 + decay. Mirrors the cell vertex
+ * shader's gradient and ember fade.
+ *
+ * @param {number} gridY
+ * @param {string} colorTop
+ * @param {string} colorBottom
+ * @returns {Float32Array}
+ */
+function buildPalette(gridY, colorTop, colorBottom) {
+  const top = hexToRgb01(colorTop);
+  const bottom = hexToRgb01(colorBottom);
+  const denom = Math.max(gridY - 1, 1);
+  const palette = new Float32Array(gridY * 4 * 3);
+  for (let y = 0; y < gridY; y++) {
+    const t = y / denom;
+    const base = bottom.map((b, c) => b + (top[c] - b) * t);
+    for (let decay = 0; decay < 4; decay++) {
+      let color = base;
+      if (decay !== 0) {
+        const f = decay / 3;
+        const luma = base[0] * 0.299 + base[1] * 0.587 + base[2] * 0.114;
+        const ember = [luma * 0.9 + 0.18, luma * 0.45 + 0.04, luma * 0.35 + 0.02];
+        const k = 0.55 + 0.35 * f;
+        color = base.map((b, c) => (b + (ember[c] - b) * k) * (1 - 0.45 * f));
+      }
+      palette.set(color, (y * 4 + decay) * 3);
+    }
+  }
+  return palette;
+}
+
+/**
+ * Growable face buffers. A face is a polygon of 4 or more corners.
+ */
+function createFaceSink() {
+  let faceCap = 1024;
+  let cornerCap = faceCap * 4;
+  let positions = new Float32Array(cornerCap * 3);
+  let starts = new Uint32Array(faceCap + 1);
+  let axes = new Uint8Array(faceCap);
+  let colors = new Uint16Array(faceCap);
+  let n = 0;
+  let corners = 0;
+
+  /**
+   * @param {number} axis 0..2
+   * @param {number} sign +1 or -1
+   * @param {number} plane coordinate along `axis`
+   * @param {number[]} loop (u, v) pairs, counter-clockwise seen from +axis
+   * @param {number} color palette index
+   */
+  function push(axis, sign, plane, loop, color) {
+    if (n === MAX_MESH_QUADS) {
+      throw new Error(`The mesh would exceed ${MAX_MESH_QUADS.toLocaleString()} faces.`);
+    }
+    const count = loop.length / 2;
+    if (n === faceCap) {
+      faceCap *= 2;
+      const s = new Uint32Array(faceCap + 1);
+      s.set(starts);
+      starts = s;
+      const a = new Uint8Array(faceCap);
+      a.set(axes);
+      axes = a;
+      const c = new Uint16Array(faceCap);
+      c.set(colors);
+      colors = c;
+    }
+    if (corners + count > cornerCap) {
+      cornerCap = Math.max(cornerCap * 2, corners + count);
+      const p = new Float32Array(cornerCap * 3);
+      p.set(positions);
+      positions = p;
+    }
+    const ua = (axis + 1) % 3;
+    const va = (axis + 2) % 3;
+    // u × v points along +axis; faces toward -axis walk the loop backwards from its start.
+    for (let k = 0; k < count; k++) {
+      const j = sign > 0 || k === 0 ? k : count - k;
+      const o = (corners + k) * 3;
+      positions[o + axis] = plane;
+      positions[o + ua] = loop[j * 2];
+      positions[o + va] = loop[j * 2 + 1];
+    }
+    corners += count;
+    axes[n] = axis * 2 + (sign > 0 ? 0 : 1);
+    colors[n] = color;
+    n++;
+    starts[n] = corners;
+  }
+
+  return {
+    push,
+    finish: (palette) => ({
+      positions: positions.subarray(0, corners * 3),
+      starts: starts.subarray(0, n + 1),
+      axes: axes.subarray(0, n),
+      colors: colors.subarray(0, n),
+      palette,
+      faceCount: n,
+    }),
+  };
+}
+
+/**
+ * Build a cube mesh from a packed live-cell list.
+ *
+ * @param {Uint32Array} liveCells
+ * @param {ArrayLike<number>} dims grid [x, y, z]
+ * @param {{ gap?: boolean, merge?: boolean, colorTop: string, colorBottom: string }} options
+ * @returns {Mesh}
+ * @throws {Error} when the mesh would be too large
+ */
+export function buildCellMesh(liveCells, dims, { gap = false, merge = true, colorTop, colorBottom }) {
+  const palette = buildPalette(dims[1], colorTop, colorBottom);
+  const sink = createFaceSink();
+  // Grid center in corner coordinates (cell i spans [i, i + 1]).
+  const center = [dims[0] / 2, dims[1] / 2, dims[2] / 2];
+
+  if (gap) {
+    const inset = (1 - CELL_GAP_SCALE) / 2;
+    const lo = [0, 0, 0];
+    const hi = [0, 0, 0];
+    for (const w of liveCells) {
+      const cell = [w & 0x3ff, (w >>> 10) & 0x3ff, (w >>> 20) & 0x3ff];
+      const color = cell[1] * 4 + (w >>> 30);
+      for (let a = 0; a < 3; a++) {
+        lo[a] = cell[a] + inset - center[a];
+        hi[a] = cell[a] + 1 - inset - center[a];
+      }
+      for (let axis = 0; axis < 3; axis++) {
+        const ua = (axis + 1) % 3;
+        const va = (axis + 2) % 3;
+        const loop = [lo[ua], lo[va], hi[ua], lo[va], hi[ua], hi[va], lo[ua], hi[va]];
+        sink.push(axis, 1, hi[axis], loop, color);
+        sink.push(axis, -1, lo[axis], loop, color);
+      }
+    }
+    return sink.finish(palette);
+  }
+
+  // Solid mode: occupancy (palette index + 1, 0 = empty) over the live-cell box plus a
+  // one-cell empty border, so neighbor lookups never leave the box.
+  if (liveCells.length === 0) return sink.finish(palette);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-1, -1, -1];
+  for (const w of liveCells) {
+    const c = [w & 0x3ff, (w >>> 10) & 0x3ff, (w >>> 20) & 0x3ff];
+    for (let a = 0; a < 3; a++) {
+      if (c[a] < min[a]) min[a] = c[a];
+      if (c[a] > max[a]) max[a] = c[a];
+    }
+  }
+  const size = max.map((v, a) => v - min[a] + 3);
+  if (size[0] * size[1] * size[2] > MAX_OCCUPANCY_CELLS) {
+    throw new Error("The live cells are spread too widely to mesh without the cell gap.");
+  }
+  const strides = [1, size[0], size[0] * size[1]];
+  const occ = new Uint16Array(size[0] * size[1] * size[2]);
+  for (const w of liveCells) {
+    const x = (w & 0x3ff) - min[0] + 1;
+    const y = ((w >>> 10) & 0x3ff) - min[1] + 1;
+    const z = ((w >>> 20) & 0x3ff) - min[2] + 1;
+    occ[x + y * strides[1] + z * strides[2]] = ((w >>> 10) & 0x3ff) * 4 + (w >>> 30) + 1;
+  }
+
+  // Rectangles as (axis, sign, plane, u0, v0, u1, v1, color) in box corner coordinates.
+  const rects = [];
+  // Merged rectangles: every rectangle corner, on the (size + 1)^3 corner lattice.
+  const lattice = [size[0] + 1, (size[0] + 1) * (size[1] + 1)];
+  const cornerAt = (p) => p[0] + p[1] * lattice[0] + p[2] * lattice[1];
+  const isCorner = merge ? new Uint8Array(lattice[1] * (size[2] + 1)) : null;
+
+  // For each axis and direction, sweep the slices, mark exposed faces in a 2D mask and
+  // collect them as rectangles (greedy) or unit squares.
+  for (let axis = 0; axis < 3; axis++) {
+    const ua = (axis + 1) % 3;
+    const va = (axis + 2) % 3;
+    const nu = size[ua];
+    const nv = size[va];
+    const mask = new Uint16Array(nu * nv);
+    for (const sign of [1, -1]) {
+      const step = sign * strides[axis];
+      for (let i = 1; i < size[axis] - 1; i++) {
+        let any = false;
+        for (let v = 1; v < nv - 1; v++) {
+          for (let u = 1; u < nu - 1; u++) {
+            const idx = i * strides[axis] + u * strides[ua] + v * strides[va];
+            const key = occ[idx] !== 0 && occ[idx + step] === 0 ? occ[idx] : 0;
+            mask[u + v * nu] = key;
+            if (key) any = true;
+          }
+        }
+        if (!any) continue;
+
+        const plane = i + (sign > 0 ? 1 : 0);
+        for (let v = 1; v < nv - 1; v++) {
+          for (let u = 1; u < nu - 1; ) {
+            const key = mask[u + v * nu];
+            if (!key) {
+              u++;
+              continue;
+            }
+            let w = 1;
+            let h = 1;
+            if (merge) {
+              while (u + w < nu - 1 && mask[u + w + v * nu] === key) w++;
+              grow: while (v + h < nv - 1) {
+                for (let k = 0; k < w; k++) {
+                  if (mask[u + k + (v + h) * nu] !== key) break grow;
+                }
+                h++;
+              }
+              for (let dv = 0; dv < h; dv++) mask.fill(0, u + (v + dv) * nu, u + w + (v + dv) * nu);
+            }
+            if (rects.length === MAX_MESH_QUADS * 8) {
+              throw new Error(`The mesh would exceed ${MAX_MESH_QUADS.toLocaleString()} faces.`);
+            }
+            rects.push(axis, sign, plane, u, v, u + w, v + h, key - 1);
+            if (isCorner) {
+              const p = [0, 0, 0];
+              p[axis] = plane;
+              for (const [cu, cv] of [[u, v], [u + w, v], [u, v + h], [u + w, v + h]]) {
+                p[ua] = cu;
+                p[va] = cv;
+                isCorner[cornerAt(p)] = 1;
+              }
+            }
+            u += w;
+          }
+        }
+      }
+    }
+  }
+
+  // Box corner coordinates to mesh coordinates.
+  const offset = [0, 1, 2].map((a) => min[a] - 1 - center[a]);
+  const p = [0, 0, 0];
+  for (let r = 0; r < rects.length; r += 8) {
+    const [axis, sign, plane, u0, v0, u1, v1, color] = rects.slice(r, r + 8);
+    const ua = (axis + 1) % 3;
+    const va = (axis + 2) % 3;
+    // Counter-clockwise from +axis: (u0,v0) (u1,v0) (u1,v1) (u0,v1). A merged edge also
+    // passes through every other rectangle's corner on it, so neighboring faces share
+    // their edges exactly (no T-junctions) and the surface stays closed.
+    const loop = [];
+    const edges = [
+      [u0, v0, 1, 0, u1 - u0],
+      [u1, v0, 0, 1, v1 - v0],
+      [u1, v1, -1, 0, u1 - u0],
+      [u0, v1, 0, -1, v1 - v0],
+    ];
+    p[axis] = plane;
+    for (const [su, sv, du, dv, len] of edges) {
+      loop.push(su + offset[ua], sv + offset[va]);
+      for (let k = 1; isCorner && k < len; k++) {
+        p[ua] = su + du * k;
+        p[va] = sv + dv * k;
+        if (isCorner[cornerAt(p)]) loop.push(p[ua] + offset[ua], p[va] + offset[va]);
+      }
+    }
+    sink.push(axis, sign, plane + offset[axis], loop, color);
+  }
+  return sink.finish(palette);
+}
+
+/** Outward unit normal per Mesh.axes value. */
+const AXIS_NORMALS = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
+
+/**
+ * Binary STL. Colors are stored per triangle in the attribute word using the VisCAM /
+ * SolidView convention (bit 15 set, 5 bits each of red, green, blue from bit 10 down).
+ *
+ * @param {Mesh} mesh
+ * @returns {Uint8Array}
+ */
+export function encodeStl(mesh) {
+  const { positions, starts, axes, colors, palette } = mesh;
+  // Quads are split along a diagonal; longer loops (merged faces with extra edge corners)
+  // are fanned from their center, so no triangle is degenerate.
+  let triangles = 0;
+  for (let f = 0; f < mesh.faceCount; f++) {
+    const count = starts[f + 1] - starts[f];
+    triangles += count === 4 ? 2 : count;
+  }
+  const out = new Uint8Array(84 + triangles * 50);
+  const view = new DataView(out.buffer);
+  const header = "G3DL mesh export";
+  for (let i = 0; i < header.length; i++) out[i] = header.charCodeAt(i);
+  view.setUint32(80, triangles, true);
+
+  let at = 84;
+  const point = (p) => {
+    for (let a = 0; a < 3; a++) {
+      view.setFloat32(at, p[a], true);
+      at += 4;
+    }
+  };
+  for (let f = 0; f < mesh.faceCount; f++) {
+    const normal = AXIS_NORMALS[axes[f]];
+    const c = colors[f] * 3;
+    const rgb15 =
+      0x8000 |
+      (Math.round(palette[c] * 31) << 10) |
+      (Math.round(palette[c + 1] * 31) << 5) |
+      Math.round(palette[c + 2] * 31);
+    const first = starts[f];
+    const count = starts[f + 1] - first;
+    const corner = (k) => positions.subarray((first + (k % count)) * 3, (first + (k % count)) * 3 + 3);
+    const mid = [0, 0, 0];
+    if (count !== 4) {
+      for (let k = 0; k < count; k++) for (let a = 0; a < 3; a++) mid[a] += corner(k)[a] / count;
+    }
+    const tris = count === 4 ? [[0, 1, 2], [0, 2, 3]] : Array.from({ length: count }, (_, k) => [-1, k, k + 1]);
+    for (const tri of tris) {
+      point(normal);
+      for (const k of tri) point(k < 0 ? mid : corner(k));
+      view.setUint16(at, rgb15, true);
+      at += 2;
+    }
+  }
+  return out;
+}
+
+/**
+ * Wavefront OBJ with per-vertex colors ("v x y z r g b") and an MTL file with one diffuse
+ * material per palette color, for tools that ignore vertex colors.
+ *
+ * Faces share their corner vertices, so the file describes one connected surface. A vertex
+ * takes the color of the first face written through it; the materials keep each face's own.
+ *
+ * @param {Mesh} mesh
+ * @param {string} mtlName file name the OBJ refers to for its materials
+ * @returns {{ obj: string, mtl: string }}
+ */
+export function encodeObj(mesh, mtlName) {
+  const { positions, starts, axes, colors, palette } = mesh;
+  const fmt = (v) => String(Math.round(v * 10000) / 10000);
+
+  // Group faces by color so each material is selected once.
+  const order = Array.from({ length: mesh.faceCount }, (_, i) => i).sort(
+    (a, b) => colors[a] - colors[b],
+  );
+
+  // Vertex lines (1-based index per written position) and the face lines that use them.
+  const vertexLines = [];
+  const vertexIndex = new Map();
+  const faceLines = [];
+  const used = [];
+  let current = -1;
+  for (const f of order) {
+    if (colors[f] !== current) {
+      current = colors[f];
+      used.push(current);
+      faceLines.push(`usemtl c${current}`);
+    }
+    const c = colors[f] * 3;
+    const n = axes[f] + 1;
+    const refs = [];
+    for (let k = starts[f]; k < starts[f + 1]; k++) {
+      const o = k * 3;
+      const xyz = `${fmt(positions[o])} ${fmt(positions[o + 1])} ${fmt(positions[o + 2])}`;
+      let v = vertexIndex.get(xyz);
+      if (v === undefined) {
+        vertexLines.push(`v ${xyz} ${fmt(palette[c])} ${fmt(palette[c + 1])} ${fmt(palette[c + 2])}`);
+        v = vertexLines.length;
+        vertexIndex.set(xyz, v);
+      }
+      refs.push(`${v}//${n}`);
+    }
+    faceLines.push(`f ${refs.join(" ")}`);
+  }
+
+  const lines = ["# G3DL mesh export", `mtllib ${mtlName}`];
+  for (const n of AXIS_NORMALS) lines.push(`vn ${n.join(" ")}`);
+  const obj = lines.concat(vertexLines, faceLines);
+
+  const mtl = ["# G3DL mesh export"];
+  for (const key of used) {
+    const c = key * 3;
+    mtl.push(
+      `newmtl c${key}`,
+      `Kd ${fmt(palette[c])} ${fmt(palette[c + 1])} ${fmt(palette[c + 2])}`,
+      "",
+    );
+  }
+
+  return { obj: obj.join("\n") + "\n", mtl: mtl.join("\n") };
+}
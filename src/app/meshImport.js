@@ -0,0 +1,311 @@
+/**
+ * Triangle mesh import (OBJ, binary or ASCII STL) and voxelization into a pattern box.
+ *
+ * The mesh is scaled uniformly so its longest side spans the requested number of cells; the
+ * file's axes are kept (Y up, like the grid and the .stl / .obj export of meshExport.js).
+ *
+ * Voxelization runs on the CPU in two passes:
+ * - Surface: every triangle is sampled at under half a cell spacing and the cells the samples
+ *   fall in are set, so thin walls and open meshes still show up. Samples are nudged inward
+ *   along the face normal and toward the face center, so faces and edges on cell boundaries
+ *   set the cells inside the solid.
+ * - Fill: a ray along +X through each cell row center collects the triangle crossings, each
+ *   counted +1 entering and -1 leaving the solid (by the sign of the face normal's X), and
+ *   cells whose center has a non-zero winding number are set. Faces use the file's normals
+ *   and fall back to the winding order (right-hand rule) where a file has none. Rows whose
+ *   crossings do not balance (holes in the mesh) are left as surface only.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+/** Upper bound on triangles read from a file, to keep parsing and voxelizing bounded. */
+export const MAX_IMPORT_TRIANGLES = 4_000_000;
+
+export const MESH_IMPORT_EXTENSIONS = Object.freeze([".obj", ".stl"]);
+
+/**
+ * @typedef {Object} TriangleMesh
+ * @property {Float32Array} positions 3 vertices (xyz) per triangle
+ * @property {Float32Array} normals One normal per triangle; zero where the file has none
+ * @property {number} triangleCount
+ */
+
+/**
+ * Whether `bytes` is a binary STL file (the size matches the triangle count in the header).
+ *
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isBinaryStl(bytes) {
+  if (bytes.length < 84) return false;
+  const count = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(80, true);
+  return bytes.length === 84 + count * 50;
+}
+
+/**
+ * @param {number} count
+ */
+function checkTriangleCount(count) {
+  if (count > MAX_IMPORT_TRIANGLES) {
+    throw new Error(
+      `The mesh has ${count.toLocaleString()} triangles; at most ${MAX_IMPORT_TRIANGLES.toLocaleString()} can be imported.`,
+    );
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {TriangleMesh}
+ */
+function parseBinaryStl(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = view.getUint32(80, true);
+  checkTriangleCount(count);
+  const positions = new Float32Array(count * 9);
+  const normals = new Float32Array(count * 3);
+  for (let t = 0; t < count; t++) {
+    const o = 84 + t * 50;
+    for (let k = 0; k < 3; k++) normals[t * 3 + k] = view.getFloat32(o + k * 4, true);
+    for (let k = 0; k < 9; k++) positions[t * 9 + k] = view.getFloat32(o + 12 + k * 4, true);
+  }
+  return { positions, normals, triangleCount: count };
+}
+
+/**
+ * @param {string} text
+ * @returns {TriangleMesh}
+ */
+function parseAsciiStl(text) {
+  const positions = [];
+  const normals = [];
+  let facet = null;
+  for (const line of text.split(/\r?\n/)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === "facet") {
+      facet = [];
+      // "facet normal nx ny nz"
+      normals.push(...[2, 3, 4].map((i) => Number(parts[i]) || 0));
+    } else if (parts[0] === "vertex" && facet) {
+      facet.push(Number(parts[1]), Number(parts[2]), Number(parts[3]));
+    } else if (parts[0] === "endfacet" && facet) {
+      if (facet.length !== 9 || facet.some((v) => !Number.isFinite(v))) {
+        throw new Error("Malformed STL facet.");
+      }
+      positions.push(...facet);
+      facet = null;
+      checkTriangleCount(positions.length / 9);
+    }
+  }
+  const triangleCount = positions.length / 9;
+  return {
+    positions: Float32Array.from(positions),
+    normals: Float32Array.from(normals.slice(0, triangleCount * 3)),
+    triangleCount,
+  };
+}
+
+/**
+ * Parse an OBJ index ("3", "-1"; 1-based, negative counts back from the last entry).
+ *
+ * @param {string|undefined} s
+ * @param {number} count entries defined so far
+ * @returns {number} 0-based index, or -1 when absent or out of range
+ */
+function objIndex(s, count) {
+  if (!s) return -1;
+  const n = parseInt(s, 10);
+  const i = n < 0 ? count + n : n - 1;
+  return Number.isInteger(i) && i >= 0 && i < count ? i : -1;
+}
+
+/**
+ * Read the vertices and faces of an OBJ file (polygons are split into triangle fans; texture
+ * coordinates, groups and materials are ignored).
+ *
+ * @param {string} text
+ * @returns {TriangleMesh}
+ */
+function parseObj(text) {
+  const verts = [];
+  const vnormals = [];
+  const positions = [];
+  const normals = [];
+  for (const line of text.split(/\r?\n/)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === "v") {
+      verts.push([Number(parts[1]), Number(parts[2]), Number(parts[3])]);
+    } else if (parts[0] === "vn") {
+      vnormals.push([Number(parts[1]), Number(parts[2]), Number(parts[3])]);
+    } else if (parts[0] === "f") {
+      // "v", "v/vt", "v//vn" or "v/vt/vn" per corner.
+      const corners = parts.slice(1).map((c) => {
+        const [v, , vn] = c.split("/");
+        return { v: objIndex(v, verts.length), vn: objIndex(vn, vnormals.length) };
+      });
+      if (corners.length < 3 || corners.some((c) => c.v < 0)) {
+        throw new Error("Malformed OBJ face.");
+      }
+      for (let i = 1; i + 1 < corners.length; i++) {
+        const tri = [corners[0], corners[i], corners[i + 1]];
+        for (const c of tri) positions.push(...verts[c.v]);
+        // Face normal: the sum of its vertex normals, when every corner has one.
+        const n = [0, 0, 0];
+        if (tri.every((c) => c.vn >= 0)) {
+          for (const c of tri) for (let k = 0; k < 3; k++) n[k] += vnormals[c.vn][k];
+        }
+        normals.push(...n);
+        checkTriangleCount(normals.length / 3);
+      }
+    }
+  }
+  if (positions.some((v) => !Number.isFinite(v))) throw new Error("Malformed OBJ vertex.");
+  return {
+    positions: Float32Array.from(positions),
+    normals: Float32Array.from(normals),
+    triangleCount: normals.length / 3,
+  };
+}
+
+/**
+ * Whether a file looks like a mesh this module reads (by name, or by binary STL layout).
+ *
+ * @param {string} name
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isMeshFile(name, bytes) {
+  const lower = String(name).toLowerCase();
+  return MESH_IMPORT_EXTENSIONS.some((ext) => lower.endsWith(ext)) || isBinaryStl(bytes);
+}
+
+/**
+ * Parse an OBJ or STL file.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} name file name (".obj" selects the OBJ reader)
+ * @returns {TriangleMesh}
+ * @throws {Error} with a user-readable message when the file is malformed or empty
+ */
+export function parseMeshFile(bytes, name) {
+  let mesh;
+  if (isBinaryStl(bytes)) {
+    mesh = parseBinaryStl(bytes);
+  } else {
+    const text = new TextDecoder().decode(bytes);
+    mesh = String(name).toLowerCase().endsWith(".obj") ? parseObj(text) : parseAsciiStl(text);
+  }
+  if (!mesh.triangleCount) throw new Error("The file contains no triangles.");
+  return mesh;
+}
+
+/**
+ * Voxelize a mesh into a pattern box whose longest side is `size` cells.
+ *
+ * @param {TriangleMesh} mesh
+ * @param {{ size: number, surfaceOnly?: boolean }} opts
+ * @returns {{ size: [number, number, number], cells: Uint8Array }}
+ *   One state per box cell (0 or 1), x-major, then y, then z
+ */
+export function voxelizeMesh(mesh, { size, surfaceOnly = false }) {
+  const { positions, normals, triangleCount } = mesh;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let a = 0; a < 3; a++) {
+      if (positions[i + a] < min[a]) min[a] = positions[i + a];
+      if (positions[i + a] > max[a]) max[a] = positions[i + a];
+    }
+  }
+  const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+  if (!(extent > 0)) throw new Error("The mesh has no extent.");
+
+  // Cell space: the longest side spans exactly `size` cells.
+  const scale = size / extent;
+  const dims = /** @type {[number, number, number]} */ (
+    [0, 1, 2].map((a) => Math.min(size, Math.max(1, Math.ceil((max[a] - min[a]) * scale))))
+  );
+  const v = new Float64Array(positions.length);
+  for (let i = 0; i < positions.length; i++) v[i] = (positions[i] - min[i % 3]) * scale;
+
+  const [nx, ny, nz] = dims;
+  const cells = new Uint8Array(nx * ny * nz);
+  const clampCell = (c, a) => Math.min(dims[a] - 1, Math.max(0, Math.floor(c)));
+
+  // Surface: sample each triangle on a barycentric lattice finer than half a cell.
+  for (let t = 0; t < triangleCount; t++) {
+    const o = t * 9;
+    const e1 = [v[o + 3] - v[o], v[o + 4] - v[o + 1], v[o + 5] - v[o + 2]];
+    const e2 = [v[o + 6] - v[o], v[o + 7] - v[o + 1], v[o + 8] - v[o + 2]];
+    const e3 = [e2[0] - e1[0], e2[1] - e1[1], e2[2] - e1[2]];
+    const n = Math.max(1, Math.ceil(Math.max(Math.hypot(...e1), Math.hypot(...e2), Math.hypot(...e3)) * 2));
+    const fileN = [normals[t * 3], normals[t * 3 + 1], normals[t * 3 + 2]];
+    const faceN = fileN.some((c) => c !== 0)
+      ? fileN
+      : [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+    const len = Math.hypot(...faceN) || 1;
+    const inward = faceN.map((c) => (-c / len) * 1e-4);
+    // Barycentric lattice shrunk a little toward the centroid (1/3, 1/3).
+    const shrink = 1 - 1e-6;
+    const center = (1 - shrink) / 3;
+    for (let i = 0; i <= n; i++) {
+      for (let j = 0; i + j <= n; j++) {
+        const bi = (i / n) * shrink + center;
+        const bj = (j / n) * shrink + center;
+        const x = clampCell(v[o] + e1[0] * bi + e2[0] * bj + inward[0], 0);
+        const y = clampCell(v[o + 1] + e1[1] * bi + e2[1] * bj + inward[1], 1);
+        const z = clampCell(v[o + 2] + e1[2] * bi + e2[2] * bj + inward[2], 2);
+        cells[x + (y + z * ny) * nx] = 1;
+      }
+    }
+  }
+  if (surfaceOnly) return { size: dims, cells };
+
+  // Fill: crossings of +X rays through cell row centers. The rays are nudged off the cell
+  // centers so they do not run exactly through shared edges and vertices.
+  /** @type {Array<Array<{ x: number, w: number }>|undefined>} */
+  const rows = new Array(ny * nz);
+  for (let t = 0; t < triangleCount; t++) {
+    const o = t * 9;
+    const ay = v[o + 1], az = v[o + 2];
+    const by = v[o + 4], bz = v[o + 5];
+    const cy = v[o + 7], cz = v[o + 8];
+    // Twice the signed area of the YZ projection: its sign is the X of the winding normal.
+    const area = (by - ay) * (cz - az) - (cy - ay) * (bz - az);
+    if (area === 0) continue;
+    const fileNx = normals[t * 3];
+    const w = (fileNx !== 0 ? fileNx : area) > 0 ? -1 : 1;
+
+    const y0 = Math.max(0, Math.ceil(Math.min(ay, by, cy) - 0.5));
+    const y1 = Math.min(ny - 1, Math.floor(Math.max(ay, by, cy) - 0.5));
+    const z0 = Math.max(0, Math.ceil(Math.min(az, bz, cz) - 0.5));
+    const z1 = Math.min(nz - 1, Math.floor(Math.max(az, bz, cz) - 0.5));
+    for (let z = z0; z <= z1; z++) {
+      const pz = z + 0.5 + 1.7e-6;
+      for (let y = y0; y <= y1; y++) {
+        const py = y + 0.5 + 1.1e-6;
+        // Barycentric weights of (py, pz) in the projected triangle.
+        const l1 = ((py - ay) * (cz - az) - (cy - ay) * (pz - az)) / area;
+        const l2 = ((by - ay) * (pz - az) - (py - ay) * (bz - az)) / area;
+        const l0 = 1 - l1 - l2;
+        if (l0 < 0 || l1 < 0 || l2 < 0) continue;
+        const x = l0 * v[o] + l1 * v[o + 3] + l2 * v[o + 6];
+        const row = y + z * ny;
+        (rows[row] ??= []).push({ x, w });
+      }
+    }
+  }
+
+  for (let row = 0; row < rows.length; row++) {
+    const hits = rows[row];
+    if (!hits || hits.reduce((s, h) => s + h.w, 0) !== 0) continue;
+    hits.sort((a, b) => a.x - b.x);
+    const base = row * nx;
+    let winding = 0;
+    let h = 0;
+    for (let x = 0; x < nx; x++) {
+      while (h < hits.length && hits[h].x < x + 0.5) winding += hits[h++].w;
+      if (winding !== 0) cells[base + x] = 1;
+    }
+  }
+  return { size: dims, cells };
+}
@@ -23,26 +23,44 @@ export const UI_MSG = {
 
     applyOnNextReset: {
       initSize:
-        "Initial size will be used the next time you reset (or change Grid edge while stopped).",
+        "Initial size will be used the next time you reset (or change the grid size while stopped).",
       density:
-        "Gen0 density will be used the next time you reset (or change Grid edge while stopped).",
+        "Gen0 density will be used the next time you reset (or change the grid size while stopped).",
+      seed: "Gen0 seed will be used the next time you reset (or change the grid size while stopped).",
+      shape:
+        "Gen0 shape settings will be used the next time you reset (or change the grid size while stopped).",
     },
 
+    seedInvalid: (max) => `Invalid seed. Use a whole number from 0 to ${max}.`,
+
     recoverFailed: "Unable to recover after a GPU allocation error. Reload the page.",
+
+    noHistory: "No earlier generation to step back to.",
   },
 
   gpu: {
     allocGeneric:
       "Unable to allocate GPU resources for these settings. Try a smaller grid size or lower Gen0 density.",
 
-    gridSizeClamped: (max) =>
-      `Grid size clamped to ${max} due to GPU limits on this device.`,
+    gridSizeClamped: (size) =>
+      `Grid size clamped to ${size} due to GPU limits on this device.`,
 
     gridSizeReduced: (size) => `Grid size reduced to ${size} due to GPU limits.`,
 
     gridSizeAllocFail: (requested, revertedTo) =>
       `Unable to allocate GPU resources for grid size ${requested}. Reverted to ${revertedTo}. Try a smaller grid size.`,
 
+    packedGrid: (maxDrawn) =>
+      `Large grid: cells are stored as single bits, so only 2-state rules and height coloring apply, and at most ${maxDrawn.toLocaleString()} live cells are drawn (the population count stays exact).`,
+
+    agePackedGrid:
+      "Large grids store one bit per cell and track no ages, so cells are colored by height until the grid is made smaller.",
+
+    historyLimited: (kept) =>
+      kept > 0
+        ? `History limited to ${kept} generations by GPU memory at this grid size.`
+        : "No GPU memory left for history at this grid size; Step back is unavailable.",
+
     initSizeClampedMin: "Initial size must be at least 2. Clamped to 2.",
 
     initSizeClampedMax: (max) =>
@@ -55,8 +73,84 @@ export const UI_MSG = {
       `Unable to apply density ${requestedPct}%. Reverted to ${revertedPct}%. Try lowering density or reducing grid size.`,
   },
 
+  pattern: {
+    saveFailed: "Unable to save the pattern. Reading the grid back from the GPU failed.",
+
+    saveTooLarge: (maxCells) =>
+      `Grids above ${maxCells.toLocaleString()} cells (256×256×256) are too large to save or export. Shrink the grid first.`,
+
+    openFailed: (reason) => `Unable to open the pattern file. ${reason}`,
+
+    exportFailed: (reason) => `Unable to export 3D RLE. ${reason}`,
+
+    voxExportFailed: (reason) => `Unable to export .vox. ${reason}`,
+
+    meshExportFailed: (reason) => `Unable to export the mesh. ${reason}`,
+
+    meshImportFailed: (reason) => `Unable to import the mesh. ${reason}`,
+
+    meshImportEmpty: "The mesh did not cover any cells at this size.",
+
+    imageImportFailed: (reason) => `Unable to import the image. ${reason}`,
+
+    imageImportEmpty: "No pixel reaches the image threshold.",
+
+    imageDropUnsupported: "Only PNG images can be dropped here.",
+
+    urlPatternTooLarge: "The shared pattern does not fit this grid; starting from a random soup.",
+
+    meshTruncated: (count) =>
+      `The mesh holds the first ${count.toLocaleString()} live cells only (the render limit).`,
+  },
+
+  edit: {
+    failed: (reason) => `Unable to edit the cell. ${reason}`,
+  },
+
+  slice: {
+    readFailed: (reason) => `Unable to show the slice. ${reason}`,
+
+    writeFailed: (reason) => `Unable to apply the slice edit. ${reason}`,
+  },
+
+  selection: {
+    none: "Select a box first: with Edit cells set to Select, click a cell, then Shift+click another.",
+
+    clipboardEmpty: "The clipboard is empty. Copy or cut a selection first.",
+
+    copied: (size) => `Copied ${size.join("×")} cells.`,
+
+    cut: (size) => `Cut ${size.join("×")} cells.`,
+
+    clipboard: (size) => `Clipboard is now ${size.join("×")}.`,
+
+    pasteOutside: "The paste position is outside the grid.",
+
+    failed: (reason) => `Unable to edit the selection. ${reason}`,
+  },
+
   rules: {
-    invalid: (which) =>
-      `Invalid ${which} rule. Use numbers 0–26, separated by commas, and ranges like 5-7.`,
+    invalid: (which, max = 26) =>
+      `Invalid ${which} rule. Use numbers 0–${max}, separated by commas, and ranges like 5-7.`,
+
+    statesInvalid: (min, max) =>
+      `Invalid States value. Use a whole number from ${min} to ${max} (${min} = classic Life).`,
+
+    statesPackedGrid:
+      "Large grids store one bit per cell, so States above 2 run as classic 2-state Life until the grid is made smaller.",
+
+    notationInvalid: (max = 26) =>
+      `Invalid rule. Use a form like B5/S4-5, S4-5/B5, 45/5, 4555 or 4/4/5/M, with counts 0–${max}.`,
+
+    neighborhoodEmpty: "A custom neighborhood needs at least one neighbor cell.",
+
+    neighborhoodTooSmall: (size) =>
+      `This neighborhood has only ${size} neighbors, fewer than every count of the Survival or Birth rule. Lower the rule first.`,
+
+    clampedToNeighborhood: (size) =>
+      `Survival and Birth counts above ${size} were removed to fit the neighborhood.`,
+
+    tooManyRanges: (maxRanges) =>
+      `Rule is too fragmented. Use at most ${maxRanges} separate numbers or ranges per rule.`,
   },
 };
@@ -0,0 +1,224 @@
+/**
+ * Neighborhood definitions for 3D Life.
+ *
+ * The simulation kernel reads a 27-bit mask over the 3x3x3 block around each cell
+ * (see MOORE_NEIGHBOR_MASK in src/gpu/constants.js for the bit layout). This module
+ * defines the built-in neighborhoods and the helpers used by the rules panel and
+ * the share URL to describe a user-drawn mask.
+ *
+ * Larger-than-Life neighborhoods ("cube" and "sphere") take a radius instead of a
+ * mask; radius 1 maps back onto the equivalent 3x3x3 mask.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import {
+  MOORE_NEIGHBOR_MASK,
+  NEIGHBOR_MASK_CENTER_BIT,
+  MAX_NEIGHBOR_RADIUS,
+  NEIGHBOR_SHAPE_CUBE,
+  NEIGHBOR_SHAPE_SPHERE,
+} from "../gpu/constants.js";
+
+/**
+ * Bit index of the neighbor at offset (dx, dy, dz), each in -1..1.
+ *
+ * @param {number} dx
+ * @param {number} dy
+ * @param {number} dz
+ * @returns {number}
+ */
+export function neighborBit(dx, dy, dz) {
+  return dx + 1 + (dy + 1) * 3 + (dz + 1) * 9;
+}
+
+/**
+ * Build a mask from all offsets whose Manhattan distance satisfies `pred`.
+ *
+ * @param {(manhattan: number) => boolean} pred
+ * @returns {number}
+ */
+export function maskByDistance(pred) {
+  let m = 0;
+  for (let dz = -1; dz <= 1; dz++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const d = Math.abs(dx) + Math.abs(dy) + Math.abs(dz);
+        if (d > 0 && pred(d)) m |= 1 << neighborBit(dx, dy, dz);
+      }
+    }
+  }
+  return m >>> 0;
+}
+
+/**
+ * Built-in neighborhoods, keyed by the IDs used in the rules panel and the share URL.
+ * "custom" is handled separately (its mask comes from the mask editor / URL).
+ */
+export const NEIGHBORHOODS = Object.freeze({
+  moore: Object.freeze({ mask: MOORE_NEIGHBOR_MASK, name: "Moore" }),
+  edge18: Object.freeze({ mask: maskByDistance((d) => d <= 2), name: "Faces + edges" }),
+  vonneumann: Object.freeze({ mask: maskByDistance((d) => d === 1), name: "von Neumann" }),
+});
+
+/** Neighborhood ID used when a mask is drawn by the user. */
+export const CUSTOM_NEIGHBORHOOD = "custom";
+
+/**
+ * Radius-based (Larger-than-Life) neighborhoods, keyed like NEIGHBORHOODS.
+ * `shape` is one of the NEIGHBOR_SHAPE_* constants understood by the renderer.
+ */
+export const RADIUS_NEIGHBORHOODS = Object.freeze({
+  cube: Object.freeze({ shape: NEIGHBOR_SHAPE_CUBE, name: "Cube" }),
+  sphere: Object.freeze({ shape: NEIGHBOR_SHAPE_SPHERE, name: "Sphere" }),
+});
+
+/** Radius bounds for RADIUS_NEIGHBORHOODS. */
+export const MIN_NEIGHBOR_RADIUS = 1;
+export { MAX_NEIGHBOR_RADIUS };
+
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isRadiusNeighborhood(id) {
+  return Object.prototype.hasOwnProperty.call(RADIUS_NEIGHBORHOODS, id);
+}
+
+/**
+ * Clamp a radius to MIN_NEIGHBOR_RADIUS..MAX_NEIGHBOR_RADIUS (invalid input reads as the minimum).
+ *
+ * @param {unknown} radius
+ * @returns {number}
+ */
+export function clampNeighborRadius(radius) {
+  const v = Math.floor(Number(radius));
+  if (!Number.isFinite(v)) return MIN_NEIGHBOR_RADIUS;
+  return Math.min(MAX_NEIGHBOR_RADIUS, Math.max(MIN_NEIGHBOR_RADIUS, v));
+}
+
+/**
+ * Whether offset (dx, dy, dz) lies in a radius-R neighborhood of the given shape.
+ * Mirrors the simulationLtL kernel: a sphere keeps dx²+dy²+dz² <= R².
+ *
+ * @param {number} dx
+ * @param {number} dy
+ * @param {number} dz
+ * @param {number} radius
+ * @param {number} shape
+ * @returns {boolean}
+ */
+export function inRadiusNeighborhood(dx, dy, dz, radius, shape) {
+  if (shape === NEIGHBOR_SHAPE_SPHERE) return dx * dx + dy * dy + dz * dz <= radius * radius;
+  return Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) <= radius;
+}
+
+/**
+ * Number of neighbors (center excluded) in a radius-R neighborhood.
+ *
+ * @param {number} radius
+ * @param {number} shape
+ * @returns {number}
+ */
+export function countRadiusNeighbors(radius, shape) {
+  const r = clampNeighborRadius(radius);
+  let n = 0;
+  for (let dz = -r; dz <= r; dz++) {
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        if (inRadiusNeighborhood(dx, dy, dz, r, shape)) n++;
+      }
+    }
+  }
+  return n - 1;
+}
+
+/**
+ * Clamp an arbitrary number to a valid neighbor mask (27 bits, center cleared).
+ *
+ * @param {number} mask
+ * @returns {number}
+ */
+export function sanitizeNeighborMask(mask) {
+  return ((mask >>> 0) & 0x7ffffff & ~(1 << NEIGHBOR_MASK_CENTER_BIT)) >>> 0;
+}
+
+/**
+ * Number of neighbors in a mask (the maximum neighbor count for rules).
+ *
+ * @param {number} mask
+ * @returns {number}
+ */
+export function countNeighbors(mask) {
+  let m = sanitizeNeighborMask(mask);
+  let n = 0;
+  while (m) {
+    m &= m - 1;
+    n++;
+  }
+  return n;
+}
+
+/**
+ * Resolve a neighborhood ID (plus the custom mask, when relevant) to a mask.
+ * Unknown IDs and empty custom masks fall back to Moore.
+ *
+ * @param {string} id
+ * @param {number} [customMask]
+ * @returns {number}
+ */
+export function resolveNeighborMask(id, customMask = 0) {
+  if (id === CUSTOM_NEIGHBORHOOD) {
+    return sanitizeNeighborMask(customMask) || MOORE_NEIGHBOR_MASK;
+  }
+  const def = NEIGHBORHOODS[id];
+  return def ? def.mask : MOORE_NEIGHBOR_MASK;
+}
+
+/**
+ * Resolve a neighborhood selection to the parameters the renderer needs.
+ *
+ * Radius-1 cube/sphere are expressed as their 3x3x3 masks (Moore/von Neumann), so the
+ * renderer only switches to the radius-R kernel when it actually has to.
+ *
+ * @param {string} id
+ * @param {number} [customMask]
+ * @param {number} [radius] used by RADIUS_NEIGHBORHOODS only
+ * @returns {{ mask: number, radius: number, shape: number, size: number }}
+ */
+export function resolveNeighborhood(id, customMask = 0, radius = MIN_NEIGHBOR_RADIUS) {
+  if (isRadiusNeighborhood(id)) {
+    const shape = RADIUS_NEIGHBORHOODS[id].shape;
+    const r = clampNeighborRadius(radius);
+    if (r === 1) {
+      const mask = shape === NEIGHBOR_SHAPE_SPHERE ? NEIGHBORHOODS.vonneumann.mask : MOORE_NEIGHBOR_MASK;
+      return { mask, radius: 1, shape, size: countNeighbors(mask) };
+    }
+    return { mask: MOORE_NEIGHBOR_MASK, radius: r, shape, size: countRadiusNeighbors(r, shape) };
+  }
+  const mask = resolveNeighborMask(id, customMask);
+  return { mask, radius: 1, shape: NEIGHBOR_SHAPE_CUBE, size: countNeighbors(mask) };
+}
+
+/**
+ * Serialize a mask as a compact lowercase hex string (used by the share URL).
+ *
+ * @param {number} mask
+ * @returns {string}
+ */
+export function formatNeighborMask(mask) {
+  return sanitizeNeighborMask(mask).toString(16);
+}
+
+/**
+ * Parse a hex mask string. Returns null for malformed or empty masks.
+ *
+ * @param {string|null|undefined} str
+ * @returns {number|null}
+ */
+export function parseNeighborMask(str) {
+  const s = String(str ?? "").trim();
+  if (!/^[0-9a-fA-F]{1,7}$/.test(s)) return null;
+  const m = sanitizeNeighborMask(parseInt(s, 16));
+  return m ? m : null;
+}
@@ -4,6 +4,7 @@
  * Responsibilities:
  * - Pointer Events rotation / pan / pinch-zoom (desktop + mobile)
  * - Mouse wheel zoom
+ * - Telling a click/tap (a press that stays within CLICK_SLOP_PX) from a drag, for cell editing
  *
  * Non-responsibilities:
  * - No DOM panel logic
@@ -16,11 +17,29 @@
 
 import { debugWarn } from "../util/log.js";
 
+// How far (CSS px) a single pointer may travel between press and release and still count as a
+// click. While clicks are enabled, rotation waits until the pointer leaves this radius.
+const CLICK_SLOP_PX = 4;
+
 export class OrbitControls {
   /**
    * @param {HTMLCanvasElement} canvas
    * @param {any} renderer
-   * @param {{ requestRender: (immediate?: boolean) => void, isNavLocked?: () => boolean }} opts
+   * @param {{
+   *   requestRender: (immediate?: boolean) => void,
+   *   isNavLocked?: () => boolean,
+   *   isClickEnabled?: () => boolean,
+   *   onClick?: (x: number, y: number, mods: { shiftKey: boolean }) => void,
+   *   dragHandle?: {
+   *     begin: (x: number, y: number) => boolean,
+   *     move: (x: number, y: number) => void,
+   *     end: () => void,
+   *   },
+   * }} opts
+   *   `onClick` receives CSS pixels relative to the canvas' top-left corner and whether Shift
+   *   was held at the press; it is only called while `isClickEnabled` returns true.
+   *   `dragHandle.begin` is offered each single-pointer press (same coordinates); when it
+   *   returns true, the drag goes to `move` and `end` instead of the camera.
    */
   constructor(canvas, renderer, opts) {
     this.canvas = canvas;
@@ -34,6 +53,15 @@ export class OrbitControls {
     this._isNavLocked =
       opts && typeof opts.isNavLocked === "function" ? opts.isNavLocked : () => false;
 
+    this._isClickEnabled =
+      opts && typeof opts.isClickEnabled === "function" ? opts.isClickEnabled : () => false;
+
+    this._onClick = opts && typeof opts.onClick === "function" ? opts.onClick : null;
+
+    this._dragHandle = opts && opts.dragHandle ? opts.dragHandle : null;
+    // True while a press that dragHandle.begin() accepted is being dragged.
+    this._handleDragging = false;
+
     /** @type {Map<number, {x:number, y:number, type:string}>} */
     this._activePointers = new Map();
 
@@ -44,6 +72,11 @@ export class OrbitControls {
     this._lastMouseY = 0;
     this._lastMoveTime = 0;
 
+    // Click state: where the current single-pointer press started, or null once it became a
+    // drag (moved past CLICK_SLOP_PX, panned, or a second pointer joined).
+    /** @type {{x:number, y:number, shiftKey:boolean}|null} */
+    this._press = null;
+
     // Pinch state (use stable pair to avoid jumps if 3+ pointers are present)
     /** @type {number|null} */
     this._pinchId0 = null;
@@ -81,6 +114,24 @@ export class OrbitControls {
     }
   }
 
+  /**
+   * @returns {boolean}
+   */
+  isClickEnabled() {
+    try {
+      return !!this._onClick && !!this._isClickEnabled();
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Re-apply the idle cursor (call after toggling click editing).
+   */
+  refreshCursor() {
+    if (!this.isInteracting()) this._setCursor(this._idleCursor());
+  }
+
   /**
    * @returns {boolean}
    */
@@ -107,9 +158,11 @@ export class OrbitControls {
    * Intended to be called when Screen show navigation becomes locked.
    */
   cancelInteraction() {
+    this._endHandleDrag();
     this._activePointers.clear();
     this._isDragging = false;
     this._isPanning = false;
+    this._press = null;
     this._pinchId0 = null;
     this._pinchId1 = null;
     this._lastPinchDistance = 0;
@@ -132,6 +185,38 @@ export class OrbitControls {
     this._unsubs.push(() => el.removeEventListener(type, fn, opts));
   }
 
+  /**
+   * Offer a press to the drag handle hook (see the constructor's `dragHandle`).
+   *
+   * @param {PointerEvent} e
+   * @returns {boolean} whether the hook took the drag
+   */
+  _beginHandleDrag(e) {
+    if (!this._dragHandle || (e.pointerType === "mouse" && e.button !== 0)) return false;
+    const rect = this.canvas.getBoundingClientRect();
+    try {
+      this._handleDragging = !!this._dragHandle.begin(e.clientX - rect.left, e.clientY - rect.top);
+    } catch (err) {
+      debugWarn("OrbitControls dragHandle.begin failed:", err);
+      this._handleDragging = false;
+    }
+    return this._handleDragging;
+  }
+
+  _endHandleDrag() {
+    if (!this._handleDragging) return;
+    this._handleDragging = false;
+    try {
+      this._dragHandle.end();
+    } catch (err) {
+      debugWarn("OrbitControls dragHandle.end failed:", err);
+    }
+  }
+
+  _idleCursor() {
+    return this.isClickEnabled() ? "crosshair" : "grab";
+  }
+
   _setCursor(value) {
     const canvas = this.canvas;
     if (!canvas) return;
@@ -160,7 +245,7 @@ export class OrbitControls {
     this._on(canvas, "wheel", (e) => this._handleWheel(e), { passive: false });
 
     // Cursor hinting
-    this._setCursor("grab");
+    this._setCursor(this._idleCursor());
   }
 
   _choosePinchPairIfNeeded() {
@@ -237,6 +322,8 @@ export class OrbitControls {
     if (this._activePointers.size >= 2) {
       // Enter multi-pointer mode: establish a stable pinch pair and baseline.
       this._suppressTouchRotateUntilRelease = false;
+      this._press = null;
+      this._endHandleDrag();
       this._resetPinchBaseline();
       this._setCursor("move");
     } else {
@@ -246,7 +333,18 @@ export class OrbitControls {
 
       // On mouse, allow immediate panning based on modifier.
       this._isPanning = e.pointerType === "mouse" && e.shiftKey;
-      this._setCursor(this._isPanning ? "move" : "grabbing");
+      // A Shift press that does not move is still a click (e.g. to extend a selection).
+      this._press =
+        e.pointerType === "mouse" && e.button !== 0
+          ? null
+          : { x: e.clientX, y: e.clientY, shiftKey: !!e.shiftKey };
+      if (this._beginHandleDrag(e)) {
+        this._isPanning = false;
+        this._press = null;
+        this._setCursor("move");
+      } else {
+        this._setCursor(this._isPanning ? "move" : "grabbing");
+      }
     }
 
     this.requestRender();
@@ -297,6 +395,13 @@ export class OrbitControls {
       this._lastMouseY = cy;
 
       this._setCursor("move");
+    } else if (this._handleDragging) {
+      const rect = this.canvas.getBoundingClientRect();
+      try {
+        this._dragHandle.move(e.clientX - rect.left, e.clientY - rect.top);
+      } catch (err) {
+        debugWarn("OrbitControls dragHandle.move failed:", err);
+      }
     } else {
       // Single pointer: on touch/pen, optionally suppress accidental rotate after pinch.
       if (this._suppressTouchRotateUntilRelease && e.pointerType !== "mouse") {
@@ -308,6 +413,17 @@ export class OrbitControls {
         return;
       }
 
+      if (this._press) {
+        const moved = Math.hypot(e.clientX - this._press.x, e.clientY - this._press.y);
+        if (moved > CLICK_SLOP_PX) {
+          this._press = null;
+        } else if (this.isClickEnabled()) {
+          // Still a potential click: hold the camera still.
+          e.preventDefault();
+          return;
+        }
+      }
+
       const dx = e.clientX - this._lastMouseX;
       const dy = e.clientY - this._lastMouseY;
 
@@ -322,6 +438,7 @@ export class OrbitControls {
       this._isPanning = mousePan;
 
       if (mousePan) {
+        this._press = null;
         this.renderer.pan(dx, dy);
         this._setCursor("move");
       } else {
@@ -375,6 +492,18 @@ export class OrbitControls {
 
     // When last pointer lifts: stop dragging and apply inertia conditions.
     if (this._activePointers.size === 0) {
+      this._endHandleDrag();
+      const press = e.type === "pointerup" ? this._press : null;
+      this._press = null;
+      if (press && this.isClickEnabled()) {
+        const rect = this.canvas.getBoundingClientRect();
+        try {
+          this._onClick(press.x - rect.left, press.y - rect.top, { shiftKey: press.shiftKey });
+        } catch (err) {
+          debugWarn("OrbitControls onClick failed:", err);
+        }
+      }
+
       const now = performance.now();
       const timeSinceMove = now - this._lastMoveTime;
 
@@ -387,7 +516,7 @@ export class OrbitControls {
       this._pinchId1 = null;
       this._lastPinchDistance = 0;
       this._suppressTouchRotateUntilRelease = false;
-      this._setCursor("grab");
+      this._setCursor(this._idleCursor());
     }
 
     this.requestRender();
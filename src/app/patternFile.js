@@ -0,0 +1,184 @@
+/**
+ * Native pattern file format (".g3dl").
+ *
+ * A pattern file stores an exact simulation state: grid dimensions, rule, boundary modes,
+ * generation number and every cell's state, so Open resumes exactly where Save left off.
+ * It is a small JSON document:
+ *
+ *   {
+ *     "format": "g3dl-pattern",
+ *     "version": 1,
+ *     "dims": [64, 64, 32],
+ *     "rule": { "survive": "4-5", "birth": "5", "states": "2", "neighborhood": "moore" },
+ *     "edges": "wrap,wrap,dead",
+ *     "generation": 120,
+ *     "cells": [1234, 1, 60, 0, 2, 1, ...]
+ *   }
+ *
+ * `rule` uses the share-URL keys and values (survive, birth, states, neighborhood, plus nmask
+ * or radius where the neighborhood needs them); `edges` is formatted like the URL's edges=.
+ * `cells` is run-length encoded as [count, state] pairs over the grid in cell order (x-major,
+ * then y, then z). A trailing run of dead cells is omitted.
+ *
+ * Readers reject files with a newer `version`; new optional fields do not bump it.
+ *
+ * Save writes grids of up to MAX_PATTERN_CELLS cells. The grid is read back at one byte per
+ * cell and its runs are built as a plain number list, so the largest bit-packed grids would
+ * not fit in a tab's memory.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import { MAX_CELL_STATES } from "../gpu/constants.js";
+import { parseBoundaryModes } from "./boundaries.js";
+import { formatGridDims } from "./gridDims.js";
+
+export const PATTERN_FORMAT = "g3dl-pattern";
+export const PATTERN_VERSION = 1;
+export const PATTERN_FILE_EXTENSION = ".g3dl";
+
+/** Largest grid (in cells) that Save and the cell exports read back: 256x256x256. */
+export const MAX_PATTERN_CELLS = 1 << 24;
+
+/** Rule keys copied between the pattern file and the settings panel. */
+const RULE_KEYS = Object.freeze(["survive", "birth", "states", "neighborhood", "nmask", "radius"]);
+
+/**
+ * @typedef {Object} Pattern
+ * @property {[number, number, number]} dims
+ * @property {Record<string, string>} rule Share-URL rule keys (see RULE_KEYS)
+ * @property {string} edges
+ * @property {number} generation
+ * @property {Uint8Array} cells One state per cell, x-major, then y, then z.
+ */
+
+/**
+ * Run-length encode cell states as [count, state, ...], dropping the trailing dead run.
+ *
+ * @param {ArrayLike<number>} cells
+ * @returns {number[]}
+ */
+export function encodeRuns(cells) {
+  const runs = [];
+  let i = 0;
+  while (i < cells.length) {
+    const state = cells[i];
+    let j = i + 1;
+    while (j < cells.length && cells[j] === state) j++;
+    if (state !== 0 || j < cells.length) runs.push(j - i, state);
+    i = j;
+  }
+  return runs;
+}
+
+/**
+ * Decode [count, state, ...] runs (see encodeRuns) into `cellCount` cell states.
+ *
+ * @param {unknown} runs
+ * @param {number} cellCount
+ * @returns {Uint8Array}
+ * @throws {Error} when the runs are malformed or longer than `cellCount`
+ */
+export function decodeRuns(runs, cellCount) {
+  if (!Array.isArray(runs) || runs.length % 2 !== 0) {
+    throw new Error("Cell data must be a list of [count, state] pairs.");
+  }
+  const cells = new Uint8Array(cellCount);
+  let at = 0;
+  for (let i = 0; i < runs.length; i += 2) {
+    const count = runs[i];
+    const state = runs[i + 1];
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid run length at entry ${i / 2}.`);
+    }
+    if (!Number.isInteger(state) || state < 0 || state >= MAX_CELL_STATES) {
+      throw new Error(`Invalid cell state at entry ${i / 2}.`);
+    }
+    if (at + count > cellCount) {
+      throw new Error("Cell data is longer than the grid.");
+    }
+    if (state !== 0) cells.fill(state, at, at + count);
+    at += count;
+  }
+  return cells;
+}
+
+/**
+ * Serialize a grid state to pattern-file text.
+ *
+ * @param {Pattern} pattern
+ * @returns {string}
+ */
+export function encodePattern({ dims, rule, edges, generation, cells }) {
+  const ruleOut = {};
+  for (const k of RULE_KEYS) {
+    if (rule && rule[k] != null) ruleOut[k] = String(rule[k]);
+  }
+  return JSON.stringify({
+    format: PATTERN_FORMAT,
+    version: PATTERN_VERSION,
+    dims: Array.from(dims),
+    rule: ruleOut,
+    edges: String(edges),
+    generation: Math.max(0, Math.floor(generation) || 0),
+    cells: encodeRuns(cells),
+  });
+}
+
+/**
+ * Parse and validate pattern-file text. Grids beyond `limits` are rejected before any cell
+ * storage is allocated.
+ *
+ * @param {string} text
+ * @param {{ maxEdge?: number, maxCells?: number }} [limits]
+ * @returns {Pattern}
+ * @throws {Error} with a user-readable message when the file is not a valid pattern
+ */
+export function decodePattern(text, limits = {}) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (_) {
+    throw new Error("Not a G3DL pattern file.");
+  }
+  if (!doc || typeof doc !== "object" || doc.format !== PATTERN_FORMAT) {
+    throw new Error("Not a G3DL pattern file.");
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new Error("Missing or invalid format version.");
+  }
+  if (doc.version > PATTERN_VERSION) {
+    throw new Error(`Saved by a newer version of the app (format v${doc.version}).`);
+  }
+
+  const dims = doc.dims;
+  if (!Array.isArray(dims) || dims.length !== 3 || !dims.every((d) => Number.isInteger(d) && d > 0)) {
+    throw new Error("Invalid grid dimensions.");
+  }
+  const maxEdge = limits.maxEdge ?? Infinity;
+  const maxCells = limits.maxCells ?? Infinity;
+  if (Math.max(...dims) > maxEdge || dims[0] * dims[1] * dims[2] > maxCells) {
+    throw new Error(`The ${formatGridDims(dims)} grid is larger than this device supports.`);
+  }
+
+  const rule = {};
+  if (doc.rule && typeof doc.rule === "object") {
+    for (const k of RULE_KEYS) {
+      const v = doc.rule[k];
+      if (typeof v === "string" || typeof v === "number") rule[k] = String(v);
+    }
+  }
+  if (rule.survive == null || rule.birth == null) {
+    throw new Error("Missing rule.");
+  }
+
+  const edges = typeof doc.edges === "string" ? doc.edges : "dead";
+  if (!parseBoundaryModes(edges)) {
+    throw new Error(`Unknown boundary mode "${edges}".`);
+  }
+
+  const generation = Number.isInteger(doc.generation) && doc.generation >= 0 ? doc.generation : 0;
+  const cells = decodeRuns(doc.cells, dims[0] * dims[1] * dims[2]);
+
+  return { dims: [dims[0], dims[1], dims[2]], rule, edges, generation, cells };
+}
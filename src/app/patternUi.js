@@ -0,0 +1,636 @@
+/**
+ * Pattern file Save / Open controller.
+ *
+ * Save reads the current grid back from the GPU and downloads it together with the rule,
+ * boundary modes and generation (see ./patternFile.js). Open stops the run, applies the
+ * file's grid shape, rule and boundaries to the Settings controls and the renderer, then
+ * writes the cells into the grid so rendering, stats and further steps continue from the
+ * saved state. When the grid cannot be resized or loaded, the previous settings are put back.
+ *
+ * Open also reads Golly 3D RLE files (see ./rle3.js) and MagicaVoxel models (see ./vox.js).
+ * Those hold only a box of cells, so the box is centered in the current grid, which grows
+ * when it does not fit; boundary modes (and, for .vox, the rule) are left unchanged.
+ *
+ * Export .stl / .obj read the renderer's live-cell list (the cells as drawn, including dying
+ * ones) and build a cube mesh from it (see ./meshExport.js). Import mesh voxelizes an OBJ or
+ * STL file at the chosen size, filled or surface only (see ./meshImport.js), and opens the
+ * result like a .vox model.
+ *
+ * Import .png (or PNG files dropped on the canvas) thresholds one image as a heightmap or
+ * several as z-slices, taken in file-name order (see ./imageImport.js). Images are scaled
+ * down to stay within the grid size controller's limits and also open like a .vox model.
+ *
+ * This module is intentionally deterministic and does not register any event listeners.
+ */
+
+import { writeGridDimsInputs } from "./domHelpers.js";
+import { MIN_GRID_EDGE, formatGridDims } from "./gridDims.js";
+import { formatBoundaryModes } from "./boundaries.js";
+import { applySettingsFromUrl, readRuleSettings } from "./settings.js";
+import {
+  encodePattern,
+  decodePattern,
+  PATTERN_FILE_EXTENSION,
+  MAX_PATTERN_CELLS,
+} from "./patternFile.js";
+import { isRle3Text, parseRle3, formatRle3, RLE3_FILE_EXTENSION } from "./rle3.js";
+import { isVoxData, encodeVox, decodeVox, VOX_FILE_EXTENSION } from "./vox.js";
+import { buildCellMesh, encodeStl, encodeObj } from "./meshExport.js";
+import { parseMeshFile, voxelizeMesh } from "./meshImport.js";
+import {
+  isImageFile,
+  rgbaToLuma,
+  imageImportSize,
+  buildHeightmap,
+  buildSliceStack,
+} from "./imageImport.js";
+
+/**
+ * @typedef {Object} PatternControllerDeps
+ * @property {import("../ui/dom.js").DomCache} dom
+ * @property {any} state
+ * @property {any} renderer
+ * @property {any} gridSizeUi
+ * @property {any} rendererSettingsUi
+ * @property {any} rulesUi
+ * @property {() => void} stopPlaying
+ * @property {() => Promise<void>} waitForIdle
+ * @property {(force?: boolean) => void} requestRender
+ * @property {() => void} updateStats
+ * @property {() => void} clearStickyError
+ * @property {{
+ *   show: (args: { kind: "info" | "warn" | "error" | "success", message: string }) => void,
+ * }} toast
+ * @property {any} uiMsg
+ * @property {(msg: any, err?: any) => void} error
+ * @property {any} logMsg
+ */
+
+/**
+ * @param {PatternControllerDeps} deps
+ */
+export function createPatternController(deps) {
+  const {
+    dom,
+    state,
+    renderer,
+    gridSizeUi,
+    rendererSettingsUi,
+    rulesUi,
+    stopPlaying,
+    waitForIdle,
+    requestRender,
+    updateStats,
+    clearStickyError,
+    toast,
+    uiMsg,
+    error,
+    logMsg,
+  } = deps;
+
+  const sizeInputs = [dom.sizeInput, dom.sizeYInput, dom.sizeZInput];
+  const boundarySelects = [dom.boundaryXSelect, dom.boundaryYSelect, dom.boundaryZSelect];
+
+  /**
+   * Offer `data` as a file download.
+   *
+   * @param {string | Uint8Array} data
+   * @param {string} filename
+   * @param {string} type MIME type
+   */
+  function download(data, filename, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Some browsers start the download asynchronously; keep the URL alive briefly.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Whether the grid is small enough to read back as one byte per cell (see
+   * MAX_PATTERN_CELLS); tells the user when it is not.
+   *
+   * @returns {boolean}
+   */
+  function gridFitsReadback() {
+    const [x, y, z] = renderer.gridDims;
+    if (x * y * z <= MAX_PATTERN_CELLS) return true;
+    toast.show({ kind: "warn", message: uiMsg.pattern.saveTooLarge(MAX_PATTERN_CELLS) });
+    return false;
+  }
+
+  /**
+   * Save the current grid state as a pattern file. The run is not stopped; the state after
+   * the in-flight step (if any) is saved.
+   */
+  async function handleSavePattern() {
+    if (!gridFitsReadback()) return;
+    try {
+      await waitForIdle();
+      const { cells, dims, generation } = await renderer.readCells();
+      const text = encodePattern({
+        dims,
+        rule: readRuleSettings(dom),
+        edges: formatBoundaryModes(boundarySelects.map((s) => (s ? s.value : "dead"))),
+        generation,
+        cells,
+      });
+      download(
+        text,
+        `g3dl-${formatGridDims(dims)}-gen${generation}${PATTERN_FILE_EXTENSION}`,
+        "application/json",
+      );
+    } catch (e) {
+      error(logMsg.PATTERN_SAVE_FAILED, e);
+      toast.show({ kind: "error", message: uiMsg.pattern.saveFailed });
+    }
+  }
+
+  /**
+   * Export the live cells as a Golly 3D RLE file (2-state rules and 3x3x3 neighborhoods
+   * that 3D.lua knows only).
+   */
+  async function handleExportRle3() {
+    if (!gridFitsReadback()) return;
+    let grid;
+    try {
+      await waitForIdle();
+      grid = await renderer.readCells();
+    } catch (e) {
+      error(logMsg.PATTERN_SAVE_FAILED, e);
+      toast.show({ kind: "error", message: uiMsg.pattern.saveFailed });
+      return;
+    }
+
+    let text;
+    try {
+      text = formatRle3({ ...grid, rule: readRuleSettings(dom) });
+    } catch (e) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.exportFailed(e?.message || String(e)) });
+      return;
+    }
+    download(text, `g3dl-gen${grid.generation}${RLE3_FILE_EXTENSION}`, "text/plain");
+  }
+
+  /**
+   * Export the live cells as a MagicaVoxel model, colored with the Cell top/bottom gradient.
+   */
+  async function handleExportVox() {
+    if (!gridFitsReadback()) return;
+    let grid;
+    try {
+      await waitForIdle();
+      grid = await renderer.readCells();
+    } catch (e) {
+      error(logMsg.PATTERN_SAVE_FAILED, e);
+      toast.show({ kind: "error", message: uiMsg.pattern.saveFailed });
+      return;
+    }
+
+    let bytes;
+    try {
+      bytes = encodeVox({
+        ...grid,
+        colorTop: dom.cellColorPicker?.value || "",
+        colorBottom: dom.cellColorPicker2?.value || "",
+      });
+    } catch (e) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.voxExportFailed(e?.message || String(e)) });
+      return;
+    }
+    download(bytes, `g3dl-gen${grid.generation}${VOX_FILE_EXTENSION}`, "application/octet-stream");
+  }
+
+  /**
+   * Read the live cells and build a mesh with the Merge faces / Cell gap options. The run is
+   * stopped first: the live-cell list is read in two steps that must see the same generation.
+   *
+   * @returns {Promise<{ mesh: import("./meshExport.js").Mesh, generation: number } | null>}
+   *   null when reading or meshing failed (the user has been told)
+   */
+  async function readMesh() {
+    let live;
+    try {
+      stopPlaying();
+      await waitForIdle();
+      live = await renderer.readLiveCells();
+    } catch (e) {
+      error(logMsg.PATTERN_SAVE_FAILED, e);
+      toast.show({ kind: "error", message: uiMsg.pattern.saveFailed });
+      return null;
+    }
+
+    let mesh;
+    try {
+      mesh = buildCellMesh(live.cells, live.dims, {
+        gap: !!dom.meshGapCheckbox?.checked,
+        merge: dom.meshMergeCheckbox ? dom.meshMergeCheckbox.checked : true,
+        colorTop: dom.cellColorPicker?.value || "",
+        colorBottom: dom.cellColorPicker2?.value || "",
+      });
+    } catch (e) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.meshExportFailed(e?.message || String(e)) });
+      return null;
+    }
+    if (live.truncated) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.meshTruncated(live.cells.length) });
+    }
+    return { mesh, generation: live.generation };
+  }
+
+  /** Export the live cells as a binary STL mesh. */
+  async function handleExportStl() {
+    const result = await readMesh();
+    if (!result) return;
+    download(encodeStl(result.mesh), `g3dl-gen${result.generation}.stl`, "model/stl");
+  }
+
+  /** Export the live cells as an OBJ mesh plus its MTL material file. */
+  async function handleExportObj() {
+    const result = await readMesh();
+    if (!result) return;
+    const name = `g3dl-gen${result.generation}`;
+    const { obj, mtl } = encodeObj(result.mesh, `${name}.mtl`);
+    download(obj, `${name}.obj`, "model/obj");
+    download(mtl, `${name}.mtl`, "model/mtl");
+  }
+
+  /** Let the user pick a pattern file (handled by handlePatternFileChange). */
+  function handleOpenPattern() {
+    if (!dom.patternFileInput) return;
+    // Clear the previous selection so picking the same file again still fires `change`.
+    dom.patternFileInput.value = "";
+    dom.patternFileInput.click();
+  }
+
+  /**
+   * Resize the grid for a pattern whose shape differs from the current one.
+   *
+   * @param {[number, number, number]} dims
+   * @returns {boolean} false when GPU resources could not be allocated (inputs are reverted)
+   */
+  function applyGridDims(dims) {
+    const prevDims = state.settings.gridDims;
+    if (dims.every((d, i) => d === renderer.gridDims[i])) return true;
+
+    const wasPacked = !!renderer.gridPacked;
+    try {
+      renderer.setGridSize(dims[0], dims[1], dims[2]);
+    } catch (e) {
+      error(logMsg.PATTERN_LOAD_FAILED, e);
+      toast.show({
+        kind: "warn",
+        message: uiMsg.gpu.gridSizeAllocFail(formatGridDims(dims), formatGridDims(prevDims)),
+      });
+      writeGridDimsInputs(sizeInputs, prevDims);
+      return false;
+    }
+    state.settings.gridDims = dims;
+
+    // The Gen0 cube is bounded by the longest edge.
+    const maxEdge = Math.max(...dims);
+    if (dom.initSizeInput) dom.initSizeInput.max = String(maxEdge);
+    if (state.settings.initSize > maxEdge) {
+      state.settings.initSize = maxEdge;
+      if (dom.initSizeInput) dom.initSizeInput.value = String(maxEdge);
+    }
+
+    if (renderer.gridPacked && !wasPacked) {
+      toast.show({
+        kind: renderer.stateCount > 2 ? "warn" : "info",
+        message: uiMsg.gpu.packedGrid(renderer.maxCells),
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Place a pattern box (3D RLE, .vox or a voxelized mesh) at the center of the current grid, growing axes it
+   * does not fit. A grown grid that exceeds the cell budget falls back to axes no longer than
+   * the largest supported cube, then to the box itself.
+   *
+   * @param {{ size: [number, number, number], cells: Uint8Array }} box
+   * @returns {{ dims: [number, number, number], cells: Uint8Array }}
+   */
+  function centerInGrid({ size, cells: boxCells }) {
+    const { maxCells } = gridSizeUi.getGridLimits();
+    const maxCube = renderer.getMaxSupportedGridSize();
+    const current = state.settings.gridDims;
+    const fits = (d) => d[0] * d[1] * d[2] <= maxCells;
+    let dims = current.map((d, i) => Math.max(d, size[i]));
+    if (!fits(dims)) dims = current.map((d, i) => Math.max(size[i], Math.min(d, maxCube)));
+    if (!fits(dims)) dims = size.map((d) => Math.max(d, MIN_GRID_EDGE));
+
+    const off = dims.map((d, i) => Math.floor((d - size[i]) / 2));
+    const cells = new Uint8Array(dims[0] * dims[1] * dims[2]);
+    for (let z = 0; z < size[2]; z++) {
+      for (let y = 0; y < size[1]; y++) {
+        const src = (y + z * size[1]) * size[0];
+        const dst = off[0] + (off[1] + y + (off[2] + z) * dims[1]) * dims[0];
+        cells.set(boxCells.subarray(src, src + size[0]), dst);
+      }
+    }
+    return { dims: /** @type {[number, number, number]} */ (dims), cells };
+  }
+
+  /**
+   * Decode a picked file: a .g3dl pattern, a Golly 3D RLE file or a MagicaVoxel model.
+   * 3D RLE files bring their rule and generation; .vox models keep the current rule.
+   *
+   * @param {File} file
+   * @returns {Promise<{ dims: [number, number, number], cells: Uint8Array,
+   *   rule: Record<string, string> | null, edges: string | null, generation: number }>}
+   */
+  async function decodeFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (isVoxData(bytes)) {
+      return {
+        ...centerInGrid(decodeVox(bytes, gridSizeUi.getGridLimits())),
+        rule: null,
+        edges: null,
+        generation: 0,
+      };
+    }
+
+    const text = new TextDecoder().decode(bytes);
+    if (isRle3Text(text)) {
+      const rle = parseRle3(text, gridSizeUi.getGridLimits());
+      return { ...centerInGrid(rle), rule: rle.rule, edges: null, generation: rle.generation };
+    }
+    return decodePattern(text, gridSizeUi.getGridLimits());
+  }
+
+  /**
+   * Write settings-URL params into the Settings controls and push the rule and boundaries
+   * they contain to the renderer.
+   *
+   * @param {URLSearchParams} params
+   */
+  function applySettingsParams(params) {
+    const { maxEdge, maxCells } = gridSizeUi.getGridLimits();
+    applySettingsFromUrl(dom, { params, maxGrid: maxEdge, maxCells });
+    if (params.has("edges")) rendererSettingsUi.handleBoundaryChange();
+    if (params.has("survive")) rulesUi.handleRuleInputChange({ type: "change" });
+  }
+
+  /**
+   * Stop the run and replace the grid with a decoded pattern.
+   *
+   * @param {{ dims: [number, number, number], cells: Uint8Array,
+   *   rule: Record<string, string> | null, edges: string | null, generation: number }} pattern
+   * @param {(reason: string) => string} failedMsg
+   * @returns {Promise<boolean>} whether the grid was replaced
+   */
+  async function openPattern(pattern, failedMsg) {
+    stopPlaying();
+    await waitForIdle();
+
+    // The rule is applied before the cells are loaded (loading clamps states to it), so keep
+    // the settings it replaces to put back if the grid cannot be resized or loaded.
+    const previous = new URLSearchParams({
+      ...readRuleSettings(dom),
+      edges: formatBoundaryModes(boundarySelects.map((s) => (s ? s.value : "dead"))),
+    });
+
+    // Rule, neighborhood, boundaries and grid shape go through the same path as a settings URL.
+    const params = new URLSearchParams({ ...pattern.rule, grid: formatGridDims(pattern.dims) });
+    if (pattern.edges) params.set("edges", pattern.edges);
+    applySettingsParams(params);
+
+    let loaded = false;
+    if (applyGridDims(pattern.dims)) {
+      try {
+        await renderer.loadCells(pattern.cells, { generation: pattern.generation });
+        loaded = true;
+      } catch (e) {
+        error(logMsg.PATTERN_LOAD_FAILED, e);
+        toast.show({ kind: "error", message: failedMsg(e?.message || String(e)) });
+      }
+    }
+    if (!loaded) {
+      previous.set("grid", formatGridDims(renderer.gridDims));
+      applySettingsParams(previous);
+      return false;
+    }
+
+    state.sim.generation = renderer.generation;
+    state.sim.population = renderer.population;
+    state.sim.populationGeneration = state.sim.generation;
+    updateStats();
+    clearStickyError();
+    requestRender(true);
+    return true;
+  }
+
+  /**
+   * Replace the grid with `cells` at `dims`, keeping the rule, boundaries and generation
+   * (used by Crop to selection).
+   *
+   * @param {[number, number, number]} dims
+   * @param {Uint8Array} cells
+   * @returns {Promise<boolean>} whether the grid was replaced
+   */
+  async function openCells(dims, cells) {
+    const generation = renderer.generation;
+    return await openPattern(
+      { dims, cells, rule: null, edges: null, generation },
+      uiMsg.selection.failed,
+    );
+  }
+
+  /**
+   * Load the file chosen in the hidden file input (a .g3dl pattern or a Golly 3D RLE file).
+   */
+  async function handlePatternFileChange() {
+    const file = dom.patternFileInput?.files?.[0];
+    if (!file) return;
+
+    let pattern;
+    try {
+      pattern = await decodeFile(file);
+    } catch (e) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.openFailed(e?.message || String(e)) });
+      return;
+    }
+    await openPattern(pattern, uiMsg.pattern.openFailed);
+  }
+
+  /** Let the user pick an OBJ or STL mesh (handled by handleMeshFileChange). */
+  function handleImportMesh() {
+    if (!dom.meshFileInput) return;
+    dom.meshFileInput.value = "";
+    dom.meshFileInput.click();
+  }
+
+  /**
+   * Voxelize the mesh chosen in the hidden mesh input, its longest side spanning Mesh size
+   * cells (at most the largest supported cube), and open it centered in the grid.
+   */
+  async function handleMeshFileChange() {
+    const file = dom.meshFileInput?.files?.[0];
+    if (!file) return;
+
+    const maxEdge = renderer.getMaxSupportedGridSize();
+    const size = readClampedInt(dom.meshImportSizeInput, 48, MIN_GRID_EDGE, maxEdge);
+
+    let box;
+    try {
+      const mesh = parseMeshFile(new Uint8Array(await file.arrayBuffer()), file.name);
+      box = voxelizeMesh(mesh, { size, surfaceOnly: !!dom.meshSurfaceCheckbox?.checked });
+    } catch (e) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.meshImportFailed(e?.message || String(e)) });
+      return;
+    }
+    if (!box.cells.includes(1)) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.meshImportEmpty });
+      return;
+    }
+    await openPattern(
+      { ...centerInGrid(box), rule: null, edges: null, generation: 0 },
+      uiMsg.pattern.meshImportFailed,
+    );
+  }
+
+  /**
+   * Read a number input as an integer in [min, max] and show the clamped value.
+   *
+   * @param {HTMLInputElement | null} input
+   * @param {number} fallback
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  function readClampedInt(input, fallback, min, max) {
+    const n = parseInt(input?.value ?? "", 10);
+    const v = Math.min(max, Math.max(min, Number.isFinite(n) ? n : fallback));
+    if (input) input.value = String(v);
+    return v;
+  }
+
+  /**
+   * Scale a decoded image to `width` x `height` and return its luminance.
+   *
+   * @param {ImageBitmap} bitmap
+   * @param {number} width
+   * @param {number} height
+   * @returns {import("./imageImport.js").LumaImage}
+   */
+  function bitmapToLuma(bitmap, width, height) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = /** @type {CanvasRenderingContext2D} */ (
+      canvas.getContext("2d", { willReadFrequently: true })
+    );
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    return { width, height, luma: rgbaToLuma(ctx.getImageData(0, 0, width, height).data) };
+  }
+
+  /**
+   * Threshold PNG files into cells and open them centered in the grid: one file is a
+   * heightmap, several are z-slices in file-name order.
+   *
+   * @param {File[]} files
+   */
+  async function importImages(files) {
+    const { maxEdge, maxCells } = gridSizeUi.getGridLimits();
+    const threshold = readClampedInt(dom.imageThresholdInput, 128, 0, 255);
+    const columnHeight = readClampedInt(dom.heightmapHeightInput, 32, 1, maxEdge);
+    const sorted = [...files].sort((a, b) =>
+      a.name.localeCompare(b.name, undefined, { numeric: true }),
+    );
+
+    let box;
+    /** @type {ImageBitmap[]} */
+    const bitmaps = [];
+    try {
+      for (const file of sorted) bitmaps.push(await createImageBitmap(file));
+      const { width, height } = bitmaps[0];
+      if (bitmaps.some((b) => b.width !== width || b.height !== height)) {
+        throw new Error("All slices must have the same size.");
+      }
+      const depth = bitmaps.length === 1 ? columnHeight : bitmaps.length;
+      const fit = imageImportSize(width, height, depth, { maxEdge, maxCells });
+      const images = bitmaps.map((b) => bitmapToLuma(b, fit.width, fit.height));
+      box = images.length === 1
+        ? buildHeightmap(images[0], { threshold, height: columnHeight })
+        : buildSliceStack(images, { threshold });
+    } catch (e) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.imageImportFailed(e?.message || String(e)) });
+      return;
+    } finally {
+      for (const b of bitmaps) b.close();
+    }
+    if (!box.cells.includes(1)) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.imageImportEmpty });
+      return;
+    }
+    await openPattern(
+      { ...centerInGrid(box), rule: null, edges: null, generation: 0 },
+      uiMsg.pattern.imageImportFailed,
+    );
+  }
+
+  /** Let the user pick PNG files (handled by handleImageFileChange). */
+  function handleImportImages() {
+    if (!dom.imageFileInput) return;
+    dom.imageFileInput.value = "";
+    dom.imageFileInput.click();
+  }
+
+  /** Import the PNG files chosen in the hidden image input. */
+  async function handleImageFileChange() {
+    const files = [...(dom.imageFileInput?.files ?? [])];
+    if (files.length) await importImages(files);
+  }
+
+  /**
+   * Accept file drags over the canvas.
+   *
+   * @param {DragEvent} e
+   */
+  function handleImageDragOver(e) {
+    if (!e.dataTransfer?.types.includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  }
+
+  /**
+   * Import PNG files dropped on the canvas.
+   *
+   * @param {DragEvent} e
+   */
+  async function handleImageDrop(e) {
+    const files = [...(e.dataTransfer?.files ?? [])];
+    if (!files.length) return;
+    e.preventDefault();
+    const images = files.filter(isImageFile);
+    if (!images.length) {
+      toast.show({ kind: "warn", message: uiMsg.pattern.imageDropUnsupported });
+      return;
+    }
+    await importImages(images);
+  }
+
+  return {
+    handleSavePattern,
+    handleExportRle3,
+    handleExportVox,
+    handleExportStl,
+    handleExportObj,
+    handleOpenPattern,
+    handlePatternFileChange,
+    handleImportMesh,
+    handleMeshFileChange,
+    handleImportImages,
+    handleImageFileChange,
+    handleImageDragOver,
+    handleImageDrop,
+    openCells,
+  };
+}
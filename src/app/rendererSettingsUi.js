@@ -1,5 +1,6 @@
 import { createThrottledControl } from "../ui/throttledControl.js";
 import { createContinuousInputController } from "../ui/continuousInput.js";
+import { resolveBoundaryModes } from "./boundaries.js";
 
 /**
  * Small renderer-setting handlers.
@@ -13,16 +14,23 @@ import { createContinuousInputController } from "../ui/continuousInput.js";
  * @property {() => any} getRenderer
  * @property {() => any} getScreenShow
  * @property {(force?: boolean) => void} requestRender
+ * @property {HTMLSelectElement | null} cellColorModeSelect
  * @property {HTMLInputElement | null} cellColorPicker
  * @property {HTMLInputElement | null} cellColorPicker2
  * @property {HTMLInputElement | null} bgColorPicker
  * @property {HTMLInputElement | null} bgColorPicker2
- * @property {HTMLInputElement | null} toroidalCheckbox
+ * @property {HTMLSelectElement | null} boundaryXSelect
+ * @property {HTMLSelectElement | null} boundaryYSelect
+ * @property {HTMLSelectElement | null} boundaryZSelect
  * @property {HTMLInputElement | null} stableStopCheckbox
  * @property {HTMLInputElement | null} hazeSlider
  * @property {HTMLInputElement | null} lanternCheckbox
  * @property {HTMLInputElement | null} screenShowCheckbox
  * @property {HTMLInputElement | null} gridProjectionCheckbox
+ * @property {HTMLInputElement | null} activeRegionCheckbox
+ * @property {HTMLSelectElement | null} historySelect
+ * @property {{ show: (o: { kind: "info"|"warn"|"error"|"success", message: string }) => void }} toast
+ * @property {any} uiMsg
  */
 
 /**
@@ -33,16 +41,23 @@ export function createRendererSettingsHandlers(deps) {
     getRenderer,
     getScreenShow,
     requestRender,
+    cellColorModeSelect,
     cellColorPicker,
     cellColorPicker2,
     bgColorPicker,
     bgColorPicker2,
-    toroidalCheckbox,
+    boundaryXSelect,
+    boundaryYSelect,
+    boundaryZSelect,
     stableStopCheckbox,
     hazeSlider,
     lanternCheckbox,
     screenShowCheckbox,
     gridProjectionCheckbox,
+    activeRegionCheckbox,
+    historySelect,
+    toast,
+    uiMsg,
   } = deps;
 
   // Haze slider: coalesce frequent 'input' events during pointer drags to keep the UI responsive.
@@ -77,6 +92,23 @@ export function createRendererSettingsHandlers(deps) {
   const handleHazePointerUpGlobal = hazeControl.handlePointerUpGlobal;
   const handleHazeBlur = hazeControl.handleBlur;
 
+  /**
+   * Apply the cell color mode. Bit-packed grids track no ages and keep the height gradient;
+   * `notify` tells the user so when Age is picked there.
+   *
+   * @param {boolean} [notify=true]
+   */
+  function handleCellColorModeChange(notify = true) {
+    const renderer = getRenderer();
+    if (!renderer || !cellColorModeSelect) return;
+    // The first switch to Age allocates the cell ages; redraw once they are in place.
+    renderer.setCellColorMode(cellColorModeSelect.value).then(() => requestRender());
+    if (notify && renderer.gridPacked && cellColorModeSelect.value === "age") {
+      toast.show({ kind: "warn", message: uiMsg.gpu.agePackedGrid });
+    }
+    requestRender();
+  }
+
   function applyCellColors() {
     const renderer = getRenderer();
     if (!renderer || !cellColorPicker || !cellColorPicker2) return;
@@ -168,10 +200,11 @@ export function createRendererSettingsHandlers(deps) {
     requestRender();
   }
 
-  function handleToroidalChange() {
+  function handleBoundaryChange() {
     const renderer = getRenderer();
-    if (!renderer || !toroidalCheckbox) return;
-    renderer.setToroidal(toroidalCheckbox.checked);
+    if (!renderer) return;
+    const ids = [boundaryXSelect, boundaryYSelect, boundaryZSelect].map((s) => (s ? s.value : ""));
+    renderer.setBoundaryModes(resolveBoundaryModes(ids));
     requestRender();
   }
 
@@ -181,7 +214,30 @@ export function createRendererSettingsHandlers(deps) {
     renderer.setChangeDetectionEnabled(stableStopCheckbox.checked);
   }
 
+  /**
+   * Apply the History depth. The renderer may keep fewer generations than requested when the
+   * grid leaves too little GPU memory; `notify` reports that to the user.
+   *
+   * @param {boolean} [notify=true]
+   */
+  function handleHistoryChange(notify = true) {
+    const renderer = getRenderer();
+    if (!renderer || !historySelect) return;
+    const requested = parseInt(historySelect.value, 10) || 0;
+    const kept = renderer.setHistoryDepth(requested);
+    if (notify && kept < requested) {
+      toast.show({ kind: "info", message: uiMsg.gpu.historyLimited(kept) });
+    }
+  }
+
+  function handleActiveRegionChange() {
+    const renderer = getRenderer();
+    if (!renderer || !activeRegionCheckbox) return;
+    renderer.setActiveRegionEnabled(activeRegionCheckbox.checked);
+  }
+
   return {
+    handleCellColorModeChange,
     handleCellColorPreview,
     handleCellColorCommit,
     handleBgColorPreview,
@@ -194,7 +250,9 @@ export function createRendererSettingsHandlers(deps) {
     handleLanternChange,
     handleScreenShowChange,
     handleGridProjectionChange,
-    handleToroidalChange,
+    handleBoundaryChange,
     handleStableStopChange,
+    handleActiveRegionChange,
+    handleHistoryChange,
   };
 }
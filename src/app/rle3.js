@@ -0,0 +1,308 @@
+/**
+ * Golly 3D RLE (".rle3") reader/writer.
+ *
+ * This is the pattern format of Golly's 3D.lua script, and most 3D Life patterns are shared
+ * in it:
+ *
+ *   3D version=1 size=40 pos=18,18,19 gen=0
+ *   #C optional comment lines
+ *   x=3 y=3 z=2 rule=3D5..7/6
+ *   bo$3o$bo/obo$bo!
+ *
+ * The body is classic RLE extended to 3D: `o` is a live cell, `b` or `.` a dead one, `$` ends
+ * a row (y + 1), `/` ends a layer (z + 1) and `!` ends the pattern; a count may precede any of
+ * them. Rows run along X, so cells map onto the grid's x-major order without transposing.
+ *
+ * Rules are "3D<survive>/<birth>" with comma-separated counts and `a..b` ranges, plus an
+ * optional neighborhood suffix: none or `M` (Moore), `F` (faces, von Neumann), `C` (corners)
+ * or `E` (edges). They are mapped onto share-URL rule keys (as in pattern files) through
+ * normalizeRule(). Hexahedral and BusyBoxes rules have no equivalent here and are rejected.
+ *
+ * 3D.lua has no dying states, so only 2-state rules round-trip.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import { MOORE_NEIGHBOR_MASK } from "../gpu/constants.js";
+import { normalizeRule } from "./settings.js";
+import { parseRuleNotation } from "./ruleNotation.js";
+import { formatRuleRanges } from "./ruleParse.js";
+import {
+  NEIGHBORHOODS,
+  CUSTOM_NEIGHBORHOOD,
+  maskByDistance,
+  resolveNeighborhood,
+  countNeighbors,
+  formatNeighborMask,
+  parseNeighborMask,
+} from "./neighborhoods.js";
+
+export const RLE3_FILE_EXTENSION = ".rle3";
+
+/** Longest body line written (Golly's RLE convention). */
+const MAX_LINE_LENGTH = 70;
+
+/** 3D.lua neighborhood suffixes that map onto a 3x3x3 mask. */
+const RLE3_NEIGHBORHOODS = Object.freeze({
+  M: MOORE_NEIGHBOR_MASK,
+  F: NEIGHBORHOODS.vonneumann.mask,
+  C: maskByDistance((d) => d === 3),
+  E: maskByDistance((d) => d === 2),
+});
+
+/**
+ * @typedef {Object} Rle3Pattern
+ * @property {[number, number, number]} size Pattern box (x, y, z)
+ * @property {Record<string, string>} rule Share-URL rule keys (survive, birth, states,
+ *   neighborhood, nmask)
+ * @property {number} generation
+ * @property {Uint8Array} cells One state (0/1) per cell of the box, x-major, then y, then z.
+ */
+
+/**
+ * Whether `text` looks like a 3D RLE file (its first line starts with "3D").
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isRle3Text(text) {
+  return /^\s*3D\b/.test(String(text));
+}
+
+/**
+ * Map a 3D.lua rule string onto share-URL rule keys. Standard notation (e.g. "B5/S4-5")
+ * is accepted too, for hand-written files.
+ *
+ * @param {string} str
+ * @returns {Record<string, string>}
+ */
+function parseRle3Rule(str) {
+  const m = /^3D([0-9.,]*)\/([0-9.,]*)([A-Z]*)$/i.exec(str);
+  if (!m) {
+    const rule = parseRuleNotation(str);
+    if (rule.hasError || !rule.isNonEmpty) throw new Error(`Unsupported rule "${str}".`);
+    return {
+      survive: formatRuleRanges(rule.survive),
+      birth: formatRuleRanges(rule.birth),
+      states: "2",
+      neighborhood: "moore",
+    };
+  }
+
+  const suffix = m[3].toUpperCase() || "M";
+  const mask = RLE3_NEIGHBORHOODS[suffix];
+  if (mask == null) throw new Error(`Unsupported neighborhood "${suffix}" in rule "${str}".`);
+
+  const max = countNeighbors(mask);
+  const counts = (s) => normalizeRule(s.replace(/\.\./g, "-"), { max });
+  const rule = { survive: counts(m[1]), birth: counts(m[2]), states: "2" };
+  if (mask === MOORE_NEIGHBOR_MASK) {
+    rule.neighborhood = "moore";
+  } else if (mask === NEIGHBORHOODS.vonneumann.mask) {
+    rule.neighborhood = "vonneumann";
+  } else {
+    rule.neighborhood = CUSTOM_NEIGHBORHOOD;
+    rule.nmask = formatNeighborMask(mask);
+  }
+  return rule;
+}
+
+/**
+ * Format share-URL rule keys as a 3D.lua rule string.
+ *
+ * @param {Record<string, string>} rule
+ * @returns {string}
+ * @throws {Error} when the rule has no 3D.lua equivalent
+ */
+function formatRle3Rule(rule) {
+  if (Number(rule.states) > 2) {
+    throw new Error("3D RLE supports 2-state rules only.");
+  }
+  const { mask, radius } = resolveNeighborhood(
+    rule.neighborhood,
+    parseNeighborMask(rule.nmask) ?? 0,
+    rule.radius,
+  );
+  const suffix =
+    radius === 1 ? Object.keys(RLE3_NEIGHBORHOODS).find((k) => RLE3_NEIGHBORHOODS[k] === mask) : null;
+  if (!suffix) {
+    throw new Error("3D RLE supports Moore, faces, corners and edges neighborhoods only.");
+  }
+
+  const max = countNeighbors(mask);
+  const counts = (s) => normalizeRule(s, { max }).replace(/-/g, "..");
+  return `3D${counts(rule.survive)}/${counts(rule.birth)}${suffix === "M" ? "" : suffix}`;
+}
+
+/**
+ * Parse "key=value" pairs separated by spaces or commas-after-values ("x=3, y=3").
+ *
+ * @param {string} line
+ * @returns {Record<string, string>}
+ */
+function parseHeaderFields(line) {
+  const fields = {};
+  for (const m of line.matchAll(/([A-Za-z]+)\s*=\s*([^\s]+?)(?:,?\s+|,?$)/g)) {
+    fields[m[1].toLowerCase()] = m[2];
+  }
+  return fields;
+}
+
+/**
+ * Parse a 3D RLE file.
+ *
+ * @param {string} text
+ * @param {{ maxEdge?: number, maxCells?: number }} [limits] larger patterns are rejected
+ *   before any cell storage is allocated
+ * @returns {Rle3Pattern}
+ * @throws {Error} with a user-readable message when the file cannot be read
+ */
+export function parseRle3(text, limits = {}) {
+  const lines = String(text).split(/\r?\n/);
+  if (!isRle3Text(lines[0] || "")) throw new Error("Not a 3D RLE file (missing \"3D\" header).");
+
+  const fileHeader = parseHeaderFields(lines[0].replace(/^\s*3D/, ""));
+  const generation = Math.max(0, parseInt(fileHeader.gen, 10) || 0);
+
+  let i = 1;
+  while (i < lines.length && /^\s*(#|$)/.test(lines[i])) i++;
+  const header = parseHeaderFields(lines[i] || "");
+  const size = /** @type {[number, number, number]} */ (
+    ["x", "y", "z"].map((k) => parseInt(header[k], 10))
+  );
+  if (!size.every((d) => Number.isInteger(d) && d >= 0)) {
+    throw new Error("Missing or invalid x=, y=, z= header.");
+  }
+  const maxEdge = limits.maxEdge ?? Infinity;
+  const maxCells = limits.maxCells ?? Infinity;
+  if (Math.max(...size) > maxEdge || size[0] * size[1] * size[2] > maxCells) {
+    throw new Error(`The ${size.join("x")} pattern is larger than this device supports.`);
+  }
+  const rule = parseRle3Rule(header.rule || fileHeader.rule || "3D5..7/6");
+
+  const [nx, ny, nz] = size;
+  const cells = new Uint8Array(nx * ny * nz);
+  const body = lines.slice(i + 1).join("");
+  let x = 0;
+  let y = 0;
+  let z = 0;
+  let count = "";
+  for (const ch of body) {
+    if (ch >= "0" && ch <= "9") {
+      count += ch;
+      continue;
+    }
+    const n = count === "" ? 1 : parseInt(count, 10);
+    count = "";
+    if (ch === "o") {
+      if (x + n > nx || y >= ny || z >= nz) throw new Error("Pattern data exceeds its x/y/z size.");
+      cells.fill(1, x + (y + z * ny) * nx, x + n + (y + z * ny) * nx);
+      x += n;
+    } else if (ch === "b" || ch === ".") {
+      x += n;
+    } else if (ch === "$") {
+      x = 0;
+      y += n;
+    } else if (ch === "/") {
+      x = 0;
+      y = 0;
+      z += n;
+    } else if (ch === "!") {
+      break;
+    } else if (!/\s/.test(ch)) {
+      throw new Error(`Unexpected character "${ch}" in pattern data.`);
+    }
+  }
+
+  return { size, rule, generation, cells };
+}
+
+/**
+ * Write a 3D RLE file. The pattern is cropped to its live cells; dying states are written
+ * as dead.
+ *
+ * @param {{ cells: ArrayLike<number>, dims: ArrayLike<number>, rule: Record<string, string>,
+ *   generation: number }} state
+ *   Grid cells (one state per cell, x-major, then y, then z) and their settings
+ * @returns {string}
+ * @throws {Error} when the rule has no 3D RLE equivalent
+ */
+export function formatRle3({ cells, dims, rule, generation }) {
+  const ruleStr = formatRle3Rule(rule);
+  const [gx, gy, gz] = dims;
+
+  // Bounding box of live cells.
+  const min = [gx, gy, gz];
+  const max = [-1, -1, -1];
+  for (let z = 0, i = 0; z < gz; z++) {
+    for (let y = 0; y < gy; y++) {
+      for (let x = 0; x < gx; x++, i++) {
+        if (cells[i] !== 1) continue;
+        if (x < min[0]) min[0] = x;
+        if (x > max[0]) max[0] = x;
+        if (y < min[1]) min[1] = y;
+        if (y > max[1]) max[1] = y;
+        if (z < min[2]) min[2] = z;
+        if (z > max[2]) max[2] = z;
+      }
+    }
+  }
+  const empty = max[0] < 0;
+  const size = empty ? [0, 0, 0] : max.map((v, a) => v - min[a] + 1);
+  const pos = empty ? [0, 0, 0] : min;
+
+  // Tokens like "3o", "2$" or "/". Row/layer ends and dead runs are held back until a live
+  // cell follows, so trailing dead cells and empty rows are never written. A layer end resets
+  // the row, so rows skipped at the top of the next layer are written after it.
+  const tokens = [];
+  const run = (n, ch) => tokens.push(n > 1 ? `${n}${ch}` : ch);
+  let rowEnds = 0;
+  let layerEnds = 0;
+  for (let z = 0; z < size[2]; z++) {
+    for (let y = 0; y < size[1]; y++) {
+      const rowBase = pos[0] + (pos[1] + y + (pos[2] + z) * gy) * gx;
+      let deadRun = 0;
+      let x = 0;
+      while (x < size[0]) {
+        const alive = cells[rowBase + x] === 1;
+        let n = 1;
+        while (x + n < size[0] && (cells[rowBase + x + n] === 1) === alive) n++;
+        if (alive) {
+          if (layerEnds) run(layerEnds, "/");
+          if (rowEnds) run(rowEnds, "$");
+          if (deadRun) run(deadRun, "b");
+          layerEnds = 0;
+          rowEnds = 0;
+          deadRun = 0;
+          run(n, "o");
+        } else {
+          deadRun = n;
+        }
+        x += n;
+      }
+      rowEnds++;
+    }
+    rowEnds = 0;
+    layerEnds++;
+  }
+  tokens.push("!");
+
+  const lines = [];
+  let line = "";
+  for (const t of tokens) {
+    if (line.length + t.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = "";
+    }
+    line += t;
+  }
+  lines.push(line);
+
+  const gen = Math.max(0, Math.floor(generation) || 0);
+  return [
+    `3D version=1 size=${Math.max(gx, gy, gz)} pos=${pos.join(",")}${gen > 0 ? ` gen=${gen}` : ""}`,
+    `x=${size[0]} y=${size[1]} z=${size[2]} rule=${ruleStr}`,
+    ...lines,
+    "",
+  ].join("\n");
+}
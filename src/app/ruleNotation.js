@@ -0,0 +1,178 @@
+/**
+ * Rule notation parser/serializer for 3D Life.
+ *
+ * Accepts the notations rules are usually quoted in (papers, Golly, other tools) and
+ * converts them to the survive/birth ranges used by the rules panel:
+ *
+ * - "S4-5/B5", "B5/S4-5", "B5/S45"   letter-tagged fields, in either order
+ * - "45/5"                           untagged fields are survive/birth (Golly order)
+ * - "4555"                           Bays' code E_l E_u F_l F_u (the RULE_PRESETS keys):
+ *                                    survive E_l..E_u, birth F_l..F_u
+ * - "B4/S4/5", "B4/S4/C5", "4/4/G5"  optional third field: "Generations" state count
+ * - "4/4/5/M", "B4/S4/C5/N"          optional fourth field after the state count:
+ *                                    neighborhood, M = Moore (26), N = von Neumann (6),
+ *                                    as 3D Generations rules are usually tabulated
+ *
+ * Within a field, a run of bare digits lists single-digit counts ("45" = 4 and 5), as
+ * in most published tables. Counts above 9 need the list syntax of parseRuleNumbers(),
+ * e.g. "S10-12,14" or "S4,5".
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import {
+  parseRuleNumbers,
+  parseStateCount,
+  formatRuleRanges,
+  mergeRuleRanges,
+  MIN_RULE_STATES,
+} from "./ruleParse.js";
+import { NEIGHBORHOODS, countNeighbors } from "./neighborhoods.js";
+
+/** Neighborhood letters of the fourth field, mapped to NEIGHBORHOODS keys. */
+const NOTATION_NEIGHBORHOODS = Object.freeze({ M: "moore", N: "vonneumann" });
+
+/**
+ * @typedef {Object} ParsedRuleNotation
+ * @property {Array<[number, number]>} survive
+ * @property {Array<[number, number]>} birth
+ * @property {number|null} states  null when the notation has no state-count field
+ * @property {string|null} neighborhood  NEIGHBORHOODS key, null when the notation has no
+ *   neighborhood field
+ * @property {boolean} hasError
+ * @property {boolean} isNonEmpty
+ */
+
+/**
+ * Parse the counts of one field ("45", "4-5", "10-12,14"; blank is an empty list).
+ *
+ * @param {string} body
+ * @param {number} max
+ * @returns {Array<[number, number]>|null} null on error
+ */
+function parseCounts(body, max) {
+  if (body === "") return [];
+
+  if (/^\d+$/.test(body)) {
+    /** @type {Array<[number, number]>} */
+    const ranges = [];
+    for (const ch of body) {
+      const n = ch.charCodeAt(0) - 48;
+      if (n > max) return null;
+      ranges.push([n, n]);
+    }
+    return mergeRuleRanges(ranges);
+  }
+
+  const parsed = parseRuleNumbers(body, { allowTrailingHyphen: false, max });
+  return parsed.hasError ? null : parsed.ranges;
+}
+
+/**
+ * Parse a state-count field ("5", "C5" or "G5").
+ *
+ * @param {string} field
+ * @returns {number|null} null on error
+ */
+function parseStatesField(field) {
+  return parseStateCount(field.replace(/^[CG]/, "")).value;
+}
+
+/**
+ * Parse a rule written in S/B, B/S, untagged or Bays notation.
+ *
+ * A neighborhood field bounds the counts by that neighborhood's size instead of `max`.
+ *
+ * Blank input is not an error (callers treat it as "not applied"), mirroring
+ * parseRuleNumbers(). A notation that leaves Survival or Birth empty is an error,
+ * because the rules panel cannot apply an empty rule.
+ *
+ * @param {string} str
+ * @param {{ max?: number }=} opts max = neighborhood size (default: Moore, 26)
+ * @returns {ParsedRuleNotation}
+ */
+export function parseRuleNotation(str, opts = undefined) {
+  const { max = 26 } = opts || {};
+  const s = String(str || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+  /** @type {ParsedRuleNotation} */
+  const fail = {
+    survive: [],
+    birth: [],
+    states: null,
+    neighborhood: null,
+    hasError: s !== "",
+    isNonEmpty: s !== "",
+  };
+  if (s === "") return fail;
+
+  // Bays: exactly four digits, two inclusive ranges.
+  if (/^\d{4}$/.test(s)) {
+    const [el, eu, fl, fu] = Array.from(s, (ch) => ch.charCodeAt(0) - 48);
+    if (el > eu || fl > fu || eu > max || fu > max) return fail;
+    return {
+      survive: [[el, eu]],
+      birth: [[fl, fu]],
+      states: null,
+      neighborhood: null,
+      hasError: false,
+      isNonEmpty: true,
+    };
+  }
+
+  const fields = s.split("/");
+  if (fields.length < 2 || fields.length > 4) return fail;
+
+  let neighborhood = null;
+  let countMax = max;
+  if (fields.length === 4) {
+    neighborhood = NOTATION_NEIGHBORHOODS[fields[3]] ?? null;
+    if (!neighborhood) return fail;
+    countMax = countNeighbors(NEIGHBORHOODS[neighborhood].mask);
+  }
+
+  let surviveBody = null;
+  let birthBody = null;
+  const [a, b] = fields;
+  const tagA = a.charAt(0);
+  const tagB = b.charAt(0);
+
+  if ((tagA === "S" || tagA === "B") && (tagB === "S" || tagB === "B")) {
+    if (tagA === tagB) return fail;
+    surviveBody = tagA === "S" ? a.slice(1) : b.slice(1);
+    birthBody = tagA === "B" ? a.slice(1) : b.slice(1);
+  } else if (/^[0-9,\-]*$/.test(a) && /^[0-9,\-]*$/.test(b)) {
+    // Untagged fields follow the Golly/Life convention: survive/birth.
+    surviveBody = a;
+    birthBody = b;
+  } else {
+    return fail;
+  }
+
+  const survive = parseCounts(surviveBody, countMax);
+  const birth = parseCounts(birthBody, countMax);
+  if (!survive || !birth || survive.length === 0 || birth.length === 0) return fail;
+
+  let states = null;
+  if (fields.length >= 3) {
+    states = parseStatesField(fields[2]);
+    if (states == null) return fail;
+  }
+
+  return { survive, birth, states, neighborhood, hasError: false, isNonEmpty: true };
+}
+
+/**
+ * Serialize a rule in canonical "B/S" notation, e.g. "B5/S4-5" or "B4/S4/C5".
+ * The state-count field is only written for "Generations" rules (states > 2).
+ *
+ * @param {{ survive: Array<[number, number]>, birth: Array<[number, number]>, states?: number|null }} rule
+ * @returns {string}
+ */
+export function formatRuleNotation(rule) {
+  const { survive, birth, states = null } = rule;
+  const base = `B${formatRuleRanges(birth)}/S${formatRuleRanges(survive)}`;
+  return states != null && states > MIN_RULE_STATES ? `${base}/C${states}` : base;
+}
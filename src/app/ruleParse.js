@@ -1,12 +1,52 @@
 /**
  * Rule parsing utilities for 3D Life.
  *
- * The simulation uses a 3D Moore neighborhood, so neighbor counts range 0..26.
+ * Neighbor counts range 0..(neighborhood size): 26 for the default Moore neighborhood,
+ * up to 1330 for a radius-5 cube. Rules are therefore kept as inclusive count ranges
+ * ([lo, hi]) rather than expanded value lists or bitmasks.
+ * "Generations" rules add a third field: the number of cell states (2 = classic Life).
  *
  * This module is intentionally UI-agnostic: it parses from strings and produces
  * canonical values plus a sanitized representation.
  */
 
+import { MAX_CELL_STATES, MAX_RULE_RANGES } from "../gpu/constants.js";
+
+/** Smallest valid state count (alive + dead, i.e. classic Life). */
+export const MIN_RULE_STATES = 2;
+/** Largest valid state count accepted by the renderer. */
+export const MAX_RULE_STATES = MAX_CELL_STATES;
+/** Most disjoint count ranges a single survive/birth rule may use. */
+export { MAX_RULE_RANGES };
+
+/**
+ * Sort and merge inclusive ranges; overlapping and adjacent ranges are joined.
+ *
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ */
+export function mergeRuleRanges(ranges) {
+  const sorted = ranges.map(([lo, hi]) => [lo, hi]).sort((a, b) => a[0] - b[0]);
+  /** @type {Array<[number, number]>} */
+  const merged = [];
+  for (const [lo, hi] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && lo <= last[1] + 1) last[1] = Math.max(last[1], hi);
+    else merged.push([lo, hi]);
+  }
+  return merged;
+}
+
+/**
+ * Format ranges as a canonical rule string, e.g. [[4, 5], [9, 9]] -> "4-5,9".
+ *
+ * @param {Array<[number, number]>} ranges
+ * @returns {string}
+ */
+export function formatRuleRanges(ranges) {
+  return ranges.map(([lo, hi]) => (lo === hi ? String(lo) : `${lo}-${hi}`)).join(",");
+}
+
 /**
  * Parse a comma/whitespace-separated list of values and ranges.
  *
@@ -18,21 +58,27 @@
  * - Negative values are invalid.
  * - While typing, callers may allow a trailing hyphen ("5-") to avoid marking
  *   the control as invalid mid-entry.
+ * - Values default to Moore neighbor-count bounds (0..26); pass max = neighborhood
+ *   size for other neighborhoods, or min/max to validate other rule fields (e.g. the
+ *   state count).
+ * - Ranges are never expanded, so the work is bounded by the input length.
+ * - A rule that needs more than MAX_RULE_RANGES disjoint ranges is an error
+ *   (`tooManyRanges` is set so callers can explain why).
  *
  * @param {string} str
- * @param {{ allowTrailingHyphen?: boolean }=} opts
- * @returns {{ sanitized: string, values: number[], hasError: boolean, isNonEmpty: boolean }}
+ * @param {{ allowTrailingHyphen?: boolean, min?: number, max?: number }=} opts
+ * @returns {{ sanitized: string, ranges: Array<[number, number]>, hasError: boolean, tooManyRanges: boolean, isNonEmpty: boolean }}
  */
 export function parseRuleNumbers(str, opts = undefined) {
-  const { allowTrailingHyphen = true } = opts || {};
+  const { allowTrailingHyphen = true, min = 0, max = 26 } = opts || {};
 
   // Allow only digits, commas, hyphens, and whitespace.
   const sanitized0 = String(str || "").replace(/[^0-9,\-\s]/g, "");
   // Normalize common range typing with spaces, e.g., "5 - 7" -> "5-7".
   const sanitized = sanitized0.replace(/(\d)\s*-\s*(\d)/g, "$1-$2");
 
-  /** @type {Set<number>} */
-  const values = new Set();
+  /** @type {Array<[number, number]>} */
+  const ranges = [];
   let hasError = false;
 
   const tokens = sanitized.split(/[\s,]+/).filter((t) => t.length > 0);
@@ -71,8 +117,8 @@ export function parseRuleNumbers(str, opts = undefined) {
         break;
       }
 
-      // Hard bounds: 3D Moore neighborhood has 26 neighbors (0..26).
-      if (start < 0 || start > 26 || end < 0 || end > 26) {
+      // Hard bounds: [min, max] (0..26 for the Moore neighborhood unless overridden).
+      if (start < min || start > max || end < min || end > max) {
         hasError = true;
         break;
       }
@@ -82,10 +128,7 @@ export function parseRuleNumbers(str, opts = undefined) {
         break;
       }
 
-      // Range is now guaranteed to be at most 27 items; safe to expand.
-      for (let i = start; i <= end; i++) {
-        values.add(i);
-      }
+      ranges.push([start, end]);
     } else {
       // Single value token
       if (!/^\d+$/.test(token)) {
@@ -93,21 +136,51 @@ export function parseRuleNumbers(str, opts = undefined) {
         break;
       }
       const n = parseInt(token, 10);
-      if (n < 0 || n > 26) {
+      if (n < min || n > max) {
         hasError = true;
         break;
       }
-      values.add(n);
+      ranges.push([n, n]);
     }
   }
 
-  const list = Array.from(values).sort((a, b) => a - b);
+  const merged = mergeRuleRanges(ranges);
+  const tooManyRanges = merged.length > MAX_RULE_RANGES;
 
   return {
     sanitized,
-    values: list,
-    hasError,
+    ranges: merged,
+    hasError: hasError || tooManyRanges,
+    tooManyRanges,
     // For callers that want "blank is not valid", but note: we don't mark blank as an error.
     isNonEmpty: sanitized.trim() !== "",
   };
 }
+
+/**
+ * Parse the "Generations" state-count field.
+ *
+ * Accepts a single integer in MIN_RULE_STATES..MAX_RULE_STATES. Blank input is not
+ * an error (callers treat it as "not applied"), mirroring parseRuleNumbers().
+ *
+ * @param {string} str
+ * @returns {{ sanitized: string, value: number|null, hasError: boolean, isNonEmpty: boolean }}
+ */
+export function parseStateCount(str) {
+  const parsed = parseRuleNumbers(str, {
+    allowTrailingHyphen: false,
+    min: MIN_RULE_STATES,
+    max: MAX_RULE_STATES,
+  });
+
+  // A state count is a single value, not a list or a range.
+  const isSingle = /^\s*\d+\s*$/.test(parsed.sanitized);
+  const hasError = parsed.hasError || (parsed.isNonEmpty && !isSingle);
+
+  return {
+    sanitized: parsed.sanitized,
+    value: !hasError && parsed.ranges.length === 1 ? parsed.ranges[0][0] : null,
+    hasError,
+    isNonEmpty: parsed.isNonEmpty,
+  };
+}
@@ -2,7 +2,12 @@
  * Rules UI controller.
  *
  * Responsibilities:
- * - Sanitize and validate the Survival/Birth rule text inputs.
+ * - Sanitize and validate the Survival/Birth rule text inputs and the "Generations"
+ *   States field.
+ * - Accept a whole rule in standard notation ("B5/S4-5", "4555", "4/4/5/M", ...) in the Rule
+ *   field, and keep that field in sync with the separate inputs.
+ * - Track the neighborhood (built-in, custom 3x3x3 mask, or radius-R cube/sphere); rule
+ *   bounds follow its size.
  * - Apply valid rules to the renderer.
  * - Maintain preset select state (including matching manual inputs back to a preset).
  * - Emit user-visible warnings only on "commit" events (blur/change), not on every keystroke.
@@ -12,8 +17,26 @@
  */
 
 import { RULE_PRESETS, normalizeRule } from "./settings.js";
-import { parseRuleNumbers } from "./ruleParse.js";
-import { setInvalid } from "./domHelpers.js";
+import {
+  parseRuleNumbers,
+  parseStateCount,
+  formatRuleRanges,
+  MIN_RULE_STATES,
+  MAX_RULE_STATES,
+  MAX_RULE_RANGES,
+} from "./ruleParse.js";
+import { parseRuleNotation, formatRuleNotation } from "./ruleNotation.js";
+import {
+  CUSTOM_NEIGHBORHOOD,
+  clampNeighborRadius,
+  isRadiusNeighborhood,
+  resolveNeighborhood,
+} from "./neighborhoods.js";
+import {
+  setInvalid,
+  readNeighborMaskEditor,
+  writeNeighborMaskEditor,
+} from "./domHelpers.js";
 
 /**
  * @typedef {import("../gpu/renderer.js").WebGPURenderer} WebGPURenderer
@@ -23,19 +46,29 @@ import { setInvalid } from "./domHelpers.js";
  * Create a controller for rule-related UI.
  *
  * @param {{
+ *  ruleNotationInput?: HTMLInputElement|null,
  *  surviveInput: HTMLInputElement|null,
  *  birthInput: HTMLInputElement|null,
+ *  statesInput?: HTMLInputElement|null,
+ *  neighborhoodSelect?: HTMLSelectElement|null,
+ *  neighborMaskEditor?: HTMLElement|null,
+ *  neighborRadiusInput?: HTMLInputElement|null,
  *  presetSelect: HTMLSelectElement|null,
  *  getRenderer: () => WebGPURenderer|null,
  *  toast: { show: (o: { kind: "info"|"warn"|"error", message: string }) => void }|null,
  *  uiMsg: any,
- *  presets?: Record<string, { survive: string, birth: string }>
+ *  presets?: Record<string, { survive: string, birth: string, states?: string, neighborhood?: string }>
  * }} opts
  */
 export function createRulesController(opts) {
   const {
+    ruleNotationInput = null,
     surviveInput,
     birthInput,
+    statesInput = null,
+    neighborhoodSelect = null,
+    neighborMaskEditor = null,
+    neighborRadiusInput = null,
     presetSelect,
     getRenderer,
     toast,
@@ -47,8 +80,62 @@ export function createRulesController(opts) {
   const getSafeRenderer =
     typeof getRenderer === "function" ? getRenderer : () => null;
 
+  // Last built-in neighborhood mask (seeds the editor when switching to "custom").
+  let lastBuiltinMask = resolveNeighborhood("moore").mask;
+
+  // Neighborhood select value and radius last pushed to the renderer (restored when a
+  // neighborhood change cannot be applied).
+  let appliedNeighborhood = {
+    id: neighborhoodSelect ? neighborhoodSelect.value : "moore",
+    radius: neighborRadiusInput ? neighborRadiusInput.value : "",
+  };
+
+  /**
+   * Canonical state count for preset matching (blank/invalid reads as classic Life).
+   *
+   * @param {string|undefined} v
+   */
+  function normalizeStates(v) {
+    return (
+      normalizeRule(v || "", { min: MIN_RULE_STATES, max: MAX_RULE_STATES }) ||
+      String(MIN_RULE_STATES)
+    );
+  }
+
   /**
-   * Parse and apply Survival/Birth rules to the renderer.
+   * Current neighborhood: a built-in one, the mask drawn in the editor, or a radius-R cube/sphere.
+   *
+   * @returns {{ mask: number, radius: number, shape: number, size: number }}
+   */
+  function currentNeighborhood() {
+    const id = neighborhoodSelect ? neighborhoodSelect.value : "moore";
+    return resolveNeighborhood(
+      id,
+      readNeighborMaskEditor(neighborMaskEditor),
+      neighborRadiusInput ? neighborRadiusInput.value : 1,
+    );
+  }
+
+  /**
+   * Rule parse options bounded by the current neighborhood size.
+   *
+   * @param {{ allowTrailingHyphen?: boolean }=} extra
+   */
+  function ruleParseOpts(extra = undefined) {
+    return { ...extra, max: currentNeighborhood().size };
+  }
+
+  function syncMaskEditorVisibility() {
+    const id = neighborhoodSelect ? neighborhoodSelect.value : "";
+    if (neighborMaskEditor) {
+      neighborMaskEditor.classList.toggle("hidden", id !== CUSTOM_NEIGHBORHOOD);
+    }
+    const radiusRow = neighborRadiusInput ? neighborRadiusInput.closest(".nradius-row") : null;
+    if (radiusRow) radiusRow.classList.toggle("hidden", !isRadiusNeighborhood(id));
+  }
+
+  /**
+   * Parse and apply Survival/Birth/States rules (and the neighborhood) to the renderer.
    *
    * This is intentionally defensive: even if called accidentally with an invalid
    * string, it must never do unbounded work (e.g., expanding a huge range).
@@ -59,19 +146,49 @@ export function createRulesController(opts) {
     const renderer = getSafeRenderer();
     if (!renderer) return;
 
-    const surviveParsed = parseRuleNumbers(surviveInput.value);
-    const birthParsed = parseRuleNumbers(birthInput.value);
+    const surviveParsed = parseRuleNumbers(surviveInput.value, ruleParseOpts());
+    const birthParsed = parseRuleNumbers(birthInput.value, ruleParseOpts());
+
+    const neighborhood = currentNeighborhood();
+    if (typeof renderer.setNeighborhoodMask === "function") {
+      renderer.setNeighborhoodMask(neighborhood.mask);
+    }
+    if (typeof renderer.setNeighborhoodRadius === "function") {
+      renderer.setNeighborhoodRadius(neighborhood.radius, neighborhood.shape);
+    }
+    appliedNeighborhood = {
+      id: neighborhoodSelect ? neighborhoodSelect.value : "moore",
+      radius: neighborRadiusInput ? neighborRadiusInput.value : "",
+    };
 
     if (
       !surviveParsed.hasError &&
       surviveParsed.isNonEmpty &&
-      surviveParsed.values.length > 0
+      surviveParsed.ranges.length > 0
     ) {
-      renderer.setSurviveRule(surviveParsed.values);
+      renderer.setSurviveRanges(surviveParsed.ranges);
     }
 
-    if (!birthParsed.hasError && birthParsed.isNonEmpty && birthParsed.values.length > 0) {
-      renderer.setBirthRule(birthParsed.values);
+    if (!birthParsed.hasError && birthParsed.isNonEmpty && birthParsed.ranges.length > 0) {
+      renderer.setBirthRanges(birthParsed.ranges);
+    }
+
+    if (statesInput && typeof renderer.setStateCount === "function") {
+      const statesParsed = parseStateCount(statesInput.value);
+      if (statesParsed.value != null) {
+        const prevStates = renderer.stateCount;
+        renderer.setStateCount(statesParsed.value);
+        // Bit-packed (large) grids only hold alive/dead; tell the user once per change.
+        if (
+          renderer.gridPacked &&
+          statesParsed.value > 2 &&
+          statesParsed.value !== prevStates &&
+          toast &&
+          uiMsg
+        ) {
+          toast.show({ kind: "warn", message: uiMsg.rules.statesPackedGrid });
+        }
+      }
     }
   }
 
@@ -80,7 +197,7 @@ export function createRulesController(opts) {
    *
    * Rules:
    * - Allow digits, commas, spaces, and hyphens.
-   * - Clamp values to 0..26.
+   * - Clamp values to 0..(neighborhood size), with at most MAX_RULE_RANGES ranges.
    * - Reject descending ranges and malformed patterns.
    *
    * Blank input is treated as "not applied" (not visually invalid).
@@ -89,7 +206,7 @@ export function createRulesController(opts) {
    * @param {{ allowTrailingHyphen?: boolean }=} opts
    */
   function validateRuleInput(input, opts = undefined) {
-    const parsed = parseRuleNumbers(input.value, opts);
+    const parsed = parseRuleNumbers(input.value, ruleParseOpts(opts));
 
     // Update the input value to sanitized version (remove invalid chars only)
     if (input.value !== parsed.sanitized) {
@@ -105,6 +222,43 @@ export function createRulesController(opts) {
     return isValid;
   }
 
+  /**
+   * Validate and sanitize the States input (single integer, 2 = classic Life).
+   *
+   * @param {HTMLInputElement} input
+   */
+  function validateStatesInput(input) {
+    const parsed = parseStateCount(input.value);
+
+    if (input.value !== parsed.sanitized) {
+      input.value = parsed.sanitized;
+    }
+
+    const isValid = !parsed.hasError && parsed.isNonEmpty;
+    setInvalid(input.parentElement, !(isValid || parsed.sanitized.trim() === ""));
+    return isValid;
+  }
+
+  /**
+   * Show the applied Survival/Birth/States rule in the Rule field, in canonical notation.
+   * Called only once the separate inputs are valid, so the field never shows a rule
+   * that is not in effect.
+   */
+  function syncRuleNotation() {
+    if (!ruleNotationInput) return;
+
+    const opts = ruleParseOpts({ allowTrailingHyphen: false });
+    const states = statesInput ? parseStateCount(statesInput.value).value : null;
+    const text = formatRuleNotation({
+      survive: parseRuleNumbers(surviveInput.value, opts).ranges,
+      birth: parseRuleNumbers(birthInput.value, opts).ranges,
+      states,
+    });
+
+    if (ruleNotationInput.value !== text) ruleNotationInput.value = text;
+    setInvalid(ruleNotationInput.parentElement, false);
+  }
+
   /**
    * Handle preset selection change.
    */
@@ -117,10 +271,132 @@ export function createRulesController(opts) {
       birthInput.value = presets[preset].birth;
       setInvalid(surviveInput.parentElement, false);
       setInvalid(birthInput.parentElement, false);
+      if (statesInput) {
+        statesInput.value = presets[preset].states || String(MIN_RULE_STATES);
+        setInvalid(statesInput.parentElement, false);
+      }
+      if (neighborhoodSelect) {
+        neighborhoodSelect.value = presets[preset].neighborhood || "moore";
+        syncMaskEditorVisibility();
+      }
+      syncRuleNotation();
       parseRules();
     }
   }
 
+  /**
+   * Clamp the Survival/Birth counts to the current neighborhood size, so that a smaller
+   * neighborhood is applied with the counts it can reach instead of failing validation.
+   * Ranges entirely above the size are dropped; blank or malformed input is left to the
+   * usual validation.
+   *
+   * @returns {boolean} false (and nothing changed) when a rule would be left empty
+   */
+  function fitRulesToNeighborhood() {
+    const max = currentNeighborhood().size;
+    const inputs = [surviveInput, birthInput];
+    const fitted = inputs.map((input) => {
+      const parsed = parseRuleNumbers(input.value, { allowTrailingHyphen: false, max: Infinity });
+      if (parsed.hasError || !parsed.isNonEmpty) return input.value;
+      if (parsed.ranges.every(([, hi]) => hi <= max)) return input.value;
+      const ranges = parsed.ranges
+        .filter(([lo]) => lo <= max)
+        .map(([lo, hi]) => /** @type {[number, number]} */ ([lo, Math.min(hi, max)]));
+      return ranges.length > 0 ? formatRuleRanges(ranges) : null;
+    });
+    if (fitted.includes(null)) return false;
+
+    const clamped = fitted.some((v, i) => v !== inputs[i].value);
+    fitted.forEach((v, i) => {
+      inputs[i].value = v;
+    });
+    if (clamped && toast && uiMsg) {
+      toast.show({ kind: "info", message: uiMsg.rules.clampedToNeighborhood(max) });
+    }
+    return true;
+  }
+
+  /**
+   * Tell the user a neighborhood is too small for every count of a rule.
+   */
+  function warnNeighborhoodTooSmall() {
+    if (toast && uiMsg) {
+      toast.show({
+        kind: "warn",
+        message: uiMsg.rules.neighborhoodTooSmall(currentNeighborhood().size),
+      });
+    }
+  }
+
+  /**
+   * Handle neighborhood selection (or radius) change.
+   *
+   * Switching to "custom" seeds the mask editor with the previously selected
+   * 3x3x3 neighborhood, so the user starts from a familiar shape. Rule counts above the
+   * new neighborhood size are clamped; when a rule has no count left, the change is
+   * reverted instead.
+   */
+  function handleNeighborhoodChange() {
+    if (!hasDom || !neighborhoodSelect) return;
+
+    if (neighborRadiusInput) {
+      const r = String(clampNeighborRadius(neighborRadiusInput.value));
+      if (neighborRadiusInput.value !== r) neighborRadiusInput.value = r;
+    }
+
+    if (neighborhoodSelect.value === CUSTOM_NEIGHBORHOOD) {
+      writeNeighborMaskEditor(neighborMaskEditor, lastBuiltinMask);
+    }
+
+    if (!fitRulesToNeighborhood()) {
+      warnNeighborhoodTooSmall();
+      neighborhoodSelect.value = appliedNeighborhood.id;
+      if (neighborRadiusInput) neighborRadiusInput.value = appliedNeighborhood.radius;
+      syncMaskEditorVisibility();
+      return;
+    }
+
+    if (neighborhoodSelect.value !== CUSTOM_NEIGHBORHOOD) {
+      const neighborhood = currentNeighborhood();
+      if (neighborhood.radius === 1) lastBuiltinMask = neighborhood.mask;
+    }
+
+    // Rule bounds depend on the neighborhood size: re-validate as a commit.
+    handleRuleInputChange({ type: "change" });
+  }
+
+  /**
+   * Handle a click in the custom mask editor (delegated from the editor container).
+   *
+   * @param {Event} e
+   */
+  function handleNeighborMaskClick(e) {
+    if (!hasDom || !neighborMaskEditor) return;
+    const target = /** @type {any} */ (e && e.target);
+    const cell = target && target.closest ? target.closest("[data-bit]") : null;
+    if (!cell || !neighborMaskEditor.contains(cell)) return;
+
+    const wasOn = cell.getAttribute("aria-pressed") === "true";
+    cell.setAttribute("aria-pressed", wasOn ? "false" : "true");
+
+    // An empty neighborhood would make every rule meaningless; keep at least one cell.
+    if (readNeighborMaskEditor(neighborMaskEditor) === 0) {
+      cell.setAttribute("aria-pressed", "true");
+      if (toast && uiMsg) {
+        toast.show({ kind: "warn", message: uiMsg.rules.neighborhoodEmpty });
+      }
+      return;
+    }
+
+    if (!fitRulesToNeighborhood()) {
+      warnNeighborhoodTooSmall();
+      cell.setAttribute("aria-pressed", wasOn ? "true" : "false");
+      return;
+    }
+
+    handleRuleInputChange({ type: "change" });
+  }
+
   /**
    * Handle manual rule input change.
    *
@@ -136,13 +412,16 @@ export function createRulesController(opts) {
     const isCommit = !!(e && /** @type {any} */ (e).type === "change");
     const parseOpts = { allowTrailingHyphen: !isCommit };
 
+    syncMaskEditorVisibility();
+
     // Validate inputs (sanitizes and updates invalid highlighting).
     const surviveValid = validateRuleInput(surviveInput, parseOpts);
     const birthValid = validateRuleInput(birthInput, parseOpts);
+    if (statesInput) validateStatesInput(statesInput);
 
     // Parse again after sanitization so error detection matches the current value.
-    const surviveParsed = parseRuleNumbers(surviveInput.value, parseOpts);
-    const birthParsed = parseRuleNumbers(birthInput.value, parseOpts);
+    const surviveParsed = parseRuleNumbers(surviveInput.value, ruleParseOpts(parseOpts));
+    const birthParsed = parseRuleNumbers(birthInput.value, ruleParseOpts(parseOpts));
 
     // Invalid values (out of range, descending ranges, etc.).
     if (surviveParsed.hasError || birthParsed.hasError) {
@@ -150,6 +429,10 @@ export function createRulesController(opts) {
 
       // Avoid spamming while typing; only toast on commit/blur.
       if (isCommit && toast && uiMsg) {
+        if (surviveParsed.tooManyRanges || birthParsed.tooManyRanges) {
+          toast.show({ kind: "warn", message: uiMsg.rules.tooManyRanges(MAX_RULE_RANGES) });
+          return;
+        }
         const which = [
           surviveParsed.hasError ? "Survival" : null,
           birthParsed.hasError ? "Birth" : null,
@@ -159,38 +442,116 @@ export function createRulesController(opts) {
 
         toast.show({
           kind: "warn",
-          message: uiMsg.rules.invalid(which),
+          message: uiMsg.rules.invalid(which, currentNeighborhood().size),
         });
       }
 
       return;
     }
 
+    const statesParsed = statesInput ? parseStateCount(statesInput.value) : null;
+    if (statesParsed && statesParsed.hasError) {
+      presetSelect.value = "custom";
+      if (isCommit && toast && uiMsg) {
+        toast.show({
+          kind: "warn",
+          message: uiMsg.rules.statesInvalid(MIN_RULE_STATES, MAX_RULE_STATES),
+        });
+      }
+      return;
+    }
+
     // Blank input is treated as "not applied" (no error), but it's not a valid rule.
     // Preserve the existing behavior: do not apply, and switch to custom.
+    // A blank States field still applies Survival/Birth (the state count is kept).
     if (!surviveValid || !birthValid) {
       presetSelect.value = "custom";
       return;
     }
 
     // Normalize current values for comparison
-    const currentSurvive = normalizeRule(surviveInput.value);
-    const currentBirth = normalizeRule(birthInput.value);
+    const neighborhood = currentNeighborhood();
+    const ruleOpts = { max: neighborhood.size };
+    const currentSurvive = normalizeRule(surviveInput.value, ruleOpts);
+    const currentBirth = normalizeRule(birthInput.value, ruleOpts);
+    const currentStates = statesInput ? normalizeStates(statesInput.value) : null;
 
     let matchedPreset = "custom";
     for (const [key, value] of Object.entries(presets)) {
-      const presetSurvive = normalizeRule(value.survive);
-      const presetBirth = normalizeRule(value.birth);
-      if (presetSurvive === currentSurvive && presetBirth === currentBirth) {
+      const presetSurvive = normalizeRule(value.survive, ruleOpts);
+      const presetBirth = normalizeRule(value.birth, ruleOpts);
+      const statesMatch =
+        currentStates == null || normalizeStates(value.states) === currentStates;
+      const presetNeighborhood = resolveNeighborhood(value.neighborhood || "moore");
+      const neighborhoodMatch =
+        presetNeighborhood.radius === neighborhood.radius &&
+        presetNeighborhood.mask === neighborhood.mask;
+      if (
+        presetSurvive === currentSurvive &&
+        presetBirth === currentBirth &&
+        statesMatch &&
+        neighborhoodMatch
+      ) {
         matchedPreset = key;
         break;
       }
     }
 
     presetSelect.value = matchedPreset;
+    syncRuleNotation();
     parseRules();
   }
 
+  /**
+   * Handle the Rule (notation) field.
+   *
+   * - `input`: clear stale invalid highlighting only; partial notations are not flagged.
+   * - `change`: parse and, if valid, write Survival/Birth/States and commit them through
+   *   handleRuleInputChange(), which then rewrites this field in canonical form.
+   *
+   * A notation without a state-count field is a classic 2-state rule. A neighborhood field
+   * also switches the Neighborhood select (see handleNeighborhoodChange()).
+   *
+   * @param {Event|undefined|null} e
+   */
+  function handleRuleNotationChange(e) {
+    if (!hasDom || !ruleNotationInput) return;
+
+    const isCommit = !!(e && /** @type {any} */ (e).type === "change");
+    if (!isCommit) {
+      setInvalid(ruleNotationInput.parentElement, false);
+      return;
+    }
+
+    const size = currentNeighborhood().size;
+    const parsed = parseRuleNotation(ruleNotationInput.value, { max: size });
+
+    // Blank is "not applied": restore the rule currently in effect.
+    if (!parsed.isNonEmpty) {
+      handleRuleInputChange({ type: "change" });
+      return;
+    }
+
+    if (parsed.hasError) {
+      setInvalid(ruleNotationInput.parentElement, true);
+      if (toast && uiMsg) {
+        toast.show({ kind: "warn", message: uiMsg.rules.notationInvalid(size) });
+      }
+      return;
+    }
+
+    surviveInput.value = formatRuleRanges(parsed.survive);
+    birthInput.value = formatRuleRanges(parsed.birth);
+    if (statesInput) statesInput.value = String(parsed.states ?? MIN_RULE_STATES);
+
+    if (parsed.neighborhood && neighborhoodSelect) {
+      neighborhoodSelect.value = parsed.neighborhood;
+      handleNeighborhoodChange();
+      return;
+    }
+    handleRuleInputChange({ type: "change" });
+  }
+
   /**
    * Handle Enter key in rule inputs by committing via blur.
    *
@@ -207,7 +568,10 @@ export function createRulesController(opts) {
 
   return {
     handlePresetChange,
+    handleNeighborhoodChange,
+    handleNeighborMaskClick,
     handleRuleInputChange,
+    handleRuleNotationChange,
     handleRuleKeydown,
 
     // Exposed mostly for tests/future debug tooling.
@@ -487,7 +487,9 @@ export class ScreenShowController {
     const nowMs = (performance && performance.now ? performance.now() : Date.now());
 
     // Ensure we have a usable fallback focus in case AABB isn't available yet.
+    // gs is the longest grid edge; dims carries the per-axis shape for non-cubic grids.
     const gs = this.renderer.gridSize;
+    const dims = this.renderer.gridDims;
     const cs = this.renderer.cellSize;
     if (!ss.focusRadius || ss.focusRadius < 1) {
       ss.focusCenter[0] = 0;
@@ -526,13 +528,10 @@ export class ScreenShowController {
     if (ss.forceOutsideInitCubeOnce) {
       ss.forceOutsideInitCubeOnce = false;
 
-      const initRegion = Math.min(
-        Math.max(1, Number(this.state.settings?.initSize) || gs),
-        gs,
-      );
-
-      const initHalf = initRegion * cs * 0.5;
-      const initCubeSphereR = initHalf * 1.7320508075688772; // sqrt(3)
+      // The Gen0 region is a cube clipped to the grid per axis.
+      const initEdge = Math.max(1, Number(this.state.settings?.initSize) || gs);
+      const initCubeSphereR =
+        Math.hypot(...dims.map((d) => Math.min(initEdge, d))) * cs * 0.5;
 
       // "Slightly outside" the cube: use a small world-space padding in addition to
       // a modest radius scale so the initial framing is not clipped.
@@ -550,7 +549,7 @@ export class ScreenShowController {
     //   - ~30% near the boundary band,
     //   - ~10% outside,
     // and automatically shift toward outside views when "fly-through" becomes implausible (very dense or very large clusters).
-    const totalCells = gs * gs * gs;
+    const totalCells = dims[0] * dims[1] * dims[2];
     const popForDensity = ss.focusCountValid ? ss.focusCount : this.renderer.population;
     // Note: this is the *live* density used only for screenshow heuristics (do not overwrite the user-configured init density).
     const liveDensity = totalCells ? popForDensity / totalCells : 0.0;
@@ -558,13 +557,13 @@ export class ScreenShowController {
 
     const flyThroughFactor = screenShowFlyThroughFactor(liveDensity, r, cubeHalf);
 
-    const aabbWorld = cellsAabbToWorldAabb(this.renderer.lastAabb, gs, cs);
+    const aabbWorld = cellsAabbToWorldAabb(this.renderer.lastAabb, dims, cs);
     const startEye = pickScreenShowStartEyeWorld(
       center,
       r,
       minDist,
       maxDist,
-      gs,
+      dims,
       cs,
       flyThroughFactor,
       aabbWorld,
@@ -781,7 +780,7 @@ export class ScreenShowController {
   _updateFocusFromAABB(aabb) {
     if (!aabb || !aabb.min || !aabb.max) return;
 
-    const gs = this.renderer.gridSize;
+    const dims = this.renderer.gridDims;
     const cs = this.renderer.cellSize;
 
     const min = aabb.min;
@@ -792,12 +791,10 @@ export class ScreenShowController {
     const cy = 0.5 * (min[1] + max[1]);
     const cz = 0.5 * (min[2] + max[2]);
 
-    // Convert to world coordinates: shader centers cell centers at (gridSize-1)*0.5.
-    const gridCenter = (gs - 1) * 0.5;
-
-    const wx = (cx - gridCenter) * cs;
-    const wy = (cy - gridCenter) * cs;
-    const wz = (cz - gridCenter) * cs;
+    // Convert to world coordinates: shader centers cell centers at (gridDims-1)*0.5 per axis.
+    const wx = (cx - (dims[0] - 1) * 0.5) * cs;
+    const wy = (cy - (dims[1] - 1) * 0.5) * cs;
+    const wz = (cz - (dims[2] - 1) * 0.5) * cs;
 
     // Extent in world coordinates.
     const ex = (max[0] - min[0] + 1) * cs;
@@ -853,22 +850,16 @@ function randomUnitVec3() {
   return [r * Math.cos(a), z, r * Math.sin(a)];
 }
 
-function cellsAabbToWorldAabb(aabb, gs, cs) {
+function cellsAabbToWorldAabb(aabb, dims, cs) {
   if (!aabb || !aabb.min || !aabb.max) return null;
   const min = aabb.min,
     max = aabb.max;
-  const gridCenter = (gs - 1) * 0.5;
+  const cx = (dims[0] - 1) * 0.5;
+  const cy = (dims[1] - 1) * 0.5;
+  const cz = (dims[2] - 1) * 0.5;
   return {
-    min: [
-      (min[0] - gridCenter) * cs,
-      (min[1] - gridCenter) * cs,
-      (min[2] - gridCenter) * cs,
-    ],
-    max: [
-      (max[0] - gridCenter) * cs,
-      (max[1] - gridCenter) * cs,
-      (max[2] - gridCenter) * cs,
-    ],
+    min: [(min[0] - cx) * cs, (min[1] - cy) * cs, (min[2] - cz) * cs],
+    max: [(max[0] - cx) * cs, (max[1] - cy) * cs, (max[2] - cz) * cs],
   };
 }
 
@@ -890,14 +881,14 @@ function pickScreenShowStartEyeWorld(
   focusRadius,
   minDist,
   maxDist,
-  gs,
+  dims,
   cs,
   flyThroughFactor,
   aabbWorld,
   minStartRadiusFromOrigin = 0,
 ) {
-  const half = gs * cs * 0.5;
-  const cubeSphereR = half * 1.7320508075688772; // sqrt(3), bounding sphere radius of the grid cube
+  // Bounding sphere radius of the grid box (sqrt(3) * half edge for a cube).
+  const cubeSphereR = Math.hypot(dims[0], dims[1], dims[2]) * cs * 0.5;
   const cubeSphereMax = cubeSphereR * EYE_SPHERE_OVERSHOOT;
 
   // Radial range: sample from a small fraction of the cube sphere radius up to the maximum,
@@ -0,0 +1,98 @@
+/**
+ * Gen0 seed UI controller.
+ *
+ * The seed field shows the seed of the current random soup. "Lock seed" keeps that seed for
+ * every later reset (state.settings.seed; null draws a new one each time), so a run can be
+ * reproduced exactly. Typing a seed locks it; like Gen0 density, it is applied right away
+ * only when stopped at generation 0, otherwise on the next reset.
+ *
+ * This module is intentionally deterministic and does not register any event listeners.
+ */
+
+/** Largest seed (the init kernels take a u32). */
+const MAX_SEED = 0xffffffff;
+
+/**
+ * @typedef {Object} SeedControllerDeps
+ * @property {HTMLInputElement | null} seedInput
+ * @property {HTMLInputElement | null} seedLockCheckbox
+ * @property {{
+ *   settings: { seed: number | null },
+ *   sim: { isPlaying: boolean, generation: number },
+ * }} state
+ * @property {() => any} getRenderer
+ * @property {{
+ *   show: (args: { kind: "info" | "warn" | "error" | "success", message: string }) => void,
+ * }} toast
+ * @property {any} uiMsg
+ * @property {(opts?: { showToastOnFailure?: boolean }) => Promise<boolean>} reset
+ */
+
+/**
+ * @param {string} text
+ * @returns {number | null}
+ */
+function parseSeed(text) {
+  const s = String(text).trim();
+  if (!/^\d+$/.test(s)) return null;
+  const n = Number(s);
+  return n <= MAX_SEED ? n : null;
+}
+
+/**
+ * @param {SeedControllerDeps} deps
+ */
+export function createSeedController(deps) {
+  const { seedInput, seedLockCheckbox, state, getRenderer, toast, uiMsg, reset } = deps;
+
+  /**
+   * Show the locked seed, or the seed of the current soup (empty when the grid was not
+   * randomized, e.g. after opening a pattern).
+   */
+  function syncSeedInput() {
+    if (seedLockCheckbox) seedLockCheckbox.checked = state.settings.seed != null;
+    if (!seedInput || document.activeElement === seedInput) return;
+    const seed = state.settings.seed ?? getRenderer()?.gen0Seed ?? null;
+    seedInput.value = seed == null ? "" : String(seed);
+  }
+
+  /** Commit a typed seed: lock it and apply it when stopped at generation 0. */
+  async function handleSeedChange() {
+    if (!seedInput) return;
+    const seed = parseSeed(seedInput.value);
+    if (seed == null) {
+      toast.show({ kind: "warn", message: uiMsg.sim.seedInvalid(MAX_SEED) });
+      seedInput.blur();
+      syncSeedInput();
+      return;
+    }
+    const current = state.settings.seed ?? getRenderer()?.gen0Seed ?? null;
+    state.settings.seed = seed;
+    syncSeedInput();
+    if (seed === current) return;
+
+    if (state.sim.isPlaying || state.sim.generation !== 0) {
+      toast.show({ kind: "info", message: uiMsg.sim.applyOnNextReset.seed });
+      return;
+    }
+    await reset();
+  }
+
+  /** Lock the seed in the field (or the current soup's), or go back to a new seed per reset. */
+  function handleSeedLockChange() {
+    if (!seedLockCheckbox) return;
+    if (!seedLockCheckbox.checked) {
+      state.settings.seed = null;
+      syncSeedInput();
+      return;
+    }
+    const seed = parseSeed(seedInput ? seedInput.value : "") ?? getRenderer()?.gen0Seed ?? null;
+    if (seed == null) {
+      toast.show({ kind: "warn", message: uiMsg.sim.seedInvalid(MAX_SEED) });
+    }
+    state.settings.seed = seed;
+    syncSeedInput();
+  }
+
+  return { syncSeedInput, handleSeedChange, handleSeedLockChange };
+}
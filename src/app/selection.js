@@ -0,0 +1,192 @@
+/**
+ * Box selection and clipboard.
+ *
+ * A selection is a box of cells given by its inclusive min and max corners. The clipboard
+ * holds a copied box as its size and its cells run-length encoded exactly like a pattern
+ * file's `cells` (see encodeRuns in patternFile.js), x-major, then y, then z within the box.
+ * Rotations turn the clipboard a quarter turn about an axis, right-handed (about Z, +X turns
+ * to +Y); mirrors flip it along an axis.
+ *
+ * Grids hold one state per cell, x-major, then y, then z (as renderer.readCells()).
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import { decodeRuns, encodeRuns } from "./patternFile.js";
+
+/**
+ * @typedef {Object} CellBox
+ * @property {[number, number, number]} min
+ * @property {[number, number, number]} max Inclusive.
+ */
+
+/**
+ * @typedef {Object} Clipboard
+ * @property {[number, number, number]} size
+ * @property {number[]} runs [count, state, ...] pairs over the box (see encodeRuns).
+ */
+
+/**
+ * The smallest box holding two cells.
+ *
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {CellBox}
+ */
+export function boxAround(a, b) {
+  const min = /** @type {[number, number, number]} */ ([0, 1, 2].map((i) => Math.min(a[i], b[i])));
+  const max = /** @type {[number, number, number]} */ ([0, 1, 2].map((i) => Math.max(a[i], b[i])));
+  return { min, max };
+}
+
+/**
+ * @param {CellBox} box
+ * @returns {[number, number, number]}
+ */
+export function boxSize({ min, max }) {
+  return [max[0] - min[0] + 1, max[1] - min[1] + 1, max[2] - min[2] + 1];
+}
+
+/**
+ * Whether a box lies entirely inside a grid.
+ *
+ * @param {CellBox} box
+ * @param {ArrayLike<number>} dims
+ * @returns {boolean}
+ */
+export function boxFits({ min, max }, dims) {
+  return [0, 1, 2].every((i) => min[i] >= 0 && max[i] < dims[i] && min[i] <= max[i]);
+}
+
+/**
+ * Copy a box of a grid to a clipboard.
+ *
+ * @param {ArrayLike<number>} cells
+ * @param {ArrayLike<number>} dims
+ * @param {CellBox} box must fit the grid (see boxFits)
+ * @returns {Clipboard}
+ */
+export function copyBox(cells, dims, box) {
+  const size = boxSize(box);
+  const out = new Uint8Array(size[0] * size[1] * size[2]);
+  let o = 0;
+  for (let z = box.min[2]; z <= box.max[2]; z++) {
+    for (let y = box.min[1]; y <= box.max[1]; y++) {
+      const row = box.min[0] + (y + z * dims[1]) * dims[0];
+      for (let x = 0; x < size[0]; x++) out[o++] = cells[row + x];
+    }
+  }
+  return { size, runs: encodeRuns(out) };
+}
+
+/**
+ * Decode a clipboard's cells (x-major, then y, then z within its box).
+ *
+ * @param {Clipboard} clip
+ * @returns {Uint8Array}
+ */
+export function clipboardCells({ size, runs }) {
+  return decodeRuns(runs, size[0] * size[1] * size[2]);
+}
+
+/**
+ * Rebuild a clipboard with each cell moved by `place` (source cell -> target cell).
+ *
+ * @param {Clipboard} clip
+ * @param {[number, number, number]} size target box size
+ * @param {(c: number[]) => number[]} place
+ * @returns {Clipboard}
+ */
+function remapClipboard(clip, size, place) {
+  const src = clipboardCells(clip);
+  const out = new Uint8Array(src.length);
+  const [sx, sy] = clip.size;
+  for (let i = 0; i < src.length; i++) {
+    if (src[i] === 0) continue;
+    const t = place([i % sx, Math.floor(i / sx) % sy, Math.floor(i / (sx * sy))]);
+    out[t[0] + (t[1] + t[2] * size[1]) * size[0]] = src[i];
+  }
+  return { size, runs: encodeRuns(out) };
+}
+
+/**
+ * Turn a clipboard a quarter turn about `axis` (0..2 for X, Y, Z).
+ *
+ * @param {Clipboard} clip
+ * @param {number} axis
+ * @returns {Clipboard}
+ */
+export function rotateClipboard(clip, axis) {
+  // The two other axes in right-handed order: p turns toward q.
+  const p = (axis + 1) % 3;
+  const q = (axis + 2) % 3;
+  const size = /** @type {[number, number, number]} */ (clip.size.slice());
+  size[p] = clip.size[q];
+  size[q] = clip.size[p];
+  return remapClipboard(clip, size, (c) => {
+    const t = c.slice();
+    t[p] = clip.size[q] - 1 - c[q];
+    t[q] = c[p];
+    return t;
+  });
+}
+
+/**
+ * Flip a clipboard along `axis` (0..2 for X, Y, Z).
+ *
+ * @param {Clipboard} clip
+ * @param {number} axis
+ * @returns {Clipboard}
+ */
+export function mirrorClipboard(clip, axis) {
+  return remapClipboard(clip, clip.size, (c) => {
+    const t = c.slice();
+    t[axis] = clip.size[axis] - 1 - c[axis];
+    return t;
+  });
+}
+
+/**
+ * Kill every cell in a box of a grid.
+ *
+ * @param {Uint8Array} cells
+ * @param {ArrayLike<number>} dims
+ * @param {CellBox} box must fit the grid (see boxFits)
+ */
+export function clearBox(cells, dims, box) {
+  for (let z = box.min[2]; z <= box.max[2]; z++) {
+    for (let y = box.min[1]; y <= box.max[1]; y++) {
+      const row = (y + z * dims[1]) * dims[0];
+      cells.fill(0, row + box.min[0], row + box.max[0] + 1);
+    }
+  }
+}
+
+/**
+ * Write a clipboard into a grid with its min corner at `at`, replacing every cell of its
+ * box (dead ones too). Parts outside the grid are dropped.
+ *
+ * @param {Uint8Array} cells
+ * @param {ArrayLike<number>} dims
+ * @param {Clipboard} clip
+ * @param {ArrayLike<number>} at may lie partly outside the grid
+ * @returns {CellBox | null} the part of the grid written, or null if none
+ */
+export function pasteClipboard(cells, dims, clip, at) {
+  const { size } = clip;
+  const min = /** @type {[number, number, number]} */ ([0, 1, 2].map((i) => Math.max(0, at[i])));
+  const max = /** @type {[number, number, number]} */ (
+    [0, 1, 2].map((i) => Math.min(dims[i], at[i] + size[i]) - 1)
+  );
+  if (![0, 1, 2].every((i) => min[i] <= max[i])) return null;
+
+  const src = clipboardCells(clip);
+  for (let z = min[2]; z <= max[2]; z++) {
+    for (let y = min[1]; y <= max[1]; y++) {
+      const from = min[0] - at[0] + (y - at[1] + (z - at[2]) * size[1]) * size[0];
+      const to = min[0] + (y + z * dims[1]) * dims[0];
+      cells.set(src.subarray(from, from + max[0] - min[0] + 1), to);
+    }
+  }
+  return { min, max };
+}
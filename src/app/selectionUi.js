@@ -0,0 +1,283 @@
+/**
+ * Box selection UI controller.
+ *
+ * With Edit cells set to Select, a click or tap on the 3D view (see OrbitControls) picks the
+ * first live cell under the pointer (see WebGPURenderer.pickCellAt): a click starts a
+ * one-cell selection there, Shift+click grows the box from its first cell to the clicked one,
+ * and a click that hits no cell clears it. The box is outlined in the 3D view
+ * (renderer.setSelectionBox).
+ *
+ * Copy, cut and paste go through a clipboard of run-length encoded cells (see selection.js)
+ * that can be turned a quarter turn or mirrored about any axis. Paste writes the whole box,
+ * dead cells too, at the selection's min corner (or centered in the grid with no selection)
+ * and selects the pasted cells. Crop to selection shrinks the grid to the box. Edits stop
+ * the run first and keep the generation counter; all but Crop keep the Step back history.
+ *
+ * This module is intentionally deterministic and does not register any event listeners.
+ */
+
+import { MIN_GRID_EDGE } from "./gridDims.js";
+import {
+  boxAround,
+  boxFits,
+  clearBox,
+  copyBox,
+  mirrorClipboard,
+  pasteClipboard,
+  rotateClipboard,
+} from "./selection.js";
+
+const AXIS_NAMES = Object.freeze(["x", "y", "z"]);
+
+/**
+ * @typedef {Object} SelectionControllerDeps
+ * @property {HTMLSelectElement | null} editModeSelect
+ * @property {HTMLSelectElement | null} clipboardAxisSelect
+ * @property {{ sim: { generation: number, population: number, populationGeneration: number } }} state
+ * @property {any} renderer
+ * @property {{ openCells: (dims: [number, number, number], cells: Uint8Array) => Promise<boolean> }} patternUi
+ * @property {() => void} stopPlaying
+ * @property {() => Promise<void>} waitForIdle
+ * @property {(force?: boolean) => void} requestRender
+ * @property {() => void} updateStats
+ * @property {() => void} clearStickyError
+ * @property {{
+ *   show: (args: { kind: "info" | "warn" | "error" | "success", message: string }) => void,
+ * }} toast
+ * @property {any} uiMsg
+ * @property {(msg: any, err?: any) => void} error
+ * @property {any} logMsg
+ */
+
+/**
+ * @param {SelectionControllerDeps} deps
+ */
+export function createSelectionController(deps) {
+  const {
+    editModeSelect,
+    clipboardAxisSelect,
+    state,
+    renderer,
+    patternUi,
+    stopPlaying,
+    waitForIdle,
+    requestRender,
+    updateStats,
+    clearStickyError,
+    toast,
+    uiMsg,
+    error,
+    logMsg,
+  } = deps;
+
+  /** @type {import("./selection.js").CellBox | null} */
+  let box = null;
+  /** @type {number[] | null} the first cell picked, which Shift+click grows the box from */
+  let anchor = null;
+  /** @type {import("./selection.js").Clipboard | null} */
+  let clipboard = null;
+
+  // Clicks and actions arriving while another one is in flight are dropped.
+  let busy = false;
+
+  /** @returns {boolean} whether canvas clicks select cells */
+  function isSelecting() {
+    return editModeSelect?.value === "select";
+  }
+
+  function hasSelection() {
+    return !!box;
+  }
+
+  function hasClipboard() {
+    return !!clipboard;
+  }
+
+  /** @param {import("./selection.js").CellBox | null} next */
+  function setBox(next) {
+    box = next;
+    renderer.setSelectionBox(box);
+    requestRender(true);
+  }
+
+  function info(message) {
+    toast.show({ kind: "info", message });
+  }
+
+  /**
+   * Run `task` with the simulation stopped, one at a time; failures are reported.
+   *
+   * @param {() => Promise<void>} task
+   */
+  async function run(task) {
+    if (busy) return;
+    busy = true;
+    try {
+      stopPlaying();
+      await waitForIdle();
+      await task();
+    } catch (e) {
+      error(logMsg.SELECTION_FAILED, e);
+      toast.show({ kind: "error", message: uiMsg.selection.failed(e?.message || String(e)) });
+    } finally {
+      busy = false;
+    }
+  }
+
+  /**
+   * Write edited cells back to the grid, keeping the generation and history.
+   *
+   * @param {Uint8Array} cells
+   */
+  async function writeCells(cells) {
+    await renderer.loadCells(cells, { generation: renderer.generation, keepHistory: true });
+    state.sim.population = renderer.population;
+    state.sim.populationGeneration = state.sim.generation;
+    updateStats();
+    clearStickyError();
+    requestRender(true);
+  }
+
+  /** @returns {number} the axis chosen for Rotate and Mirror (0..2) */
+  function chosenAxis() {
+    return Math.max(0, AXIS_NAMES.indexOf(String(clipboardAxisSelect?.value)));
+  }
+
+  /**
+   * Select the cell under a canvas point (Shift grows the selection to it).
+   *
+   * @param {number} x CSS pixels from the canvas' left edge
+   * @param {number} y CSS pixels from the canvas' top edge
+   * @param {{ shiftKey?: boolean }} [mods]
+   */
+  async function handleCanvasClick(x, y, mods = {}) {
+    if (!isSelecting()) return;
+    await run(async () => {
+      const cell = await renderer.pickCellAt(x, y);
+      if (!cell) {
+        anchor = null;
+        setBox(null);
+      } else if (mods.shiftKey && anchor) {
+        setBox(boxAround(anchor, cell));
+      } else {
+        anchor = cell;
+        setBox(boxAround(cell, cell));
+      }
+    });
+  }
+
+  /**
+   * @param {boolean} cut whether to kill the copied cells
+   */
+  async function copySelection(cut) {
+    if (!box) {
+      info(uiMsg.selection.none);
+      return;
+    }
+    await run(async () => {
+      const selected = /** @type {NonNullable<typeof box>} */ (box);
+      const { cells, dims } = await renderer.readCells();
+      clipboard = copyBox(cells, dims, selected);
+      if (cut) {
+        clearBox(cells, dims, selected);
+        await writeCells(cells);
+      }
+      info((cut ? uiMsg.selection.cut : uiMsg.selection.copied)(clipboard.size));
+    });
+  }
+
+  function handleCopy() {
+    return copySelection(false);
+  }
+
+  function handleCut() {
+    return copySelection(true);
+  }
+
+  async function handlePaste() {
+    if (!clipboard) {
+      info(uiMsg.selection.clipboardEmpty);
+      return;
+    }
+    await run(async () => {
+      const clip = /** @type {NonNullable<typeof clipboard>} */ (clipboard);
+      const { cells, dims } = await renderer.readCells();
+      const at = box ? box.min : dims.map((d, i) => Math.floor((d - clip.size[i]) / 2));
+      const pasted = pasteClipboard(cells, dims, clip, at);
+      if (!pasted) {
+        info(uiMsg.selection.pasteOutside);
+        return;
+      }
+      await writeCells(cells);
+      anchor = pasted.min;
+      setBox(pasted);
+    });
+  }
+
+  /** @param {number} [axis] 0..2; defaults to the Clipboard axis select */
+  function handleRotate(axis = chosenAxis()) {
+    if (!clipboard) {
+      info(uiMsg.selection.clipboardEmpty);
+      return;
+    }
+    clipboard = rotateClipboard(clipboard, axis);
+    info(uiMsg.selection.clipboard(clipboard.size));
+  }
+
+  /** @param {number} [axis] 0..2; defaults to the Clipboard axis select */
+  function handleMirror(axis = chosenAxis()) {
+    if (!clipboard) {
+      info(uiMsg.selection.clipboardEmpty);
+      return;
+    }
+    clipboard = mirrorClipboard(clipboard, axis);
+    info(uiMsg.selection.clipboard(clipboard.size));
+  }
+
+  /**
+   * Shrink the grid to the selection (axes shorter than MIN_GRID_EDGE keep the box centered).
+   * The rule, boundaries and generation are kept; the history is cleared with the resize.
+   */
+  async function handleCrop() {
+    if (!box) {
+      info(uiMsg.selection.none);
+      return;
+    }
+    await run(async () => {
+      const { cells, dims } = await renderer.readCells();
+      const clip = copyBox(cells, dims, /** @type {NonNullable<typeof box>} */ (box));
+      const size = clip.size;
+      const nextDims = /** @type {[number, number, number]} */ (
+        size.map((s) => Math.max(s, MIN_GRID_EDGE))
+      );
+      const at = nextDims.map((d, i) => Math.floor((d - size[i]) / 2));
+      const next = new Uint8Array(nextDims[0] * nextDims[1] * nextDims[2]);
+      const placed = pasteClipboard(next, nextDims, clip, at);
+      if (!(await patternUi.openCells(nextDims, next))) return;
+      anchor = placed ? placed.min : null;
+      setBox(placed);
+    });
+  }
+
+  /** Drop a selection that no longer fits the grid (after a resize). */
+  function handleSimChanged() {
+    if (box && !boxFits(box, renderer.gridDims)) {
+      anchor = null;
+      setBox(null);
+    }
+  }
+
+  return {
+    isSelecting,
+    hasSelection,
+    hasClipboard,
+    handleCanvasClick,
+    handleCopy,
+    handleCut,
+    handlePaste,
+    handleRotate,
+    handleMirror,
+    handleCrop,
+    handleSimChanged,
+  };
+}
@@ -0,0 +1,593 @@
+/**
+ * File format round-trip checks (debug-only, CPU).
+ *
+ * Run by the Self-test button ahead of the GPU cases (see selfTestSuite.js). Each check writes
+ * a small fixed grid through one of the pattern formats, reads it back and compares the live
+ * cells, so a writer and its reader cannot drift apart silently. The selection clipboard's
+ * copy, paste, rotate and mirror are checked the same way. Checks without a writer (rule
+ * notation, mesh import and export, image import, slice tools, clipping box) compare against results worked out by hand.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import { buildHeightmap, buildSliceStack, imageImportSize, rgbaToLuma } from "../imageImport.js";
+import { buildCellMesh, encodeObj, encodeStl } from "../meshExport.js";
+import { parseMeshFile, voxelizeMesh } from "../meshImport.js";
+import {
+  clampClipBox,
+  clipsAnything,
+  dragClipFace,
+  fullClipBox,
+  grabClipFace,
+  moveClipFace,
+} from "../clipPlanes.js";
+import { decodePattern, encodePattern } from "../patternFile.js";
+import { formatRle3, parseRle3 } from "../rle3.js";
+import { formatRuleNotation, parseRuleNotation } from "../ruleNotation.js";
+import {
+  clipboardCells,
+  copyBox,
+  mirrorClipboard,
+  pasteClipboard,
+  rotateClipboard,
+} from "../selection.js";
+import { fillCells, lineCells, paintCells, rectCells } from "../sliceTools.js";
+import { decodeUrlPattern, encodeUrlPattern, placeUrlPattern } from "../urlPattern.js";
+import { decodeVox, encodeVox } from "../vox.js";
+
+/** 2-state Moore rule in share-URL keys, as the format modules take it. */
+const RULE = Object.freeze({ survive: "4-5", birth: "5", states: "2", neighborhood: "moore" });
+
+/**
+ * A grid with the given cells set to `state` (default 1).
+ *
+ * @param {[number, number, number]} dims
+ * @param {Array<[number, number, number] | [number, number, number, number]>} cells
+ *   (x, y, z[, state])
+ * @returns {Uint8Array}
+ */
+function gridWith(dims, cells) {
+  const out = new Uint8Array(dims[0] * dims[1] * dims[2]);
+  for (const [x, y, z, state = 1] of cells) out[x + (y + z * dims[1]) * dims[0]] = state;
+  return out;
+}
+
+/**
+ * "x,y,z=state" for every non-dead cell, relative to `origin`, sorted.
+ *
+ * @param {ArrayLike<number>} cells
+ * @param {ArrayLike<number>} dims
+ * @param {ArrayLike<number>} [origin]
+ * @returns {string}
+ */
+function describeCells(cells, dims, origin = [0, 0, 0]) {
+  const out = [];
+  for (let i = 0; i < cells.length; i++) {
+    if (!cells[i]) continue;
+    const x = i % dims[0];
+    const y = Math.floor(i / dims[0]) % dims[1];
+    const z = Math.floor(i / (dims[0] * dims[1]));
+    out.push(`${x - origin[0]},${y - origin[1]},${z - origin[2]}=${cells[i]}`);
+  }
+  return out.sort().join(" ");
+}
+
+/**
+ * @param {string} what
+ * @param {string} got
+ * @param {string} want
+ * @returns {string | null} a mismatch description, or null when equal
+ */
+function compare(what, got, want) {
+  return got === want ? null : `${what}: got [${got}], want [${want}]`;
+}
+
+/**
+ * A parsed rule notation as "B<birth>/S<survive>/C<states>/<neighborhood>" ("-" when absent).
+ *
+ * @param {import("../ruleNotation.js").ParsedRuleNotation} rule
+ * @returns {string}
+ */
+function describeRule({ survive, birth, states, neighborhood }) {
+  const ranges = (r) => r.map(([lo, hi]) => (lo === hi ? lo : `${lo}-${hi}`)).join(",");
+  return `B${ranges(birth)}/S${ranges(survive)}/C${states ?? "-"}/${neighborhood ?? "-"}`;
+}
+
+/** Unit cube as OBJ quads, wound counter-clockwise seen from outside. */
+const CUBE_OBJ = [
+  "v 0 0 0",
+  "v 1 0 0",
+  "v 1 1 0",
+  "v 0 1 0",
+  "v 0 0 1",
+  "v 1 0 1",
+  "v 1 1 1",
+  "v 0 1 1",
+  "f 1 4 3 2",
+  "f 5 6 7 8",
+  "f 1 2 6 5",
+  "f 4 8 7 3",
+  "f 1 5 8 4",
+  "f 2 3 7 6",
+].join("\n");
+
+/**
+ * Binary STL bytes for triangle positions, with zero normals (readers fall back to the
+ * winding order).
+ *
+ * @param {ArrayLike<number>} positions 9 per triangle
+ * @returns {Uint8Array}
+ */
+function binaryStl(positions) {
+  const count = positions.length / 9;
+  const out = new Uint8Array(84 + count * 50);
+  const view = new DataView(out.buffer);
+  view.setUint32(80, count, true);
+  for (let t = 0; t < count; t++) {
+    for (let k = 0; k < 9; k++) view.setFloat32(84 + t * 50 + 12 + k * 4, positions[t * 9 + k], true);
+  }
+  return out;
+}
+
+/**
+ * Directed edges (a, b) of a set of polygons without a matching (b, a): 0 for a closed,
+ * consistently wound surface.
+ *
+ * @param {Iterable<string[]>} polygons vertex keys per polygon, in winding order
+ * @returns {number}
+ */
+function unpairedEdges(polygons) {
+  const open = new Map();
+  for (const poly of polygons) {
+    for (let k = 0; k < poly.length; k++) {
+      const a = poly[k];
+      const b = poly[(k + 1) % poly.length];
+      const back = `${b} ${a}`;
+      if (open.get(back)) {
+        open.set(back, open.get(back) - 1);
+      } else {
+        open.set(`${a} ${b}`, (open.get(`${a} ${b}`) || 0) + 1);
+      }
+    }
+  }
+  let n = 0;
+  for (const count of open.values()) n += count;
+  return n;
+}
+
+/**
+ * @param {Uint8Array} stl binary STL
+ * @returns {Generator<string[]>} triangle corners as "x,y,z" keys
+ */
+function* stlTriangles(stl) {
+  const view = new DataView(stl.buffer, stl.byteOffset, stl.byteLength);
+  const count = view.getUint32(80, true);
+  for (let t = 0; t < count; t++) {
+    const o = 84 + t * 50 + 12;
+    yield [0, 1, 2].map((k) => [0, 1, 2].map((a) => view.getFloat32(o + k * 12 + a * 4, true)).join(","));
+  }
+}
+
+/**
+ * @param {string} obj OBJ text
+ * @returns {Generator<string[]>} face corners as vertex indices
+ */
+function* objFaces(obj) {
+  for (const line of obj.split("\n")) {
+    if (line.startsWith("f ")) yield line.slice(2).split(" ").map((ref) => ref.split("/")[0]);
+  }
+}
+
+/**
+ * @param {ArrayLike<number>} cells
+ * @returns {number} non-dead cells
+ */
+function countCells(cells) {
+  let n = 0;
+  for (let i = 0; i < cells.length; i++) if (cells[i]) n++;
+  return n;
+}
+
+/**
+ * @param {string} what
+ * @param {() => unknown} run
+ * @returns {string | null} a mismatch description, or null when `run` threw
+ */
+function rejects(what, run) {
+  try {
+    run();
+  } catch {
+    return null;
+  }
+  return `${what} was accepted`;
+}
+
+/**
+ * @typedef {Object} FormatCheck
+ * @property {string} name
+ * @property {() => string | null} run returns a mismatch description, or null when it passed
+ */
+
+/** @type {FormatCheck[]} */
+const CHECKS = [
+  {
+    // Every state is kept, including a live first cell and a trailing dead run.
+    name: ".g3dl round-trip",
+    run() {
+      const dims = /** @type {[number, number, number]} */ ([5, 4, 3]);
+      const cells = gridWith(dims, [
+        [0, 0, 0],
+        [1, 0, 0],
+        [2, 0, 0, 3],
+        [4, 3, 1, 2],
+        [0, 1, 2, 5],
+      ]);
+      const rule = { ...RULE, states: "6" };
+      const text = encodePattern({ dims, rule, edges: "wrap,wrap,dead", generation: 12, cells });
+      const parsed = decodePattern(text);
+      return (
+        compare("cells", describeCells(parsed.cells, parsed.dims), describeCells(cells, dims)) ||
+        compare("dims", parsed.dims.join("x"), dims.join("x")) ||
+        compare("rule", JSON.stringify(parsed.rule), JSON.stringify(rule)) ||
+        compare("edges", parsed.edges, "wrap,wrap,dead") ||
+        compare("generation", String(parsed.generation), "12")
+      );
+    },
+  },
+  {
+    // Layers whose first live cell is below row 0 (row ends right after a layer end).
+    name: ".rle3 round-trip",
+    run() {
+      const dims = /** @type {[number, number, number]} */ ([7, 6, 5]);
+      const cells = gridWith(dims, [
+        [1, 2, 1],
+        [3, 1, 2],
+        [2, 3, 2],
+        [4, 4, 4],
+        [5, 4, 4],
+      ]);
+      const parsed = parseRle3(formatRle3({ cells, dims, rule: RULE, generation: 7 }));
+      const huge = "3D\nx = 1000, y = 1000, z = 1000\n!";
+      return (
+        compare("cells", describeCells(parsed.cells, parsed.size), describeCells(cells, dims, [1, 1, 1])) ||
+        compare("generation", String(parsed.generation), "7") ||
+        rejects("oversized header", () => parseRle3(huge, { maxCells: 1 << 24 }))
+      );
+    },
+  },
+  {
+    // Multi-byte varints (generation, a long dead run) and placement back at the saved offset.
+    name: "pattern= round-trip",
+    run() {
+      const dims = /** @type {[number, number, number]} */ ([40, 30, 20]);
+      const cells = gridWith(dims, [
+        [3, 2, 1, 2],
+        [4, 2, 1],
+        [35, 28, 17],
+        [10, 15, 9, 7],
+      ]);
+      const decoded = decodeUrlPattern(encodeUrlPattern({ cells, dims, generation: 3_000_000 }));
+      const placed = placeUrlPattern(decoded, dims);
+      if (!placed) return "pattern did not fit its own grid";
+      return (
+        compare("cells", describeCells(placed, dims), describeCells(cells, dims)) ||
+        compare("offset", decoded.offset.join(","), "3,2,1") ||
+        compare("generation", String(decoded.generation), "3000000")
+      );
+    },
+  },
+  {
+    // Every accepted notation, the Moore/von Neumann bounds and canonical re-parsing.
+    name: "rule notation",
+    run() {
+      const accepted = [
+        ["S4-5/B5", "B5/S4-5/C-/-"],
+        ["b5/s45", "B5/S4-5/C-/-"],
+        ["45/5", "B5/S4-5/C-/-"],
+        ["4555", "B5/S4-5/C-/-"],
+        ["S10-12,14/B13,14", "B13-14/S10-12,14/C-/-"],
+        ["S10-12,14/B13", "B1,3/S10-12,14/C-/-"],
+        ["B4/S4/5", "B4/S4/C5/-"],
+        ["4/4/G5", "B4/S4/C5/-"],
+        ["4/4/5/M", "B4/S4/C5/moore"],
+        ["B4/S2-3/C5/N", "B4/S2-3/C5/vonneumann"],
+      ];
+      for (const [text, want] of accepted) {
+        const parsed = parseRuleNotation(text);
+        if (parsed.hasError) return `"${text}" was rejected`;
+        // The canonical form has no neighborhood field.
+        const reparsed = parseRuleNotation(formatRuleNotation(parsed));
+        const mismatch =
+          compare(`"${text}"`, describeRule(parsed), want) ||
+          compare(`"${text}" re-parsed`, describeRule({ ...reparsed, neighborhood: parsed.neighborhood }), want);
+        if (mismatch) return mismatch;
+      }
+
+      const rejected = ["S5/S5", "B5", "5/", "4/4/5/X", "4/4//M", "B7/S4/5/N", "5445", "4/4/1", "S4,27/B5"];
+      for (const text of rejected) {
+        if (!parseRuleNotation(text).hasError) return `"${text}" was accepted`;
+      }
+      const blank = parseRuleNotation("  ");
+      return (
+        compare("blank", `${blank.hasError},${blank.isNonEmpty}`, "false,false") ||
+        compare("von Neumann bound", String(parseRuleNotation("S7/B2", { max: 6 }).hasError), "true") ||
+        compare("canonical", formatRuleNotation({ survive: [[4, 5]], birth: [[5, 5]], states: 2 }), "B5/S4-5")
+      );
+    },
+  },
+  {
+    // Copy then paste elsewhere, four quarter turns and two flips about each axis give the
+    // box back, and one turn about Z maps (x, y) to (size y - 1 - y, x).
+    name: "selection clipboard",
+    run() {
+      const dims = /** @type {[number, number, number]} */ ([9, 8, 7]);
+      const cells = gridWith(dims, [
+        [2, 1, 1],
+        [4, 1, 1, 3],
+        [2, 3, 2],
+        [3, 3, 4, 2],
+      ]);
+      const clip = copyBox(cells, dims, { min: [2, 1, 1], max: [4, 3, 4] });
+      const box = describeCells(clipboardCells(clip), clip.size);
+
+      const pasted = new Uint8Array(cells.length);
+      pasteClipboard(pasted, dims, clip, [4, 4, 2]);
+      const paste = compare("paste", describeCells(pasted, dims, [4, 4, 2]), box);
+      if (paste) return paste;
+
+      for (let axis = 0; axis < 3; axis++) {
+        let turned = clip;
+        for (let i = 0; i < 4; i++) turned = rotateClipboard(turned, axis);
+        const flipped = mirrorClipboard(mirrorClipboard(clip, axis), axis);
+        const mismatch =
+          compare(`4 turns about axis ${axis}`, describeCells(clipboardCells(turned), turned.size), box) ||
+          compare(`2 flips along axis ${axis}`, describeCells(clipboardCells(flipped), flipped.size), box);
+        if (mismatch) return mismatch;
+      }
+
+      const one = copyBox(gridWith([2, 3, 1], [[1, 0, 0]]), [2, 3, 1], { min: [0, 0, 0], max: [1, 2, 0] });
+      const turned = rotateClipboard(one, 2);
+      return (
+        compare("turned size", turned.size.join("x"), "3x2x1") ||
+        compare("turned cell", describeCells(clipboardCells(turned), turned.size), "2,1,0=1")
+      );
+    },
+  },
+  {
+    // A cube fills n^3 cells, or n^3 - (n - 2)^3 as a shell; a 2:1:1 box from a binary STL
+    // (winding-order normals) keeps its aspect.
+    name: "mesh voxelization",
+    run() {
+      const cube = parseMeshFile(new TextEncoder().encode(CUBE_OBJ), "cube.obj");
+      for (const n of [4, 5, 8]) {
+        const solid = voxelizeMesh(cube, { size: n });
+        const shell = voxelizeMesh(cube, { size: n, surfaceOnly: true });
+        const mismatch =
+          compare(`cube ${n} size`, solid.size.join("x"), `${n}x${n}x${n}`) ||
+          compare(`cube ${n} cells`, String(countCells(solid.cells)), String(n ** 3)) ||
+          compare(`cube ${n} shell`, String(countCells(shell.cells)), String(n ** 3 - (n - 2) ** 3));
+        if (mismatch) return mismatch;
+      }
+
+      const stretched = Float32Array.from(cube.positions, (v, i) => (i % 3 === 0 ? v * 2 : v));
+      const box = voxelizeMesh(parseMeshFile(binaryStl(stretched), "box.stl"), { size: 8 });
+      return (
+        compare("box size", box.size.join("x"), "8x4x4") ||
+        compare("box cells", String(countCells(box.cells)), "128")
+      );
+    },
+  },
+  {
+    // Column heights scale with brightness above the threshold; slices stand upright.
+    name: "image import",
+    run() {
+      const image = { width: 3, height: 2, luma: Uint8Array.from([0, 127, 128, 200, 255, 130]) };
+      const map = buildHeightmap(image, { threshold: 128, height: 4 });
+      const [w, h] = map.size;
+      const heights = [];
+      for (let z = 0; z < map.size[2]; z++) {
+        for (let x = 0; x < w; x++) {
+          let top = 0;
+          while (top < h && map.cells[x + (top + z * h) * w]) top++;
+          heights.push(top);
+        }
+      }
+      const mismatch =
+        compare("heightmap size", map.size.join("x"), "3x4x2") ||
+        compare("column heights", heights.join(","), "0,0,1,3,4,1") ||
+        compare("heightmap cells", String(countCells(map.cells)), "9");
+      if (mismatch) return mismatch;
+
+      // Slice rows run down the Y axis: the top image row is the highest y.
+      const slices = [Uint8Array.from([255, 0, 0, 0]), Uint8Array.from([0, 0, 0, 255])];
+      const stack = buildSliceStack(
+        slices.map((luma) => ({ width: 2, height: 2, luma })),
+        { threshold: 128 },
+      );
+      // Opaque white and transparent white; a 1000x500 image scaled for 10 layers.
+      const luma = rgbaToLuma(Uint8Array.from([255, 255, 255, 255, 255, 255, 255, 0]));
+      const limits = { maxEdge: 256, maxCells: 1 << 20 };
+      const scaled = imageImportSize(1000, 500, 10, limits);
+      return (
+        compare("stack", describeCells(stack.cells, stack.size), "0,1,0=1 1,0,1=1") ||
+        compare("luma", Array.from(luma).join(","), "255,0") ||
+        compare("scaled size", `${scaled.width}x${scaled.height}`, "256x128") ||
+        rejects("too many layers", () => imageImportSize(10, 10, 300, limits))
+      );
+    },
+  },
+  {
+    // Line, rectangle and fill cells on a 5x4 layer, clipped to it, and painting them.
+    name: "slice tools",
+    run() {
+      const w = 5;
+      const xy = (indices) => indices.map((i) => `${i % w},${Math.floor(i / w)}`).sort().join(" ");
+      const layer = Uint8Array.from([
+        0, 0, 1, 0, 0,
+        0, 0, 1, 0, 0,
+        1, 1, 1, 0, 0,
+        0, 0, 0, 0, 2,
+      ]);
+      const mismatch =
+        compare("line", xy(lineCells(w, 4, 0, 0, 4, 2)), "0,0 1,1 2,1 3,2 4,2") ||
+        compare("clipped line", xy(lineCells(w, 4, -2, 0, 2, 0)), "0,0 1,0 2,0") ||
+        compare("rect", xy(rectCells(w, 4, 3, 3, 1, 0)), "1,0 1,1 1,2 1,3 2,0 2,3 3,0 3,1 3,2 3,3") ||
+        compare("column rect", xy(rectCells(w, 4, 2, 0, 2, 3)), "2,0 2,1 2,2 2,3") ||
+        compare("clipped rect", String(rectCells(w, 4, -1, -1, 10, 10).length), "14") ||
+        compare("fill dead", xy(fillCells(layer, w, 4, 0, 0)), "0,0 0,1 1,0 1,1") ||
+        compare("fill live", xy(fillCells(layer, w, 4, 2, 0)), "0,2 1,2 2,0 2,1 2,2") ||
+        compare("fill dying", xy(fillCells(layer, w, 4, 4, 3)), "4,3") ||
+        compare("fill around", String(fillCells(layer, w, 4, 3, 0).length), "10") ||
+        compare("fill outside", String(fillCells(layer, w, 4, 5, 0).length), "0");
+      if (mismatch) return mismatch;
+
+      const wall = fillCells(layer, w, 4, 2, 0);
+      return (
+        compare("painted", String(paintCells(layer, wall, 0)), "5") ||
+        compare("repainted", String(paintCells(layer, wall, 0)), "0") ||
+        compare("layer after", String(countCells(layer)), "1")
+      );
+    },
+  },
+  {
+    // Face moves keep the box inside the grid and at least one cell thick; rays grab the
+    // face they enter through and drag it to the plane nearest the pointer.
+    name: "clipping box",
+    run() {
+      const dims = /** @type {[number, number, number]} */ ([4, 5, 6]);
+      const boxText = ({ min, max }) => `${min.join(",")}..${max.join(",")}`;
+      const full = fullClipBox(dims);
+      let mismatch =
+        compare("full", boxText(full), "0,0,0..3,4,5") ||
+        compare("full clips", String(clipsAnything(full, dims)), "false") ||
+        compare("clamped", boxText(clampClipBox({ min: [-2, 1, 9], max: [9, 0, 9] }, dims)), "0,1,5..3,1,5") ||
+        compare("moved min", boxText(moveClipFace(full, dims, 0, 0, 2.4)), "2,0,0..3,4,5") ||
+        compare("moved max", boxText(moveClipFace(full, dims, 2, 1, 3.6)), "0,0,0..3,4,3") ||
+        compare("clips", String(clipsAnything(moveClipFace(full, dims, 1, 1, 4), dims)), "true");
+      if (mismatch) return mismatch;
+
+      let box = full;
+      for (const position of [-3, 9, 2, 2, 0, 7, 1, 5]) {
+        for (let axis = 0; axis < 3; axis++) {
+          for (let side = 0; side < 2; side++) {
+            box = moveClipFace(box, dims, axis, side, position + axis - side);
+            const { min, max } = box;
+            const inside = [0, 1, 2].every((a) => min[a] >= 0 && min[a] <= max[a] && max[a] < dims[a]);
+            if (!inside) return `box ${boxText(box)} left the ${dims.join("x")} grid`;
+          }
+        }
+      }
+
+      const grab = grabClipFace(full, { origin: [-5, 2.5, 3], dir: [1, 0, 0] });
+      const back = grabClipFace(full, { origin: [10, 2.5, 3], dir: [-1, 0, 0] });
+      mismatch =
+        compare("grab", JSON.stringify(grab), '{"axis":0,"side":0,"point":[0,2.5,3]}') ||
+        compare("grab back", JSON.stringify(back), '{"axis":0,"side":1,"point":[4,2.5,3]}') ||
+        compare("grab inside", String(grabClipFace(full, { origin: [1, 1, 1], dir: [1, 0, 0] })), "null") ||
+        compare("grab miss", String(grabClipFace(full, { origin: [-5, 9, 3], dir: [1, 0, 0] })), "null");
+      if (mismatch || !grab) return mismatch;
+      return (
+        compare("drag", String(dragClipFace(grab, { origin: [2, 2.5, -10], dir: [0, 0, 1] })), "2") ||
+        compare("drag along axis", String(dragClipFace(grab, { origin: [0, 0, 0], dir: [1, 0, 0] })), "null")
+      );
+    },
+  },
+  {
+    // Exported meshes are closed: every edge is walked once each way, in the STL triangles
+    // and through the OBJ's shared vertices, with and without merged faces (whose edges meet
+    // smaller faces and other colors) and for the separate cubes of the cell gap.
+    name: "mesh export",
+    run() {
+      const live = [];
+      for (let z = 0; z < 5; z++) {
+        for (let y = 0; y < 5; y++) {
+          for (let x = 0; x < 5; x++) {
+            if ((x * 7 + y * 3 + z * 5) % 4 === 0) continue;
+            const decay = x === 2 && z === 3 ? 1 : 0;
+            live.push((x + 2) | ((y + 1) << 10) | ((z + 3) << 20) | (decay << 30));
+          }
+        }
+      }
+      const cells = Uint32Array.from(live);
+      for (const [merge, gap] of [[false, false], [true, false], [false, true]]) {
+        const colors = { colorTop: "#ffffff", colorBottom: "#000000" };
+        const mesh = buildCellMesh(cells, [9, 8, 10], { merge, gap, ...colors });
+        const { obj } = encodeObj(mesh, "mesh.mtl");
+        const vertices = obj.split("\n").filter((line) => line.startsWith("v ")).length;
+        const what = `${merge ? "merged" : "unmerged"}${gap ? " with gap" : ""}`;
+        const mismatch =
+          compare(`${what} STL unpaired edges`, String(unpairedEdges(stlTriangles(encodeStl(mesh)))), "0") ||
+          compare(`${what} OBJ unpaired edges`, String(unpairedEdges(objFaces(obj))), "0") ||
+          (gap ? compare("gap OBJ vertices", String(vertices), String(cells.length * 8)) : null);
+        if (mismatch) return mismatch;
+        if (!gap && vertices >= mesh.positions.length / 3) return `${what} OBJ shares no vertices`;
+      }
+      return null;
+    },
+  },
+  {
+    // .vox stores only state-1 cells, cropped to their box and with Y and Z swapped.
+    name: ".vox round-trip",
+    run() {
+      const dims = /** @type {[number, number, number]} */ ([6, 5, 7]);
+      const live = [
+        [1, 1, 2],
+        [4, 1, 2],
+        [2, 3, 5],
+        [3, 2, 6],
+      ];
+      const cells = gridWith(dims, [...live, [5, 4, 0, 2]]);
+      const bytes = encodeVox({ cells, dims, colorTop: "#ffffff", colorBottom: "#000000" });
+      const decoded = decodeVox(bytes);
+      const mismatch = compare(
+        "cells",
+        describeCells(decoded.cells, decoded.size),
+        describeCells(gridWith(dims, live), dims, [1, 1, 2]),
+      );
+      if (mismatch) return mismatch;
+
+      // A negative children size must be rejected, not followed backwards, and short SIZE
+      // or XYZI content must fail with the module's own error (not a DataView RangeError).
+      // Chunks start at byte 20 (SIZE) and 44 (XYZI): id, content size, children size.
+      const hostile = [
+        [28, -24],
+        [24, 8],
+        [48, 0],
+      ];
+      for (const [offset, value] of hostile) {
+        const broken = bytes.slice();
+        new DataView(broken.buffer).setInt32(offset, value, true);
+        try {
+          decodeVox(broken);
+        } catch (e) {
+          if (e?.message === "Truncated .vox file.") continue;
+          return `i32 ${value} at byte ${offset}: threw ${e?.message || e}`;
+        }
+        return `i32 ${value} at byte ${offset} was accepted`;
+      }
+      return null;
+    },
+  },
+];
+
+/**
+ * Run every format check.
+ *
+ * @returns {import("./selfTestSuite.js").SelfTestResult & { count: number }}
+ */
+export function runFormatSelfTests() {
+  for (const check of CHECKS) {
+    let failure;
+    try {
+      failure = check.run();
+    } catch (e) {
+      failure = `threw ${e?.message || e}`;
+    }
+    if (failure) {
+      // eslint-disable-next-line no-console
+      console.error("Self-test format mismatch:", check.name, failure);
+      return { ok: false, message: `${check.name}: ${failure}`, count: CHECKS.length };
+    }
+  }
+  return { ok: true, message: "Format round-trips: ok", count: CHECKS.length };
+}
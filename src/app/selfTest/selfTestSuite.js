@@ -7,12 +7,54 @@
  * Design goals:
  * - Provide a deterministic GPU-vs-CPU validation of the simulation kernel.
  * - Validate the GPU live-cell extraction/compaction path used by rendering.
+ * - Check per-cell ages (u32 grids) and their extracted list against a CPU model.
+ * - Check that batched generations match single steps, change flag included.
+ * - Check that stepping back through the history ring restores each generation.
+ * - Pin the seeded Gen0 (init kernels) to a CPU mirror, so a seed keeps its soup.
+ * - Round-trip the pattern file formats (CPU only; see formatSelfTests.js).
  * - Be small, self-contained, and safe to run on mobile.
  * - Avoid mutating the user's current simulation state (uses separate buffers).
  */
 
 import { G3DL_SHADERS } from "../../gpu/shaders.js";
 import { G3DL_LAYOUT } from "../../gpu/dataLayout.js";
+import {
+  MOORE_NEIGHBOR_MASK,
+  NEIGHBOR_SHAPE_CUBE,
+  NEIGHBOR_SHAPE_SPHERE,
+  LTL_TILE_SIZE,
+  MAX_RULE_RANGES,
+  BOUNDARY_DEAD,
+  BOUNDARY_WRAP,
+  BOUNDARY_ALIVE,
+  BOUNDARY_MIRROR,
+  BOUNDARY_AXIS_BITS,
+  INIT_SHAPE_CUBE,
+  INIT_SHAPE_SPHERE,
+  INIT_SHAPE_SHELL,
+  INIT_SHAPE_CYLINDER,
+  INIT_SHAPE_SLAB,
+  INIT_SHAPE_PLANE,
+  INIT_SHELL_CELLS,
+  INIT_SLAB_CELLS,
+  INIT_SYMMETRY_NONE,
+  INIT_SYMMETRY_MIRROR_X,
+  INIT_SYMMETRY_MIRROR_XYZ,
+  INIT_SYMMETRY_ROTATE_2,
+  INIT_SYMMETRY_ROTATE_4,
+  INIT_FILL_RANDOM,
+  INIT_FILL_NOISE,
+  CELL_AGE_MAX,
+} from "../../gpu/constants.js";
+import { initHash3, initNoiseAt, initNoiseMax } from "../../gpu/util/initNoise.js";
+import { NEIGHBORHOODS, neighborBit, inRadiusNeighborhood } from "../neighborhoods.js";
+import {
+  createHistoryResources,
+  destroyHistoryResources,
+  encodeHistoryPush,
+  popHistory,
+} from "../../gpu/resources/history.js";
+import { runFormatSelfTests } from "./formatSelfTests.js";
 
 /**
  * @typedef {{ x: number, y: number, z: number }} WorkgroupSize
@@ -31,14 +73,21 @@ import { G3DL_LAYOUT } from "../../gpu/dataLayout.js";
  * @property {string} message
  */
 
-function bitmaskFromCounts(counts) {
-  let m = 0;
-  for (const c of counts) {
-    const n = c | 0;
-    if (n < 0 || n > 26) continue;
-    m = (m | (1 << n)) >>> 0;
+function inRanges(count, ranges) {
+  for (const [lo, hi] of ranges) {
+    if (count >= lo && count <= hi) return true;
   }
-  return m >>> 0;
+  return false;
+}
+
+// Same packing as writeRuleRanges() in renderer/step.js.
+function writeRanges(paramsU32, base, ranges) {
+  const n = Math.min(ranges.length, MAX_RULE_RANGES);
+  for (let i = 0; i < n; i++) {
+    paramsU32[base + i * 2] = ranges[i][0] >>> 0;
+    paramsU32[base + i * 2 + 1] = ranges[i][1] >>> 0;
+  }
+  return n;
 }
 
 function mulberry32(seed) {
@@ -51,63 +100,123 @@ function mulberry32(seed) {
   };
 }
 
-function indexToXYZ(i, n) {
-  const x = i % n;
-  const y = ((i / n) | 0) % n;
-  const z = (i / (n * n)) | 0;
+function indexToXYZ(i, dims) {
+  const [nx, ny] = dims;
+  const x = i % nx;
+  const y = ((i / nx) | 0) % ny;
+  const z = (i / (nx * ny)) | 0;
   return { x, y, z };
 }
 
-function cpuStep3d(gridIn, n, surviveMask, birthMask, toroidal) {
-  const out = new Uint32Array(gridIn.length);
-  const plane = n * n;
+const OUTSIDE_DEAD = -1;
+const OUTSIDE_ALIVE = -2;
 
-  for (let z = 0; z < n; z++) {
-    for (let y = 0; y < n; y++) {
-      for (let x = 0; x < n; x++) {
-        const idx0 = x + y * n + z * plane;
-        const curr = gridIn[idx0] ? 1 : 0;
-        let neighbors = 0;
+/**
+ * Map a coordinate along one axis of the given size through a boundary mode (BOUNDARY_*).
+ * Wrap and mirror are periodic, so a neighborhood wider than the axis reads cells repeatedly.
+ */
+function boundaryAxis(c, size, mode) {
+  if (c >= 0 && c < size) return c;
+  if (mode === BOUNDARY_WRAP) return ((c % size) + size) % size;
+  if (mode === BOUNDARY_ALIVE) return OUTSIDE_ALIVE;
+  if (mode === BOUNDARY_MIRROR) {
+    const p = 2 * size;
+    const m = ((c % p) + p) % p;
+    return m >= size ? p - 1 - m : m;
+  }
+  return OUTSIDE_DEAD;
+}
 
-        for (let dz = -1; dz <= 1; dz++) {
-          let zz = z + dz;
-          if (toroidal) {
-            if (zz < 0) zz += n;
-            else if (zz >= n) zz -= n;
-          } else {
-            if (zz < 0 || zz >= n) continue;
-          }
+/**
+ * 1 if the neighbor at (x + dx, y + dy, z + dz) counts as alive under the per-axis boundary
+ * modes; a dead-boundary axis wins over an alive-boundary axis.
+ */
+function cpuNeighborAlive(gridIn, dims, boundary, x, y, z) {
+  const xx = boundaryAxis(x, dims[0], boundary[0]);
+  const yy = boundaryAxis(y, dims[1], boundary[1]);
+  const zz = boundaryAxis(z, dims[2], boundary[2]);
+  if (xx === OUTSIDE_DEAD || yy === OUTSIDE_DEAD || zz === OUTSIDE_DEAD) return 0;
+  if (xx < 0 || yy < 0 || zz < 0) return 1;
+  // Only fully alive cells count; dying states are refractory.
+  return gridIn[xx + yy * dims[0] + zz * dims[0] * dims[1]] === 1 ? 1 : 0;
+}
 
-          for (let dy = -1; dy <= 1; dy++) {
-            let yy = y + dy;
-            if (toroidal) {
-              if (yy < 0) yy += n;
-              else if (yy >= n) yy -= n;
-            } else {
-              if (yy < 0 || yy >= n) continue;
-            }
+/**
+ * Alive neighbors within radius r (r > 1) of (x, y, z); mirrors the simulationLtL kernel.
+ */
+function cpuRadiusNeighbors(gridIn, dims, x, y, z, r, shape, boundary) {
+  let neighbors = 0;
+  for (let dz = -r; dz <= r; dz++) {
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        if (dx === 0 && dy === 0 && dz === 0) continue;
+        if (!inRadiusNeighborhood(dx, dy, dz, r, shape)) continue;
+        neighbors += cpuNeighborAlive(gridIn, dims, boundary, x + dx, y + dy, z + dz);
+      }
+    }
+  }
+  return neighbors;
+}
 
-            for (let dx = -1; dx <= 1; dx++) {
-              if (dx === 0 && dy === 0 && dz === 0) continue;
+/**
+ * Pack per-axis boundary modes the way writeStepParams() does.
+ *
+ * @param {number[]} boundary [x, y, z]
+ */
+function packBoundary(boundary) {
+  return (
+    boundary[0] |
+    (boundary[1] << BOUNDARY_AXIS_BITS) |
+    (boundary[2] << (2 * BOUNDARY_AXIS_BITS))
+  );
+}
 
-              let xx = x + dx;
-              if (toroidal) {
-                if (xx < 0) xx += n;
-                else if (xx >= n) xx -= n;
-              } else {
-                if (xx < 0 || xx >= n) continue;
-              }
+function cpuStep3d(
+  gridIn,
+  dims,
+  surviveRanges,
+  birthRanges,
+  boundary,
+  stateCount = 2,
+  neighborMask = MOORE_NEIGHBOR_MASK,
+  radius = 1,
+  shape = NEIGHBOR_SHAPE_CUBE,
+) {
+  const out = new Uint32Array(gridIn.length);
+  const [nx, ny, nz] = dims;
+  const plane = nx * ny;
+  const states = Math.max(2, stateCount | 0);
+
+  for (let z = 0; z < nz; z++) {
+    for (let y = 0; y < ny; y++) {
+      for (let x = 0; x < nx; x++) {
+        const idx0 = x + y * nx + z * plane;
+        const curr = gridIn[idx0] >>> 0;
+        let neighbors = 0;
 
-              const nidx = xx + yy * n + zz * plane;
-              neighbors += gridIn[nidx] ? 1 : 0;
+        if (radius > 1) {
+          neighbors = cpuRadiusNeighbors(gridIn, dims, x, y, z, radius, shape, boundary);
+        } else {
+          for (let dz = -1; dz <= 1; dz++) {
+            for (let dy = -1; dy <= 1; dy++) {
+              for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0 && dz === 0) continue;
+                if (((neighborMask >>> neighborBit(dx, dy, dz)) & 1) === 0) continue;
+                neighbors += cpuNeighborAlive(gridIn, dims, boundary, x + dx, y + dy, z + dz);
+              }
             }
           }
         }
 
-        const bit = (1 << neighbors) >>> 0;
         let next = 0;
-        if (curr && (surviveMask & bit)) next = 1;
-        else if (!curr && (birthMask & bit)) next = 1;
+        if (curr === 1) {
+          if (inRanges(neighbors, surviveRanges)) next = 1;
+          else if (states > 2) next = 2;
+        } else if (curr === 0) {
+          if (inRanges(neighbors, birthRanges)) next = 1;
+        } else {
+          next = curr + 1 < states ? curr + 1 : 0;
+        }
         out[idx0] = next;
       }
     }
@@ -116,6 +225,47 @@ function cpuStep3d(gridIn, n, surviveMask, birthMask, toroidal) {
   return out;
 }
 
+/**
+ * Pack a u32-per-cell grid into the bit-packed layout (see G3DL_LAYOUT.GRID).
+ *
+ * @param {Uint32Array} grid
+ * @param {number[]} dims
+ */
+function packGrid(grid, dims) {
+  const [nx, ny, nz] = dims;
+  const wordsPerRow = G3DL_LAYOUT.GRID.packedWordsPerRow(nx);
+  const words = new Uint32Array(wordsPerRow * ny * nz);
+  for (let row = 0; row < ny * nz; row++) {
+    for (let x = 0; x < nx; x++) {
+      if (grid[x + row * nx] === 1) words[(x >>> 5) + row * wordsPerRow] |= 1 << (x & 31);
+    }
+  }
+  return words;
+}
+
+/**
+ * Unpack a bit-packed grid into one u32 per cell. Padding bits past the X edge must be 0;
+ * their count is returned so the caller can flag them.
+ *
+ * @param {Uint32Array} words
+ * @param {number[]} dims
+ * @returns {{ grid: Uint32Array, paddingBits: number }}
+ */
+function unpackGrid(words, dims) {
+  const [nx, ny, nz] = dims;
+  const wordsPerRow = G3DL_LAYOUT.GRID.packedWordsPerRow(nx);
+  const grid = new Uint32Array(nx * ny * nz);
+  let paddingBits = 0;
+  for (let row = 0; row < ny * nz; row++) {
+    for (let x = 0; x < wordsPerRow * 32; x++) {
+      const bit = (words[(x >>> 5) + row * wordsPerRow] >>> (x & 31)) & 1;
+      if (x < nx) grid[x + row * nx] = bit;
+      else paddingBits += bit;
+    }
+  }
+  return { grid, paddingBits };
+}
+
 async function createComputePipeline(device, desc) {
   if (typeof device.createComputePipelineAsync === "function") {
     return await device.createComputePipelineAsync(desc);
@@ -141,41 +291,77 @@ function decodePackedXYZ(packed) {
   const x = packed & 0x3ff;
   const y = (packed >>> 10) & 0x3ff;
   const z = (packed >>> 20) & 0x3ff;
-  return { x, y, z };
+  const decay = packed >>> 30;
+  return { x, y, z, decay };
+}
+
+// Mirrors nextAge() in the simulation kernels.
+function cpuNextAge(age, curr, next) {
+  return curr === 1 && next === 1 ? Math.min(age + 1, CELL_AGE_MAX) : 0;
+}
+
+// Mirrors decayLevel() in the extract shader.
+function expectedDecayLevel(state, stateCount) {
+  if (state <= 1 || stateCount <= 2) return 0;
+  return Math.min(1 + Math.floor(((state - 2) * 3) / (stateCount - 2)), 3);
 }
 
 async function runCase({
   device,
   workgroupSize,
   name,
-  n,
+  dims,
   steps,
   seed,
   density,
-  surviveMask,
-  birthMask,
-  toroidal,
+  surviveRanges,
+  birthRanges,
+  boundary,
+  stateCount = 2,
+  neighborMask = MOORE_NEIGHBOR_MASK,
+  radius = 1,
+  shape = NEIGHBOR_SHAPE_CUBE,
+  packed = false,
+  ages = false,
   yieldToUi,
 }) {
-  const totalCells = n * n * n;
-  const gridBytes = totalCells * 4;
+  const [nx, ny, nz] = dims;
+  const totalCells = nx * ny * nz;
+  const gridBytes = G3DL_LAYOUT.GRID.bufferBytes(dims, packed);
 
   const extractParamsU32 = new Uint32Array(G3DL_LAYOUT.PARAMS.EXTRACT.U32S);
-  extractParamsU32[G3DL_LAYOUT.PARAMS.EXTRACT.U32.GRID_SIZE] = n >>> 0;
+  extractParamsU32.set(dims, G3DL_LAYOUT.PARAMS.EXTRACT.U32.GRID_SIZE);
   extractParamsU32[G3DL_LAYOUT.PARAMS.EXTRACT.U32.MAX_CELLS] = totalCells >>> 0;
+  extractParamsU32[G3DL_LAYOUT.PARAMS.EXTRACT.U32.STATE_COUNT] = stateCount >>> 0;
 
+  const simP = G3DL_LAYOUT.PARAMS.SIM.U32;
   const paramsU32 = new Uint32Array(G3DL_LAYOUT.PARAMS.SIM.U32S);
-  paramsU32[G3DL_LAYOUT.PARAMS.SIM.U32.GRID_SIZE] = n >>> 0;
-  paramsU32[G3DL_LAYOUT.PARAMS.SIM.U32.SURVIVE_RULE] = surviveMask >>> 0;
-  paramsU32[G3DL_LAYOUT.PARAMS.SIM.U32.BIRTH_RULE] = birthMask >>> 0;
-  paramsU32[G3DL_LAYOUT.PARAMS.SIM.U32.TOROIDAL] = toroidal ? 1 : 0;
-  paramsU32[G3DL_LAYOUT.PARAMS.SIM.U32.CHANGE_ENABLED] = 0;
+  paramsU32.set(dims, simP.GRID_SIZE);
+  paramsU32[simP.SURVIVE_RANGE_COUNT] = writeRanges(paramsU32, simP.SURVIVE_RANGES, surviveRanges);
+  paramsU32[simP.BIRTH_RANGE_COUNT] = writeRanges(paramsU32, simP.BIRTH_RANGES, birthRanges);
+  paramsU32[simP.BOUNDARY] = packBoundary(boundary);
+  paramsU32[simP.CHANGE_ENABLED] = 0;
+  paramsU32[simP.STATE_COUNT] = stateCount >>> 0;
+  paramsU32[simP.NEIGHBOR_MASK] = neighborMask >>> 0;
+  paramsU32[simP.RADIUS] = radius >>> 0;
+  paramsU32[simP.SHAPE] = shape >>> 0;
 
   const rng = mulberry32(seed >>> 0);
   const initGrid = new Uint32Array(totalCells);
   for (let i = 0; i < totalCells; i++) {
     initGrid[i] = rng() < density ? 1 : 0;
   }
+  // ages=true runs the age-tracking kernels (u32 grids only). Start them from arbitrary ages,
+  // a quarter of them already at CELL_AGE_MAX, so resets and saturation are both exercised
+  // within a few steps.
+  const trackAges = ages && !packed;
+  const initAges = new Uint32Array(totalCells);
+  if (trackAges) {
+    for (let i = 0; i < totalCells; i++) {
+      const r = rng();
+      initAges[i] = r < 0.25 ? CELL_AGE_MAX : Math.floor(r * CELL_AGE_MAX);
+    }
+  }
 
   // Create isolated resources for the self-test.
   const paramsBuf = device.createBuffer({
@@ -228,6 +414,12 @@ async function runCase({
       GPUBufferUsage.COPY_SRC,
   });
 
+  // Full-grid dispatches: the active-region origin stays zero.
+  const activeOrigin = device.createBuffer({
+    size: G3DL_LAYOUT.ACTIVE_REGION.ORIGIN_BYTES,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+  });
+
   const stage = device.createBuffer({
     size: gridBytes,
     usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
@@ -243,22 +435,57 @@ async function runCase({
     usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
   });
 
+  // Cell ages (u32 grids): one per cell, one per listed live cell, and their readbacks.
+  const ageBytes = trackAges ? totalCells * 4 : 4;
+  const cellAges = device.createBuffer({
+    size: ageBytes,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+  });
+  const livingAges = device.createBuffer({
+    size: ageBytes,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+  });
+  const stageAges = device.createBuffer({
+    size: ageBytes,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+  const stageLivingAges = device.createBuffer({
+    size: ageBytes,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+
   const wg = workgroupSize || { x: 8, y: 4, z: 4 };
 
-  const code = G3DL_SHADERS.simulation({ workgroupSize: wg });
+  // Radius-R neighborhoods run the tiled kernel, which has its own fixed workgroup size.
+  // Packed grids (2-state only) use the one-bit-per-cell variants of every grid kernel.
+  const useLtl = radius > 1;
+  let code;
+  if (useLtl) code = G3DL_SHADERS.simulationLtL({ packed, ages: trackAges });
+  else if (packed) code = G3DL_SHADERS.simulationPacked({ workgroupSize: wg });
+  else code = G3DL_SHADERS.simulation({ workgroupSize: wg, ages: trackAges });
   const mod = device.createShaderModule({ code });
   const pipeline = await createComputePipeline(device, {
     layout: "auto",
     compute: { module: mod, entryPoint: "main" },
   });
 
-  const extractCode = G3DL_SHADERS.extract({ workgroupSize: wg });
+  const extractCode = packed
+    ? G3DL_SHADERS.extractPacked({ workgroupSize: wg })
+    : G3DL_SHADERS.extract({ workgroupSize: wg, ages: trackAges });
   const extractMod = device.createShaderModule({ code: extractCode });
   const extractPipeline = await createComputePipeline(device, {
     layout: "auto",
     compute: { module: extractMod, entryPoint: "main" },
   });
 
+  const simAges = trackAges ? [{ binding: 5, resource: { buffer: cellAges } }] : [];
+  const extractAges = trackAges
+    ? [
+        { binding: 5, resource: { buffer: cellAges } },
+        { binding: 6, resource: { buffer: livingAges } },
+      ]
+    : [];
+
   const layout0 = pipeline.getBindGroupLayout(0);
   const bindAtoB = device.createBindGroup({
     layout: layout0,
@@ -267,6 +494,8 @@ async function runCase({
       { binding: 1, resource: { buffer: gridA } },
       { binding: 2, resource: { buffer: gridB } },
       { binding: 3, resource: { buffer: changeCount } },
+      { binding: 4, resource: { buffer: activeOrigin } },
+      ...simAges,
     ],
   });
 
@@ -277,6 +506,8 @@ async function runCase({
       { binding: 1, resource: { buffer: gridB } },
       { binding: 2, resource: { buffer: gridA } },
       { binding: 3, resource: { buffer: changeCount } },
+      { binding: 4, resource: { buffer: activeOrigin } },
+      ...simAges,
     ],
   });
 
@@ -288,6 +519,8 @@ async function runCase({
       { binding: 1, resource: { buffer: gridA } },
       { binding: 2, resource: { buffer: livingCells } },
       { binding: 3, resource: { buffer: populationCount } },
+      { binding: 4, resource: { buffer: activeOrigin } },
+      ...extractAges,
     ],
   });
   const extractBindReadB = device.createBindGroup({
@@ -297,6 +530,8 @@ async function runCase({
       { binding: 1, resource: { buffer: gridB } },
       { binding: 2, resource: { buffer: livingCells } },
       { binding: 3, resource: { buffer: populationCount } },
+      { binding: 4, resource: { buffer: activeOrigin } },
+      ...extractAges,
     ],
   });
 
@@ -306,20 +541,42 @@ async function runCase({
     // Upload init state.
     device.queue.writeBuffer(paramsBuf, 0, paramsU32);
     device.queue.writeBuffer(extractParamsBuf, 0, extractParamsU32);
-    device.queue.writeBuffer(gridA, 0, initGrid);
+    device.queue.writeBuffer(gridA, 0, packed ? packGrid(initGrid, dims) : initGrid);
+    if (trackAges) device.queue.writeBuffer(cellAges, 0, initAges);
 
     let cpu = initGrid;
+    let cpuAges = initAges;
     let gpuOutIsB = true;
 
-    const wgX = Math.ceil(n / wg.x);
-    const wgY = Math.ceil(n / wg.y);
-    const wgZ = Math.ceil(n / wg.z);
+    const wgX = Math.ceil((packed ? G3DL_LAYOUT.GRID.packedWordsPerRow(nx) : nx) / wg.x);
+    const wgY = Math.ceil(ny / wg.y);
+    const wgZ = Math.ceil(nz / wg.z);
+    const ltlX = Math.ceil(nx / LTL_TILE_SIZE);
+    const ltlY = Math.ceil(ny / LTL_TILE_SIZE);
+    const ltlZ = Math.ceil(nz / LTL_TILE_SIZE);
 
     for (let step = 1; step <= steps; step++) {
       if (yieldToUi) await yieldToUi();
 
       // CPU reference step.
-      const cpuNext = cpuStep3d(cpu, n, surviveMask, birthMask, toroidal);
+      const cpuNext = cpuStep3d(
+        cpu,
+        dims,
+        surviveRanges,
+        birthRanges,
+        boundary,
+        stateCount,
+        neighborMask,
+        radius,
+        shape,
+      );
+
+      const cpuNextAges = new Uint32Array(totalCells);
+      if (trackAges) {
+        for (let i = 0; i < totalCells; i++) {
+          cpuNextAges[i] = cpuNextAge(cpuAges[i], cpu[i], cpuNext[i]);
+        }
+      }
 
       // GPU step.
       device.queue.writeBuffer(changeCount, 0, new Uint32Array([0]));
@@ -327,11 +584,15 @@ async function runCase({
 
       const enc = device.createCommandEncoder();
 
+      // The packed radius-R kernel ORs live bits into a cleared output.
+      if (packed && useLtl) enc.clearBuffer(gpuOutIsB ? gridB : gridA);
+
       {
         const pass = enc.beginComputePass();
         pass.setPipeline(pipeline);
         pass.setBindGroup(0, gpuOutIsB ? bindAtoB : bindBtoA);
-        pass.dispatchWorkgroups(wgX, wgY, wgZ);
+        if (useLtl) pass.dispatchWorkgroups(ltlX, ltlY, ltlZ);
+        else pass.dispatchWorkgroups(wgX, wgY, wgZ);
         pass.end();
       }
 
@@ -349,6 +610,10 @@ async function runCase({
       enc.copyBufferToBuffer(src, 0, stage, 0, gridBytes);
       enc.copyBufferToBuffer(populationCount, 0, stagePop, 0, 4);
       enc.copyBufferToBuffer(livingCells, 0, stageCells, 0, totalCells * 4);
+      if (trackAges) {
+        enc.copyBufferToBuffer(cellAges, 0, stageAges, 0, ageBytes);
+        enc.copyBufferToBuffer(livingAges, 0, stageLivingAges, 0, ageBytes);
+      }
 
       device.queue.submit([enc.finish()]);
 
@@ -359,9 +624,22 @@ async function runCase({
 
       await stage.mapAsync(GPUMapMode.READ);
       const mapped = stage.getMappedRange();
-      const gpu = new Uint32Array(mapped.slice(0));
+      const raw = new Uint32Array(mapped.slice(0));
       stage.unmap();
 
+      let gpu = raw;
+      if (packed) {
+        const unpacked = unpackGrid(raw, dims);
+        if (unpacked.paddingBits) {
+          result = {
+            ok: false,
+            message: `${name}: ${unpacked.paddingBits} padding bits set at step ${step}.`,
+          };
+          break;
+        }
+        gpu = unpacked.grid;
+      }
+
       // Read back extraction results and validate against the grid.
       await stagePop.mapAsync(GPUMapMode.READ);
       const popBuf = stagePop.getMappedRange();
@@ -384,25 +662,44 @@ async function runCase({
         break;
       }
 
+      let ages = null;
+      let listedAges = null;
+      if (trackAges) {
+        await stageAges.mapAsync(GPUMapMode.READ);
+        ages = new Uint32Array(stageAges.getMappedRange().slice(0));
+        stageAges.unmap();
+        await stageLivingAges.mapAsync(GPUMapMode.READ);
+        listedAges = new Uint32Array(stageLivingAges.getMappedRange().slice(0));
+        stageLivingAges.unmap();
+      }
+
       const visited = new Uint8Array(totalCells);
-      const plane = n * n;
+      const plane = nx * ny;
       let badEntry = null;
       for (let i = 0; i < pop; i++) {
         const packed = cells[i] >>> 0;
-        const { x, y, z } = decodePackedXYZ(packed);
-        if (x >= n || y >= n || z >= n) {
+        const { x, y, z, decay } = decodePackedXYZ(packed);
+        if (x >= nx || y >= ny || z >= nz) {
           badEntry = { i, packed, x, y, z, reason: "out_of_range" };
           break;
         }
-        const idx = x + y * n + z * plane;
+        const idx = x + y * nx + z * plane;
         if (!gpu[idx]) {
           badEntry = { i, packed, x, y, z, reason: "dead_in_grid" };
           break;
         }
+        if (decay !== expectedDecayLevel(gpu[idx], stateCount)) {
+          badEntry = { i, packed, x, y, z, reason: "decay_level" };
+          break;
+        }
         if (visited[idx]) {
           badEntry = { i, packed, x, y, z, reason: "duplicate" };
           break;
         }
+        if (listedAges && listedAges[i] !== ages[idx]) {
+          badEntry = { i, packed, x, y, z, reason: "listed_age" };
+          break;
+        }
         visited[idx] = 1;
       }
 
@@ -434,12 +731,12 @@ async function runCase({
       let mismatches = 0;
       const first = [];
       for (let i = 0; i < totalCells; i++) {
-        const a = gpu[i] ? 1 : 0;
-        const b = cpuNext[i] ? 1 : 0;
+        const a = gpu[i] >>> 0;
+        const b = cpuNext[i] >>> 0;
         if (a !== b) {
           mismatches++;
           if (first.length < 5) {
-            const { x, y, z } = indexToXYZ(i, n);
+            const { x, y, z } = indexToXYZ(i, dims);
             first.push({ x, y, z, gpu: a, cpu: b });
           }
         }
@@ -451,7 +748,7 @@ async function runCase({
           .join(", ");
         // Provide detailed info in the console (toast text should stay short).
         // eslint-disable-next-line no-console
-        console.error("Self-test mismatch:", { name, step, n, mismatches, sample: first });
+        console.error("Self-test mismatch:", { name, step, dims, mismatches, sample: first });
         result = {
           ok: false,
           message: `${name}: mismatch at step ${step} (${mismatches} cells differ). Sample: ${details}`,
@@ -459,8 +756,29 @@ async function runCase({
         break;
       }
 
+      if (trackAges) {
+        let ageMismatches = 0;
+        let sample = null;
+        for (let i = 0; i < totalCells; i++) {
+          if (ages[i] !== cpuNextAges[i]) {
+            ageMismatches++;
+            if (!sample) sample = { ...indexToXYZ(i, dims), gpu: ages[i], cpu: cpuNextAges[i] };
+          }
+        }
+        if (ageMismatches) {
+          // eslint-disable-next-line no-console
+          console.error("Self-test age mismatch:", { name, step, ageMismatches, sample });
+          result = {
+            ok: false,
+            message: `${name}: age mismatch at step ${step} (${ageMismatches} cells differ). Sample: (${sample.x},${sample.y},${sample.z}) gpu=${sample.gpu} cpu=${sample.cpu}`,
+          };
+          break;
+        }
+      }
+
       // Advance.
       cpu = cpuNext;
+      cpuAges = cpuNextAges;
       gpuOutIsB = !gpuOutIsB;
     }
   } finally {
@@ -473,15 +791,624 @@ async function runCase({
       changeCount.destroy();
       livingCells.destroy();
       populationCount.destroy();
+      activeOrigin.destroy();
       stage.destroy();
       stageCells.destroy();
       stagePop.destroy();
+      cellAges.destroy();
+      livingAges.destroy();
+      stageAges.destroy();
+      stageLivingAges.destroy();
     } catch (_) {}
   }
 
   return result;
 }
 
+/**
+ * Batched generations (see stepSimulation()): K simulation passes in one submit, with the
+ * change flag cleared before the last one and live cells extracted only after it. The result
+ * must match K single-step submits and the CPU model, and the change flag must report the
+ * final generation alone. Boundaries are dead; `cells` lists the live cells of Gen0.
+ */
+async function runBatchCase({
+  device,
+  workgroupSize,
+  name,
+  dims,
+  cells,
+  surviveRanges,
+  birthRanges,
+  neighborMask = MOORE_NEIGHBOR_MASK,
+  generations,
+  packed = false,
+}) {
+  const [nx, ny, nz] = dims;
+  const totalCells = nx * ny * nz;
+  const gridBytes = G3DL_LAYOUT.GRID.bufferBytes(dims, packed);
+  const boundary = [BOUNDARY_DEAD, BOUNDARY_DEAD, BOUNDARY_DEAD];
+
+  const initGrid = new Uint32Array(totalCells);
+  for (const [x, y, z] of cells) initGrid[x + y * nx + z * nx * ny] = 1;
+
+  // CPU reference, including whether the last generation changed anything.
+  let cpu = initGrid;
+  let cpuChanged = false;
+  for (let g = 0; g < generations; g++) {
+    const next = cpuStep3d(cpu, dims, surviveRanges, birthRanges, boundary, 2, neighborMask);
+    cpuChanged = next.some((v, i) => v !== cpu[i]);
+    cpu = next;
+  }
+
+  const simP = G3DL_LAYOUT.PARAMS.SIM.U32;
+  const paramsU32 = new Uint32Array(G3DL_LAYOUT.PARAMS.SIM.U32S);
+  paramsU32.set(dims, simP.GRID_SIZE);
+  paramsU32[simP.SURVIVE_RANGE_COUNT] = writeRanges(paramsU32, simP.SURVIVE_RANGES, surviveRanges);
+  paramsU32[simP.BIRTH_RANGE_COUNT] = writeRanges(paramsU32, simP.BIRTH_RANGES, birthRanges);
+  paramsU32[simP.BOUNDARY] = packBoundary(boundary);
+  paramsU32[simP.CHANGE_ENABLED] = 1;
+  paramsU32[simP.STATE_COUNT] = 2;
+  paramsU32[simP.NEIGHBOR_MASK] = neighborMask >>> 0;
+  paramsU32[simP.RADIUS] = 1;
+  paramsU32[simP.SHAPE] = NEIGHBOR_SHAPE_CUBE;
+
+  const extractParamsU32 = new Uint32Array(G3DL_LAYOUT.PARAMS.EXTRACT.U32S);
+  extractParamsU32.set(dims, G3DL_LAYOUT.PARAMS.EXTRACT.U32.GRID_SIZE);
+  extractParamsU32[G3DL_LAYOUT.PARAMS.EXTRACT.U32.MAX_CELLS] = totalCells >>> 0;
+  extractParamsU32[G3DL_LAYOUT.PARAMS.EXTRACT.U32.STATE_COUNT] = 2;
+
+  const wg = workgroupSize;
+  const simCode = packed
+    ? G3DL_SHADERS.simulationPacked({ workgroupSize: wg })
+    : G3DL_SHADERS.simulation({ workgroupSize: wg });
+  const extractCode = packed
+    ? G3DL_SHADERS.extractPacked({ workgroupSize: wg })
+    : G3DL_SHADERS.extract({ workgroupSize: wg });
+  const pipeline = await createComputePipeline(device, {
+    layout: "auto",
+    compute: { module: device.createShaderModule({ code: simCode }), entryPoint: "main" },
+  });
+  const extractPipeline = await createComputePipeline(device, {
+    layout: "auto",
+    compute: { module: device.createShaderModule({ code: extractCode }), entryPoint: "main" },
+  });
+
+  const storage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC;
+  const paramsBuf = device.createBuffer({
+    size: G3DL_LAYOUT.PARAMS.SIM.BYTES,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+  });
+  const extractParamsBuf = device.createBuffer({
+    size: G3DL_LAYOUT.PARAMS.EXTRACT.BYTES,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+  });
+  const grids = [0, 1].map(() => device.createBuffer({ size: gridBytes, usage: storage }));
+  const changeCount = device.createBuffer({ size: 4, usage: storage });
+  const livingCells = device.createBuffer({ size: totalCells * 4, usage: storage });
+  const populationCount = device.createBuffer({ size: 4, usage: storage });
+  const activeOrigin = device.createBuffer({
+    size: G3DL_LAYOUT.ACTIVE_REGION.ORIGIN_BYTES,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+  });
+  const stage = device.createBuffer({
+    size: gridBytes,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+  // Change flag, then population.
+  const stageCounters = device.createBuffer({
+    size: 8,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+
+  const simBind = [0, 1].map((i) =>
+    device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: paramsBuf } },
+        { binding: 1, resource: { buffer: grids[i] } },
+        { binding: 2, resource: { buffer: grids[1 - i] } },
+        { binding: 3, resource: { buffer: changeCount } },
+        { binding: 4, resource: { buffer: activeOrigin } },
+      ],
+    }),
+  );
+  const extractBind = [0, 1].map((i) =>
+    device.createBindGroup({
+      layout: extractPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: extractParamsBuf } },
+        { binding: 1, resource: { buffer: grids[i] } },
+        { binding: 2, resource: { buffer: livingCells } },
+        { binding: 3, resource: { buffer: populationCount } },
+        { binding: 4, resource: { buffer: activeOrigin } },
+      ],
+    }),
+  );
+
+  const wgX = Math.ceil((packed ? G3DL_LAYOUT.GRID.packedWordsPerRow(nx) : nx) / wg.x);
+  const wgY = Math.ceil(ny / wg.y);
+  const wgZ = Math.ceil(nz / wg.z);
+  const dispatch = (enc, pipe, bindGroup) => {
+    const pass = enc.beginComputePass();
+    pass.setPipeline(pipe);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(wgX, wgY, wgZ);
+    pass.end();
+  };
+
+  // Run all generations from Gen0, as one batch or as one submit per generation (each with
+  // its change flag reset), and read back the final grid, change flag and population.
+  const run = async (batched) => {
+    device.queue.writeBuffer(grids[0], 0, packed ? packGrid(initGrid, dims) : initGrid);
+    device.queue.writeBuffer(changeCount, 0, new Uint32Array([0]));
+    device.queue.writeBuffer(populationCount, 0, new Uint32Array([0]));
+
+    let enc = device.createCommandEncoder();
+    for (let g = 0; g < generations; g++) {
+      if (g > 0 && batched) {
+        if (g === generations - 1) enc.clearBuffer(changeCount, 0, 4);
+      } else if (g > 0) {
+        device.queue.submit([enc.finish()]);
+        device.queue.writeBuffer(changeCount, 0, new Uint32Array([0]));
+        enc = device.createCommandEncoder();
+      }
+      dispatch(enc, pipeline, simBind[g % 2]);
+    }
+    const out = generations % 2;
+    dispatch(enc, extractPipeline, extractBind[out]);
+    enc.copyBufferToBuffer(grids[out], 0, stage, 0, gridBytes);
+    enc.copyBufferToBuffer(changeCount, 0, stageCounters, 0, 4);
+    enc.copyBufferToBuffer(populationCount, 0, stageCounters, 4, 4);
+    device.queue.submit([enc.finish()]);
+
+    await stage.mapAsync(GPUMapMode.READ);
+    const raw = new Uint32Array(stage.getMappedRange().slice(0));
+    stage.unmap();
+    await stageCounters.mapAsync(GPUMapMode.READ);
+    const counters = new Uint32Array(stageCounters.getMappedRange().slice(0));
+    stageCounters.unmap();
+
+    const { grid, paddingBits } = packed ? unpackGrid(raw, dims) : { grid: raw, paddingBits: 0 };
+    return { grid, paddingBits, changed: counters[0] !== 0, population: counters[1] };
+  };
+
+  try {
+    device.queue.writeBuffer(paramsBuf, 0, paramsU32);
+    device.queue.writeBuffer(extractParamsBuf, 0, extractParamsU32);
+
+    for (const batched of [false, true]) {
+      const how = batched ? "one batch" : "single steps";
+      const res = await run(batched);
+      if (res.paddingBits) {
+        return { ok: false, message: `${name}: ${res.paddingBits} padding bits set after ${how}.` };
+      }
+      let mismatches = 0;
+      for (let i = 0; i < totalCells; i++) if (res.grid[i] !== cpu[i]) mismatches++;
+      if (mismatches) {
+        // eslint-disable-next-line no-console
+        console.error("Self-test batch mismatch:", { name, how, mismatches });
+        return {
+          ok: false,
+          message: `${name}: grid after ${how} differs from the CPU model in ${mismatches} cells.`,
+        };
+      }
+      if (res.changed !== cpuChanged) {
+        return {
+          ok: false,
+          message: `${name}: change flag after ${how} is ${+res.changed}, expected ${+cpuChanged} for generation ${generations}.`,
+        };
+      }
+      const population = popcountU32Grid(cpu);
+      if (res.population !== population) {
+        return {
+          ok: false,
+          message: `${name}: population after ${how} is ${res.population}, expected ${population}.`,
+        };
+      }
+    }
+    return { ok: true, message: `${name}: ok` };
+  } finally {
+    try {
+      paramsBuf.destroy();
+      extractParamsBuf.destroy();
+      grids[0].destroy();
+      grids[1].destroy();
+      changeCount.destroy();
+      livingCells.destroy();
+      populationCount.destroy();
+      activeOrigin.destroy();
+      stage.destroy();
+      stageCounters.destroy();
+    } catch (_) {}
+  }
+}
+
+/**
+ * Generation history (see history.js and stepBackSimulation()): step `steps` times through a
+ * ring of `depth` entries, then step back until the ring is empty. Every restored grid and
+ * generation must match the CPU model, and the ring must run dry after min(steps, depth)
+ * entries, leaving the last restored state in place. Boundaries are dead.
+ */
+async function runHistoryCase({
+  device,
+  workgroupSize,
+  name,
+  dims,
+  seed,
+  density,
+  surviveRanges,
+  birthRanges,
+  steps,
+  depth,
+  packed = false,
+}) {
+  const [nx, ny, nz] = dims;
+  const totalCells = nx * ny * nz;
+  const gridBytes = G3DL_LAYOUT.GRID.bufferBytes(dims, packed);
+  const boundary = [BOUNDARY_DEAD, BOUNDARY_DEAD, BOUNDARY_DEAD];
+
+  const rng = mulberry32(seed >>> 0);
+  const initGrid = new Uint32Array(totalCells);
+  for (let i = 0; i < totalCells; i++) initGrid[i] = rng() < density ? 1 : 0;
+  const cpuStates = [initGrid];
+  for (let g = 0; g < steps; g++) {
+    cpuStates.push(cpuStep3d(cpuStates[g], dims, surviveRanges, birthRanges, boundary));
+  }
+
+  const simP = G3DL_LAYOUT.PARAMS.SIM.U32;
+  const paramsU32 = new Uint32Array(G3DL_LAYOUT.PARAMS.SIM.U32S);
+  paramsU32.set(dims, simP.GRID_SIZE);
+  paramsU32[simP.SURVIVE_RANGE_COUNT] = writeRanges(paramsU32, simP.SURVIVE_RANGES, surviveRanges);
+  paramsU32[simP.BIRTH_RANGE_COUNT] = writeRanges(paramsU32, simP.BIRTH_RANGES, birthRanges);
+  paramsU32[simP.BOUNDARY] = packBoundary(boundary);
+  paramsU32[simP.STATE_COUNT] = 2;
+  paramsU32[simP.NEIGHBOR_MASK] = MOORE_NEIGHBOR_MASK;
+  paramsU32[simP.RADIUS] = 1;
+  paramsU32[simP.SHAPE] = NEIGHBOR_SHAPE_CUBE;
+
+  const wg = workgroupSize;
+  const code = packed
+    ? G3DL_SHADERS.simulationPacked({ workgroupSize: wg })
+    : G3DL_SHADERS.simulation({ workgroupSize: wg });
+  const pipeline = await createComputePipeline(device, {
+    layout: "auto",
+    compute: { module: device.createShaderModule({ code }), entryPoint: "main" },
+  });
+
+  const storage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC;
+  const paramsBuf = device.createBuffer({
+    size: G3DL_LAYOUT.PARAMS.SIM.BYTES,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+  });
+  const grids = [0, 1].map(() => device.createBuffer({ size: gridBytes, usage: storage }));
+  const changeCount = device.createBuffer({ size: 4, usage: storage });
+  const activeOrigin = device.createBuffer({
+    size: G3DL_LAYOUT.ACTIVE_REGION.ORIGIN_BYTES,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+  });
+  const stage = device.createBuffer({
+    size: gridBytes,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+  const simBind = [0, 1].map((i) =>
+    device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: paramsBuf } },
+        { binding: 1, resource: { buffer: grids[i] } },
+        { binding: 2, resource: { buffer: grids[1 - i] } },
+        { binding: 3, resource: { buffer: changeCount } },
+        { binding: 4, resource: { buffer: activeOrigin } },
+      ],
+    }),
+  );
+
+  // The renderer fields the history ring uses, over the self-test's own buffers. The budget
+  // is unlimited, so the ring gets the requested depth.
+  const r = {
+    gridDims: dims,
+    gridPacked: packed,
+    gridBuffers: grids,
+    maxCells: totalCells,
+    cellAgeBuffer: null,
+    memoryBudgetBytes: Infinity,
+    historyDepthRequested: depth,
+    historyBuffers: [],
+    historyGenerations: [],
+    historyDepth: 0,
+    historyHead: 0,
+    historyCount: 0,
+    generation: 0,
+    _createBuffer: (label, desc) => device.createBuffer({ label, ...desc }),
+  };
+
+  const readGrid = async (bufIdx) => {
+    const enc = device.createCommandEncoder();
+    enc.copyBufferToBuffer(grids[bufIdx], 0, stage, 0, gridBytes);
+    device.queue.submit([enc.finish()]);
+    await stage.mapAsync(GPUMapMode.READ);
+    const raw = new Uint32Array(stage.getMappedRange().slice(0));
+    stage.unmap();
+    return packed ? unpackGrid(raw, dims).grid : raw;
+  };
+  const differences = (grid, generation) => {
+    let n = 0;
+    for (let i = 0; i < totalCells; i++) if (grid[i] !== cpuStates[generation][i]) n++;
+    return n;
+  };
+
+  const wgX = Math.ceil((packed ? G3DL_LAYOUT.GRID.packedWordsPerRow(nx) : nx) / wg.x);
+  const wgY = Math.ceil(ny / wg.y);
+  const wgZ = Math.ceil(nz / wg.z);
+
+  try {
+    createHistoryResources(r);
+    if (r.historyDepth !== depth) {
+      return {
+        ok: false,
+        message: `${name}: history ring has ${r.historyDepth} entries, expected ${depth}.`,
+      };
+    }
+    device.queue.writeBuffer(paramsBuf, 0, paramsU32);
+    device.queue.writeBuffer(grids[0], 0, packed ? packGrid(initGrid, dims) : initGrid);
+
+    // Forward, as stepSimulation(): push the state before each step, then run it.
+    let current = 0;
+    for (let g = 0; g < steps; g++) {
+      const enc = device.createCommandEncoder();
+      encodeHistoryPush(r, enc, current);
+      const pass = enc.beginComputePass();
+      pass.setPipeline(pipeline);
+      pass.setBindGroup(0, simBind[current]);
+      pass.dispatchWorkgroups(wgX, wgY, wgZ);
+      pass.end();
+      device.queue.submit([enc.finish()]);
+      current = 1 - current;
+      r.generation++;
+    }
+    const forward = differences(await readGrid(current), steps);
+    if (forward) {
+      return { ok: false, message: `${name}: ${forward} cells differ after ${steps} steps.` };
+    }
+
+    // Back, as stepBackSimulation(): restore the newest entry into the current buffer.
+    const expectedBacks = Math.min(steps, depth);
+    let backs = 0;
+    for (let entry = popHistory(r); entry; entry = popHistory(r)) {
+      const enc = device.createCommandEncoder();
+      enc.copyBufferToBuffer(entry.buffer, 0, grids[current], 0, gridBytes);
+      device.queue.submit([enc.finish()]);
+      r.generation = entry.generation;
+      backs++;
+
+      const expected = steps - backs;
+      if (entry.generation !== expected) {
+        return {
+          ok: false,
+          message: `${name}: step back ${backs} restored generation ${entry.generation}, expected ${expected}.`,
+        };
+      }
+      const n = differences(await readGrid(current), expected);
+      if (n) {
+        return { ok: false, message: `${name}: ${n} cells differ after step back ${backs}.` };
+      }
+    }
+    if (backs !== expectedBacks) {
+      return {
+        ok: false,
+        message: `${name}: ${backs} step backs succeeded, expected ${expectedBacks}.`,
+      };
+    }
+    // Past the ring depth: nothing more to pop, and the restored state stays.
+    const rest = differences(await readGrid(current), steps - backs);
+    if (r.historyCount !== 0 || r.generation !== steps - backs || rest) {
+      return { ok: false, message: `${name}: stepping back past the ring changed the state.` };
+    }
+    return { ok: true, message: `${name}: ok` };
+  } finally {
+    destroyHistoryResources(r);
+    try {
+      paramsBuf.destroy();
+      grids[0].destroy();
+      grids[1].destroy();
+      changeCount.destroy();
+      activeOrigin.destroy();
+      stage.destroy();
+    } catch (_) {}
+  }
+}
+
+// Ellipsoid tests within this of the surface may round either way in the kernel's f32 math.
+const INIT_SHAPE_EPSILON = 1e-5;
+
+/**
+ * Mirrors insideShape() in the init kernels: 1 inside, 0 outside, -1 too close to a curved
+ * surface to tell.
+ */
+function initInsideShape(shape, ly, d, region) {
+  const norm2 = (den) => d.reduce((s, v, a) => s + (v / den[a]) ** 2, 0);
+  const test = (s) => (Math.abs(s - 1) < INIT_SHAPE_EPSILON ? -1 : s <= 1 ? 1 : 0);
+  switch (shape) {
+    case INIT_SHAPE_SPHERE:
+      return test(norm2(region));
+    case INIT_SHAPE_SHELL: {
+      const outer = test(norm2(region));
+      const wall = 2 * INIT_SHELL_CELLS;
+      if (outer !== 1 || region.some((r) => r <= wall)) return outer;
+      const inner = test(norm2(region.map((r) => r - wall)));
+      return inner === -1 ? -1 : 1 - inner;
+    }
+    case INIT_SHAPE_CYLINDER:
+      return test((d[0] / region[0]) ** 2 + (d[2] / region[2]) ** 2);
+    case INIT_SHAPE_SLAB:
+    case INIT_SHAPE_PLANE: {
+      const t = Math.min(shape === INIT_SHAPE_PLANE ? 1 : INIT_SLAB_CELLS, region[1]);
+      const start = Math.floor((region[1] - t) / 2);
+      return ly >= start && ly < start + t ? 1 : 0;
+    }
+    default:
+      return 1;
+  }
+}
+
+// Mirrors symmetryImage() in the init kernels.
+function initSymmetryImage(symmetry, d) {
+  let [x, y, z] = d;
+  switch (symmetry) {
+    case INIT_SYMMETRY_MIRROR_X:
+      x = Math.abs(x);
+      break;
+    case INIT_SYMMETRY_MIRROR_XYZ:
+      [x, y, z] = [Math.abs(x), Math.abs(y), Math.abs(z)];
+      break;
+    case INIT_SYMMETRY_ROTATE_2:
+      if (x < 0 || (x === 0 && z < 0)) [x, z] = [-x, -z];
+      break;
+    case INIT_SYMMETRY_ROTATE_4:
+      for (let i = 0; i < 3; i++) {
+        if ((x > 0 && z >= 0) || (x === 0 && z === 0)) break;
+        [x, z] = [-z, x];
+      }
+      break;
+  }
+  return [x, y, z];
+}
+
+/**
+ * Mirrors initAlive() in the init kernels: 1 alive, 0 dead, -1 either (see
+ * initInsideShape()).
+ */
+function initCellExpected(p, { seed, threshold, region, offset, shape, symmetry, noise }) {
+  if (p.some((c, a) => c < offset[a] || c >= offset[a] + region[a])) return 0;
+  const d = p.map((c, a) => 2 * (c - offset[a]) - region[a] + 1);
+  const q = initSymmetryImage(symmetry, d);
+  if (noise && initNoiseAt(q, seed, noise.period, noise.octaves) < noise.level) return 0;
+  const h = symmetry === INIT_SYMMETRY_NONE ? p : q;
+  if (initHash3(h[0], h[1], h[2], seed) >= threshold) return 0;
+  return initInsideShape(shape, p[1] - offset[1], d, region);
+}
+
+/**
+ * Run an init kernel twice with the same seed and compare both outputs with the CPU mirror
+ * of its hash, shape, symmetry and noise: a seed must always produce the same Gen0, in either
+ * grid layout. `noise` is { period, octaves, level } in kernel units.
+ */
+async function runInitCase({
+  device,
+  workgroupSize,
+  name,
+  dims,
+  seed,
+  density,
+  region,
+  offset,
+  shape = INIT_SHAPE_CUBE,
+  symmetry = INIT_SYMMETRY_NONE,
+  noise = null,
+  packed = false,
+}) {
+  const [nx, ny, nz] = dims;
+  const totalCells = nx * ny * nz;
+  const gridBytes = G3DL_LAYOUT.GRID.bufferBytes(dims, packed);
+  const wg = workgroupSize;
+
+  const threshold = Math.floor(density * 4294967295) >>> 0;
+  const initP = G3DL_LAYOUT.PARAMS.INIT.U32;
+  const paramsU32 = new Uint32Array(G3DL_LAYOUT.PARAMS.INIT.U32S);
+  paramsU32.set(dims, initP.GRID_SIZE);
+  paramsU32.set(region, initP.REGION);
+  paramsU32.set(offset, initP.OFFSET);
+  paramsU32[initP.THRESHOLD] = threshold;
+  paramsU32[initP.SEED] = seed >>> 0;
+  paramsU32[initP.SHAPE] = shape;
+  paramsU32[initP.SYMMETRY] = symmetry;
+  paramsU32[initP.FILL] = noise ? INIT_FILL_NOISE : INIT_FILL_RANDOM;
+  if (noise) {
+    paramsU32[initP.NOISE_PERIOD] = noise.period;
+    paramsU32[initP.NOISE_OCTAVES] = noise.octaves;
+    paramsU32[initP.NOISE_LEVEL] = noise.level;
+  }
+
+  const expected = new Int8Array(totalCells);
+  const cell = { seed: seed >>> 0, threshold, region, offset, shape, symmetry, noise };
+  for (let i = 0; i < totalCells; i++) {
+    const { x, y, z } = indexToXYZ(i, dims);
+    expected[i] = initCellExpected([x, y, z], cell);
+  }
+
+  const paramsBuf = device.createBuffer({
+    size: G3DL_LAYOUT.PARAMS.INIT.BYTES,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+  });
+  const grid = device.createBuffer({
+    size: gridBytes,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+  });
+  const stages = [0, 1].map(() =>
+    device.createBuffer({
+      size: gridBytes,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    }),
+  );
+
+  const code = packed
+    ? G3DL_SHADERS.initPacked({ workgroupSize: wg })
+    : G3DL_SHADERS.init({ workgroupSize: wg });
+  const pipeline = await createComputePipeline(device, {
+    layout: "auto",
+    compute: { module: device.createShaderModule({ code }), entryPoint: "main" },
+  });
+  const bind = device.createBindGroup({
+    layout: pipeline.getBindGroupLayout(0),
+    entries: [
+      { binding: 0, resource: { buffer: paramsBuf } },
+      { binding: 1, resource: { buffer: grid } },
+    ],
+  });
+
+  try {
+    device.queue.writeBuffer(paramsBuf, 0, paramsU32);
+    const wgX = Math.ceil((packed ? G3DL_LAYOUT.GRID.packedWordsPerRow(nx) : nx) / wg.x);
+    const enc = device.createCommandEncoder();
+    for (const stage of stages) {
+      enc.clearBuffer(grid);
+      const pass = enc.beginComputePass();
+      pass.setPipeline(pipeline);
+      pass.setBindGroup(0, bind);
+      pass.dispatchWorkgroups(wgX, Math.ceil(ny / wg.y), Math.ceil(nz / wg.z));
+      pass.end();
+      enc.copyBufferToBuffer(grid, 0, stage, 0, gridBytes);
+    }
+    device.queue.submit([enc.finish()]);
+
+    for (let run = 0; run < stages.length; run++) {
+      await stages[run].mapAsync(GPUMapMode.READ);
+      const raw = new Uint32Array(stages[run].getMappedRange().slice(0));
+      stages[run].unmap();
+      const { grid: gpu, paddingBits } = packed ? unpackGrid(raw, dims) : { grid: raw, paddingBits: 0 };
+
+      // Each run starts from a cleared buffer, so a match is not left over from the first.
+      let mismatches = paddingBits;
+      for (let i = 0; i < totalCells; i++) {
+        if (expected[i] >= 0 && gpu[i] !== expected[i]) mismatches++;
+      }
+      if (mismatches) {
+        // eslint-disable-next-line no-console
+        console.error("Self-test init mismatch:", { name, run, dims, seed, mismatches });
+        return { ok: false, message: `${name}: run ${run + 1} differs from the seed's Gen0 (${mismatches} cells).` };
+      }
+    }
+  } finally {
+    try {
+      paramsBuf.destroy();
+      grid.destroy();
+      for (const stage of stages) stage.destroy();
+    } catch (_) {}
+  }
+
+  return { ok: true, message: `${name}: ok` };
+}
+
 /**
  * Runs a small suite of deterministic GPU-vs-CPU checks.
  *
@@ -497,50 +1424,265 @@ export async function runSelfTestSuite(deps) {
   const wg = deps.workgroupSize || { x: 8, y: 4, z: 4 };
   const yieldToUi = deps.yieldToUi;
 
-  // Use two well-known 3D Life-style rule sets.
+  // Use two well-known 3D Life-style rule sets, one multi-state "Generations" rule,
+  // one non-Moore neighborhood and two radius-R (Larger-than-Life) neighborhoods.
   const RULES = [
     {
       name: "B6/S567",
-      survive: bitmaskFromCounts([5, 6, 7]),
-      birth: bitmaskFromCounts([6]),
+      survive: [[5, 7]],
+      birth: [[6, 6]],
     },
     {
       name: "B5/S45",
-      survive: bitmaskFromCounts([4, 5]),
-      birth: bitmaskFromCounts([5]),
+      survive: [[4, 5]],
+      birth: [[5, 5]],
+    },
+    {
+      // "Generations" rule: exercises dying states and extraction decay bits.
+      name: "B4/S4/5 states",
+      survive: [[4, 4]],
+      birth: [[4, 4]],
+      stateCount: 5,
+    },
+    {
+      // Non-Moore neighborhood: exercises the neighbor mask in the kernel.
+      name: "B2/S1-3 von Neumann",
+      survive: [[1, 3]],
+      birth: [[2, 2]],
+      neighborMask: NEIGHBORHOODS.vonneumann.mask,
+    },
+    {
+      // Radius-2 cube (124 neighbors): exercises the tiled kernel, its halo and multi-range rules.
+      name: "B25-30/S20-34,40 cube r2",
+      survive: [[20, 34], [40, 40]],
+      birth: [[25, 30]],
+      radius: 2,
+      shape: NEIGHBOR_SHAPE_CUBE,
+    },
+    {
+      // Radius-3 sphere (122 neighbors) with dying states.
+      name: "B24-29/S18-32/3 sphere r3",
+      survive: [[18, 32]],
+      birth: [[24, 29]],
+      stateCount: 3,
+      radius: 3,
+      shape: NEIGHBOR_SHAPE_SPHERE,
     },
   ];
 
   const CASES = [];
   for (const r of RULES) {
-    CASES.push({
-      name: `${r.name} (edges)`,
-      n: 12,
+    const common = {
+      dims: [12, 12, 12],
       steps: 3,
-      seed: 0x1234abcd,
       density: 0.22,
-      surviveMask: r.survive,
-      birthMask: r.birth,
-      toroidal: false,
+      surviveRanges: r.survive,
+      birthRanges: r.birth,
+      stateCount: r.stateCount || 2,
+      neighborMask: r.neighborMask || MOORE_NEIGHBOR_MASK,
+      radius: r.radius || 1,
+      shape: r.shape || NEIGHBOR_SHAPE_CUBE,
+    };
+    // The renderer only compiles the age-tracking kernels for the age color mode, so every
+    // rule runs both variants.
+    CASES.push({
+      ...common,
+      name: `${r.name} (edges, ages)`,
+      seed: 0x1234abcd,
+      boundary: [BOUNDARY_DEAD, BOUNDARY_DEAD, BOUNDARY_DEAD],
+      ages: true,
     });
     CASES.push({
+      ...common,
       name: `${r.name} (toroidal)`,
-      n: 12,
-      steps: 3,
       seed: 0x9e3779b9,
+      boundary: [BOUNDARY_WRAP, BOUNDARY_WRAP, BOUNDARY_WRAP],
+    });
+  }
+
+  // Non-cubic grids: every axis has its own extent (and wrap period), which a cube would hide.
+  // The mixed-boundary cases also cover mirror/alive edges and their per-axis packing; the
+  // sphere r3 case reaches past a 6-cell axis, exercising the periodic mirror mapping.
+  const BOUNDARY_CASES = [
+    { rule: RULES[1], label: "toroidal", boundary: [BOUNDARY_WRAP, BOUNDARY_WRAP, BOUNDARY_WRAP] },
+    { rule: RULES[4], label: "toroidal", boundary: [BOUNDARY_WRAP, BOUNDARY_WRAP, BOUNDARY_WRAP] },
+    { rule: RULES[1], label: "wrap/mirror/alive", boundary: [BOUNDARY_WRAP, BOUNDARY_MIRROR, BOUNDARY_ALIVE] },
+    { rule: RULES[2], label: "alive/dead/mirror", boundary: [BOUNDARY_ALIVE, BOUNDARY_DEAD, BOUNDARY_MIRROR] },
+    { rule: RULES[5], label: "mirror/wrap/mirror", boundary: [BOUNDARY_MIRROR, BOUNDARY_WRAP, BOUNDARY_MIRROR] },
+  ];
+  for (const { rule: r, label, boundary } of BOUNDARY_CASES) {
+    CASES.push({
+      name: `${r.name} (13x9x6 ${label})`,
+      dims: [13, 9, 6],
+      steps: 3,
+      seed: 0x2545f491,
       density: 0.22,
-      surviveMask: r.survive,
-      birthMask: r.birth,
-      toroidal: true,
+      surviveRanges: r.survive,
+      birthRanges: r.birth,
+      boundary,
+      stateCount: r.stateCount || 2,
+      neighborMask: r.neighborMask || MOORE_NEIGHBOR_MASK,
+      radius: r.radius || 1,
+      shape: r.shape || NEIGHBOR_SHAPE_CUBE,
     });
   }
 
+  // Bit-packed layout (used for large grids): X extents that leave a partial last word, a
+  // multi-word row and both kernels, so word-edge neighbors and padding bits are covered.
+  const PACKED_CASES = [
+    { rule: RULES[1], dims: [45, 7, 6], label: "toroidal", boundary: [BOUNDARY_WRAP, BOUNDARY_WRAP, BOUNDARY_WRAP] },
+    { rule: RULES[3], dims: [45, 7, 6], label: "alive/mirror/dead", boundary: [BOUNDARY_ALIVE, BOUNDARY_MIRROR, BOUNDARY_DEAD] },
+    { rule: RULES[0], dims: [45, 7, 6], label: "mirror/wrap/alive", boundary: [BOUNDARY_MIRROR, BOUNDARY_WRAP, BOUNDARY_ALIVE] },
+    { rule: RULES[4], dims: [45, 7, 6], label: "wrap/dead/mirror", boundary: [BOUNDARY_WRAP, BOUNDARY_DEAD, BOUNDARY_MIRROR] },
+    { rule: RULES[1], dims: [13, 9, 6], label: "edges", boundary: [BOUNDARY_DEAD, BOUNDARY_DEAD, BOUNDARY_DEAD] },
+  ];
+  for (const { rule: r, dims, label, boundary } of PACKED_CASES) {
+    CASES.push({
+      name: `${r.name} (${dims.join("x")} ${label}, packed)`,
+      dims,
+      steps: 3,
+      seed: 0x6a09e667,
+      density: 0.22,
+      surviveRanges: r.survive,
+      birthRanges: r.birth,
+      boundary,
+      neighborMask: r.neighborMask || MOORE_NEIGHBOR_MASK,
+      radius: r.radius || 1,
+      shape: r.shape || NEIGHBOR_SHAPE_CUBE,
+      packed: true,
+    });
+  }
+
+  // Seeded Gen0: a clipped, off-center region on a non-cubic grid, in both layouts.
+  // Plain soups pin the hash itself; shaped ones use a region with matching X and Z so the
+  // 4-fold rotation is exact.
+  const INIT_SHAPES = [
+    { label: "sphere, mirror XYZ", shape: INIT_SHAPE_SPHERE, symmetry: INIT_SYMMETRY_MIRROR_XYZ },
+    { label: "shell, 4-fold", shape: INIT_SHAPE_SHELL, symmetry: INIT_SYMMETRY_ROTATE_4 },
+    { label: "cylinder, 2-fold", shape: INIT_SHAPE_CYLINDER, symmetry: INIT_SYMMETRY_ROTATE_2 },
+    { label: "slab, mirror X", shape: INIT_SHAPE_SLAB, symmetry: INIT_SYMMETRY_MIRROR_X },
+    {
+      label: "noise, 3 octaves",
+      shape: INIT_SHAPE_CUBE,
+      symmetry: INIT_SYMMETRY_NONE,
+      noise: { period: 7, octaves: 3, level: Math.floor(0.5 * initNoiseMax(3)) },
+    },
+    {
+      label: "noise sphere, 4-fold",
+      shape: INIT_SHAPE_SPHERE,
+      symmetry: INIT_SYMMETRY_ROTATE_4,
+      noise: { period: 5, octaves: 2, level: Math.floor(0.3 * initNoiseMax(2)) },
+    },
+  ];
+  const INIT_CASES = [false, true].flatMap((packed) => [
+    {
+      name: `Gen0 seed 0x5eed1234 (37x11x9${packed ? ", packed" : ""})`,
+      dims: [37, 11, 9],
+      seed: 0x5eed1234,
+      density: 0.3,
+      region: [30, 11, 6],
+      offset: [3, 0, 2],
+      packed,
+    },
+    ...INIT_SHAPES.map(({ label, shape, symmetry, noise }) => ({
+      name: `Gen0 ${label} (36x19x23${packed ? ", packed" : ""})`,
+      dims: [36, 19, 23],
+      seed: 0x5eed1234,
+      density: 0.4,
+      region: [21, 17, 21],
+      offset: [9, 1, 1],
+      shape,
+      symmetry,
+      noise,
+      packed,
+    })),
+  ]);
+
+  // Batched generations against single steps: a blinker in one z-plane (2D Life through an
+  // in-plane neighbor mask; the packed one straddles a word edge) changes in its last
+  // generation, a block is still, and a lone cell dies in the first generation only, so the
+  // change flag must not carry over from earlier generations of the batch.
+  let inPlaneMask = 0;
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx || dy) inPlaneMask |= 1 << neighborBit(dx, dy, 0);
+    }
+  }
+  const BLOCK = [];
+  for (let i = 0; i < 8; i++) BLOCK.push([3 + (i & 1), 3 + ((i >> 1) & 1), 3 + (i >> 2)]);
+  const BATCH_CASES = [
+    {
+      name: "Batch of 5: blinker, B3/S23 in-plane",
+      dims: [8, 8, 3],
+      cells: [[2, 4, 1], [3, 4, 1], [4, 4, 1]],
+      surviveRanges: [[2, 3]],
+      birthRanges: [[3, 3]],
+      neighborMask: inPlaneMask,
+      generations: 5,
+    },
+    {
+      name: "Batch of 5: blinker, B3/S23 in-plane (45x8x3, packed)",
+      dims: [45, 8, 3],
+      cells: [[31, 4, 1], [32, 4, 1], [33, 4, 1]],
+      surviveRanges: [[2, 3]],
+      birthRanges: [[3, 3]],
+      neighborMask: inPlaneMask,
+      generations: 5,
+      packed: true,
+    },
+    {
+      name: "Batch of 4: 2x2x2 block, B6/S567",
+      dims: [8, 8, 8],
+      cells: BLOCK,
+      surviveRanges: [[5, 7]],
+      birthRanges: [[6, 6]],
+      generations: 4,
+    },
+    {
+      name: "Batch of 3: lone cell, B6/S567",
+      dims: [8, 8, 8],
+      cells: [[4, 4, 4]],
+      surviveRanges: [[5, 7]],
+      birthRanges: [[6, 6]],
+      generations: 3,
+    },
+  ];
+
+  // Generation history: a ring deeper than the steps restores Gen0; a shallower one (packed)
+  // stops after its depth.
+  const HISTORY_CASES = [
+    { name: "History: 4 steps back through 8 entries", dims: [12, 12, 12], steps: 4, depth: 8 },
+    {
+      name: "History: 6 steps back through 3 entries (45x7x6, packed)",
+      dims: [45, 7, 6],
+      steps: 6,
+      depth: 3,
+      packed: true,
+    },
+  ].map((c) => ({
+    ...c,
+    seed: 0x3c6ef372,
+    density: 0.22,
+    surviveRanges: RULES[1].survive,
+    birthRanges: RULES[1].birth,
+  }));
+
   // Quick sanity: ensure workgroup size is usable (avoid obvious invalid configs).
   if (!wg || !wg.x || !wg.y || !wg.z) {
     return { ok: false, message: "Self-test unavailable: invalid workgroup size." };
   }
 
+  const formats = runFormatSelfTests();
+  if (!formats.ok) return formats;
+
   try {
+    for (const c of INIT_CASES) {
+      if (yieldToUi) await yieldToUi();
+
+      const res = await runInitCase({ device, workgroupSize: wg, ...c });
+      if (!res.ok) return res;
+    }
+
     for (const c of CASES) {
       if (yieldToUi) await yieldToUi();
 
@@ -554,9 +1696,25 @@ export async function runSelfTestSuite(deps) {
       if (!res.ok) return res;
     }
 
+    for (const c of BATCH_CASES) {
+      if (yieldToUi) await yieldToUi();
+
+      const res = await runBatchCase({ device, workgroupSize: wg, ...c });
+      if (!res.ok) return res;
+    }
+
+    for (const c of HISTORY_CASES) {
+      if (yieldToUi) await yieldToUi();
+
+      const res = await runHistoryCase({ device, workgroupSize: wg, ...c });
+      if (!res.ok) return res;
+    }
+
+    const count =
+      formats.count + INIT_CASES.length + CASES.length + BATCH_CASES.length + HISTORY_CASES.length;
     return {
       ok: true,
-      message: `Self-test passed: ${CASES.length} cases validated (GPU simulation + extraction are consistent).`,
+      message: `Self-test passed: ${count} cases validated (format round-trips, seeded Gen0, GPU simulation + extraction + cell ages, batched generations and step back are consistent).`,
     };
   } catch (e) {
     // eslint-disable-next-line no-console
@@ -8,11 +8,53 @@
  */
 
 import { parseHex6 } from "../util/color.js";
+import { MAX_GENERATIONS_PER_STEP } from "../gpu/constants.js";
+import {
+  MIN_RULE_STATES,
+  MAX_RULE_STATES,
+  mergeRuleRanges,
+  formatRuleRanges,
+} from "./ruleParse.js";
+import {
+  NEIGHBORHOODS,
+  CUSTOM_NEIGHBORHOOD,
+  RADIUS_NEIGHBORHOODS,
+  MIN_NEIGHBOR_RADIUS,
+  MAX_NEIGHBOR_RADIUS,
+  isRadiusNeighborhood,
+  resolveNeighborhood,
+  formatNeighborMask,
+  parseNeighborMask,
+} from "./neighborhoods.js";
+import { parseRuleNotation } from "./ruleNotation.js";
+import { decodeUrlPattern } from "./urlPattern.js";
+import { BOUNDARY_MODES, parseBoundaryModes, formatBoundaryModes } from "./boundaries.js";
+import {
+  GEN0_SHAPES,
+  GEN0_SYMMETRIES,
+  GEN0_FILLS,
+  MIN_NOISE_FREQUENCY,
+  MAX_NOISE_FREQUENCY,
+  MIN_NOISE_OCTAVES,
+  MAX_NOISE_OCTAVES,
+  MIN_NOISE_LEVEL,
+  MAX_NOISE_LEVEL,
+} from "./gen0Shapes.js";
+import { MIN_GRID_EDGE, parseGridDims, formatGridDims, clampGridDims } from "./gridDims.js";
+import {
+  readNeighborMaskEditor,
+  writeNeighborMaskEditor,
+  readGridDimsInputs,
+  writeGridDimsInputs,
+} from "./domHelpers.js";
 
 /**
  * Rule preset definitions.
  *
  * Keys are legacy preset IDs kept for compatibility with the existing UI.
+ * `states` is optional ("Generations" rules); presets without it are classic 2-state rules.
+ * `neighborhood` is optional (a NEIGHBORHOODS key); presets without it use Moore (26).
+ * Rules are count lists/ranges, so radius-R rules can use counts far above 26.
  */
 export const RULE_PRESETS = Object.freeze({
   5766: { survive: "5-7", birth: "6", name: "5766" },
@@ -21,6 +63,8 @@ export const RULE_PRESETS = Object.freeze({
   4526: { survive: "4-5", birth: "2-6", name: "Amoeba" },
   6657: { survive: "6", birth: "5-7", name: "6657" },
   5867: { survive: "5-8", birth: "6-7", name: "5867" },
+  445: { survive: "4", birth: "4", states: "5", name: "445" },
+  "4768-10": { survive: "4-7", birth: "6-8", states: "10", name: "Pyroclastic" },
 });
 
 /**
@@ -28,21 +72,39 @@ export const RULE_PRESETS = Object.freeze({
  */
 const SETTINGS_URL_KEYS = Object.freeze([
   "speed",
+  "gens",
+  "history",
   "grid",
   "gen0",
   "density",
   "haze",
   "autostop",
+  "sparse",
   "boundaries",
+  "edges",
   "wrap",
   "lantern",
+  "colorBy",
   "cellTop",
   "cellBottom",
   "bgTop",
   "bgBottom",
   "survive",
   "birth",
+  "states",
+  "rule",
+  "neighborhood",
+  "nmask",
+  "radius",
   "screenshow",
+  "pattern",
+  "seed",
+  "shape",
+  "symmetry",
+  "fill",
+  "noiseFreq",
+  "noiseOctaves",
+  "noiseLevel",
 ]);
 
 /**
@@ -53,54 +115,83 @@ const SETTINGS_URL_KEYS = Object.freeze([
  */
 const SETTINGS_SCHEMA = Object.freeze({
   speed: { type: "int", min: 1, max: 10000 }, // slider value (not delay ms)
-  grid: { type: "int", min: 4, max: 256 },
+  gens: { type: "int", min: 1, max: MAX_GENERATIONS_PER_STEP }, // generations per play tick
+  history: { type: "int", min: 0, max: 256 }, // Step back depth (0 = off)
+  grid: { type: "dims", min: MIN_GRID_EDGE, max: 256 }, // "N" (cube) or "XxYxZ"
   gen0: { type: "int", min: 2, max: 256 },
   density: { type: "int", min: 1, max: 50 }, // percent points
   haze: { type: "int", min: 0, max: 30 }, // percent points
   autostop: { type: "bool" },
+  sparse: { type: "bool" }, // "Skip empty space" (active-region stepping)
   boundaries: { type: "bool" },
-  wrap: { type: "bool" },
+  edges: { type: "enum", values: Object.keys(BOUNDARY_MODES) }, // one mode, or "x,y,z" per axis
+  wrap: { type: "bool" }, // legacy: all axes wrap (1) or dead (0); edges= wins when both are given
   lantern: { type: "bool" },
   screenshow: { type: "bool" },
+  colorBy: { type: "enum", values: ["height", "age"] }, // cell colors: height gradient or age palette
   cellTop: { type: "hex6" },
   cellBottom: { type: "hex6" },
   bgTop: { type: "hex6" },
   bgBottom: { type: "hex6" },
   survive: { type: "string" },
   birth: { type: "string" },
+  states: { type: "int", min: MIN_RULE_STATES, max: MAX_RULE_STATES },
+  rule: { type: "string" }, // standard notation ("B5/S4-5", "4555", "4/4/5/M"); overrides survive/birth/states (and neighborhood)
+  neighborhood: {
+    type: "enum",
+    values: [...Object.keys(NEIGHBORHOODS), CUSTOM_NEIGHBORHOOD, ...Object.keys(RADIUS_NEIGHBORHOODS)],
+  },
+  nmask: { type: "hex27" }, // custom neighborhood mask; only read with neighborhood=custom
+  radius: { type: "int", min: MIN_NEIGHBOR_RADIUS, max: MAX_NEIGHBOR_RADIUS }, // cube/sphere only
+  pattern: { type: "string" }, // grid state (see urlPattern.js); replaces the random Gen0
+  seed: { type: "int", min: 0, max: 0xffffffff }, // random soup seed; ignored with pattern=
+  shape: { type: "enum", values: Object.keys(GEN0_SHAPES) }, // Gen0 shape (see gen0Shapes.js)
+  symmetry: { type: "enum", values: Object.keys(GEN0_SYMMETRIES) },
+  fill: { type: "enum", values: Object.keys(GEN0_FILLS) }, // random cells or noise blobs
+  noiseFreq: { type: "int", min: MIN_NOISE_FREQUENCY, max: MAX_NOISE_FREQUENCY }, // blobs per Gen0 edge
+  noiseOctaves: { type: "int", min: MIN_NOISE_OCTAVES, max: MAX_NOISE_OCTAVES },
+  noiseLevel: { type: "int", min: MIN_NOISE_LEVEL, max: MAX_NOISE_LEVEL }, // percent of Gen0 outside the blobs
 });
 
 /**
- * Normalize a rule string to a sorted array of numbers for comparison.
+ * Normalize a rule string to canonical merged ranges for comparison.
  *
  * Input accepts comma-separated integers and ranges (e.g. "5-7, 9").
- * Output is a canonical comma-separated list of integers.
+ * Output is a canonical comma-separated list of sorted, merged ranges (e.g. "5-7,9").
+ * Ranges are not expanded, so large radius-R rules (e.g. "100-900") stay cheap.
+ *
+ * Values outside [min, max] are clipped (defaults: Moore neighbor counts 0..26). Pass
+ * max = neighborhood size for other neighborhoods, or MIN_RULE_STATES/MAX_RULE_STATES
+ * to normalize the "Generations" state-count field.
  *
  * @param {string} str
+ * @param {{ min?: number, max?: number }} [opts]
  * @returns {string}
  */
-export function normalizeRule(str) {
-  const result = [];
+export function normalizeRule(str, opts = {}) {
+  const { min = 0, max = 26 } = opts;
+  /** @type {Array<[number, number]>} */
+  const ranges = [];
   const parts = String(str)
     .split(",")
     .map((s) => s.trim())
     .filter((s) => s.length > 0);
 
   for (const part of parts) {
+    let start;
+    let end;
     if (part.includes("-")) {
-      const [start, end] = part.split("-").map((s) => parseInt(s.trim(), 10));
-      if (!isNaN(start) && !isNaN(end)) {
-        for (let i = Math.min(start, end); i <= Math.max(start, end); i++) {
-          if (i >= 0 && i <= 26) result.push(i);
-        }
-      }
+      [start, end] = part.split("-").map((s) => parseInt(s.trim(), 10));
     } else {
-      const n = parseInt(part, 10);
-      if (!isNaN(n) && n >= 0 && n <= 26) result.push(n);
+      start = end = parseInt(part, 10);
     }
+    if (isNaN(start) || isNaN(end)) continue;
+    const lo = Math.max(min, Math.min(start, end));
+    const hi = Math.min(max, Math.max(start, end));
+    if (lo <= hi) ranges.push([lo, hi]);
   }
 
-  return [...new Set(result)].sort((a, b) => a - b).join(",");
+  return formatRuleRanges(mergeRuleRanges(ranges));
 }
 
 /**
@@ -144,6 +235,17 @@ function clampInt(n, min, max) {
   return Math.min(max, Math.max(min, n));
 }
 
+/**
+ * Select the largest numeric option of `select` that does not exceed `n` (no-op if none does).
+ *
+ * @param {HTMLSelectElement} select
+ * @param {number} n
+ */
+function selectLargestOptionAtMost(select, n) {
+  const fit = Array.from(select.options, (o) => parseInt(o.value, 10)).filter((v) => v <= n);
+  if (fit.length) select.value = String(Math.max(...fit));
+}
+
 /**
  * Returns true if the current URL contains at least one known settings key.
  *
@@ -167,33 +269,58 @@ export function hasKnownSettingsParams(search = window.location.search) {
  * - It validates hex colors.
  *
  * It also returns derived numeric values that the app typically caches as
- * state variables (gridSize, initSize, density).
+ * state variables (gridDims, initSize, density), and the Gen0 to start from: a decoded
+ * `pattern=` (placed by the caller once the grid exists) or a `seed=` for the random soup.
+ * Malformed or oversized values of either are ignored.
+ *
+ * `opts.params` applies another set of settings-keyed values (e.g. from a pattern file) instead
+ * of the page URL.
  *
  * @param {import("../ui/dom.js").DomCache} dom
- * @param {{ maxGrid?: number }} [opts]
- * @returns {{ gridSize: number|null, initSize: number|null, density: number|null }}
+ * @param {{ maxGrid?: number, maxCells?: number, params?: URLSearchParams }} [opts]
+ *   per-axis edge limit, total cell budget and an optional parameter source
+ * @returns {{ gridDims: [number, number, number]|null, initSize: number|null, density: number|null,
+ *   pattern: import("./urlPattern.js").UrlPattern|null, seed: number|null }}
  */
 export function applySettingsFromUrl(dom, opts = {}) {
-  const params = new URLSearchParams(window.location.search);
+  const params = opts.params ?? new URLSearchParams(window.location.search);
 
   const {
     speedSlider,
+    generationsSelect,
+    historySelect,
     sizeInput,
+    sizeYInput,
+    sizeZInput,
     initSizeInput,
     densitySlider,
     densityTip,
+    gen0ShapeSelect,
+    gen0SymmetrySelect,
+    gen0FillSelect,
+    noiseFrequencyInput,
+    noiseOctavesInput,
+    noiseLevelInput,
     hazeSlider,
     stableStopCheckbox,
+    activeRegionCheckbox,
     gridProjectionCheckbox,
-    toroidalCheckbox,
+    boundaryXSelect,
+    boundaryYSelect,
+    boundaryZSelect,
     lanternCheckbox,
     screenShowCheckbox,
+    cellColorModeSelect,
     cellColorPicker,
     cellColorPicker2,
     bgColorPicker,
     bgColorPicker2,
     surviveInput,
     birthInput,
+    statesInput,
+    neighborhoodSelect,
+    neighborMaskEditor,
+    neighborRadiusInput,
   } = dom;
 
   // Run speed (slider position)
@@ -204,17 +331,30 @@ export function applySettingsFromUrl(dom, opts = {}) {
     speedSlider.value = String(clampInt(speedV, min, max));
   }
 
-  // Grid edge / Gen0 edge
-  const gridV = parseIntParam(params.get("grid"));
+  // Generations per tick and History depth: the largest offered option not above the request.
+  const gensV = parseIntParam(params.get("gens"));
+  if (gensV != null && generationsSelect) {
+    const n = clampInt(gensV, SETTINGS_SCHEMA.gens.min, SETTINGS_SCHEMA.gens.max);
+    selectLargestOptionAtMost(generationsSelect, n);
+  }
+  const historyV = parseIntParam(params.get("history"));
+  if (historyV != null && historySelect) {
+    const n = clampInt(historyV, SETTINGS_SCHEMA.history.min, SETTINGS_SCHEMA.history.max);
+    selectLargestOptionAtMost(historySelect, n);
+  }
+
+  // Grid shape / Gen0 edge
+  const sizeInputs = [sizeInput, sizeYInput, sizeZInput];
+  const gridV = parseGridDims(params.get("grid"));
   if (gridV != null && sizeInput) {
-    const min = parseInt(sizeInput.min, 10) || SETTINGS_SCHEMA.grid.min;
     const hardMax =
       typeof opts.maxGrid === "number" ? opts.maxGrid : SETTINGS_SCHEMA.grid.max;
-    const max = Math.min(
+    const maxEdge = Math.min(
       hardMax,
       parseInt(sizeInput.max, 10) || SETTINGS_SCHEMA.grid.max,
     );
-    sizeInput.value = String(clampInt(gridV, min, max));
+    const maxCells = typeof opts.maxCells === "number" ? opts.maxCells : maxEdge ** 3;
+    writeGridDimsInputs(sizeInputs, clampGridDims(gridV, { maxEdge, maxCells }).dims);
   }
 
   const gen0V = parseIntParam(params.get("gen0"));
@@ -246,12 +386,24 @@ export function applySettingsFromUrl(dom, opts = {}) {
   if (autoStopV != null && stableStopCheckbox)
     stableStopCheckbox.checked = autoStopV;
 
+  const sparseV = parseBoolParam(params.get("sparse"));
+  if (sparseV != null && activeRegionCheckbox)
+    activeRegionCheckbox.checked = sparseV;
+
   const boundariesV = parseBoolParam(params.get("boundaries"));
   if (boundariesV != null && gridProjectionCheckbox)
     gridProjectionCheckbox.checked = boundariesV;
 
+  // Per-axis boundary modes; the legacy wrap= flag sets all three axes.
   const wrapV = parseBoolParam(params.get("wrap"));
-  if (wrapV != null && toroidalCheckbox) toroidalCheckbox.checked = wrapV;
+  const boundarySelects = [boundaryXSelect, boundaryYSelect, boundaryZSelect];
+  const edgesV = parseBoundaryModes(params.get("edges"));
+  const boundaryV = edgesV ?? (wrapV != null ? Array(3).fill(wrapV ? "wrap" : "dead") : null);
+  if (boundaryV) {
+    boundarySelects.forEach((select, i) => {
+      if (select) select.value = boundaryV[i];
+    });
+  }
 
   const lanternV = parseBoolParam(params.get("lantern"));
   if (lanternV != null && lanternCheckbox) lanternCheckbox.checked = lanternV;
@@ -261,6 +413,10 @@ export function applySettingsFromUrl(dom, opts = {}) {
     screenShowCheckbox.checked = screenShowV;
 
   // Colors
+  const colorByV = params.get("colorBy");
+  if (colorByV != null && cellColorModeSelect && SETTINGS_SCHEMA.colorBy.values.includes(colorByV))
+    cellColorModeSelect.value = colorByV;
+
   const cellTop = normalizeHexColorParam(params.get("cellTop"));
   if (cellTop && cellColorPicker) cellColorPicker.value = cellTop;
 
@@ -273,70 +429,223 @@ export function applySettingsFromUrl(dom, opts = {}) {
   const bgBottom = normalizeHexColorParam(params.get("bgBottom"));
   if (bgBottom && bgColorPicker2) bgColorPicker2.value = bgBottom;
 
-  // Rules (do not accept preset in URL; only explicit Survival/Birth)
+  // Rules (do not accept preset in URL; only explicit Survival/Birth, or rule= below)
   const surviveV = params.get("survive");
   if (surviveV != null && surviveInput) surviveInput.value = surviveV;
 
   const birthV = params.get("birth");
   if (birthV != null && birthInput) birthInput.value = birthV;
 
+  const statesV = parseIntParam(params.get("states"));
+  if (statesV != null && statesInput) {
+    statesInput.value = String(
+      clampInt(statesV, SETTINGS_SCHEMA.states.min, SETTINGS_SCHEMA.states.max),
+    );
+  }
+
+  // Neighborhood (custom masks are only accepted with a valid nmask; cube/sphere read radius)
+  const neighborhoodV = params.get("neighborhood");
+  if (
+    neighborhoodV != null &&
+    neighborhoodSelect &&
+    SETTINGS_SCHEMA.neighborhood.values.includes(neighborhoodV)
+  ) {
+    if (neighborhoodV === CUSTOM_NEIGHBORHOOD) {
+      const mask = parseNeighborMask(params.get("nmask"));
+      if (mask != null) {
+        writeNeighborMaskEditor(neighborMaskEditor, mask);
+        neighborhoodSelect.value = neighborhoodV;
+      }
+    } else {
+      neighborhoodSelect.value = neighborhoodV;
+    }
+  }
+
+  const radiusV = parseIntParam(params.get("radius"));
+  if (radiusV != null && neighborRadiusInput) {
+    neighborRadiusInput.value = String(
+      clampInt(radiusV, SETTINGS_SCHEMA.radius.min, SETTINGS_SCHEMA.radius.max),
+    );
+  }
+
+  // Whole rule in standard notation. Read after the neighborhood, which bounds the counts;
+  // a valid rule= wins over survive/birth/states (and over neighborhood= when it names one),
+  // an invalid one is ignored.
+  const ruleV = params.get("rule");
+  if (ruleV != null && surviveInput && birthInput) {
+    const { size } = resolveNeighborhood(
+      neighborhoodSelect ? neighborhoodSelect.value : "moore",
+      readNeighborMaskEditor(neighborMaskEditor),
+      neighborRadiusInput ? neighborRadiusInput.value : MIN_NEIGHBOR_RADIUS,
+    );
+    const rule = parseRuleNotation(ruleV, { max: size });
+    if (!rule.hasError && rule.isNonEmpty) {
+      surviveInput.value = formatRuleRanges(rule.survive);
+      birthInput.value = formatRuleRanges(rule.birth);
+      if (statesInput) statesInput.value = String(rule.states ?? MIN_RULE_STATES);
+      if (rule.neighborhood && neighborhoodSelect) neighborhoodSelect.value = rule.neighborhood;
+    }
+  }
+
   // Derived values for app state
-  const gridSize = sizeInput ? parseInt(sizeInput.value, 10) : null;
+  const gridDims = sizeInput ? readGridDimsInputs(sizeInputs) : null;
   const initSizeRaw = initSizeInput ? parseInt(initSizeInput.value, 10) : null;
 
-  const gridSizeN = Number.isFinite(gridSize) ? gridSize : null;
+  const gridDimsN = gridDims && gridDims.every(Number.isFinite) ? gridDims : null;
   let initSizeN = Number.isFinite(initSizeRaw) ? initSizeRaw : null;
 
-  if (gridSizeN != null && initSizeN != null && initSizeN > gridSizeN) {
-    initSizeN = gridSizeN;
+  // The Gen0 cube is clipped per axis, so it is only bounded by the longest edge.
+  const maxEdgeN = gridDimsN ? Math.max(...gridDimsN) : null;
+  if (maxEdgeN != null && initSizeN != null && initSizeN > maxEdgeN) {
+    initSizeN = maxEdgeN;
     if (initSizeInput) initSizeInput.value = String(initSizeN);
   }
 
   const densSliderN = densitySlider ? parseInt(densitySlider.value, 10) : null;
   const densityN = Number.isFinite(densSliderN) ? densSliderN / 100 : null;
 
-  return { gridSize: gridSizeN, initSize: initSizeN, density: densityN };
+  const shapeV = params.get("shape");
+  if (shapeV != null && gen0ShapeSelect && SETTINGS_SCHEMA.shape.values.includes(shapeV))
+    gen0ShapeSelect.value = shapeV;
+  const symmetryV = params.get("symmetry");
+  if (symmetryV != null && gen0SymmetrySelect && SETTINGS_SCHEMA.symmetry.values.includes(symmetryV))
+    gen0SymmetrySelect.value = symmetryV;
+  const fillV = params.get("fill");
+  if (fillV != null && gen0FillSelect && SETTINGS_SCHEMA.fill.values.includes(fillV))
+    gen0FillSelect.value = fillV;
+  const noiseInputs = [
+    ["noiseFreq", noiseFrequencyInput],
+    ["noiseOctaves", noiseOctavesInput],
+    ["noiseLevel", noiseLevelInput],
+  ];
+  for (const [key, input] of noiseInputs) {
+    const v = parseIntParam(params.get(key));
+    if (v != null && input)
+      input.value = String(clampInt(v, SETTINGS_SCHEMA[key].min, SETTINGS_SCHEMA[key].max));
+  }
+
+  // Gen0: an exact pattern wins over a soup seed.
+  let patternN = null;
+  const patternV = params.get("pattern");
+  if (patternV != null) {
+    try {
+      patternN = decodeUrlPattern(patternV, {
+        maxEdge: typeof opts.maxGrid === "number" ? opts.maxGrid : SETTINGS_SCHEMA.grid.max,
+        maxCells: opts.maxCells,
+      });
+    } catch (_) {
+      patternN = null;
+    }
+  }
+  const seedV = parseIntParam(params.get("seed"));
+  const seedN =
+    seedV != null && seedV >= SETTINGS_SCHEMA.seed.min && seedV <= SETTINGS_SCHEMA.seed.max
+      ? seedV
+      : null;
+
+  return {
+    gridDims: gridDimsN,
+    initSize: initSizeN,
+    density: densityN,
+    pattern: patternN,
+    seed: seedN,
+  };
 }
 
+/**
+ * Read the rule controls as share-URL values (survive, birth, states, neighborhood, and
+ * nmask or radius when the neighborhood uses one). Pattern files store the same keys.
+ *
+ * @param {import("../ui/dom.js").DomCache} dom
+ * @returns {Record<string, string>}
+ */
+export function readRuleSettings(dom) {
+  const rule = {
+    survive: (dom.surviveInput?.value || "").trim(),
+    birth: (dom.birthInput?.value || "").trim(),
+    states: (dom.statesInput?.value || "").trim() || String(MIN_RULE_STATES),
+  };
+
+  const neighborhoodV = dom.neighborhoodSelect?.value || "moore";
+  rule.neighborhood = neighborhoodV;
+  if (neighborhoodV === CUSTOM_NEIGHBORHOOD) {
+    rule.nmask = formatNeighborMask(readNeighborMaskEditor(dom.neighborMaskEditor));
+  } else if (isRadiusNeighborhood(neighborhoodV)) {
+    rule.radius = (dom.neighborRadiusInput?.value || "").trim() || String(MIN_NEIGHBOR_RADIUS);
+  }
+  return rule;
+}
+
+/**
+ * @typedef {Object} SharedGen0
+ * @property {string|null} [pattern] encoded grid state (see urlPattern.js)
+ * @property {number|null} [seed] random soup seed
+ */
+
 /**
  * Build a shareable URL containing the current settings.
  *
  * @param {import("../ui/dom.js").DomCache} dom
- * @param {{ fallbackGridSize: number, fallbackInitSize: number, fallbackDensity: number }} fallbacks
+ * @param {{ fallbackGridDims: number[], fallbackInitSize: number, fallbackDensity: number }} fallbacks
+ * @param {SharedGen0} [gen0] cells for the recipient to start from
  * @returns {string}
  */
-function buildUrlWithSettings(dom, fallbacks) {
+function buildUrlWithSettings(dom, fallbacks, gen0 = {}) {
   const params = new URLSearchParams(window.location.search);
 
   // Remove any previous values for our keys
   for (const k of SETTINGS_URL_KEYS) params.delete(k);
   const speedV = dom.speedSlider ? parseInt(dom.speedSlider.value, 10) : null;
-  const gridV = dom.sizeInput ? parseInt(dom.sizeInput.value, 10) : null;
+  const gridV = dom.sizeInput
+    ? readGridDimsInputs([dom.sizeInput, dom.sizeYInput, dom.sizeZInput])
+    : null;
   const gen0V = dom.initSizeInput ? parseInt(dom.initSizeInput.value, 10) : null;
 
   const densV = dom.densitySlider ? parseInt(dom.densitySlider.value, 10) : null;
   const hazeV = dom.hazeSlider ? parseInt(dom.hazeSlider.value, 10) : null;
 
   params.set("speed", String(speedV || 300));
-  params.set("grid", String(gridV || fallbacks.fallbackGridSize));
+  if (dom.generationsSelect) params.set("gens", dom.generationsSelect.value);
+  if (dom.historySelect) params.set("history", dom.historySelect.value);
+  params.set(
+    "grid",
+    formatGridDims(
+      gridV && gridV.every((v) => v > 0) ? gridV : fallbacks.fallbackGridDims,
+    ),
+  );
   params.set("gen0", String(gen0V || fallbacks.fallbackInitSize));
   params.set(
     "density",
     String(densV || Math.round(fallbacks.fallbackDensity * 100)),
   );
   params.set("haze", String(hazeV || 0));
+  if (dom.gen0ShapeSelect) params.set("shape", dom.gen0ShapeSelect.value);
+  if (dom.gen0SymmetrySelect) params.set("symmetry", dom.gen0SymmetrySelect.value);
+  if (dom.gen0FillSelect) {
+    params.set("fill", dom.gen0FillSelect.value);
+    // The noise fields only matter with the noise fill.
+    if (dom.gen0FillSelect.value === "noise") {
+      if (dom.noiseFrequencyInput) params.set("noiseFreq", dom.noiseFrequencyInput.value);
+      if (dom.noiseOctavesInput) params.set("noiseOctaves", dom.noiseOctavesInput.value);
+      if (dom.noiseLevelInput) params.set("noiseLevel", dom.noiseLevelInput.value);
+    }
+  }
 
   if (dom.stableStopCheckbox)
     params.set("autostop", dom.stableStopCheckbox.checked ? "1" : "0");
+  if (dom.activeRegionCheckbox)
+    params.set("sparse", dom.activeRegionCheckbox.checked ? "1" : "0");
   if (dom.gridProjectionCheckbox)
     params.set("boundaries", dom.gridProjectionCheckbox.checked ? "1" : "0");
-  if (dom.toroidalCheckbox)
-    params.set("wrap", dom.toroidalCheckbox.checked ? "1" : "0");
+  const boundarySelects = [dom.boundaryXSelect, dom.boundaryYSelect, dom.boundaryZSelect];
+  if (boundarySelects.every(Boolean))
+    params.set("edges", formatBoundaryModes(boundarySelects.map((s) => s.value)));
   if (dom.lanternCheckbox)
     params.set("lantern", dom.lanternCheckbox.checked ? "1" : "0");
   if (dom.screenShowCheckbox)
     params.set("screenshow", dom.screenShowCheckbox.checked ? "1" : "0");
 
+  if (dom.cellColorModeSelect) params.set("colorBy", dom.cellColorModeSelect.value);
   params.set(
     "cellTop",
     (dom.cellColorPicker?.value || "#000000").replace("#", ""),
@@ -354,8 +663,10 @@ function buildUrlWithSettings(dom, fallbacks) {
     (dom.bgColorPicker2?.value || "#000000").replace("#", ""),
   );
 
-  params.set("survive", (dom.surviveInput?.value || "").trim());
-  params.set("birth", (dom.birthInput?.value || "").trim());
+  for (const [k, v] of Object.entries(readRuleSettings(dom))) params.set(k, v);
+
+  if (gen0.pattern != null) params.set("pattern", gen0.pattern);
+  else if (gen0.seed != null) params.set("seed", String(gen0.seed >>> 0));
 
   const url = new URL(window.location.href);
   url.search = params.toString() ? "?" + params.toString() : "";
@@ -405,10 +716,11 @@ async function copyTextToClipboard(text) {
  * UX feedback by swapping the button label temporarily.
  *
  * @param {import("../ui/dom.js").DomCache} dom
- * @param {{ fallbackGridSize: number, fallbackInitSize: number, fallbackDensity: number }} fallbacks
+ * @param {{ fallbackGridDims: number[], fallbackInitSize: number, fallbackDensity: number }} fallbacks
+ * @param {SharedGen0} [gen0]
  */
-export async function copySettingsUrlToClipboard(dom, fallbacks) {
-  const url = buildUrlWithSettings(dom, fallbacks);
+export async function copySettingsUrlToClipboard(dom, fallbacks, gen0 = {}) {
+  const url = buildUrlWithSettings(dom, fallbacks, gen0);
   const ok = await copyTextToClipboard(url);
 
   const btn = dom.copyUrlBtn;
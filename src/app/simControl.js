@@ -2,7 +2,7 @@
  * Simulation control controller.
  *
  * This module centralizes the application's imperative simulation controls:
- * - step
+ * - step / step back
  * - run/pause
  * - reset (randomize)
  * - sticky step-failure error policy
@@ -14,8 +14,8 @@
 /**
  * @typedef {Object} SimControllerDeps
  * @property {{
- *   settings: { density: number, initSize: number },
- *   sim: { generation: number },
+ *   settings: { density: number, initSize: number, seed: number | null },
+ *   sim: { generation: number, population: number, populationGeneration: number },
  *   screenshow: { enabled: boolean },
  * }} state
  * @property {() => any | null} getRenderer
@@ -116,6 +116,41 @@ export function createSimController(deps) {
     }
   }
 
+  /**
+   * Restore the previous generation from the renderer's history ring.
+   * Like step(), this pauses play mode first.
+   */
+  async function stepBack() {
+    const renderer = getRenderer();
+    if (!renderer) return;
+
+    closeSettingsAndHelpPanels();
+    clearStickyError();
+
+    stopPlaying();
+    await waitForIdle();
+
+    let restored = false;
+    try {
+      restored = await renderer.stepBack();
+    } catch (err) {
+      error(logMsg.SIM_STEP_ERROR, err);
+      handleStepError(err);
+      return;
+    }
+
+    if (!restored) {
+      toast.show({ kind: "info", message: uiMsg.sim.noHistory });
+      return;
+    }
+
+    state.sim.generation = renderer.generation;
+    state.sim.population = renderer.population;
+    state.sim.populationGeneration = state.sim.generation;
+    updateStats();
+    requestRender();
+  }
+
   function togglePlay() {
     const renderer = getRenderer();
     const loop = getLoop();
@@ -142,7 +177,7 @@ export function createSimController(deps) {
   }
 
   /**
-   * Reset to a new random state.
+   * Reset to a new random state (the same one again while the seed is locked).
    *
    * This can be triggered from UI events that do not await the returned promise.
    * Therefore this function must not throw (to avoid unhandled promise rejections).
@@ -163,7 +198,7 @@ export function createSimController(deps) {
     state.sim.generation = 0;
 
     try {
-      await renderer.randomize(state.settings.density, state.settings.initSize);
+      await renderer.randomize(state.settings.density, state.settings.initSize, state.settings.seed);
     } catch (e) {
       debugWarn && debugWarn("Randomize/reset error:", e?.message || e);
 
@@ -190,6 +225,7 @@ export function createSimController(deps) {
     queueStep,
     handleStepError,
     step,
+    stepBack,
     togglePlay,
     reset,
   };
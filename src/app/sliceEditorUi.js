@@ -0,0 +1,349 @@
+/**
+ * Slice editor UI controller.
+ *
+ * Responsibilities:
+ * - Show one X/Y/Z layer of the grid as a 2D pixel canvas (Y up when it lies in the layer),
+ *   with a layer scrubber, and highlight that layer in the 3D view (renderer.setSlicePlane).
+ * - Pencil, line, rectangle and fill tools (see sliceTools.js). A stroke draws live cells, or
+ *   erases when it starts on a live cell.
+ * - Write each finished stroke through to the GPU grid: the simulation is stopped, the layer
+ *   is read again and only the stroke's cells are replaced, so nothing painted over a stale
+ *   copy is lost. The generation counter and Step back history are kept.
+ *
+ * The layer is re-read whenever the panel opens, the axis or layer changes, or the simulation
+ * state changes (handleSimChanged), one read at a time.
+ *
+ * This module is intentionally deterministic and does not register any event listeners.
+ */
+
+import { fillCells, lineCells, paintCells, rectCells } from "./sliceTools.js";
+
+const AXIS_NAMES = Object.freeze(["x", "y", "z"]);
+
+// Canvas colors (RGB) for dead, live and dying cells, and for the line/rectangle preview.
+const DEAD_RGB = [24, 26, 36];
+const LIVE_RGB = [122, 190, 255];
+const DYING_RGB = [62, 96, 140];
+const PREVIEW_RGB = [255, 199, 92];
+
+/**
+ * @typedef {Object} SliceEditorControllerDeps
+ * @property {HTMLSelectElement | null} sliceAxisSelect
+ * @property {HTMLSelectElement | null} sliceToolSelect
+ * @property {HTMLInputElement | null} sliceLayerInput
+ * @property {HTMLElement | null} sliceLayerValue
+ * @property {HTMLCanvasElement | null} sliceCanvas
+ * @property {{ sim: { isPlaying: boolean, generation: number, population: number, populationGeneration: number } }} state
+ * @property {any} renderer
+ * @property {() => void} stopPlaying
+ * @property {() => Promise<void>} waitForIdle
+ * @property {(force?: boolean) => void} requestRender
+ * @property {() => void} updateStats
+ * @property {() => void} clearStickyError
+ * @property {{
+ *   show: (args: { kind: "info" | "warn" | "error" | "success", message: string }) => void,
+ * }} toast
+ * @property {any} uiMsg
+ * @property {(msg: any, err?: any) => void} error
+ * @property {any} logMsg
+ */
+
+/**
+ * @param {SliceEditorControllerDeps} deps
+ */
+export function createSliceEditorController(deps) {
+  const {
+    sliceAxisSelect,
+    sliceToolSelect,
+    sliceLayerInput,
+    sliceLayerValue,
+    sliceCanvas,
+    state,
+    renderer,
+    stopPlaying,
+    waitForIdle,
+    requestRender,
+    updateStats,
+    clearStickyError,
+    toast,
+    uiMsg,
+    error,
+    logMsg,
+  } = deps;
+
+  let open = false;
+  let axis = 2;
+  /** @type {number | null} */
+  let index = null;
+
+  /** @type {{ cells: Uint8Array, width: number, height: number, axis: number, index: number } | null} */
+  let layer = null;
+
+  /**
+   * The stroke in progress: painted state, cells painted so far (pencil) or previewed (line,
+   * rectangle), and the cells it started from and last reached (layer coordinates).
+   *
+   * @type {{ tool: string, state: number, painted: Set<number>, preview: number[],
+   *   x0: number, y0: number, x: number, y: number } | null}
+   */
+  let stroke = null;
+
+  // GPU reads and writes run one at a time, in order.
+  /** @type {Promise<void>} */
+  let queue = Promise.resolve();
+  let readPending = false;
+
+  /** Run `task` after every queued read/write. */
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function dims() {
+    return renderer.gridDims;
+  }
+
+  /** Clamp the layer index to the grid (defaulting to the middle layer) and sync the scrubber. */
+  function syncLayerRange() {
+    const size = dims()[axis];
+    if (index == null || index >= size) index = Math.floor(size / 2);
+    if (sliceLayerInput) {
+      sliceLayerInput.max = String(size - 1);
+      sliceLayerInput.value = String(index);
+    }
+    if (sliceLayerValue) {
+      sliceLayerValue.textContent = `${AXIS_NAMES[axis].toUpperCase()} ${index} / ${size - 1}`;
+    }
+  }
+
+  function syncPlane() {
+    renderer.setSlicePlane(open && index != null ? { axis, index } : null);
+    requestRender(true);
+  }
+
+  /** Paint the layer (and any stroke preview) onto the canvas, v up. */
+  function draw() {
+    if (!sliceCanvas || !layer) return;
+    const { cells, width, height } = layer;
+    if (sliceCanvas.width !== width) sliceCanvas.width = width;
+    if (sliceCanvas.height !== height) sliceCanvas.height = height;
+    const ctx2d = sliceCanvas.getContext("2d");
+    if (!ctx2d) return;
+
+    const img = ctx2d.createImageData(width, height);
+    const px = img.data;
+    for (let v = 0; v < height; v++) {
+      let o = (height - 1 - v) * width * 4;
+      for (let u = 0; u < width; u++, o += 4) {
+        const s = cells[u + v * width];
+        const rgb = s === 0 ? DEAD_RGB : s === 1 ? LIVE_RGB : DYING_RGB;
+        px[o] = rgb[0];
+        px[o + 1] = rgb[1];
+        px[o + 2] = rgb[2];
+        px[o + 3] = 255;
+      }
+    }
+    if (stroke) {
+      for (const i of stroke.preview) {
+        const o = ((height - 1 - Math.floor(i / width)) * width + (i % width)) * 4;
+        px[o] = PREVIEW_RGB[0];
+        px[o + 1] = PREVIEW_RGB[1];
+        px[o + 2] = PREVIEW_RGB[2];
+      }
+    }
+    ctx2d.putImageData(img, 0, 0);
+  }
+
+  function showError(logKey, msgFn, e) {
+    error(logKey, e);
+    toast.show({ kind: "error", message: msgFn(e?.message || String(e)) });
+  }
+
+  /** Read the current layer (coalesced: one pending read at most). */
+  function load() {
+    if (!open || readPending) return;
+    readPending = true;
+    enqueue(async () => {
+      readPending = false;
+      if (!open || stroke) return;
+      syncLayerRange();
+      const at = { axis, index: /** @type {number} */ (index) };
+      const res = await renderer.readSlice(at.axis, at.index);
+      if (stroke) return;
+      layer = { ...res, ...at };
+      draw();
+    }).catch((e) => showError(logMsg.SLICE_READ_FAILED, uiMsg.slice.readFailed, e));
+  }
+
+  /**
+   * Replay a finished stroke onto a fresh copy of its layer and write it to the GPU.
+   *
+   * @param {{ axis: number, index: number }} at
+   * @param {Set<number>} painted
+   * @param {number} paintState
+   */
+  function commit(at, painted, paintState) {
+    if (painted.size === 0) return;
+    enqueue(async () => {
+      stopPlaying();
+      await waitForIdle();
+      const fresh = await renderer.readSlice(at.axis, at.index);
+      if (paintCells(fresh.cells, painted, paintState) > 0) {
+        await renderer.writeSlice(at.axis, at.index, fresh.cells);
+        state.sim.population = renderer.population;
+        state.sim.populationGeneration = state.sim.generation;
+        updateStats();
+        clearStickyError();
+        requestRender(true);
+      }
+      if (!stroke && at.axis === axis && at.index === index) {
+        layer = { ...fresh, ...at };
+        draw();
+      }
+    }).catch((e) => {
+      showError(logMsg.SLICE_WRITE_FAILED, uiMsg.slice.writeFailed, e);
+      load();
+    });
+  }
+
+  /**
+   * Layer cell under a pointer event, clamped to the layer.
+   *
+   * @param {PointerEvent} e
+   * @returns {[number, number]}
+   */
+  function cellAt(e) {
+    const { width, height } = /** @type {NonNullable<typeof layer>} */ (layer);
+    const rect = /** @type {HTMLCanvasElement} */ (sliceCanvas).getBoundingClientRect();
+    const fx = (e.clientX - rect.left) / Math.max(1, rect.width);
+    const fy = (e.clientY - rect.top) / Math.max(1, rect.height);
+    const u = Math.min(width - 1, Math.max(0, Math.floor(fx * width)));
+    const row = Math.min(height - 1, Math.max(0, Math.floor(fy * height)));
+    return [u, height - 1 - row];
+  }
+
+  /** Whether the shown layer is the one selected (a read after a change may be pending). */
+  function layerIsCurrent() {
+    return !!layer && layer.axis === axis && layer.index === index;
+  }
+
+  function handlePanelOpen() {
+    if (open) return;
+    open = true;
+    syncLayerRange();
+    syncPlane();
+    load();
+  }
+
+  function handlePanelClose() {
+    if (!open) return;
+    open = false;
+    stroke = null;
+    syncPlane();
+  }
+
+  function handleAxisChange() {
+    const next = AXIS_NAMES.indexOf(String(sliceAxisSelect?.value));
+    if (next < 0 || next === axis) return;
+    axis = next;
+    index = null;
+    syncLayerRange();
+    if (!open) return;
+    syncPlane();
+    load();
+  }
+
+  function handleLayerInput() {
+    const next = Math.floor(Number(sliceLayerInput?.value));
+    if (!Number.isFinite(next) || next === index) return;
+    index = next;
+    syncLayerRange();
+    if (!open) return;
+    syncPlane();
+    load();
+  }
+
+  /** Re-read the layer after the grid changed elsewhere (steps, resets, edits, resizes). */
+  function handleSimChanged() {
+    if (!open) return;
+    const before = index;
+    syncLayerRange();
+    if (index !== before) syncPlane();
+    load();
+  }
+
+  /** @param {PointerEvent} e */
+  function handlePointerDown(e) {
+    if (!open || !sliceCanvas || !layerIsCurrent() || e.button !== 0) return;
+    e.preventDefault();
+    try {
+      sliceCanvas.setPointerCapture(e.pointerId);
+    } catch (_) {}
+    if (state.sim.isPlaying) stopPlaying();
+
+    const { cells, width, height } = /** @type {NonNullable<typeof layer>} */ (layer);
+    const [x, y] = cellAt(e);
+    const tool = sliceToolSelect?.value || "pencil";
+    const paintState = cells[x + y * width] !== 0 ? 0 : 1;
+
+    if (tool === "fill") {
+      const painted = new Set(fillCells(cells, width, height, x, y));
+      paintCells(cells, painted, paintState);
+      draw();
+      commit({ axis: layer.axis, index: layer.index }, painted, paintState);
+      return;
+    }
+
+    stroke = { tool, state: paintState, painted: new Set(), preview: [], x0: x, y0: y, x, y };
+    handlePointerMove(e);
+  }
+
+  /** @param {PointerEvent} e */
+  function handlePointerMove(e) {
+    if (!stroke || !layer) return;
+    e.preventDefault();
+    const { cells, width, height } = layer;
+    const [x, y] = cellAt(e);
+    if (stroke.tool === "pencil") {
+      const cellsOnPath = lineCells(width, height, stroke.x, stroke.y, x, y);
+      for (const i of cellsOnPath) stroke.painted.add(i);
+      paintCells(cells, cellsOnPath, stroke.state);
+    } else {
+      const shape = stroke.tool === "rect" ? rectCells : lineCells;
+      stroke.preview = shape(width, height, stroke.x0, stroke.y0, x, y);
+    }
+    stroke.x = x;
+    stroke.y = y;
+    draw();
+  }
+
+  /** @param {PointerEvent} e */
+  function handlePointerUp(e) {
+    if (!stroke || !layer) return;
+    e.preventDefault();
+    const done = stroke;
+    stroke = null;
+    if (e.type === "pointercancel" && done.tool !== "pencil") {
+      draw();
+      return;
+    }
+    for (const i of done.preview) done.painted.add(i);
+    paintCells(layer.cells, done.preview, done.state);
+    draw();
+    commit({ axis: layer.axis, index: layer.index }, done.painted, done.state);
+  }
+
+  syncLayerRange();
+
+  return {
+    handlePanelOpen,
+    handlePanelClose,
+    handleAxisChange,
+    handleLayerInput,
+    handleSimChanged,
+    handlePointerDown,
+    handlePointerMove,
+    handlePointerUp,
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Slice editor drawing tools.
+ *
+ * A layer is a width × height array of cell states, row-major. Tools return the cells they
+ * cover as layer indices; the caller paints them (see paintCells), so a stroke can be
+ * previewed, recorded and replayed onto a fresher copy of the layer.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+/** Tool names used by the slice editor's Tool select. */
+export const SLICE_TOOLS = Object.freeze(["pencil", "line", "rect", "fill"]);
+
+/**
+ * Cells on the straight line between two cells (Bresenham), both ends included.
+ * Points outside the layer are dropped.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @returns {number[]}
+ */
+export function lineCells(width, height, x0, y0, x1, y1) {
+  const out = [];
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy;
+  let x = x0;
+  let y = y0;
+  for (;;) {
+    if (x >= 0 && x < width && y >= 0 && y < height) out.push(x + y * width);
+    if (x === x1 && y === y1) break;
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y += sy;
+    }
+  }
+  return out;
+}
+
+/**
+ * Outline of the rectangle spanned by two corner cells.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @returns {number[]}
+ */
+export function rectCells(width, height, x0, y0, x1, y1) {
+  const left = Math.max(0, Math.min(x0, x1));
+  const right = Math.min(width - 1, Math.max(x0, x1));
+  const bottom = Math.max(0, Math.min(y0, y1));
+  const top = Math.min(height - 1, Math.max(y0, y1));
+  const out = [];
+  for (let y = bottom; y <= top; y++) {
+    if (y === bottom || y === top) {
+      for (let x = left; x <= right; x++) out.push(x + y * width);
+    } else {
+      out.push(left + y * width);
+      if (right !== left) out.push(right + y * width);
+    }
+  }
+  return out;
+}
+
+/**
+ * The 4-connected region of cells that are alive (or dead) like the start cell.
+ * Dying states count as alive.
+ *
+ * @param {ArrayLike<number>} cells
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @returns {number[]}
+ */
+export function fillCells(cells, width, height, x, y) {
+  if (x < 0 || x >= width || y < 0 || y >= height) return [];
+  const start = x + y * width;
+  const live = cells[start] !== 0;
+  const seen = new Uint8Array(width * height);
+  const out = [];
+  const stack = [start];
+  seen[start] = 1;
+  while (stack.length > 0) {
+    const i = /** @type {number} */ (stack.pop());
+    out.push(i);
+    const cx = i % width;
+    const visit = (j) => {
+      if (!seen[j] && (cells[j] !== 0) === live) {
+        seen[j] = 1;
+        stack.push(j);
+      }
+    };
+    if (cx > 0) visit(i - 1);
+    if (cx < width - 1) visit(i + 1);
+    if (i >= width) visit(i - width);
+    if (i < width * (height - 1)) visit(i + width);
+  }
+  return out;
+}
+
+/**
+ * Set `indices` of `cells` to `state`.
+ *
+ * @param {Uint8Array} cells
+ * @param {Iterable<number>} indices
+ * @param {number} state
+ * @returns {number} how many cells changed
+ */
+export function paintCells(cells, indices, state) {
+  let changed = 0;
+  for (const i of indices) {
+    if (cells[i] !== state) {
+      cells[i] = state;
+      changed++;
+    }
+  }
+  return changed;
+}
@@ -6,7 +6,7 @@
  * - Clamp UI controls to device limits
  * - Install global resize listeners
  * - Create cohesive UI controllers
- * - Apply UI settings to the renderer and randomize Gen0
+ * - Apply UI settings to the renderer and create Gen0 (random, or shared via the URL)
  *
  * The goal is to keep app.js focused on lifecycle orchestration.
  */
@@ -21,9 +21,19 @@ import { isDebugEnabled } from "../util/debug.js";
 import { speedSliderValueFromDelayMs } from "./speedMapping.js";
 
 import { createGridSizeController } from "./gridSizeUi.js";
+import { clampGridDims, formatGridDims } from "./gridDims.js";
+import { writeGridDimsInputs } from "./domHelpers.js";
 import { createDensityController } from "./densityUi.js";
+import { createSeedController } from "./seedUi.js";
+import { createGen0ShapeController } from "./gen0ShapeUi.js";
 import { createRendererSettingsHandlers } from "./rendererSettingsUi.js";
 import { createRulesController } from "./rulesUi.js";
+import { createPatternController } from "./patternUi.js";
+import { createCellEditController } from "./cellEditUi.js";
+import { createSliceEditorController } from "./sliceEditorUi.js";
+import { createSelectionController } from "./selectionUi.js";
+import { createClipPlanesController } from "./clipPlanesUi.js";
+import { placeUrlPattern } from "./urlPattern.js";
 import { showNotSupportedMessage } from "../ui/overlays.js";
 
 /**
@@ -42,17 +52,26 @@ import { showNotSupportedMessage } from "../ui/overlays.js";
  * @property {() => void} updateStats
  * @property {() => void} clearStickyError
  * @property {() => void} refreshSpeedFromSlider
+ * @property {() => void} refreshGenerationsFromSelect
  * @property {(controllers: {
  *   gridSizeUi: any,
  *   densityUi: any,
+ *   seedUi: any,
+ *   gen0ShapeUi: any,
  *   rendererSettingsUi: any,
  *   rulesUi: any,
+ *   patternUi: any,
+ *   cellEditUi: any,
+ *   sliceEditorUi: any,
+ *   selectionUi: any,
+ *   clipPlanesUi: any,
  * }) => void} installUiBindings
  * @property {{ show: (o: { kind: "info"|"warn"|"error"|"success", message: string }) => void }} toast
  * @property {any} uiMsg
  * @property {any} logMsg
  * @property {(msg: any, err?: any) => void} error
  * @property {(msg: any, err?: any) => void} debugWarn
+ * @property {() => void} stopPlaying
  * @property {() => Promise<void>} waitForIdle
  * @property {(opts?: { showToastOnFailure?: boolean }) => Promise<boolean>} reset
  * @property {any} fullscreen
@@ -68,13 +87,23 @@ import { showNotSupportedMessage } from "../ui/overlays.js";
  * URL query parameters (if present) will override these values immediately afterward.
  *
  * NOTE: This only seeds the controls whose defaults are currently defined in AppState
- * (grid edge, Gen0 edge, Gen0 density, run speed). Other controls keep their HTML defaults.
+ * (grid X/Y/Z edges, Gen0 edge, Gen0 density, run speed, generations per tick). Other controls keep
+ * their HTML defaults.
  *
  * @param {DomCache} dom
  * @param {any} state
  */
 function seedDefaultSettingsControls(dom, state) {
-  const { speedSlider, sizeInput, initSizeInput, densitySlider, densityTip } = dom;
+  const {
+    speedSlider,
+    generationsSelect,
+    sizeInput,
+    sizeYInput,
+    sizeZInput,
+    initSizeInput,
+    densitySlider,
+    densityTip,
+  } = dom;
 
   /**
    * Clamp a numeric value to an <input> element's [min, max] attributes, if present.
@@ -93,9 +122,12 @@ function seedDefaultSettingsControls(dom, state) {
     speedSlider.value = String(clampToInputRange(raw, speedSlider));
   }
 
-  if (sizeInput) {
-    sizeInput.value = String(clampToInputRange(state.settings.gridSize, sizeInput));
-  }
+  if (generationsSelect) generationsSelect.value = String(state.settings.generationsPerTick);
+
+  const sizeInputs = [sizeInput, sizeYInput, sizeZInput];
+  sizeInputs.forEach((input, i) => {
+    if (input) input.value = String(clampToInputRange(state.settings.gridDims[i], input));
+  });
 
   if (initSizeInput) {
     initSizeInput.value = String(clampToInputRange(state.settings.initSize, initSizeInput));
@@ -118,8 +150,15 @@ function seedDefaultSettingsControls(dom, state) {
  * @returns {Promise<{
  *   gridSizeUi: any,
  *   densityUi: any,
+ *   seedUi: any,
+ *   gen0ShapeUi: any,
  *   rendererSettingsUi: any,
  *   rulesUi: any,
+ *   patternUi: any,
+ *   cellEditUi: any,
+ *   sliceEditorUi: any,
+ *   selectionUi: any,
+ *   clipPlanesUi: any,
  * }|null>} Returns null if a fatal startup error was handled (overlay shown).
  */
 export async function runStartupSequence(deps) {
@@ -134,12 +173,14 @@ export async function runStartupSequence(deps) {
     updateStats,
     clearStickyError,
     refreshSpeedFromSlider,
+    refreshGenerationsFromSelect,
     installUiBindings,
     toast,
     uiMsg,
     logMsg,
     error,
     debugWarn,
+    stopPlaying,
     waitForIdle,
     reset,
     fullscreen,
@@ -149,31 +190,47 @@ export async function runStartupSequence(deps) {
   const {
     fullscreenBtn,
     sizeInput,
+    sizeYInput,
+    sizeZInput,
     initSizeInput,
     densitySlider,
     densityTip,
+    cellColorModeSelect,
     cellColorPicker,
     cellColorPicker2,
     bgColorPicker,
     bgColorPicker2,
     presetSelect,
+    ruleNotationInput,
     surviveInput,
     birthInput,
-    toroidalCheckbox,
+    statesInput,
+    neighborhoodSelect,
+    neighborMaskEditor,
+    neighborRadiusInput,
+    boundaryXSelect,
+    boundaryYSelect,
+    boundaryZSelect,
     stableStopCheckbox,
     hazeSlider,
     lanternCheckbox,
     screenShowCheckbox,
     gridProjectionCheckbox,
+    activeRegionCheckbox,
+    historySelect,
   } = dom;
 
-  // Apply device-derived maximum grid size to the UI.
+  // Apply device-derived grid limits to the UI: a per-axis edge maximum plus a total cell
+  // budget (a thin slab may use a longer edge than the largest supported cube).
   const maxGrid =
-    typeof renderer.getMaxSupportedGridSize === "function"
-      ? renderer.getMaxSupportedGridSize()
-      : 256;
+    typeof renderer.getMaxGridAxisSize === "function" ? renderer.getMaxGridAxisSize() : 256;
+  const maxCells =
+    typeof renderer.getMaxSupportedCellCount === "function"
+      ? renderer.getMaxSupportedCellCount()
+      : maxGrid ** 3;
+  const sizeInputs = [sizeInput, sizeYInput, sizeZInput];
 
-  sizeInput.max = String(maxGrid);
+  for (const input of sizeInputs) if (input) input.max = String(maxGrid);
 
   // Keep the Gen0 edge input's HTML constraint in sync with the actual grid limit.
   if (initSizeInput) initSizeInput.max = String(maxGrid);
@@ -188,18 +245,22 @@ export async function runStartupSequence(deps) {
   }
 
   const urlHadSettingsParams = hasKnownSettingsParams();
+  /** @type {{ pattern: import("./urlPattern.js").UrlPattern|null, seed: number|null }} */
+  const urlGen0 = { pattern: null, seed: null };
   if (urlHadSettingsParams) {
-    const restored = applySettingsFromUrl(dom, { maxGrid });
-    if (restored.gridSize != null) state.settings.gridSize = restored.gridSize;
+    const restored = applySettingsFromUrl(dom, { maxGrid, maxCells });
+    if (restored.gridDims != null) state.settings.gridDims = restored.gridDims;
     if (restored.initSize != null) state.settings.initSize = restored.initSize;
     if (restored.density != null) state.settings.density = restored.density;
+    urlGen0.pattern = restored.pattern;
+    urlGen0.seed = restored.seed;
   }
 
   // Keep current size within limits.
-  const currentSize = parseInt(sizeInput.value, 10);
-  if (!isNaN(currentSize) && currentSize > maxGrid) {
-    sizeInput.value = String(maxGrid);
-    state.settings.gridSize = maxGrid;
+  const limited = clampGridDims(state.settings.gridDims, { maxEdge: maxGrid, maxCells });
+  if (limited.clamped) {
+    state.settings.gridDims = limited.dims;
+    writeGridDimsInputs(sizeInputs, limited.dims);
   }
 
   // Change detection / auto-stop toggle (default is checked in HTML).
@@ -227,6 +288,8 @@ export async function runStartupSequence(deps) {
   // Initialize cohesive UI controllers now that renderer/state exist.
   const gridSizeUi = createGridSizeController({
     sizeInput,
+    sizeYInput,
+    sizeZInput,
     initSizeInput,
     state,
     renderer,
@@ -250,59 +313,193 @@ export async function runStartupSequence(deps) {
     reset,
   });
 
+  const seedUi = createSeedController({
+    seedInput: dom.seedInput,
+    seedLockCheckbox: dom.seedLockCheckbox,
+    state,
+    getRenderer: () => renderer,
+    toast,
+    uiMsg,
+    reset,
+  });
+
+  const gen0ShapeUi = createGen0ShapeController({
+    gen0ShapeSelect: dom.gen0ShapeSelect,
+    gen0SymmetrySelect: dom.gen0SymmetrySelect,
+    gen0FillSelect: dom.gen0FillSelect,
+    noiseFrequencyInput: dom.noiseFrequencyInput,
+    noiseOctavesInput: dom.noiseOctavesInput,
+    noiseLevelInput: dom.noiseLevelInput,
+    state,
+    getRenderer: () => renderer,
+    toast,
+    uiMsg,
+    reset,
+  });
+
   const rendererSettingsUi = createRendererSettingsHandlers({
     getRenderer: () => renderer,
     getScreenShow,
     requestRender,
+    cellColorModeSelect,
     cellColorPicker,
     cellColorPicker2,
     bgColorPicker,
     bgColorPicker2,
-    toroidalCheckbox,
+    boundaryXSelect,
+    boundaryYSelect,
+    boundaryZSelect,
     stableStopCheckbox,
     hazeSlider,
     lanternCheckbox,
     screenShowCheckbox,
     gridProjectionCheckbox,
+    activeRegionCheckbox,
+    historySelect,
+    toast,
+    uiMsg,
   });
 
   const rulesUi = createRulesController({
+    ruleNotationInput,
     surviveInput,
     birthInput,
+    statesInput,
+    neighborhoodSelect,
+    neighborMaskEditor,
+    neighborRadiusInput,
     presetSelect,
     getRenderer: () => renderer,
     toast,
     uiMsg,
   });
 
+  const patternUi = createPatternController({
+    dom,
+    state,
+    renderer,
+    gridSizeUi,
+    rendererSettingsUi,
+    rulesUi,
+    stopPlaying,
+    waitForIdle,
+    requestRender,
+    updateStats,
+    clearStickyError,
+    toast,
+    uiMsg,
+    error,
+    logMsg,
+  });
+
+  const cellEditUi = createCellEditController({
+    editModeSelect: dom.editModeSelect,
+    state,
+    renderer,
+    stopPlaying,
+    waitForIdle,
+    requestRender,
+    updateStats,
+    clearStickyError,
+    toast,
+    uiMsg,
+    error,
+    logMsg,
+  });
+
+  const sliceEditorUi = createSliceEditorController({
+    sliceAxisSelect: dom.sliceAxisSelect,
+    sliceToolSelect: dom.sliceToolSelect,
+    sliceLayerInput: dom.sliceLayerInput,
+    sliceLayerValue: dom.sliceLayerValue,
+    sliceCanvas: dom.sliceCanvas,
+    state,
+    renderer,
+    stopPlaying,
+    waitForIdle,
+    requestRender,
+    updateStats,
+    clearStickyError,
+    toast,
+    uiMsg,
+    error,
+    logMsg,
+  });
+
+  const selectionUi = createSelectionController({
+    editModeSelect: dom.editModeSelect,
+    clipboardAxisSelect: dom.clipboardAxisSelect,
+    state,
+    renderer,
+    patternUi,
+    stopPlaying,
+    waitForIdle,
+    requestRender,
+    updateStats,
+    clearStickyError,
+    toast,
+    uiMsg,
+    error,
+    logMsg,
+  });
+
+  const clipPlanesUi = createClipPlanesController({
+    editModeSelect: dom.editModeSelect,
+    clipAxisSelect: dom.clipAxisSelect,
+    clipMinInput: dom.clipMinInput,
+    clipMaxInput: dom.clipMaxInput,
+    clipRangeValue: dom.clipRangeValue,
+    peelCheckbox: dom.peelCheckbox,
+    renderer,
+    requestRender,
+  });
+
   // Install event listeners once controllers exist.
-  installUiBindings({ gridSizeUi, densityUi, rendererSettingsUi, rulesUi });
+  installUiBindings({
+    gridSizeUi,
+    densityUi,
+    seedUi,
+    gen0ShapeUi,
+    rendererSettingsUi,
+    rulesUi,
+    patternUi,
+    cellEditUi,
+    sliceEditorUi,
+    selectionUi,
+    clipPlanesUi,
+  });
 
-  // Now that grid edge is finalized, tighten the Gen0 edge max to match.
-  if (initSizeInput) initSizeInput.max = String(state.settings.gridSize);
-  if (state.settings.initSize > state.settings.gridSize) {
-    state.settings.initSize = state.settings.gridSize;
+  // Now that the grid shape is finalized, tighten the Gen0 edge max to its longest edge.
+  const maxEdge = Math.max(...state.settings.gridDims);
+  if (initSizeInput) initSizeInput.max = String(maxEdge);
+  if (state.settings.initSize > maxEdge) {
+    state.settings.initSize = maxEdge;
     if (initSizeInput) initSizeInput.value = String(state.settings.initSize);
   }
 
-  // Resize GPU resources if grid edge differs from the renderer default.
-  if (renderer && renderer.gridSize !== state.settings.gridSize) {
+  // Resize GPU resources if the grid shape differs from the renderer default.
+  const dims = state.settings.gridDims;
+  const rDims = renderer ? renderer.gridDims : null;
+  if (renderer && (!rDims || dims.some((d, i) => d !== rDims[i]))) {
     try {
-      renderer.setGridSize(state.settings.gridSize);
+      renderer.setGridSize(dims[0], dims[1], dims[2]);
     } catch (e) {
       error(logMsg.GRID_ALLOC_FALLBACK, e);
 
-      // Fall back to the maximum size we believe this device supports (or the current renderer size).
+      // Fall back to the largest cube we believe this device supports (or the current renderer size).
       const fallback =
         typeof renderer.getMaxSupportedGridSize === "function"
           ? renderer.getMaxSupportedGridSize()
           : renderer.gridSize;
       try {
         renderer.setGridSize(fallback);
-        state.settings.gridSize = fallback;
-        sizeInput.value = String(fallback);
+        state.settings.gridDims = [fallback, fallback, fallback];
+        writeGridDimsInputs(sizeInputs, state.settings.gridDims);
         if (initSizeInput) initSizeInput.max = String(fallback);
-        toast.show({ kind: "warn", message: uiMsg.gpu.gridSizeReduced(fallback) });
+        toast.show({
+          kind: "warn",
+          message: uiMsg.gpu.gridSizeReduced(formatGridDims(state.settings.gridDims)),
+        });
       } catch {
         // If even fallback fails, treat this as unsupported.
         showNotSupportedMessage(
@@ -312,13 +509,23 @@ export async function runStartupSequence(deps) {
       }
     }
   }
+  if (renderer && renderer.gridPacked) {
+    toast.show({
+      kind: renderer.stateCount > 2 ? "warn" : "info",
+      message: uiMsg.gpu.packedGrid(renderer.maxCells),
+    });
+  }
 
-  // Initialize run state.settings.speed from the slider.
+  // Initialize run state.settings (speed, generations per tick) from the controls.
   refreshSpeedFromSlider();
+  refreshGenerationsFromSelect();
 
   // Apply Settings toggles/colors/rules to the renderer.
   rendererSettingsUi.handleStableStopChange();
-  rendererSettingsUi.handleToroidalChange();
+  rendererSettingsUi.handleActiveRegionChange();
+  rendererSettingsUi.handleHistoryChange(false);
+  rendererSettingsUi.handleBoundaryChange();
+  rendererSettingsUi.handleCellColorModeChange(false);
   rendererSettingsUi.handleCellColorCommit();
   rendererSettingsUi.handleBgColorCommit();
   rendererSettingsUi.handleHazeChange();
@@ -326,13 +533,28 @@ export async function runStartupSequence(deps) {
   rendererSettingsUi.handleScreenShowChange();
   rendererSettingsUi.handleGridProjectionChange();
   rulesUi.handleRuleInputChange();
-
-  await renderer.randomize(state.settings.density, state.settings.initSize);
+  gen0ShapeUi.applyGen0Shape();
+
+  // Gen0: a shared pattern when the URL has one that fits the grid, else a random soup
+  // (the exact shared one when the URL has its seed).
+  const sharedCells = urlGen0.pattern ? placeUrlPattern(urlGen0.pattern, renderer.gridDims) : null;
+  if (sharedCells) {
+    await renderer.loadCells(sharedCells, { generation: urlGen0.pattern.generation });
+    state.sim.generation = renderer.generation;
+  } else {
+    if (urlGen0.pattern) toast.show({ kind: "warn", message: uiMsg.pattern.urlPatternTooLarge });
+    await renderer.randomize(
+      state.settings.density,
+      state.settings.initSize,
+      urlGen0.seed ?? state.settings.seed,
+    );
+  }
   clearStickyError();
 
   state.sim.population = renderer.population;
   state.sim.populationGeneration = state.sim.generation;
   updateStats();
+  seedUi.syncSeedInput();
 
   // If the page was opened with Settings in the URL, apply them once and then
   // clean the address bar to avoid a "sticky" parametrized URL.
@@ -346,5 +568,17 @@ export async function runStartupSequence(deps) {
   // Kick the first frame.
   requestRender();
 
-  return { gridSizeUi, densityUi, rendererSettingsUi, rulesUi };
+  return {
+    gridSizeUi,
+    densityUi,
+    seedUi,
+    gen0ShapeUi,
+    rendererSettingsUi,
+    rulesUi,
+    patternUi,
+    cellEditUi,
+    sliceEditorUi,
+    selectionUi,
+    clipPlanesUi,
+  };
 }
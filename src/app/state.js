@@ -37,9 +37,11 @@
  * @typedef {Object} AppState
  * @property {{
  *   speed: number,
- *   gridSize: number,
+ *   generationsPerTick: number,
+ *   gridDims: [number, number, number],
  *   initSize: number,
  *   density: number,
+ *   seed: number|null,
  * }} settings
  * @property {{
  *   isPlaying: boolean,
@@ -105,9 +107,14 @@ export function createAppState() {
   return {
     settings: {
       speed: 300,
-      gridSize: 128,
+      // Generations computed per play tick (one GPU submit); Step always runs one.
+      generationsPerTick: 1,
+      // Grid X/Y/Z edges (a cube by default).
+      gridDims: [128, 128, 128],
       initSize: 96,
       density: 0.15,
+      // Locked Gen0 seed; null draws a new seed on every reset.
+      seed: null,
     },
     sim: {
       isPlaying: false,
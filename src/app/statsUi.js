@@ -2,7 +2,8 @@
  * Stats (HUD) controller.
  *
  * Responsibilities:
- * - Update the generation/population readouts from the central state.
+ * - Update the generation/population readouts from the central state, and the seed of the
+ *   current random soup.
  * - Trigger any platform-specific pinning/layout work (e.g., iOS visualViewport).
  *
  * This module is intentionally small and deterministic. It does not register any
@@ -14,6 +15,8 @@
  * @property {{ sim: { generation: number, population: number } }} state
  * @property {HTMLElement | null} generationEl
  * @property {HTMLElement | null} populationEl
+ * @property {HTMLElement | null} [seedEl]
+ * @property {() => number | null} [getSeed] Seed of the current soup (null when not random)
  * @property {() => void} [scheduleStatsViewportPin]
  */
 
@@ -21,7 +24,7 @@
  * @param {StatsControllerDeps} deps
  */
 export function createStatsController(deps) {
-  const { state, generationEl, populationEl, scheduleStatsViewportPin } = deps;
+  const { state, generationEl, populationEl, seedEl, getSeed, scheduleStatsViewportPin } = deps;
 
   const schedule =
     typeof scheduleStatsViewportPin === "function" ? scheduleStatsViewportPin : () => {};
@@ -30,6 +33,10 @@ export function createStatsController(deps) {
     // These are UI elements; they may be absent in headless/test contexts.
     if (generationEl) generationEl.textContent = state.sim.generation.toLocaleString();
     if (populationEl) populationEl.textContent = state.sim.population.toLocaleString();
+    if (seedEl) {
+      const seed = getSeed ? getSeed() : null;
+      seedEl.textContent = seed == null ? "—" : String(seed);
+    }
     schedule();
   }
 
@@ -0,0 +1,200 @@
+/**
+ * Compact grid-state encoding for share URLs (the `pattern=` parameter).
+ *
+ * The cells are cropped to the box around non-dead cells and written as bytes, then as
+ * base64url (no padding), so the value needs no percent-escaping:
+ *
+ *   version (1 byte), then unsigned LEB128 varints:
+ *   generation, box size x, y, z, box offset x, y, z,
+ *   runs over the box in cell order (x-major, then y, then z): length * 64 + state
+ *
+ * States are below MAX_CELL_STATES (64), so each run is a single varint, and the trailing
+ * dead run is omitted. Only small populations fit a URL; callers compare the result against
+ * MAX_URL_PATTERN_LENGTH.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import { MAX_CELL_STATES } from "../gpu/constants.js";
+
+const URL_PATTERN_VERSION = 1;
+
+/** Longest `pattern=` value written into a share URL. */
+export const MAX_URL_PATTERN_LENGTH = 4000;
+
+/**
+ * @typedef {Object} UrlPattern
+ * @property {[number, number, number]} size Box of the encoded cells
+ * @property {[number, number, number]} offset Box position in the grid it was taken from
+ * @property {number} generation
+ * @property {Uint8Array} cells One state per box cell, x-major, then y, then z.
+ */
+
+/**
+ * @param {number[]} out
+ * @param {number} n non-negative integer below 2^53
+ */
+function writeVarint(out, n) {
+  while (n >= 0x80) {
+    out.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  out.push(n);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {{ at: number }} cursor
+ * @returns {number}
+ */
+function readVarint(bytes, cursor) {
+  let n = 0;
+  let scale = 1;
+  for (;;) {
+    if (cursor.at >= bytes.length) throw new Error("Truncated pattern data.");
+    const b = bytes[cursor.at++];
+    n += (b & 0x7f) * scale;
+    if (b < 0x80) return n;
+    scale *= 0x80;
+    if (scale > Number.MAX_SAFE_INTEGER) throw new Error("Invalid pattern data.");
+  }
+}
+
+/**
+ * @param {number[]} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(str) {
+  if (!/^[A-Za-z0-9_-]*$/.test(str)) throw new Error("Invalid pattern data.");
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Encode a grid state for a share URL.
+ *
+ * @param {{ cells: ArrayLike<number>, dims: ArrayLike<number>, generation: number }} grid
+ *   One state per cell, x-major, then y, then z
+ * @returns {string}
+ */
+export function encodeUrlPattern({ cells, dims, generation }) {
+  const [gx, gy, gz] = dims;
+  const min = [gx, gy, gz];
+  const max = [-1, -1, -1];
+  for (let z = 0, i = 0; z < gz; z++) {
+    for (let y = 0; y < gy; y++) {
+      for (let x = 0; x < gx; x++, i++) {
+        if (cells[i] === 0) continue;
+        if (x < min[0]) min[0] = x;
+        if (x > max[0]) max[0] = x;
+        if (y < min[1]) min[1] = y;
+        if (y > max[1]) max[1] = y;
+        if (z < min[2]) min[2] = z;
+        if (z > max[2]) max[2] = z;
+      }
+    }
+  }
+  const empty = max[0] < 0;
+  const size = empty ? [0, 0, 0] : max.map((v, a) => v - min[a] + 1);
+  const offset = empty ? [0, 0, 0] : min;
+
+  const out = [URL_PATTERN_VERSION];
+  writeVarint(out, Math.max(0, Math.floor(generation) || 0));
+  for (const v of size) writeVarint(out, v);
+  for (const v of offset) writeVarint(out, v);
+
+  let state = -1;
+  let run = 0;
+  for (let z = 0; z < size[2]; z++) {
+    for (let y = 0; y < size[1]; y++) {
+      const row = offset[0] + (offset[1] + y + (offset[2] + z) * gy) * gx;
+      for (let x = 0; x < size[0]; x++) {
+        const s = cells[row + x];
+        if (s === state) {
+          run++;
+          continue;
+        }
+        if (run) writeVarint(out, run * MAX_CELL_STATES + state);
+        state = s;
+        run = 1;
+      }
+    }
+  }
+  // The box ends in a non-dead cell, so the last run is never a dead one.
+  if (run) writeVarint(out, run * MAX_CELL_STATES + state);
+
+  return toBase64Url(out);
+}
+
+/**
+ * Decode a `pattern=` value. Boxes beyond `limits` are rejected before any cell storage is
+ * allocated.
+ *
+ * @param {string} str
+ * @param {{ maxEdge?: number, maxCells?: number }} [limits]
+ * @returns {UrlPattern}
+ * @throws {Error} with a user-readable message when the value is malformed
+ */
+export function decodeUrlPattern(str, limits = {}) {
+  const bytes = fromBase64Url(String(str));
+  if (bytes[0] !== URL_PATTERN_VERSION) throw new Error("Unknown pattern data version.");
+  const cursor = { at: 1 };
+  const generation = readVarint(bytes, cursor);
+  const size = /** @type {[number, number, number]} */ ([0, 1, 2].map(() => readVarint(bytes, cursor)));
+  const offset = /** @type {[number, number, number]} */ ([0, 1, 2].map(() => readVarint(bytes, cursor)));
+
+  const maxEdge = limits.maxEdge ?? Infinity;
+  const maxCells = limits.maxCells ?? Infinity;
+  if (Math.max(...size) > maxEdge || size[0] * size[1] * size[2] > maxCells) {
+    throw new Error(`The ${size.join("x")} pattern is larger than this device supports.`);
+  }
+
+  const cells = new Uint8Array(size[0] * size[1] * size[2]);
+  let at = 0;
+  while (cursor.at < bytes.length) {
+    const v = readVarint(bytes, cursor);
+    const state = v % MAX_CELL_STATES;
+    const run = Math.floor(v / MAX_CELL_STATES);
+    if (run < 1 || at + run > cells.length) throw new Error("Invalid pattern data.");
+    if (state !== 0) cells.fill(state, at, at + run);
+    at += run;
+  }
+  return { size, offset, generation, cells };
+}
+
+/**
+ * Place a decoded pattern in a grid: at its saved offset when it fits there, otherwise
+ * centered.
+ *
+ * @param {UrlPattern} pattern
+ * @param {ArrayLike<number>} dims
+ * @returns {Uint8Array | null} grid cells, or null when the box is larger than the grid
+ */
+export function placeUrlPattern({ size, offset, cells: boxCells }, dims) {
+  if (size.some((d, i) => d > dims[i])) return null;
+  const off = size.every((d, i) => offset[i] + d <= dims[i])
+    ? offset
+    : size.map((d, i) => Math.floor((dims[i] - d) / 2));
+
+  const cells = new Uint8Array(dims[0] * dims[1] * dims[2]);
+  for (let z = 0; z < size[2]; z++) {
+    for (let y = 0; y < size[1]; y++) {
+      const src = (y + z * size[1]) * size[0];
+      const dst = off[0] + (off[1] + y + (off[2] + z) * dims[1]) * dims[0];
+      cells.set(boxCells.subarray(src, src + size[0]), dst);
+    }
+  }
+  return cells;
+}
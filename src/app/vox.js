@@ -0,0 +1,209 @@
+/**
+ * MagicaVoxel ".vox" reader/writer.
+ *
+ * A .vox file is RIFF-like: the magic "VOX ", a version, then a MAIN chunk whose children
+ * describe models. Every chunk is `id (4 bytes) | content bytes (i32) | children bytes (i32)`
+ * followed by its content and children; integers are little-endian. A model is a SIZE chunk
+ * (x, y, z) followed by an XYZI chunk (count, then x, y, z, colorIndex bytes per voxel). The
+ * optional RGBA chunk holds 256 colors; palette entry i is color index i + 1.
+ *
+ * MagicaVoxel is Z-up while the grid is Y-up (the cell gradient runs along Y), so the grid is
+ * rotated about X on the way out and back: vox (x, y, z) = grid (x, depthZ - 1 - z, y).
+ *
+ * Only the first model of a file is read; scene graph chunks (nTRN, nGRP, ...) and materials
+ * are ignored. Models are limited to 256 voxels per axis.
+ *
+ * Like ruleParse.js, this module is UI-agnostic.
+ */
+
+import { parseHex6 } from "../util/color.js";
+
+export const VOX_FILE_EXTENSION = ".vox";
+
+/** Largest model edge MagicaVoxel accepts (coordinates are single bytes). */
+export const VOX_MAX_EDGE = 256;
+
+const VOX_VERSION = 150;
+
+/** Palette entries used for the Y gradient (index 0 is reserved for "empty"). */
+const GRADIENT_STEPS = 255;
+
+/**
+ * Whether `bytes` starts with the .vox magic.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isVoxData(bytes) {
+  return bytes.length >= 8 && String.fromCharCode(...bytes.subarray(0, 4)) === "VOX ";
+}
+
+/**
+ * @param {string} hex "#rrggbb" or "rrggbb"
+ * @returns {number[]} [r, g, b] in 0..255 (black when malformed)
+ */
+function hexToRgb(hex) {
+  const s = parseHex6(hex) || "000000";
+  return [0, 2, 4].map((i) => parseInt(s.slice(i, i + 2), 16));
+}
+
+/**
+ * Export live cells (state 1) as a single-model .vox file, colored by the cell shader's
+ * bottom-to-top gradient (quantized to 255 palette entries along Y).
+ *
+ * @param {{ cells: ArrayLike<number>, dims: ArrayLike<number>, colorTop: string,
+ *   colorBottom: string }} grid
+ *   Grid cells (one state per cell, x-major, then y, then z) and the Cell top/bottom colors
+ * @returns {Uint8Array}
+ * @throws {Error} when the live cells span more than VOX_MAX_EDGE along an axis
+ */
+export function encodeVox({ cells, dims, colorTop, colorBottom }) {
+  const [gx, gy, gz] = dims;
+
+  const min = [gx, gy, gz];
+  const max = [-1, -1, -1];
+  let count = 0;
+  for (let z = 0, i = 0; z < gz; z++) {
+    for (let y = 0; y < gy; y++) {
+      for (let x = 0; x < gx; x++, i++) {
+        if (cells[i] !== 1) continue;
+        count++;
+        if (x < min[0]) min[0] = x;
+        if (x > max[0]) max[0] = x;
+        if (y < min[1]) min[1] = y;
+        if (y > max[1]) max[1] = y;
+        if (z < min[2]) min[2] = z;
+        if (z > max[2]) max[2] = z;
+      }
+    }
+  }
+  const box = count ? max.map((v, a) => v - min[a] + 1) : [1, 1, 1];
+  if (Math.max(...box) > VOX_MAX_EDGE) {
+    throw new Error(`Live cells span ${box.join("x")}; .vox models are limited to ${VOX_MAX_EDGE} per axis.`);
+  }
+
+  // Chunk sizes: SIZE 12, XYZI 4 + 4 per voxel, RGBA 1024; each with a 12-byte header.
+  const xyziBytes = 4 + 4 * count;
+  const childrenBytes = 12 + 12 + 12 + xyziBytes + 12 + 1024;
+  const out = new Uint8Array(8 + 12 + childrenBytes);
+  const view = new DataView(out.buffer);
+  let at = 0;
+  const id = (s) => {
+    for (let i = 0; i < 4; i++) out[at++] = s.charCodeAt(i);
+  };
+  const i32 = (v) => {
+    view.setInt32(at, v, true);
+    at += 4;
+  };
+  const chunk = (name, contentBytes, children = 0) => {
+    id(name);
+    i32(contentBytes);
+    i32(children);
+  };
+
+  id("VOX ");
+  i32(VOX_VERSION);
+  chunk("MAIN", 0, childrenBytes);
+
+  chunk("SIZE", 12);
+  i32(box[0]);
+  i32(box[2]);
+  i32(box[1]);
+
+  chunk("XYZI", xyziBytes);
+  i32(count);
+  const denom = Math.max(gy - 1, 1);
+  if (count) {
+    for (let z = min[2]; z <= max[2]; z++) {
+      for (let y = min[1]; y <= max[1]; y++) {
+        const row = (y + z * gy) * gx;
+        const colorIndex = 1 + Math.round((y / denom) * (GRADIENT_STEPS - 1));
+        for (let x = min[0]; x <= max[0]; x++) {
+          if (cells[row + x] !== 1) continue;
+          out[at++] = x - min[0];
+          out[at++] = max[2] - z;
+          out[at++] = y - min[1];
+          out[at++] = colorIndex;
+        }
+      }
+    }
+  }
+
+  chunk("RGBA", 1024);
+  const top = hexToRgb(colorTop);
+  const bottom = hexToRgb(colorBottom);
+  for (let i = 0; i < 256; i++) {
+    const t = Math.min(i, GRADIENT_STEPS - 1) / (GRADIENT_STEPS - 1);
+    for (let c = 0; c < 3; c++) out[at++] = Math.round(bottom[c] + (top[c] - bottom[c]) * t);
+    out[at++] = 255;
+  }
+
+  return out;
+}
+
+/**
+ * Read the first model of a .vox file as a box of cells (1 for every voxel, whatever its
+ * color).
+ *
+ * @param {Uint8Array} bytes
+ * @param {{ maxEdge?: number, maxCells?: number }} [limits] larger models are rejected
+ *   before any cell storage is allocated
+ * @returns {{ size: [number, number, number], cells: Uint8Array }}
+ *   `size` and `cells` are in grid axes (Y up), x-major, then y, then z.
+ * @throws {Error} with a user-readable message when the file cannot be read
+ */
+export function decodeVox(bytes, limits = {}) {
+  if (!isVoxData(bytes)) throw new Error("Not a MagicaVoxel .vox file.");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const idAt = (o) => String.fromCharCode(...bytes.subarray(o, o + 4));
+
+  if (idAt(8) !== "MAIN") throw new Error("Missing MAIN chunk.");
+  if (bytes.length < 20 || view.getInt32(12, true) < 0 || view.getInt32(16, true) < 0) {
+    throw new Error("Truncated .vox file.");
+  }
+  let at = 8 + 12 + view.getInt32(12, true);
+  const end = Math.min(bytes.length, at + view.getInt32(16, true));
+
+  /** @type {[number, number, number] | null} */
+  let voxSize = null;
+  while (at + 12 <= end) {
+    const name = idAt(at);
+    const contentBytes = view.getInt32(at + 4, true);
+    const childrenBytes = view.getInt32(at + 8, true);
+    const content = at + 12;
+    // Sizes are checked before use, so a hostile file can never move `at` backwards.
+    if (contentBytes < 0 || childrenBytes < 0 || content + contentBytes + childrenBytes > end) {
+      throw new Error("Truncated .vox file.");
+    }
+    // SIZE holds three i32s and XYZI starts with its voxel count.
+    if ((name === "SIZE" && contentBytes < 12) || (name === "XYZI" && contentBytes < 4)) {
+      throw new Error("Truncated .vox file.");
+    }
+
+    if (name === "SIZE" && !voxSize) {
+      voxSize = [0, 4, 8].map((o) => view.getInt32(content + o, true));
+    } else if (name === "XYZI" && voxSize) {
+      // Grid axes: x, up (vox z), depth (vox y).
+      const size = /** @type {[number, number, number]} */ ([voxSize[0], voxSize[2], voxSize[1]]);
+      if (!size.every((d) => d > 0 && d <= VOX_MAX_EDGE)) throw new Error("Invalid model size.");
+      const maxEdge = limits.maxEdge ?? Infinity;
+      const maxCells = limits.maxCells ?? Infinity;
+      if (Math.max(...size) > maxEdge || size[0] * size[1] * size[2] > maxCells) {
+        throw new Error(`The ${size.join("x")} model is larger than this device supports.`);
+      }
+
+      const n = view.getInt32(content, true);
+      if (n < 0 || 4 + 4 * n > contentBytes) throw new Error("Truncated .vox file.");
+      const cells = new Uint8Array(size[0] * size[1] * size[2]);
+      for (let i = 0, o = content + 4; i < n; i++, o += 4) {
+        const x = bytes[o];
+        const y = bytes[o + 2];
+        const z = size[2] - 1 - bytes[o + 1];
+        if (x < size[0] && y < size[1] && z >= 0) cells[x + (y + z * size[1]) * size[0]] = 1;
+      }
+      return { size, cells };
+    }
+    at = content + contentBytes + childrenBytes;
+  }
+  throw new Error("The .vox file contains no model.");
+}
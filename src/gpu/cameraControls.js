@@ -5,6 +5,7 @@ import {
   quatToMat4,
   mat4ToQuat,
 } from "../util/math3d.js";
+import { CAMERA_FOV_Y } from "./constants.js";
 
 /**
  * Camera control helpers for WebGPURenderer.
@@ -351,3 +352,32 @@ export function commitCameraOverrideToUser(r) {
   r.cameraDistance = Math.max(0.5, Math.min(5.0, cd));
   stopInertia(r);
 }
+
+/**
+ * Picking ray through a canvas point, in cell units (cell (x, y, z) spans [x, x + 1) along
+ * each axis, matching the cell shader's centered layout). Uses the view of the last rendered
+ * frame, so it follows Screen show overrides too.
+ *
+ * @param {any} r
+ * @param {number} x CSS pixels from the canvas' left edge
+ * @param {number} y CSS pixels from the canvas' top edge
+ * @returns {{ origin: number[], dir: number[] }}
+ */
+export function cellRayAt(r, x, y) {
+  const w = r.canvas.clientWidth || 1;
+  const h = r.canvas.clientHeight || 1;
+  const tanY = Math.tan(CAMERA_FOV_Y / 2);
+  const sx = ((2 * x) / w - 1) * tanY * (w / h);
+  const sy = (1 - (2 * y) / h) * tanY;
+
+  // View matrix rows are the camera's right, up and back axes in world space.
+  const v = r._view;
+  const origin = [0, 0, 0];
+  const dir = [0, 0, 0];
+  for (let a = 0; a < 3; a++) {
+    const world = v[a * 4] * sx + v[a * 4 + 1] * sy - v[a * 4 + 2];
+    dir[a] = world / r.cellSize;
+    origin[a] = r._eye[a] / r.cellSize + r.gridDims[a] / 2;
+  }
+  return { origin, dir };
+}
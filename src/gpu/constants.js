@@ -16,3 +16,116 @@
 // MAX_PACKED_GRID_SIZE as the public contract.
 const PACKED_CELL_AXIS_BITS = 10;
 export const MAX_PACKED_GRID_SIZE = 1 << PACKED_CELL_AXIS_BITS;
+
+// The 2 bits above the coordinates (bits 30..31) carry a decay level:
+//   0 = alive, 1..3 = decaying ("Generations" refractory states)
+// quantized from the full state range, so the cell shader can shade dying cells
+// without reading the grid itself. Coordinate consumers must keep masking each axis.
+
+// Upper bound for the "Generations" state count (alive + dying states + dead).
+// A state count of 2 is the classic alive/dead Life behavior.
+export const MAX_CELL_STATES = 64;
+
+// Neighborhood mask: one bit per cell of the 3x3x3 block around a cell,
+//   bit = (dx + 1) + (dy + 1) * 3 + (dz + 1) * 9   (dx/dy/dz in -1..1)
+// The center bit (13) is never set. The full Moore neighborhood has all 26 other bits.
+export const NEIGHBOR_MASK_CENTER_BIT = 13;
+export const MOORE_NEIGHBOR_MASK = (0x7ffffff & ~(1 << NEIGHBOR_MASK_CENTER_BIT)) >>> 0;
+
+// Larger-than-Life neighborhoods: every cell within radius R (2..MAX_NEIGHBOR_RADIUS)
+// of a cell, either the full (2R+1)^3 cube or the Euclidean ball dx²+dy²+dz² <= R².
+// Radius 1 always runs through the 3x3x3 mask kernel above.
+export const MAX_NEIGHBOR_RADIUS = 5;
+export const NEIGHBOR_SHAPE_CUBE = 0;
+export const NEIGHBOR_SHAPE_SPHERE = 1;
+
+// Boundary modes, chosen per axis. The SIM params pack them into one u32, 2 bits per axis:
+//   mode(axis) = (boundary >> (axis * BOUNDARY_AXIS_BITS)) & 3   (axis 0 = x, 1 = y, 2 = z)
+// A neighbor outside the grid is dead, wraps around (torus), counts as alive (a constant
+// live border) or reflects back into the grid (mirror: -1 reads 0, size reads size-1).
+// When a neighbor falls outside along several axes, dead wins over alive; wrap and mirror
+// just move it back inside along their own axis.
+export const BOUNDARY_DEAD = 0;
+export const BOUNDARY_WRAP = 1;
+export const BOUNDARY_ALIVE = 2;
+export const BOUNDARY_MIRROR = 3;
+export const BOUNDARY_AXIS_BITS = 2;
+
+// Edge of the cubic workgroup used by the tiled radius-R simulation kernel.
+// Each workgroup stages a (TILE + 2R)^3 block of the grid in workgroup memory:
+// (4 + 2*5)^3 u32 = 10976 bytes, within the 16 KiB WebGPU default limit.
+export const LTL_TILE_SIZE = 4;
+
+// Survive/birth rules are lists of inclusive neighbor-count ranges [lo, hi].
+// The simulation params hold at most this many ranges per rule (16 covers any
+// rule over the 26-cell Moore neighborhood, e.g. "0,2,4,...,26").
+export const MAX_RULE_RANGES = 16;
+
+// Upper bound for generations encoded into a single step() submit ("generations per tick").
+// Larger batches risk GPU watchdog timeouts on big grids without adding much throughput.
+export const MAX_GENERATIONS_PER_STEP = 256;
+
+// Gen0 shapes: which cells of the randomized region (the clipped Gen0 cube) may start alive.
+// Sphere, shell and cylinder are inscribed in the region (ellipsoidal when it is clipped);
+// the cylinder runs along Y, and the slab and plane are horizontal (XZ) layers at mid-height.
+export const INIT_SHAPE_CUBE = 0;
+export const INIT_SHAPE_SPHERE = 1;
+export const INIT_SHAPE_SHELL = 2;
+export const INIT_SHAPE_CYLINDER = 3;
+export const INIT_SHAPE_SLAB = 4;
+export const INIT_SHAPE_PLANE = 5;
+// Wall thickness of the hollow shell and height of the thin slab, in cells.
+export const INIT_SHELL_CELLS = 3;
+export const INIT_SLAB_CELLS = 4;
+
+// Gen0 symmetry: the random hash is taken at a canonical image of each cell under the chosen
+// mirror planes or rotation (through the region center; rotations are about the Y axis), so
+// all images of a cell start in the same state. Rotations are exact when the region's X and
+// Z extents match.
+export const INIT_SYMMETRY_NONE = 0;
+export const INIT_SYMMETRY_MIRROR_X = 1;
+export const INIT_SYMMETRY_MIRROR_XYZ = 2;
+export const INIT_SYMMETRY_ROTATE_2 = 3;
+export const INIT_SYMMETRY_ROTATE_4 = 4;
+
+// Gen0 fill: independent random cells, or cells only where a 3D value-noise field (fractal
+// sum of octaves, integer math so the CPU mirror in gpu/util/initNoise.js matches exactly) is
+// at or above a level, with the per-cell probability raised so the density still matches.
+// MAX_INIT_NOISE_OCTAVES keeps the octave sum (255 << octaves) far below u32 range.
+export const INIT_FILL_RANDOM = 0;
+export const INIT_FILL_NOISE = 1;
+export const MAX_INIT_NOISE_OCTAVES = 6;
+
+// Cell editing: a ray through the grid stops at the first non-dead cell. Add makes the empty
+// cell in front of the face it hit alive (or, when it hits nothing, the last cell before it
+// leaves the grid); remove kills the hit cell; pick only reports the hit cell.
+export const EDIT_MODE_ADD = 0;
+export const EDIT_MODE_REMOVE = 1;
+export const EDIT_MODE_PICK = 2;
+
+// Vertical field of view of the cell camera (radians); picking rays must use the same.
+export const CAMERA_FOV_Y = Math.PI / 4;
+
+// Slice editor: one axis-aligned layer of the grid is copied to or from a u32-per-cell slice
+// buffer. SLICE_UV_AXES[axis] names the grid axes along the slice's u (columns) and v (rows),
+// so Y is up whenever it lies in the slice; the slice is u-major.
+export const SLICE_MODE_READ = 0;
+export const SLICE_MODE_WRITE = 1;
+export const SLICE_UV_AXES = Object.freeze([
+  Object.freeze([2, 1]),
+  Object.freeze([0, 2]),
+  Object.freeze([0, 1]),
+]);
+export const SLICE_WORKGROUP_SIZE = 8;
+
+// Animated peel: a clipping plane sweeps down its axis through the clip box and back up,
+// taking PEEL_PERIOD_SECONDS for the round trip.
+export const PEEL_PERIOD_SECONDS = 8;
+
+// Cell age: the generations a cell has stayed alive (0 on birth or while dying), kept per cell
+// next to u32 grids (bit-packed grids do not track it) and saturating at CELL_AGE_MAX.
+// CELL_COLOR_MODE_AGE maps it through a fixed palette, log-scaled so short-lived churn and
+// long-lived cores land at opposite ends.
+export const CELL_AGE_MAX = 255;
+export const CELL_COLOR_MODE_HEIGHT = 0;
+export const CELL_COLOR_MODE_AGE = 1;
@@ -11,7 +11,9 @@
  * Scope
  *  - Uniform layouts (render uniforms + background uniforms)
  *  - Uniform parameter blocks for compute passes (simulation/extract/init/drawArgs)
- *  - Storage layouts that are initialized/reset from JS (AABB accumulator, indirect args)
+ *  - Grid state buffers (u32 or bit-packed cells)
+ *  - Storage layouts that are initialized/reset from JS (AABB accumulator, indirect args,
+ *    active-region boxes)
  *
  * Notes on WGSL uniform layout
  *  - Scalars (f32/u32/i32) have 4-byte alignment.
@@ -41,14 +43,14 @@ function isMultipleOf(n, m) {
 // ----------------------------
 //
 // WGSL: struct Uniforms
-// JS:  Float32Array (60 floats = 240 bytes) written at offset 0.
+// JS:  Float32Array (68 floats = 272 bytes) written at offset 0.
 //
 // We allocate a slightly larger uniform buffer (currently 512 bytes) to leave room for
 // future extensions without having to re-plumb buffer creation; the *active* region is
 // defined by DATA_BYTES below.
 const UNIFORMS = Object.freeze({
-  DATA_FLOATS: 60,
-  DATA_BYTES: 60 * 4,
+  DATA_FLOATS: 68,
+  DATA_BYTES: 68 * 4,
 
   // Offsets in 32-bit floats (Float32Array indices).
   F32: Object.freeze({
@@ -60,16 +62,15 @@ const UNIFORMS = Object.freeze({
     // vec4<f32>: xyz = camera direction, w = camera distance (|eye-target|)
     CAMERA_DIR: 40, // bytes 160..175
 
-    GRID_SIZE: 44, // f32 => byte 176
-    CELL_SIZE: 45, // f32 => byte 180
-    // Explicit padding to keep the scalar tail 16-byte aligned. Not read by shaders.
-    PAD0: 46,
-    PAD1: 47,
+    // vec3<f32> grid dimensions (x, y, z) => bytes 176..187; cellSize packs into its tail.
+    GRID_SIZE: 44,
+    CELL_SIZE: 47, // f32 => byte 188
 
     LANTERN_ENABLED: 48, // f32 => byte 192
     LANTERN_STRENGTH: 49, // f32 => byte 196
+    // Cell color mode (CELL_COLOR_MODE_*: 0 = height gradient, 1 = age palette).
+    COLOR_MODE: 50, // f32 => byte 200
     // Explicit padding (16B alignment). Not read by shaders.
-    PAD2: 50,
     PAD3: 51,
 
     TIME: 52, // f32 => byte 208
@@ -81,6 +82,11 @@ const UNIFORMS = Object.freeze({
     // Haze: vec4<f32> (rgb + max mix amount). Appended after the existing
     // time padding so older captures remain easy to interpret.
     HAZE: 56, // vec4<f32> => bytes 224..239
+
+    // Clipping slab in cell coordinates: cells with any coordinate below clipMin or at/above
+    // clipMax are not drawn. w is padding. Not read by the grid projection shader.
+    CLIP_MIN: 60, // vec4<f32> => bytes 240..255
+    CLIP_MAX: 64, // vec4<f32> => bytes 256..271
   }),
 
   WGSL_STRUCT: `struct Uniforms {
@@ -93,16 +99,14 @@ cellColorTop: vec4<f32>,
 cellColorBottom: vec4<f32>,
 cameraDir: vec4<f32>,
 
-// 176..191 bytes (scalars + explicit padding to 16B boundary)
-gridSize: f32,
+// 176..191 bytes (grid dimensions + cell size fill one 16B slot)
+gridSize: vec3<f32>,
 cellSize: f32,
-pad0: f32,
-pad1: f32,
 
 // 192..207 bytes
 lanternEnabled: f32,
 lanternStrength: f32,
-pad2: f32,
+colorMode: f32,
 pad3: f32,
 
 // 208..223 bytes
@@ -112,7 +116,11 @@ pad5: f32,
 pad6: f32,
 
 // 224..239 bytes
-haze: vec4<f32>
+haze: vec4<f32>,
+
+// 240..271 bytes
+clipMin: vec4<f32>,
+clipMax: vec4<f32>
 }`,
 });
 
@@ -141,63 +149,104 @@ upDir: vec4<f32>,  // Camera's view of world Y axis (in screen space)
 // ----------------------------
 const PARAMS = Object.freeze({
   SIM: Object.freeze({
-    U32S: 8,
-    BYTES: 8 * 4,
+    // 12 scalar u32 + 2 x array<vec4<u32>, 8> (16 [lo, hi] ranges each).
+    U32S: 12 + 2 * 32,
+    BYTES: (12 + 2 * 32) * 4,
     U32: Object.freeze({
+      // vec3<u32> grid dimensions (x, y, z) => u32 0..2.
       GRID_SIZE: 0,
-      SURVIVE_RULE: 1,
-      BIRTH_RULE: 2,
-      TOROIDAL: 3,
-      CHANGE_ENABLED: 4,
-      // Explicit padding (uniform structs are rounded up to 16-byte alignment).
-      // Not read by shaders.
-      PAD0: 5,
-      PAD1: 6,
-      PAD2: 7,
+      // Number of valid [lo, hi] pairs in SURVIVE_RANGES / BIRTH_RANGES (<= MAX_RULE_RANGES).
+      SURVIVE_RANGE_COUNT: 3,
+      BIRTH_RANGE_COUNT: 4,
+      // Per-axis boundary modes, 2 bits per axis (BOUNDARY_* / BOUNDARY_AXIS_BITS in constants.js).
+      BOUNDARY: 5,
+      CHANGE_ENABLED: 6,
+      // Number of cell states for "Generations" rules (2 = classic alive/dead).
+      STATE_COUNT: 7,
+      // 27-bit mask over the 3x3x3 block (see MOORE_NEIGHBOR_MASK in constants.js).
+      NEIGHBOR_MASK: 8,
+      // Larger-than-Life radius (1 = 3x3x3 mask kernel) and shape (NEIGHBOR_SHAPE_* in constants.js).
+      RADIUS: 9,
+      SHAPE: 10,
+      // Explicit padding so the range arrays start on a 16-byte boundary. Not read by shaders.
+      PAD0: 11,
+      // Inclusive neighbor-count ranges, packed as (lo0, hi0, lo1, hi1) per vec4.
+      SURVIVE_RANGES: 12,
+      BIRTH_RANGES: 44,
     }),
     WGSL_STRUCT: `struct Params {
-gridSize: u32,
-surviveRule: u32,
-birthRule: u32,
-toroidal: u32,
+gridSize: vec3<u32>,
+surviveRangeCount: u32,
+birthRangeCount: u32,
+boundary: u32,
 changeEnabled: u32,
+stateCount: u32,
+neighborMask: u32,
+radius: u32,
+shape: u32,
 pad0: u32,
-pad1: u32,
-pad2: u32
+surviveRanges: array<vec4<u32>, 8>,
+birthRanges: array<vec4<u32>, 8>
 }`,
   }),
   EXTRACT: Object.freeze({
-    U32S: 4,
-    BYTES: 4 * 4,
+    U32S: 8,
+    BYTES: 8 * 4,
     U32: Object.freeze({
+      // vec3<u32> grid dimensions (x, y, z) => u32 0..2.
       GRID_SIZE: 0,
-      MAX_CELLS: 1,
+      MAX_CELLS: 3,
+      // Used to quantize dying states into the packed cell's decay bits.
+      STATE_COUNT: 4,
       // Explicit padding (16-byte alignment). Not read by shaders.
-      PAD0: 2,
-      PAD1: 3,
+      PAD0: 5,
+      PAD1: 6,
+      PAD2: 7,
     }),
-    WGSL_STRUCT: `struct Params { gridSize: u32, maxCells: u32, pad0: u32, pad1: u32 }`,
+    WGSL_STRUCT: `struct Params {
+gridSize: vec3<u32>,
+maxCells: u32,
+stateCount: u32,
+pad0: u32,
+pad1: u32,
+pad2: u32
+}`,
   }),
   INIT: Object.freeze({
-    U32S: 8,
-    BYTES: 8 * 4,
+    U32S: 20,
+    BYTES: 20 * 4,
     U32: Object.freeze({
+      // vec3<u32> fields: grid dimensions, randomized region size and its offset per axis.
       GRID_SIZE: 0,
-      REGION: 1,
-      OFFSET: 2,
       THRESHOLD: 3,
-      SEED: 4,
+      REGION: 4,
+      SEED: 7,
+      OFFSET: 8,
+      // INIT_SHAPE_* and INIT_SYMMETRY_* (see constants.js).
+      SHAPE: 11,
+      SYMMETRY: 12,
+      // INIT_FILL_*; the noise fill's lattice period (cells), octave count and level.
+      FILL: 13,
+      NOISE_PERIOD: 14,
+      NOISE_OCTAVES: 15,
+      NOISE_LEVEL: 16,
       // Explicit padding (16-byte alignment). Not read by shaders.
-      PAD0: 5,
-      PAD1: 6,
-      PAD2: 7,
+      PAD0: 17,
+      PAD1: 18,
+      PAD2: 19,
     }),
     WGSL_STRUCT: `struct Params {
-gridSize: u32,
-region: u32,
-offset: u32,
+gridSize: vec3<u32>,
 threshold: u32,
+region: vec3<u32>,
 seed: u32,
+offset: vec3<u32>,
+shape: u32,
+symmetry: u32,
+fill: u32,
+noisePeriod: u32,
+noiseOctaves: u32,
+noiseLevel: u32,
 pad0: u32,
 pad1: u32,
 pad2: u32
@@ -215,6 +264,128 @@ pad2: u32
     }),
     WGSL_STRUCT: `struct Params { indexCount: u32, maxCells: u32, pad0: u32, pad1: u32 }`,
   }),
+  EDIT: Object.freeze({
+    U32S: 12,
+    BYTES: 12 * 4,
+    // The ray is in cell units: cell (x, y, z) spans [x, x + 1) x [y, y + 1) x [z, z + 1).
+    F32: Object.freeze({
+      ORIGIN: 0,
+      DIR: 4,
+    }),
+    U32: Object.freeze({
+      // EDIT_MODE_* (see constants.js).
+      MODE: 3,
+      GRID_SIZE: 8,
+      // Explicit padding (16-byte alignment). Not read by shaders.
+      PAD0: 7,
+      PAD1: 11,
+    }),
+    WGSL_STRUCT: `struct Params {
+origin: vec3<f32>,
+mode: u32,
+dir: vec3<f32>,
+pad0: u32,
+gridSize: vec3<u32>,
+pad1: u32
+}`,
+  }),
+  SLICE: Object.freeze({
+    U32S: 8,
+    BYTES: 8 * 4,
+    U32: Object.freeze({
+      GRID_SIZE: 0,
+      // Sliced axis (0..2) and the axes along the slice's u and v (SLICE_UV_AXES).
+      AXIS: 3,
+      U_AXIS: 4,
+      V_AXIS: 5,
+      // Layer along AXIS.
+      INDEX: 6,
+      // SLICE_MODE_* (see constants.js).
+      MODE: 7,
+    }),
+    WGSL_STRUCT: `struct Params {
+gridSize: vec3<u32>,
+axis: u32,
+uAxis: u32,
+vAxis: u32,
+index: u32,
+mode: u32
+}`,
+  }),
+});
+
+// ----------------------------
+// Grid state buffers (ping-pong storage)
+// ----------------------------
+//
+// u32 layout: one cell state per u32, cells x-major, then y, then z.
+//
+// Packed layout (grids too large for the u32 budget; 2-state rules only): one bit per cell.
+// Each X row is padded to whole words, so cell (x, y, z) is bit (x % 32) of word
+//   floor(x / 32) + (y + z * gridY) * wordsPerRow,   wordsPerRow = ceil(gridX / 32).
+// Padding bits past the X edge are always 0.
+const GRID = Object.freeze({
+  CELLS_PER_WORD: 32,
+
+  /** u32 words per X row in the packed layout. */
+  packedWordsPerRow(gridX) {
+    return Math.ceil(gridX / 32);
+  },
+
+  /**
+   * Byte size of one grid buffer.
+   *
+   * @param {ArrayLike<number>} dims [x, y, z]
+   * @param {boolean} packed
+   */
+  bufferBytes(dims, packed) {
+    const rows = dims[1] * dims[2];
+    return (packed ? GRID.packedWordsPerRow(dims[0]) : dims[0]) * rows * 4;
+  },
+
+  /**
+   * Pack one state per cell (x-major) into the packed layout. Any nonzero state is alive.
+   *
+   * @param {ArrayLike<number>} cells
+   * @param {ArrayLike<number>} dims [x, y, z]
+   * @returns {Uint32Array}
+   */
+  packCells(cells, dims) {
+    const nx = dims[0];
+    const rows = dims[1] * dims[2];
+    const wordsPerRow = GRID.packedWordsPerRow(nx);
+    const words = new Uint32Array(wordsPerRow * rows);
+    for (let row = 0; row < rows; row++) {
+      const base = row * nx;
+      const wordBase = row * wordsPerRow;
+      for (let x = 0; x < nx; x++) {
+        if (cells[base + x] !== 0) words[wordBase + (x >>> 5)] |= 1 << (x & 31);
+      }
+    }
+    return words;
+  },
+
+  /**
+   * Unpack the packed layout into one state (0/1) per cell, x-major. Padding bits are ignored.
+   *
+   * @param {Uint32Array} words
+   * @param {ArrayLike<number>} dims [x, y, z]
+   * @returns {Uint8Array}
+   */
+  unpackCells(words, dims) {
+    const nx = dims[0];
+    const rows = dims[1] * dims[2];
+    const wordsPerRow = GRID.packedWordsPerRow(nx);
+    const cells = new Uint8Array(nx * rows);
+    for (let row = 0; row < rows; row++) {
+      const base = row * nx;
+      const wordBase = row * wordsPerRow;
+      for (let x = 0; x < nx; x++) {
+        cells[base + x] = (words[wordBase + (x >>> 5)] >>> (x & 31)) & 1;
+      }
+    }
+    return cells;
+  },
 });
 
 // ----------------------------
@@ -273,22 +444,92 @@ _pad1: u32,
   }),
 });
 
+// ----------------------------
+// Active-region stepping (storage buffers, GPU-written)
+// ----------------------------
+// Each grid buffer has a BOX holding the AABB of its live cells (same field order as AABB,
+// but read as plain u32) plus the population it was reduced from; min > max means empty.
+// The region shader turns the boxes into the dispatch ORIGIN (cells, bound to the grid
+// kernels) and indirect dispatch ARGS for the simulation and extraction passes.
+const ACTIVE_REGION = Object.freeze({
+  BOX_U32S: 8,
+  BOX_BYTES: 8 * 4,
+  BOX_U32: Object.freeze({
+    MIN: 0, // x, y, z
+    MAX: 3, // x, y, z (inclusive)
+    // Population counted by the extract pass; a list shorter than this makes the box partial.
+    COUNT: 6,
+    // Explicit padding. Not read by shaders.
+    PAD0: 7,
+  }),
+  BOX_WGSL_STRUCT: `struct Box {
+minX: u32,
+minY: u32,
+minZ: u32,
+maxX: u32,
+maxY: u32,
+maxZ: u32,
+count: u32,
+_pad0: u32,
+};`,
+  // vec4<u32>: region origin (x, y, z) in cells; w unused. Zero means a full-grid dispatch.
+  ORIGIN_BYTES: 16,
+  // Two dispatchWorkgroupsIndirect() arg blocks: simulation, then extraction.
+  ARGS_BYTES: 2 * INDIRECT.DISPATCH_BYTES,
+  SIM_ARGS_OFFSET: 0,
+  EXTRACT_ARGS_OFFSET: INDIRECT.DISPATCH_BYTES,
+});
+
+// ----------------------------
+// Cell edit result (storage buffer, GPU-written)
+// ----------------------------
+// EDITED is 1 when the edit kernel changed a cell, whose coordinates follow.
+const EDIT_RESULT = Object.freeze({
+  U32S: 4,
+  BYTES: 4 * 4,
+  U32: Object.freeze({
+    EDITED: 0,
+    X: 1,
+    Y: 2,
+    Z: 3,
+  }),
+});
+
 // ----------------------------
 // Assertions
 // ----------------------------
 function assertStatic() {
   invariant(isMultipleOf(UNIFORMS.DATA_BYTES, 16), "Uniforms size must be multiple of 16 bytes.");
   invariant(isMultipleOf(BG_UNIFORMS.DATA_BYTES, 16), "BgUniforms size must be multiple of 16 bytes.");
-  invariant(UNIFORMS.DATA_BYTES === 240, "Uniforms bytes expected to be 240 (60 f32).");
+  invariant(UNIFORMS.DATA_BYTES === 272, "Uniforms bytes expected to be 272 (68 f32).");
   invariant(BG_UNIFORMS.DATA_BYTES === 48, "BgUniforms bytes expected to be 48 (12 f32).");
-  invariant(PARAMS.SIM.BYTES === 32, "SIM params bytes expected to be 32 (8 u32).");
-  invariant(PARAMS.EXTRACT.BYTES === 16, "EXTRACT params bytes expected to be 16 (4 u32).");
-  invariant(PARAMS.INIT.BYTES === 32, "INIT params bytes expected to be 32 (8 u32).");
+  invariant(PARAMS.SIM.BYTES === 304, "SIM params bytes expected to be 304 (76 u32).");
+  invariant(PARAMS.SIM.U32.SURVIVE_RANGES % 4 === 0, "SIM survive ranges must be 16-byte aligned.");
+  invariant(
+    PARAMS.SIM.U32.BIRTH_RANGES === PARAMS.SIM.U32.SURVIVE_RANGES + 32,
+    "SIM birth ranges must directly follow the survive ranges.",
+  );
+  invariant(PARAMS.EXTRACT.BYTES === 32, "EXTRACT params bytes expected to be 32 (8 u32).");
+  invariant(PARAMS.INIT.BYTES === 80, "INIT params bytes expected to be 80 (20 u32).");
+  invariant(
+    PARAMS.INIT.U32.REGION % 4 === 0 && PARAMS.INIT.U32.OFFSET % 4 === 0,
+    "INIT vec3 fields must be 16-byte aligned.",
+  );
   invariant(PARAMS.DRAW_ARGS.BYTES === 16, "DRAW_ARGS params bytes expected to be 16 (4 u32).");
+  invariant(PARAMS.EDIT.BYTES === 48, "EDIT params bytes expected to be 48 (12 u32).");
+  invariant(
+    PARAMS.EDIT.F32.DIR % 4 === 0 && PARAMS.EDIT.U32.GRID_SIZE % 4 === 0,
+    "EDIT vec3 fields must be 16-byte aligned.",
+  );
+  invariant(EDIT_RESULT.BYTES === 16, "Edit result bytes expected to be 16 (4 u32).");
+  invariant(PARAMS.SLICE.BYTES === 32, "SLICE params bytes expected to be 32 (8 u32).");
+  invariant(PARAMS.SLICE.U32.GRID_SIZE % 4 === 0, "SLICE gridSize must be 16-byte aligned.");
   invariant(INDIRECT.DRAW_INDEXED_BYTES === 20, "drawIndexedIndirect args bytes expected to be 20 (5 u32).");
   invariant(AABB.BYTES === 32, "AABB bytes expected to be 32 (8 u32).");
   invariant(AABB.READBACK.COUNT_OFFSET === AABB.BYTES, "AABB readback count offset must follow the accumulator.");
   invariant(AABB.READBACK.TOTAL_BYTES === 36, "AABB readback bytes expected to be 36 (AABB + count).");
+  invariant(ACTIVE_REGION.BOX_BYTES === AABB.BYTES, "Active-region boxes must match the AABB accumulator size.");
+  invariant(ACTIVE_REGION.ARGS_BYTES === 32, "Active-region args bytes expected to be 32 (2 dispatches).");
 }
 
 function assertRenderer(renderer) {
@@ -313,6 +554,14 @@ function assertRenderer(renderer) {
     renderer._initParams && renderer._initParams.length === PARAMS.INIT.U32S,
     `renderer._initParams must be Uint32Array(${PARAMS.INIT.U32S}).`,
   );
+  invariant(
+    renderer._editParams && renderer._editParams.length === PARAMS.EDIT.U32S,
+    `renderer._editParams must be Uint32Array(${PARAMS.EDIT.U32S}).`,
+  );
+  invariant(
+    renderer._sliceParams && renderer._sliceParams.length === PARAMS.SLICE.U32S,
+    `renderer._sliceParams must be Uint32Array(${PARAMS.SLICE.U32S}).`,
+  );
 
   // GPUBuffer.size is present in current WebGPU implementations, but guard for robustness.
   function assertBufferMinSize(buf, minBytes, name) {
@@ -325,6 +574,19 @@ function assertRenderer(renderer) {
   assertBufferMinSize(renderer.computeParamsBuffer, PARAMS.SIM.BYTES, "computeParamsBuffer");
   assertBufferMinSize(renderer.extractParamsBuffer, PARAMS.EXTRACT.BYTES, "extractParamsBuffer");
   assertBufferMinSize(renderer.initParamsBuffer, PARAMS.INIT.BYTES, "initParamsBuffer");
+  assertBufferMinSize(renderer.editParamsBuffer, PARAMS.EDIT.BYTES, "editParamsBuffer");
+  assertBufferMinSize(renderer.editResultBuffer, EDIT_RESULT.BYTES, "editResultBuffer");
+  assertBufferMinSize(renderer.sliceParamsBuffer, PARAMS.SLICE.BYTES, "sliceParamsBuffer");
+  if (renderer.gridBuffers && renderer.gridDims) {
+    const gridBytes = GRID.bufferBytes(renderer.gridDims, !!renderer.gridPacked);
+    assertBufferMinSize(renderer.gridBuffers[0], gridBytes, "gridBuffers[0]");
+    assertBufferMinSize(renderer.gridBuffers[1], gridBytes, "gridBuffers[1]");
+    if (renderer.cellAgeBuffer) {
+      const [x, y, z] = renderer.gridDims;
+      assertBufferMinSize(renderer.cellAgeBuffer, x * y * z * 4, "cellAgeBuffer");
+      assertBufferMinSize(renderer.livingAgesBuffer, renderer.maxCells * 4, "livingAgesBuffer");
+    }
+  }
   if (renderer.drawArgsParamsBuffer) {
     assertBufferMinSize(renderer.drawArgsParamsBuffer, PARAMS.DRAW_ARGS.BYTES, "drawArgsParamsBuffer");
   }
@@ -337,6 +599,16 @@ function assertRenderer(renderer) {
   if (renderer.aabbDispatchArgsBuffer) {
     assertBufferMinSize(renderer.aabbDispatchArgsBuffer, INDIRECT.DISPATCH_BYTES, "aabbDispatchArgsBuffer");
   }
+  if (renderer.activeBoxBuffers) {
+    assertBufferMinSize(renderer.activeBoxBuffers[0], ACTIVE_REGION.BOX_BYTES, "activeBoxBuffers[0]");
+    assertBufferMinSize(renderer.activeBoxBuffers[1], ACTIVE_REGION.BOX_BYTES, "activeBoxBuffers[1]");
+  }
+  if (renderer.activeOriginBuffer) {
+    assertBufferMinSize(renderer.activeOriginBuffer, ACTIVE_REGION.ORIGIN_BYTES, "activeOriginBuffer");
+  }
+  if (renderer.activeArgsBuffer) {
+    assertBufferMinSize(renderer.activeArgsBuffer, ACTIVE_REGION.ARGS_BYTES, "activeArgsBuffer");
+  }
 }
 
 assertStatic();
@@ -346,8 +618,11 @@ export const G3DL_LAYOUT = Object.freeze({
   UNIFORMS,
   BG_UNIFORMS,
   PARAMS,
+  GRID,
   INDIRECT,
   AABB,
+  ACTIVE_REGION,
+  EDIT_RESULT,
   invariant,
   assertRenderer,
 });
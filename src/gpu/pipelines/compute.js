@@ -25,6 +25,29 @@ export async function createSimulationPipeline(r) {
   return r.computePipeline;
 }
 
+/**
+ * Create (or reuse) the tiled radius-R (Larger-than-Life) simulation pipeline.
+ *
+ * Compiled lazily via WebGPURenderer._ensureLtlPipeline(), since most sessions only
+ * use 3x3x3 neighborhoods. Its workgroup size is fixed by the shader (LTL_TILE_SIZE).
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ * @param {{ packed?: boolean, ages?: boolean }} [opts] packed=true builds the bit-packed grid
+ *   variant, ages=true the u32 variant that tracks cell ages
+ * @returns {Promise<GPUComputePipeline>}
+ */
+export async function createLtlSimulationPipeline(r, { packed = false, ages = false } = {}) {
+  const field = packed ? "packedLtlPipeline" : ages ? "ageLtlPipeline" : "ltlPipeline";
+  if (r[field]) return r[field];
+  const code = G3DL_SHADERS.simulationLtL({ packed, ages });
+  const mod = r.device.createShaderModule({ code });
+  r[field] = await r._createComputePipeline({
+    layout: "auto",
+    compute: { module: mod, entryPoint: "main" },
+  });
+  return r[field];
+}
+
 /**
  * Create (or reuse) the living-cell extraction pipeline.
  *
@@ -42,6 +65,32 @@ export async function createExtractPipeline(r) {
   return r.extractPipeline;
 }
 
+/**
+ * Create (or reuse) the simulation and extraction pipelines that also track cell ages (u32
+ * grids only).
+ *
+ * Compiled lazily via WebGPURenderer._ensureCellAges(), since only the age color mode
+ * needs them.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ * @returns {Promise<void>}
+ */
+export async function createAgePipelines(r) {
+  const build = async (field, code) => {
+    if (r[field]) return;
+    const mod = r.device.createShaderModule({ code });
+    r[field] = await r._createComputePipeline({
+      layout: "auto",
+      compute: { module: mod, entryPoint: "main" },
+    });
+  };
+  const opts = { workgroupSize: r.workgroupSize, ages: true };
+  await Promise.all([
+    build("ageComputePipeline", G3DL_SHADERS.simulation(opts)),
+    build("ageExtractPipeline", G3DL_SHADERS.extract(opts)),
+  ]);
+}
+
 /**
  * Create (or reuse) the GPU-side random initialization pipeline.
  *
@@ -59,6 +108,95 @@ export async function createInitPipeline(r) {
   return r.initPipeline;
 }
 
+/**
+ * Create (or reuse) the simulation, extraction and init pipelines for the bit-packed grid
+ * layout (see G3DL_LAYOUT.GRID).
+ *
+ * Compiled lazily via WebGPURenderer._ensurePackedPipelines(), since only grids beyond the
+ * u32 cell budget use the packed layout.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ * @returns {Promise<void>}
+ */
+export async function createPackedGridPipelines(r) {
+  const build = async (field, code) => {
+    if (r[field]) return;
+    const mod = r.device.createShaderModule({ code });
+    r[field] = await r._createComputePipeline({
+      layout: "auto",
+      compute: { module: mod, entryPoint: "main" },
+    });
+  };
+  const wg = { workgroupSize: r.workgroupSize };
+  await Promise.all([
+    build("packedComputePipeline", G3DL_SHADERS.simulationPacked(wg)),
+    build("packedExtractPipeline", G3DL_SHADERS.extractPacked(wg)),
+    build("packedInitPipeline", G3DL_SHADERS.initPacked(wg)),
+  ]);
+}
+
+/**
+ * Create (or reuse) the active-region args pipeline (see G3DL_SHADERS.activeRegion).
+ *
+ * Compiled lazily via WebGPURenderer._ensureActiveRegionPipelines(), together with the AABB
+ * pipelines that maintain the live-cell boxes it reads.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ * @param {{ packed?: boolean }} [opts] packed=true builds the bit-packed grid variant
+ * @returns {Promise<GPUComputePipeline>}
+ */
+export async function createActiveRegionPipeline(r, { packed = false } = {}) {
+  const field = packed ? "packedActiveRegionPipeline" : "activeRegionPipeline";
+  if (r[field]) return r[field];
+  const code = G3DL_SHADERS.activeRegion({ workgroupSize: r.workgroupSize, packed });
+  const mod = r.device.createShaderModule({ code });
+  r[field] = await r._createComputePipeline({
+    layout: "auto",
+    compute: { module: mod, entryPoint: "main" },
+  });
+  return r[field];
+}
+
+/**
+ * Create (or reuse) the cell edit pipeline (see G3DL_SHADERS.edit).
+ *
+ * Compiled lazily via WebGPURenderer._ensureEditPipeline(), since editing is optional.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ * @param {{ packed?: boolean }} [opts] packed=true builds the bit-packed grid variant
+ * @returns {Promise<GPUComputePipeline>}
+ */
+export async function createEditPipeline(r, { packed = false } = {}) {
+  const field = packed ? "packedEditPipeline" : "editPipeline";
+  if (r[field]) return r[field];
+  const code = G3DL_SHADERS.edit({ packed });
+  const mod = r.device.createShaderModule({ code });
+  r[field] = await r._createComputePipeline({
+    layout: "auto",
+    compute: { module: mod, entryPoint: "main" },
+  });
+  return r[field];
+}
+
+/**
+ * Create (or reuse) the slice copy pipeline (see G3DL_SHADERS.slice) for the slice editor.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ * @param {{ packed?: boolean }} [opts] packed=true builds the bit-packed grid variant
+ * @returns {Promise<GPUComputePipeline>}
+ */
+export async function createSlicePipeline(r, { packed = false } = {}) {
+  const field = packed ? "packedSlicePipeline" : "slicePipeline";
+  if (r[field]) return r[field];
+  const code = G3DL_SHADERS.slice({ packed });
+  const mod = r.device.createShaderModule({ code });
+  r[field] = await r._createComputePipeline({
+    layout: "auto",
+    compute: { module: mod, entryPoint: "main" },
+  });
+  return r[field];
+}
+
 /**
  * Create (or reuse) the draw-args pipeline used to fill the indirect draw buffer.
  *
@@ -77,7 +215,7 @@ export async function createDrawArgsPipeline(r) {
 }
 
 /**
- * Create (or reuse) AABB pipelines used by Screen show camera targeting.
+ * Create (or reuse) AABB pipelines used by Screen show camera targeting and active-region steps.
  *
  * This optional feature is compiled lazily via WebGPURenderer._ensureAabbPipelines().
  *
@@ -5,6 +5,7 @@
  * scheduling so renderer.js can stay focused on orchestration.
  */
 
+import { G3DL_LAYOUT } from "./dataLayout.js";
 import { debugWarn } from "../util/log.js";
 
 /**
@@ -283,3 +284,89 @@ export function requestPopulationReadback(r, force = false) {
   r.populationReadbackPromise = p;
   return p;
 }
+
+/**
+ * Copy `bytes` of `src` into a temporary MAP_READ buffer and return a CPU copy.
+ *
+ * Used by rare, user-triggered exports, so there is no staging ring; the staging buffer is
+ * destroyed before this resolves.
+ *
+ * @param {import('./renderer.js').WebGPURenderer} r
+ * @param {GPUBuffer} src
+ * @param {number} bytes multiple of 4
+ * @param {string} label
+ * @returns {Promise<Uint32Array>}
+ */
+async function readBufferWords(r, src, bytes, label) {
+  const staging = r._createBuffer(label, {
+    size: Math.max(4, bytes),
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+  try {
+    if (bytes > 0) {
+      const encoder = r.device.createCommandEncoder();
+      encoder.copyBufferToBuffer(src, 0, staging, 0, bytes);
+      r.device.queue.submit([encoder.finish()]);
+    }
+    await staging.mapAsync(GPUMapMode.READ);
+    const words = new Uint32Array(staging.getMappedRange(0, bytes).slice(0));
+    staging.unmap();
+    return words;
+  } finally {
+    try {
+      staging.destroy();
+    } catch (_) {}
+  }
+}
+
+/**
+ * Copy the current grid buffer to the CPU (used by pattern Save).
+ *
+ * Dimensions and generation are captured when the copy is submitted, so a step queued
+ * afterwards does not change what is returned.
+ *
+ * @param {import('./renderer.js').WebGPURenderer} r
+ * @returns {Promise<{cells: Uint8Array, dims: number[], generation: number}>}
+ *   One state per cell, x-major, then y, then z.
+ */
+export async function readGridCells(r) {
+  if (!r.device || !r.gridBuffers || !r.gridBuffers[r.currentBuffer]) {
+    throw new Error("WebGPU device not initialized.");
+  }
+  const dims = Array.from(r.gridDims);
+  const packed = r.gridPacked;
+  const generation = r.generation;
+  const bytes = G3DL_LAYOUT.GRID.bufferBytes(dims, packed);
+
+  const words = await readBufferWords(r, r.gridBuffers[r.currentBuffer], bytes, "gridReadbackBuffer");
+  if (packed) return { cells: G3DL_LAYOUT.GRID.unpackCells(words, dims), dims, generation };
+
+  // States never exceed MAX_CELL_STATES, so they fit a byte.
+  const cells = new Uint8Array(words.length);
+  for (let i = 0; i < words.length; i++) cells[i] = words[i];
+  return { cells, dims, generation };
+}
+
+/**
+ * Copy the live-cell list written by the last extract pass to the CPU (used by mesh export).
+ *
+ * Each word is a packed cell: x | y << 10 | z << 20 | decay << 30 (see constants.js). The
+ * list holds at most r.maxCells entries, so on bit-packed grids it may be truncated like the
+ * drawing is. The counter and the list are read in two submits; callers should stop the
+ * simulation first so no step runs in between.
+ *
+ * @param {import('./renderer.js').WebGPURenderer} r
+ * @returns {Promise<{cells: Uint32Array, dims: number[], generation: number, truncated: boolean}>}
+ */
+export async function readLiveCells(r) {
+  if (!r.device || !r.livingCellsBuffer || !r.atomicCounterBuffer) {
+    throw new Error("WebGPU device not initialized.");
+  }
+  const dims = Array.from(r.gridDims);
+  const generation = r.generation;
+
+  const [count] = await readBufferWords(r, r.atomicCounterBuffer, 4, "liveCountReadbackBuffer");
+  const n = Math.min(count, r.maxCells);
+  const cells = await readBufferWords(r, r.livingCellsBuffer, n * 4, "liveCellsReadbackBuffer");
+  return { cells, dims, generation, truncated: count > n };
+}
@@ -9,7 +9,8 @@
  *   renderer/render.js     – per-frame render pass encoding
  *   renderer/step.js       – simulation step dispatch + grid randomization
  *   renderer/aabb.js       – living-cell bounding-box readback (Screen show)
- *   pipelines/compute.js   – compute pipeline factories (simulation, extract, init, AABB)
+ *   pipelines/compute.js   – compute pipeline factories (simulation, extract, init, AABB, edit,
+ *                            slice)
  *   pipelines/render.js    – render pipeline factories (cells, grid projection, background)
  *   resources/grid.js      – grid buffer allocation and sizing
  *   resources/geometry.js  – cube geometry + grid projection instances
@@ -26,13 +27,39 @@
  */
 
 import { G3DL_LAYOUT } from "./dataLayout.js";
-import { MAX_PACKED_GRID_SIZE } from "./constants.js";
+import {
+  MAX_PACKED_GRID_SIZE,
+  MAX_CELL_STATES,
+  MOORE_NEIGHBOR_MASK,
+  NEIGHBOR_MASK_CENTER_BIT,
+  MAX_NEIGHBOR_RADIUS,
+  NEIGHBOR_SHAPE_CUBE,
+  NEIGHBOR_SHAPE_SPHERE,
+  MAX_RULE_RANGES,
+  BOUNDARY_DEAD,
+  BOUNDARY_WRAP,
+  BOUNDARY_MIRROR,
+  INIT_SHAPE_CUBE,
+  INIT_SHAPE_PLANE,
+  INIT_SYMMETRY_NONE,
+  INIT_SYMMETRY_ROTATE_4,
+  MAX_INIT_NOISE_OCTAVES,
+  EDIT_MODE_PICK,
+  CELL_COLOR_MODE_HEIGHT,
+  CELL_COLOR_MODE_AGE,
+} from "./constants.js";
 import {
   createSimulationPipeline as createSimulationPipelineImpl,
+  createLtlSimulationPipeline as createLtlSimulationPipelineImpl,
   createExtractPipeline as createExtractPipelineImpl,
   createInitPipeline as createInitPipelineImpl,
   createDrawArgsPipeline as createDrawArgsPipelineImpl,
   createAabbPipelines as createAabbPipelinesImpl,
+  createPackedGridPipelines as createPackedGridPipelinesImpl,
+  createAgePipelines as createAgePipelinesImpl,
+  createActiveRegionPipeline as createActiveRegionPipelineImpl,
+  createEditPipeline as createEditPipelineImpl,
+  createSlicePipeline as createSlicePipelineImpl,
 } from "./pipelines/compute.js";
 import {
   createCellsRenderPipeline,
@@ -45,6 +72,7 @@ import {
 } from "./resources/geometry.js";
 import {
   createGridBuffers as createGridBuffersImpl,
+  createCellAgeBuffers as createCellAgeBuffersImpl,
   destroyGridResources as destroyGridResourcesImpl,
 } from "./resources/grid.js";
 import {
@@ -52,14 +80,25 @@ import {
   acquireReadbackSlot as acquireReadbackSlotImpl,
   startReadback as startReadbackImpl,
   requestPopulationReadback as requestPopulationReadbackImpl,
+  readGridCells as readGridCellsImpl,
+  readLiveCells as readLiveCellsImpl,
 } from "./readback.js";
 import { rebuildBindGroups as rebuildBindGroupsImpl } from "./resources/bindGroups.js";
+import {
+  createHistoryResources as createHistoryResourcesImpl,
+  historyDepthForBudget as historyDepthForBudgetImpl,
+} from "./resources/history.js";
 import { BufferManager } from "./util/bufferManager.js";
 import { initRenderer, resizeRenderer, destroyRenderer } from "./renderer/lifecycle.js";
 import { renderFrame as renderFrameImpl } from "./renderer/render.js";
 import {
   stepSimulation as stepSimulationImpl,
+  stepBackSimulation as stepBackSimulationImpl,
   randomizeGrid as randomizeGridImpl,
+  loadGridCells as loadGridCellsImpl,
+  editCellAlongRay as editCellAlongRayImpl,
+  readGridSlice as readGridSliceImpl,
+  writeGridSlice as writeGridSliceImpl,
 } from "./renderer/step.js";
 import { requestLivingCellsAABB as requestLivingCellsAABBImpl } from "./renderer/aabb.js";
 import {
@@ -76,6 +115,7 @@ import {
   setCameraOverride as setCameraOverrideImpl,
   clearCameraOverride as clearCameraOverrideImpl,
   commitCameraOverrideToUser as commitCameraOverrideToUserImpl,
+  cellRayAt,
 } from "./cameraControls.js";
 
 import { warn } from "../util/log.js";
@@ -97,6 +137,43 @@ function tryParseHexColor01(hex) {
   return Number.isFinite(r) && Number.isFinite(g) && Number.isFinite(b) ? [r, g, b] : null;
 }
 
+/**
+ * Collapse a list of neighbor counts into single-count ranges.
+ *
+ * @param {Iterable<number>} counts
+ * @returns {Array<[number, number]>}
+ */
+function rangesFromCounts(counts) {
+  const out = [];
+  for (const c of counts) out.push([c, c]);
+  return out;
+}
+
+/**
+ * Sort, clamp and merge rule ranges into the disjoint form the simulation params expect.
+ * Malformed entries are dropped; ranges beyond MAX_RULE_RANGES are discarded.
+ *
+ * @param {Iterable<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ */
+function normalizeRuleRanges(ranges) {
+  const list = [];
+  for (const r of ranges || []) {
+    const lo = Math.max(0, Math.floor(Number(r && r[0])));
+    const hi = Math.floor(Number(r && r[1]));
+    if (Number.isFinite(lo) && Number.isFinite(hi) && lo <= hi) list.push([lo, hi]);
+  }
+  list.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [lo, hi] of list) {
+    const last = merged[merged.length - 1];
+    if (last && lo <= last[1] + 1) last[1] = Math.max(last[1], hi);
+    else merged.push([lo, hi]);
+  }
+  return merged.slice(0, MAX_RULE_RANGES);
+}
+
 
 /**
  * Game of 3D Life - WebGPU Renderer
@@ -110,6 +187,9 @@ export class WebGPURenderer {
     this.context = null;
     this.format = null;
 
+    // Grid dimensions [x, y, z] in cells. gridSize is the largest edge; it sets the camera
+    // framing scale, so slabs and columns are framed by their longest side.
+    this.gridDims = [96, 96, 96];
     this.gridSize = 96;
     this.cellSize = 1.0;
 
@@ -117,6 +197,11 @@ export class WebGPURenderer {
     this.currentBuffer = 0;
     this.livingCellsBuffer = null;
     this.atomicCounterBuffer = null;
+    // Cell ages (u32 grids only; see CELL_AGE_MAX): one per grid cell, updated in place by the
+    // simulation, and one per listed live cell, written by extraction next to livingCellsBuffer.
+    // Allocated once the age color mode is selected (see _ensureCellAges()).
+    this.cellAgeBuffer = null;
+    this.livingAgesBuffer = null;
 
     // Lightweight population-only readback (independent of throttled stats ring).
     // Used to keep UI and Screen show heuristics reasonably fresh in fast-play modes without stalling steps.
@@ -160,6 +245,75 @@ export class WebGPURenderer {
     this.computeBindGroups = [null, null];
     this.extractBindGroups = [null, null];
 
+    // Optional tiled radius-R (Larger-than-Life) simulation, compiled on first use.
+    this.ltlPipeline = null;
+    this.ltlBindGroups = [null, null];
+
+    // Simulation/extraction variants that also track cell ages, used while cellAgeBuffer
+    // exists. Compiled on first use.
+    this.ageComputePipeline = null;
+    this.ageLtlPipeline = null;
+    this.ageExtractPipeline = null;
+    this._ensureCellAgesPromise = null;
+
+    // Bit-packed grid layout (one bit per cell, 2-state rules) for grids above
+    // maxUnpackedCellCount; see G3DL_LAYOUT.GRID. Pipelines are compiled on first use.
+    this.gridPacked = false;
+    this.packedComputePipeline = null;
+    this.packedLtlPipeline = null;
+    this.packedExtractPipeline = null;
+    this.packedInitPipeline = null;
+
+    // Optional active-region stepping: simulate/extract only the box around the live cells,
+    // tracked on the GPU (see G3DL_SHADERS.activeRegion). Compiled on first use.
+    this.activeRegionEnabled = false;
+    this.activeRegionPipeline = null;
+    this.packedActiveRegionPipeline = null;
+    this.activeRegionBindGroups = [null, null];
+    this.activeBoxBindGroups = [null, null];
+    this.activeBoxBuffers = [null, null];
+    this.activeOriginBuffer = null;
+    this.activeArgsBuffer = null;
+    // True while both boxes describe their grid buffers (and the origin may be non-zero).
+    this._activeRegionValid = false;
+
+    // Optional cell editing (see G3DL_SHADERS.edit), compiled on first use. The params,
+    // result and staging buffers are created with the grid.
+    this.editPipeline = null;
+    this.packedEditPipeline = null;
+    this.editBindGroups = [null, null];
+    this.editParamsBuffer = null;
+    this.editResultBuffer = null;
+    this.editStagingBuffer = null;
+
+    // Optional slice editor copies (see G3DL_SHADERS.slice), compiled on first use. The params,
+    // slice and staging buffers are created with the grid.
+    this.slicePipeline = null;
+    this.packedSlicePipeline = null;
+    this.sliceBindGroups = [null, null];
+    this.sliceParamsBuffer = null;
+    this.sliceBuffer = null;
+    this.sliceStagingBuffer = null;
+    // Layer highlighted in the 3D view ({ axis, index }) or null; see setSlicePlane().
+    this.slicePlane = null;
+    // Cell box outlined in the 3D view ({ min, max }, inclusive) or null; see setSelectionBox().
+    this.selectionBox = null;
+    // Clipping box: only cells inside it are drawn ({ min, max }, inclusive; null draws all).
+    // clipBoxVisible outlines it for dragging; clipPeelAxis >= 0 animates a plane along that
+    // axis. See setClipBox(), setClipBoxVisible() and setClipPeel().
+    this.clipBox = null;
+    this.clipBoxVisible = false;
+    this.clipPeelAxis = -1;
+
+    // Generation history ring for stepBack() (see resources/history.js). historyDepth is the
+    // allocated entry count: historyDepthRequested capped by the memory budget.
+    this.historyDepthRequested = 0;
+    this.historyDepth = 0;
+    this.historyBuffers = [];
+    this.historyGenerations = [];
+    this.historyHead = 0;
+    this.historyCount = 0;
+
     // GPU-side random initialization (avoids CPU-side full grid uploads)
     this.initPipeline = null;
     this.initBindGroups = [null, null];
@@ -214,6 +368,11 @@ export class WebGPURenderer {
     };
     this._ensureEssentialPipelinesPromise = null;
     this._ensureAabbPipelinesPromise = null;
+    this._ensureLtlPipelinePromise = null;
+    this._ensurePackedPipelinesPromise = null;
+    this._ensureActiveRegionPromise = null;
+    this._ensureEditPipelinePromise = null;
+    this._ensureSlicePipelinePromise = null;
 
     // Quaternion-based camera for free rotation
     this.cameraQuat = [0, 0, 0, 1]; // x, y, z, w - identity quaternion
@@ -230,10 +389,20 @@ export class WebGPURenderer {
     this.inertiaDecay = 0.92; // How quickly velocity decays (0-1, higher = longer glide)
     this.minVelocity = 0.001; // Stop when velocity is below this
 
-    this.surviveRule = 0b00110000; // default: S4-5 (Rule 4555)
-    this.birthRule = 0b00100000; // default: B5 (Rule 4555)
-    this.toroidal = false;
+    // Rules as sorted, disjoint inclusive neighbor-count ranges [lo, hi].
+    this.surviveRanges = [[4, 5]]; // default: S4-5 (Rule 4555)
+    this.birthRanges = [[5, 5]]; // default: B5 (Rule 4555)
+    this.stateCount = 2; // "Generations" state count (2 = classic alive/dead)
+    this.neighborMask = MOORE_NEIGHBOR_MASK; // 3x3x3 neighbor mask (default: Moore, 26)
+    this.neighborRadius = 1; // > 1 selects the radius-R cube/sphere kernel
+    this.neighborShape = NEIGHBOR_SHAPE_CUBE;
+    this.boundaryModes = [BOUNDARY_DEAD, BOUNDARY_DEAD, BOUNDARY_DEAD]; // per axis (x, y, z)
     this.enableChangeDetection = true;
+    // Gen0 soup shape and symmetry (INIT_SHAPE_*, INIT_SYMMETRY_*), used by randomize().
+    this.gen0Shape = INIT_SHAPE_CUBE;
+    this.gen0Symmetry = INIT_SYMMETRY_NONE;
+    // Noise fill settings for randomize(); null fills with independent random cells.
+    this.gen0Noise = null;
 
     // Workgroup size tuning for the main grid-wide compute kernels (simulation, extraction, init).
     // This default is overwritten during init() based on device.limits to maximize portability across
@@ -241,18 +410,33 @@ export class WebGPURenderer {
     this.workgroupSize = { x: 8, y: 4, z: 4 };
 
     // Max grid size supported by per-buffer limits and conservative total-memory heuristics; populated in init().
+    // This is a cube edge; non-cubic grids may use up to maxSupportedGridSize^3 cells.
     this.maxSupportedGridSize = 256;
+    // Max edge along any single axis (non-cubic grids); populated in init().
+    this.maxGridAxisSize = 256;
+    // Largest cell count stored as one u32 per cell; bigger grids switch to the packed layout.
+    this.maxUnpackedCellCount = 256 ** 3;
+    // Capacity cap of the living-cells list (instances drawn); the population stays exact.
+    this.maxDrawnCells = 256 ** 3;
 
     // Effective byte limit for allocating the ping-pong grid STORAGE buffers.
     // Populated in init() based on device.limits.maxStorageBufferBindingSize and device.limits.maxBufferSize.
     this.maxGridBufferBytes = 0;
+    // Heuristic total for persistent grid-sized buffers (the grid limits above derive from it);
+    // populated in init().
+    this.memoryBudgetBytes = 0;
 
     // Reused small typed arrays to reduce per-step GC.
-    // compute params: [gridSize, surviveRule, birthRule, toroidal, changeEnabled, padding x3]
+    // compute params: see G3DL_LAYOUT.PARAMS.SIM (scalars + survive/birth range arrays)
     this._computeParams = new Uint32Array(G3DL_LAYOUT.PARAMS.SIM.U32S);
     this._extractParams = new Uint32Array(G3DL_LAYOUT.PARAMS.EXTRACT.U32S);
-    // init params: [gridSize, region, offset, threshold, seed, padding x3]
+    // init params: see G3DL_LAYOUT.PARAMS.INIT (grid dims, region, offset, threshold, seed, shape)
     this._initParams = new Uint32Array(G3DL_LAYOUT.PARAMS.INIT.U32S);
+    // edit params: see G3DL_LAYOUT.PARAMS.EDIT (f32 ray fields share the buffer with u32 ones)
+    this._editParams = new Uint32Array(G3DL_LAYOUT.PARAMS.EDIT.U32S);
+    this._editParamsF32 = new Float32Array(this._editParams.buffer);
+    // slice params: see G3DL_LAYOUT.PARAMS.SLICE (grid dims, axes, layer, mode)
+    this._sliceParams = new Uint32Array(G3DL_LAYOUT.PARAMS.SLICE.U32S);
     this._u32_0 = new Uint32Array([0]);
     this._u32_1 = new Uint32Array([1]);
 
@@ -280,9 +464,12 @@ export class WebGPURenderer {
     this._lastCanvasH = 0;
     this.population = 0;
     this.generation = 0;
+    // Seed of the random soup the current run started from (null after loading cells).
+    this.gen0Seed = null;
 
     this.cellColorTop = [77 / 255, 255 / 255, 154 / 255]; // Top color - #4dff9a
     this.cellColorBottom = [0.29, 0.62, 1.0]; // Bottom color - #4a9eff
+    this.cellColorMode = CELL_COLOR_MODE_HEIGHT; // see setCellColorMode()
     this.bgColorTop = [31 / 255, 19 / 255, 57 / 255]; // Background top - #1f1339
     this.bgColorBottom = [10 / 255, 37 / 255, 66 / 255]; // Background bottom - #0a2542
 
@@ -301,7 +488,10 @@ export class WebGPURenderer {
     this.gridProjInstanceBuffer = null;
     // Grid projection renders filled translucent "back" faces of the outer cube.
     // Depending on view direction, between 3 and 5 faces may qualify as "behind".
-    this.gridProjMaxInstanceCount = 6;
+    // Two more instances draw the slice editor's plane (see setSlicePlane), one per side, and
+    // twelve each the selection and clipping boxes (see setSelectionBox, setClipBoxVisible),
+    // each face from both sides.
+    this.gridProjMaxInstanceCount = 32;
     this.gridProjInstanceCount = 0;
 
     // Timebase used for the low-cost "candle" flicker animation in the lantern effect.
@@ -425,6 +615,38 @@ export class WebGPURenderer {
     a[7] = 0;
     this._queueWriteU32(this.aabbBuffer, 0, a);
   }
+  /**
+   * Keep the active-region state consistent with how the next passes dispatch.
+   * Active steps need a valid live-cell box per grid buffer; anything else (full steps, grid
+   * writes such as randomize) must run from origin 0 and leaves the boxes stale.
+   *
+   * @param {boolean} active
+   */
+  _syncActiveRegion(active) {
+    if (!this.activeOriginBuffer || !this.activeBoxBuffers[0] || !this.activeBoxBuffers[1]) return;
+    if (active) {
+      if (this._activeRegionValid) return;
+      // Unknown contents: full-grid boxes make the next two steps visit the whole grid.
+      const B = G3DL_LAYOUT.ACTIVE_REGION.BOX_U32;
+      const b = this._scratchU32View(G3DL_LAYOUT.ACTIVE_REGION.BOX_U32S);
+      b.fill(0);
+      for (let a = 0; a < 3; a++) b[B.MAX + a] = this.gridDims[a] - 1;
+      this._queueWriteU32(this.activeBoxBuffers[0], 0, b);
+      this._queueWriteU32(this.activeBoxBuffers[1], 0, b);
+      this._activeRegionValid = true;
+    } else if (this._activeRegionValid) {
+      const o = this._scratchU32View(G3DL_LAYOUT.ACTIVE_REGION.ORIGIN_BYTES / 4);
+      o.fill(0);
+      this._queueWriteU32(this.activeOriginBuffer, 0, o);
+      this._activeRegionValid = false;
+    }
+  }
+
+  /** Call after writing grid cells outside a simulation step. */
+  _invalidateActiveRegion() {
+    this._syncActiveRegion(false);
+  }
+
   async init() {
     return await initRenderer(this);
   }
@@ -611,6 +833,251 @@ export class WebGPURenderer {
     return await this._ensureAabbPipelinesPromise;
   }
 
+  /**
+   * Ensure the radius-R simulation pipeline and its bind groups exist.
+   * Compiled lazily because Larger-than-Life neighborhoods are optional.
+   *
+   * @returns {Promise<boolean>} true if ready
+   */
+  async _ensureLtlPipeline() {
+    const hasPipeline = () => !!this._gridPipelines().ltl;
+    if (hasPipeline() && this.ltlBindGroups[0] && this.ltlBindGroups[1]) {
+      return true;
+    }
+    if (!this.device) return false;
+    if (this._ensureLtlPipelinePromise) return await this._ensureLtlPipelinePromise;
+
+    this._ensureLtlPipelinePromise = (async () => {
+      if (!hasPipeline()) {
+        await createLtlSimulationPipelineImpl(this, {
+          packed: this.gridPacked,
+          ages: !!this.cellAgeBuffer,
+        });
+      }
+      // Bind groups depend on the pipeline layout.
+      this._rebuildBindGroups();
+      return !!(hasPipeline() && this.ltlBindGroups[0] && this.ltlBindGroups[1]);
+    })()
+      .catch((e) => {
+        warn(LOG_MSG.LTL_PIPELINE_FAILED, e);
+        return false;
+      })
+      .finally(() => {
+        this._ensureLtlPipelinePromise = null;
+      });
+
+    return await this._ensureLtlPipelinePromise;
+  }
+
+  /**
+   * Ensure the bit-packed simulation/extract/init pipelines exist.
+   * Compiled lazily because only grids above maxUnpackedCellCount use them.
+   *
+   * @returns {Promise<boolean>} true if ready
+   */
+  async _ensurePackedPipelines() {
+    if (this.packedComputePipeline && this.packedExtractPipeline && this.packedInitPipeline) {
+      return true;
+    }
+    if (!this.device) return false;
+    if (this._ensurePackedPipelinesPromise) return await this._ensurePackedPipelinesPromise;
+
+    this._ensurePackedPipelinesPromise = (async () => {
+      await createPackedGridPipelinesImpl(this);
+      // Bind groups depend on the pipeline layouts.
+      this._rebuildBindGroups();
+      return !!(this.packedComputePipeline && this.packedExtractPipeline && this.packedInitPipeline);
+    })()
+      .catch((e) => {
+        warn(LOG_MSG.PACKED_PIPELINE_FAILED, e);
+        return false;
+      })
+      .finally(() => {
+        this._ensurePackedPipelinesPromise = null;
+      });
+
+    return await this._ensurePackedPipelinesPromise;
+  }
+
+  /**
+   * Ensure the cell ages exist while the age color mode is selected on a u32 grid: compile the
+   * age-tracking simulation/extract pipelines, then allocate the age buffers (taking their
+   * memory from the history ring) and rebuild the bind groups. Both are done lazily because
+   * only the age color mode uses them; the pipelines are ready before the buffers appear, so a
+   * step never sees one without the other. If they cannot compile, cells keep the height
+   * gradient.
+   *
+   * @returns {Promise<boolean>} true if ready (or not needed)
+   */
+  async _ensureCellAges() {
+    const needed = () =>
+      this.cellColorMode === CELL_COLOR_MODE_AGE && !this.gridPacked && !this.cellAgeBuffer;
+    if (!needed()) return true;
+    if (!this.device || !this.gridBuffers[0]) return false;
+    if (this._ensureCellAgesPromise) return await this._ensureCellAgesPromise;
+
+    this._ensureCellAgesPromise = (async () => {
+      await createAgePipelinesImpl(this);
+      if (this.neighborRadius > 1) await createLtlSimulationPipelineImpl(this, { ages: true });
+      // The mode or grid may have changed while compiling.
+      if (needed() && this.gridBuffers[0]) {
+        createCellAgeBuffersImpl(this);
+        if (historyDepthForBudgetImpl(this) < this.historyDepth) createHistoryResourcesImpl(this);
+        // Bind groups depend on the pipeline layouts and the age buffers.
+        this._rebuildBindGroups();
+        if (G3DL_LAYOUT.DEBUG) {
+          G3DL_LAYOUT.assertRenderer(this);
+        }
+      }
+      return true;
+    })()
+      .catch((e) => {
+        warn(LOG_MSG.AGE_PIPELINE_FAILED, e);
+        this.cellColorMode = CELL_COLOR_MODE_HEIGHT;
+        return false;
+      })
+      .finally(() => {
+        this._ensureCellAgesPromise = null;
+      });
+
+    return await this._ensureCellAgesPromise;
+  }
+
+  /**
+   * Ensure the active-region pipeline, the AABB pipelines it relies on and their bind groups
+   * exist. Compiled lazily because active-region stepping is optional.
+   *
+   * @returns {Promise<boolean>} true if ready
+   */
+  async _ensureActiveRegionPipelines() {
+    const hasPipeline = () =>
+      !!(this.gridPacked ? this.packedActiveRegionPipeline : this.activeRegionPipeline);
+    const hasBindGroups = () =>
+      !!(
+        this.activeRegionBindGroups[0] &&
+        this.activeRegionBindGroups[1] &&
+        this.activeBoxBindGroups[0] &&
+        this.activeBoxBindGroups[1] &&
+        this.aabbArgsBindGroup
+      );
+    if (hasPipeline() && hasBindGroups()) return true;
+    if (!this.device) return false;
+    if (this._ensureActiveRegionPromise) return await this._ensureActiveRegionPromise;
+
+    this._ensureActiveRegionPromise = (async () => {
+      if (!(await this._ensureAabbPipelines())) return false;
+      if (!hasPipeline()) {
+        await createActiveRegionPipelineImpl(this, { packed: this.gridPacked });
+      }
+      // Bind groups depend on the pipeline layouts.
+      this._rebuildBindGroups();
+      return hasPipeline() && hasBindGroups();
+    })()
+      .catch((e) => {
+        warn(LOG_MSG.ACTIVE_REGION_PIPELINE_FAILED, e);
+        return false;
+      })
+      .finally(() => {
+        this._ensureActiveRegionPromise = null;
+      });
+
+    return await this._ensureActiveRegionPromise;
+  }
+
+  /**
+   * Ensure the cell edit pipeline for the active grid layout and its bind groups exist.
+   * Compiled lazily because editing is optional.
+   *
+   * @returns {Promise<boolean>} true if ready
+   */
+  async _ensureEditPipeline() {
+    const hasPipeline = () => !!(this.gridPacked ? this.packedEditPipeline : this.editPipeline);
+    if (hasPipeline() && this.editBindGroups[0] && this.editBindGroups[1]) {
+      return true;
+    }
+    if (!this.device) return false;
+    if (this._ensureEditPipelinePromise) return await this._ensureEditPipelinePromise;
+
+    this._ensureEditPipelinePromise = (async () => {
+      if (!hasPipeline()) {
+        await createEditPipelineImpl(this, { packed: this.gridPacked });
+      }
+      // Bind groups depend on the pipeline layout.
+      this._rebuildBindGroups();
+      return !!(hasPipeline() && this.editBindGroups[0] && this.editBindGroups[1]);
+    })()
+      .catch((e) => {
+        warn(LOG_MSG.EDIT_PIPELINE_FAILED, e);
+        return false;
+      })
+      .finally(() => {
+        this._ensureEditPipelinePromise = null;
+      });
+
+    return await this._ensureEditPipelinePromise;
+  }
+
+  /**
+   * Ensure the slice copy pipeline for the current grid layout and its bind groups exist.
+   * Compiled lazily because the slice editor is optional.
+   *
+   * @returns {Promise<boolean>} true if ready
+   */
+  async _ensureSlicePipeline() {
+    const hasPipeline = () => !!(this.gridPacked ? this.packedSlicePipeline : this.slicePipeline);
+    if (hasPipeline() && this.sliceBindGroups[0] && this.sliceBindGroups[1]) {
+      return true;
+    }
+    if (!this.device) return false;
+    if (this._ensureSlicePipelinePromise) return await this._ensureSlicePipelinePromise;
+
+    this._ensureSlicePipelinePromise = (async () => {
+      if (!hasPipeline()) {
+        await createSlicePipelineImpl(this, { packed: this.gridPacked });
+      }
+      // Bind groups depend on the pipeline layout.
+      this._rebuildBindGroups();
+      return !!(hasPipeline() && this.sliceBindGroups[0] && this.sliceBindGroups[1]);
+    })()
+      .catch((e) => {
+        warn(LOG_MSG.SLICE_PIPELINE_FAILED, e);
+        return false;
+      })
+      .finally(() => {
+        this._ensureSlicePipelinePromise = null;
+      });
+
+    return await this._ensureSlicePipelinePromise;
+  }
+
+  /**
+   * Grid pipelines matching the active storage layout (u32 per cell or bit-packed), and on u32
+   * grids whether cell ages are tracked. Entries are null until compiled.
+   */
+  _gridPipelines() {
+    if (this.gridPacked) {
+      return {
+        compute: this.packedComputePipeline,
+        ltl: this.packedLtlPipeline,
+        extract: this.packedExtractPipeline,
+        init: this.packedInitPipeline,
+        activeRegion: this.packedActiveRegionPipeline,
+        edit: this.packedEditPipeline,
+        slice: this.packedSlicePipeline,
+      };
+    }
+    const ages = !!this.cellAgeBuffer;
+    return {
+      compute: ages ? this.ageComputePipeline : this.computePipeline,
+      ltl: ages ? this.ageLtlPipeline : this.ltlPipeline,
+      extract: ages ? this.ageExtractPipeline : this.extractPipeline,
+      init: this.initPipeline,
+      activeRegion: this.activeRegionPipeline,
+      edit: this.editPipeline,
+      slice: this.slicePipeline,
+    };
+  }
+
   async _createSimulationPipeline() {
     return await createSimulationPipelineImpl(this);
   }
@@ -744,30 +1211,59 @@ export class WebGPURenderer {
     createGridBuffersImpl(this);
   }
 
-  setGridSize(size) {
-    const max = this.getMaxSupportedGridSize();
-    if (size > MAX_PACKED_GRID_SIZE) {
-      throw new Error(
-        `Grid size ${size} exceeds packed-coordinate limit (${MAX_PACKED_GRID_SIZE}). ` +
-          `Rendering packs x/y/z into 10 bits each (0..1023).`
-      );
+  /**
+   * Resize the grid. With one argument the grid is a cube; otherwise each axis is set
+   * independently (e.g. 256x256x16 slabs). Every axis must fit getMaxGridAxisSize() and
+   * the total cell count must fit getMaxSupportedCellCount().
+   *
+   * @param {number} x
+   * @param {number} [y=x]
+   * @param {number} [z=x]
+   */
+  setGridSize(x, y = x, z = x) {
+    const dims = [x, y, z];
+    const label = dims.join("x");
+    for (const d of dims) {
+      if (!Number.isInteger(d) || d < 1) {
+        throw new Error(`Invalid grid size ${label}`);
+      }
+      if (d > MAX_PACKED_GRID_SIZE) {
+        throw new Error(
+          `Grid size ${label} exceeds packed-coordinate limit (${MAX_PACKED_GRID_SIZE}). ` +
+            `Rendering packs x/y/z into 10 bits each (0..1023).`
+        );
+      }
     }
 
-    if (size > max) {
-      throw new Error(`Grid size ${size} exceeds maximum (${max})`);
+    const maxAxis = this.getMaxGridAxisSize();
+    if (Math.max(x, y, z) > maxAxis) {
+      throw new Error(`Grid size ${label} exceeds maximum edge (${maxAxis})`);
     }
-    if (this.maxGridBufferBytes && size ** 3 * 4 > this.maxGridBufferBytes) {
-      throw new Error(`Grid size ${size} exceeds per-buffer GPU limits`);
+    const cells = x * y * z;
+    const maxCells = this.getMaxSupportedCellCount();
+    if (cells > maxCells) {
+      throw new Error(`Grid size ${label} exceeds maximum cell count (${maxCells})`);
     }
-    this.gridSize = size;
+    // Grids above the u32 budget store one bit per cell (see G3DL_LAYOUT.GRID).
+    const packed = cells > this.maxUnpackedCellCount;
+    if (
+      this.maxGridBufferBytes &&
+      G3DL_LAYOUT.GRID.bufferBytes(dims, packed) > this.maxGridBufferBytes
+    ) {
+      throw new Error(`Grid size ${label} exceeds per-buffer GPU limits`);
+    }
+    this.gridDims = dims;
+    this.gridPacked = packed;
+    this.gridSize = Math.max(x, y, z);
     this.currentBuffer = 0;
     this.population = 0;
     this.generation = 0;
     this.lastStepChanged = true;
+    this.gen0Seed = null;
     this._createGridBuffers();
     this._createDrawArgsResources();
     this._rebuildBindGroups();
-    // Grid projection faces depend on gridSize/cellSize.
+    // Grid projection faces depend on gridDims/cellSize.
     this._rebuildGridProjectionInstances();
 
     if (G3DL_LAYOUT.DEBUG) {
@@ -775,27 +1271,269 @@ export class WebGPURenderer {
     }
   }
 
-  async randomize(density = 0.15, initSize = null) {
-    return await randomizeGridImpl(this, density, initSize);
+  /**
+   * Fill the Gen0 cube with a random soup, cut to gen0Shape, made symmetric per gen0Symmetry
+   * (see setGen0Shape) and shaped by gen0Noise (see setGen0Noise). The same seed, grid shape,
+   * Gen0 edge, density and Gen0 shape settings give the same cells; without a seed a new one
+   * is drawn. The seed used is kept in gen0Seed.
+   *
+   * @param {number} [density]
+   * @param {number|null} [initSize]
+   * @param {number|null} [seed] u32
+   */
+  async randomize(density = 0.15, initSize = null, seed = null) {
+    return await randomizeGridImpl(this, density, initSize, seed);
   }
 
   async step(options = {}) {
     return await stepSimulationImpl(this, options);
   }
 
+  /**
+   * Read the current grid back to the CPU (one state per cell, x-major, then y, then z).
+   *
+   * @returns {Promise<{cells: Uint8Array, dims: number[], generation: number}>}
+   */
+  async readCells() {
+    return await readGridCellsImpl(this);
+  }
+
+  /**
+   * Read back the live-cell list of the last extraction (packed words, see readback.js).
+   * Stop the simulation first.
+   *
+   * @returns {Promise<{cells: Uint32Array, dims: number[], generation: number, truncated: boolean}>}
+   */
+  async readLiveCells() {
+    return await readLiveCellsImpl(this);
+  }
+
+  /**
+   * Replace the current grid contents with `cells` (laid out as in readCells() for the
+   * current gridDims) and resume from `generation`. Clears the Step Back history unless
+   * `keepHistory` is set.
+   *
+   * @param {ArrayLike<number>} cells
+   * @param {{generation?: number, keepHistory?: boolean}} [options]
+   */
+  async loadCells(cells, options = {}) {
+    return await loadGridCellsImpl(this, cells, options.generation ?? 0, !!options.keepHistory);
+  }
+
+  /**
+   * Add or remove the cell under a canvas point, as drawn in the last frame (see
+   * G3DL_SHADERS.edit), and re-extract. Stop the simulation first.
+   *
+   * @param {number} x CSS pixels from the canvas' left edge
+   * @param {number} y CSS pixels from the canvas' top edge
+   * @param {number} mode EDIT_MODE_ADD or EDIT_MODE_REMOVE
+   * @returns {Promise<[number, number, number] | null>} the edited cell, or null if none
+   */
+  async editCellAt(x, y, mode) {
+    return await editCellAlongRayImpl(this, cellRayAt(this, x, y), mode);
+  }
+
+  /**
+   * The first non-dead cell under a canvas point, as drawn in the last frame. The grid is
+   * not changed.
+   *
+   * @param {number} x CSS pixels from the canvas' left edge
+   * @param {number} y CSS pixels from the canvas' top edge
+   * @returns {Promise<[number, number, number] | null>}
+   */
+  async pickCellAt(x, y) {
+    return await editCellAlongRayImpl(this, cellRayAt(this, x, y), EDIT_MODE_PICK);
+  }
+
+  /**
+   * Read layer `index` along `axis` of the current grid (see G3DL_SHADERS.slice).
+   * Stop the simulation first.
+   *
+   * @param {number} axis 0..2 (X, Y, Z)
+   * @param {number} index
+   * @returns {Promise<{cells: Uint8Array, width: number, height: number}>} one state per cell,
+   *   u-major, with u and v along SLICE_UV_AXES[axis]
+   */
+  async readSlice(axis, index) {
+    return await readGridSliceImpl(this, axis, index);
+  }
+
+  /**
+   * Replace layer `index` along `axis` with `cells` (laid out as in readSlice()) and
+   * re-extract. The generation and history are kept. Stop the simulation first.
+   *
+   * @param {number} axis 0..2 (X, Y, Z)
+   * @param {number} index
+   * @param {ArrayLike<number>} cells
+   */
+  async writeSlice(axis, index, cells) {
+    return await writeGridSliceImpl(this, axis, index, cells);
+  }
+
+  /**
+   * Restore the newest generation from the history ring and re-extract its live cells.
+   * Stats are read back before this resolves.
+   *
+   * @returns {Promise<boolean>} false when there is no history to step back into
+   */
+  async stepBack() {
+    return await stepBackSimulationImpl(this);
+  }
+
+  /**
+   * Set how many past generations to keep for stepBack() (0 disables history). The ring is
+   * reallocated, dropping existing entries, and limited by the GPU memory budget that the grid
+   * leaves free; larger grids therefore keep fewer generations.
+   *
+   * @param {number} depth
+   * @returns {number} the number of generations that will actually be kept
+   */
+  setHistoryDepth(depth) {
+    const n = Math.floor(Number(depth));
+    this.historyDepthRequested = Number.isFinite(n) ? Math.max(0, n) : 0;
+    if (this.device && this.gridBuffers[0]) {
+      if (historyDepthForBudgetImpl(this) !== this.historyDepth) createHistoryResourcesImpl(this);
+      return this.historyDepth;
+    }
+    return this.historyDepthRequested;
+  }
+
+  /**
+   * Set the survive rule from a list of neighbor counts (e.g. [4, 5]).
+   *
+   * @param {Iterable<number>} c
+   */
   setSurviveRule(c) {
-    this.surviveRule = 0;
-    for (const n of c) if (n >= 0 && n <= 26) this.surviveRule |= 1 << n;
-    this.surviveRule >>>= 0;
+    this.surviveRanges = normalizeRuleRanges(rangesFromCounts(c));
   }
+  /**
+   * Set the birth rule from a list of neighbor counts (e.g. [5]).
+   *
+   * @param {Iterable<number>} c
+   */
   setBirthRule(c) {
-    this.birthRule = 0;
-    for (const n of c) if (n >= 0 && n <= 26) this.birthRule |= 1 << n;
-    this.birthRule >>>= 0;
+    this.birthRanges = normalizeRuleRanges(rangesFromCounts(c));
   }
+  /**
+   * Set the survive rule as inclusive neighbor-count ranges (e.g. [[4, 5], [9, 9]]).
+   * Ranges are sorted and merged; at most MAX_RULE_RANGES are kept.
+   *
+   * @param {Array<[number, number]>} ranges
+   */
+  setSurviveRanges(ranges) {
+    this.surviveRanges = normalizeRuleRanges(ranges);
+  }
+  /**
+   * Set the birth rule as inclusive neighbor-count ranges (see setSurviveRanges()).
+   *
+   * @param {Array<[number, number]>} ranges
+   */
+  setBirthRanges(ranges) {
+    this.birthRanges = normalizeRuleRanges(ranges);
+  }
+  /**
+   * Set the number of cell states for "Generations" rules.
+   * 2 is classic Life; larger values add refractory dying states (clamped to MAX_CELL_STATES).
+   *
+   * @param {number} n
+   */
+  setStateCount(n) {
+    const v = Math.floor(Number(n));
+    this.stateCount = Number.isFinite(v) ? Math.min(MAX_CELL_STATES, Math.max(2, v)) : 2;
+  }
+  /**
+   * Set which cells of the 3x3x3 block count as neighbors (see MOORE_NEIGHBOR_MASK).
+   * The center bit is ignored; an empty mask falls back to Moore.
+   *
+   * @param {number} mask
+   */
+  setNeighborhoodMask(mask) {
+    const m = ((mask >>> 0) & 0x7ffffff & ~(1 << NEIGHBOR_MASK_CENTER_BIT)) >>> 0;
+    this.neighborMask = m || MOORE_NEIGHBOR_MASK;
+  }
+  /**
+   * Select a Larger-than-Life neighborhood: all cells within `radius` of a cell, as a cube
+   * or a sphere (NEIGHBOR_SHAPE_*). Radius 1 uses the 3x3x3 mask from setNeighborhoodMask().
+   *
+   * @param {number} radius 1..MAX_NEIGHBOR_RADIUS
+   * @param {number} [shape=NEIGHBOR_SHAPE_CUBE]
+   */
+  setNeighborhoodRadius(radius, shape = NEIGHBOR_SHAPE_CUBE) {
+    const v = Math.floor(Number(radius));
+    this.neighborRadius = Number.isFinite(v) ? Math.min(MAX_NEIGHBOR_RADIUS, Math.max(1, v)) : 1;
+    this.neighborShape = shape === NEIGHBOR_SHAPE_SPHERE ? NEIGHBOR_SHAPE_SPHERE : NEIGHBOR_SHAPE_CUBE;
+  }
+  /**
+   * Set the boundary mode of each axis (BOUNDARY_* in constants.js). Unknown values fall back
+   * to BOUNDARY_DEAD.
+   *
+   * @param {ArrayLike<number>} modes [x, y, z]
+   */
+  setBoundaryModes(modes) {
+    for (let i = 0; i < 3; i++) {
+      const m = modes[i];
+      this.boundaryModes[i] =
+        Number.isInteger(m) && m >= BOUNDARY_DEAD && m <= BOUNDARY_MIRROR ? m : BOUNDARY_DEAD;
+    }
+  }
+  /**
+   * Shorthand for wrapping every axis (true) or hard dead edges everywhere (false).
+   *
+   * @param {boolean} e
+   */
   setToroidal(e) {
-    this.toroidal = e;
+    const mode = e ? BOUNDARY_WRAP : BOUNDARY_DEAD;
+    this.setBoundaryModes([mode, mode, mode]);
+  }
+  /**
+   * Toggle active-region stepping: each step simulates and extracts only the live-cell box
+   * grown by the neighborhood radius, tracked on the GPU with indirect dispatch. Steps fall
+   * back to the full grid where the box cannot bound new births (see G3DL_SHADERS.activeRegion).
+   *
+   * @param {boolean} enabled
+   */
+  setActiveRegionEnabled(enabled) {
+    this.activeRegionEnabled = !!enabled;
+  }
+  /**
+   * Set the shape and symmetry of later random soups (INIT_SHAPE_*, INIT_SYMMETRY_* in
+   * constants.js). Unknown values fall back to a plain cube without symmetry.
+   *
+   * @param {number} shape
+   * @param {number} [symmetry=INIT_SYMMETRY_NONE]
+   */
+  setGen0Shape(shape, symmetry = INIT_SYMMETRY_NONE) {
+    this.gen0Shape =
+      Number.isInteger(shape) && shape >= INIT_SHAPE_CUBE && shape <= INIT_SHAPE_PLANE ? shape : INIT_SHAPE_CUBE;
+    this.gen0Symmetry =
+      Number.isInteger(symmetry) && symmetry >= INIT_SYMMETRY_NONE && symmetry <= INIT_SYMMETRY_ROTATE_4
+        ? symmetry
+        : INIT_SYMMETRY_NONE;
   }
+  /**
+   * Fill later random soups through a value-noise field: cells start alive only in its blobs,
+   * at a probability raised so the overall density is kept. `frequency` is blobs per Gen0
+   * edge and `threshold` the share of the Gen0 cube left outside them. Pass null for
+   * independent random cells.
+   *
+   * @param {{ frequency: number, octaves: number, threshold: number } | null} noise
+   *   frequency 1..Gen0 edge, octaves 1..MAX_INIT_NOISE_OCTAVES, threshold 0..1
+   */
+  setGen0Noise(noise) {
+    if (!noise) {
+      this.gen0Noise = null;
+      return;
+    }
+    const frequency = Math.floor(Number(noise.frequency));
+    const octaves = Math.floor(Number(noise.octaves));
+    const threshold = Number(noise.threshold);
+    this.gen0Noise = {
+      frequency: Number.isFinite(frequency) ? Math.max(1, frequency) : 1,
+      octaves: Number.isFinite(octaves) ? Math.min(MAX_INIT_NOISE_OCTAVES, Math.max(1, octaves)) : 1,
+      threshold: Number.isFinite(threshold) ? Math.min(1, Math.max(0, threshold)) : 0,
+    };
+  }
+
   setChangeDetectionEnabled(enabled) {
     this.enableChangeDetection = !!enabled;
     // Force 'changed' state to avoid accidental auto-stop on stale counters.
@@ -809,10 +1547,27 @@ export class WebGPURenderer {
     }
   }
 
+  /** Largest supported cube edge (see maxSupportedGridSize). */
   getMaxSupportedGridSize() {
     return Math.min(this.maxSupportedGridSize || 256, MAX_PACKED_GRID_SIZE);
   }
 
+  /** Largest supported edge along a single axis of a non-cubic grid. */
+  getMaxGridAxisSize() {
+    return Math.max(
+      this.getMaxSupportedGridSize(),
+      Math.min(this.maxGridAxisSize || 256, MAX_PACKED_GRID_SIZE),
+    );
+  }
+
+  /**
+   * Cell budget for any grid shape: the cell count of the largest supported cube, so a
+   * slab or column is allowed whenever a cube with as many cells would be.
+   */
+  getMaxSupportedCellCount() {
+    return this.getMaxSupportedGridSize() ** 3;
+  }
+
   setCellColors(topHex, bottomHex) {
     const top = tryParseHexColor01(topHex);
     const bottom = tryParseHexColor01(bottomHex);
@@ -829,6 +1584,23 @@ export class WebGPURenderer {
     if (bottom) this.cellColorBottom = bottom;
   }
 
+  /**
+   * Color cells by height (the top/bottom gradient) or by age (generations alive) through a
+   * fixed palette. Bit-packed grids track no ages and always use the height gradient.
+   *
+   * The ages are allocated the first time the age mode is selected for a grid (see
+   * _ensureCellAges()), so they count from then on; cells keep the height gradient until the
+   * returned promise resolves. The ages are kept when switching back to height, until the grid
+   * is recreated.
+   *
+   * @param {"height" | "age"} mode
+   * @returns {Promise<boolean>} false if the age mode is unavailable
+   */
+  setCellColorMode(mode) {
+    this.cellColorMode = mode === "age" ? CELL_COLOR_MODE_AGE : CELL_COLOR_MODE_HEIGHT;
+    return this._ensureCellAges();
+  }
+
   setBackgroundColors(topHex, bottomHex) {
     const top = tryParseHexColor01(topHex);
     const bottom = tryParseHexColor01(bottomHex);
@@ -862,6 +1634,71 @@ export class WebGPURenderer {
     this.gridProjectionEnabled = enabled ? 1.0 : 0.0;
   }
 
+  /**
+   * Highlight layer `index` along `axis` in the 3D view (drawn with the grid projection
+   * planes, even when those are off), or clear the highlight with null.
+   *
+   * @param {{ axis: number, index: number } | null} plane
+   */
+  setSlicePlane(plane) {
+    this.slicePlane = plane ? { axis: plane.axis, index: plane.index } : null;
+    this._rebuildGridProjectionInstances();
+  }
+
+  /**
+   * Outline a box of cells in the 3D view (drawn with the grid projection planes, even when
+   * those are off), or clear it with null.
+   *
+   * @param {{ min: ArrayLike<number>, max: ArrayLike<number> } | null} box inclusive cell corners
+   */
+  setSelectionBox(box) {
+    this.selectionBox = box ? { min: Array.from(box.min), max: Array.from(box.max) } : null;
+    this._rebuildGridProjectionInstances();
+  }
+
+  /**
+   * Draw only the cells inside a box (a cut-away view), or all cells with null. Clipping
+   * happens in the cell vertex shader; the simulation is not affected.
+   *
+   * @param {{ min: ArrayLike<number>, max: ArrayLike<number> } | null} box inclusive cell corners
+   */
+  setClipBox(box) {
+    this.clipBox = box ? { min: Array.from(box.min), max: Array.from(box.max) } : null;
+    this._rebuildGridProjectionInstances();
+  }
+
+  /**
+   * Outline the clipping box in the 3D view (its faces are the drag handles).
+   *
+   * @param {boolean} visible
+   */
+  setClipBoxVisible(visible) {
+    this.clipBoxVisible = !!visible;
+    this._rebuildGridProjectionInstances();
+  }
+
+  /**
+   * Animate the clipping box's far plane along `axis` (see PEEL_PERIOD_SECONDS), or stop with
+   * null or -1. Frames keep rendering while it runs.
+   *
+   * @param {number | null} axis 0..2 (X, Y, Z)
+   */
+  setClipPeel(axis) {
+    this.clipPeelAxis = axis != null && axis >= 0 && axis < 3 ? axis : -1;
+  }
+
+  /**
+   * Picking ray through a canvas point, in cell units, as drawn in the last frame (see
+   * cameraControls.js cellRayAt).
+   *
+   * @param {number} x CSS pixels from the canvas' left edge
+   * @param {number} y CSS pixels from the canvas' top edge
+   * @returns {{ origin: number[], dir: number[] }}
+   */
+  cellRayAt(x, y) {
+    return cellRayAt(this, x, y);
+  }
+
   render() {
     renderFrameImpl(this);
   }
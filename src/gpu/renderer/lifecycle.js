@@ -41,15 +41,19 @@ export async function initRenderer(r) {
   // Policy: request only what we *actually* need for our supported grid-size cap, then fall back
   // to default limits if the implementation rejects the request.
   //
-  // Today the UI clamps gridSize to <= 256 and rendering packs per-axis coordinates, so we
-  // negotiate buffer limits sufficient for a 256^3 u32 grid buffer (and a same-sized live-cell list).
+  // u32 grids go up to 256^3 and larger grids are bit-packed up to MAX_PACKED_GRID_SIZE per
+  // axis (rendering packs per-axis coordinates into 10 bits), so we negotiate buffer limits
+  // sufficient for the larger of a 256^3 u32 grid buffer and a 1024^3 packed one.
   const limits = adapter.limits;
 
   // Largest single STORAGE buffer we expect to bind, in bytes.
-  //  - grid buffer: gridSize^3 * 4 bytes (u32)
-  //  - livingCellsBuffer: same size (worst case: every cell alive)
+  //  - u32 grid buffer: gridSize^3 * 4 bytes (livingCellsBuffer is at most the same size)
+  //  - packed grid buffer: one bit per cell (see G3DL_LAYOUT.GRID)
   const TARGET_GRID_SIZE = Math.min(256, MAX_PACKED_GRID_SIZE);
-  const REQUIRED_STORAGE_BYTES = TARGET_GRID_SIZE ** 3 * 4;
+  const REQUIRED_STORAGE_BYTES = Math.max(
+    TARGET_GRID_SIZE ** 3 * 4,
+    G3DL_LAYOUT.GRID.bufferBytes([MAX_PACKED_GRID_SIZE, MAX_PACKED_GRID_SIZE, MAX_PACKED_GRID_SIZE], true),
+  );
 
   // Small alignment to avoid edge-case rejection on some implementations (not required by spec,
   // but harmless and keeps requested values "round").
@@ -158,6 +162,8 @@ export async function initRenderer(r) {
   const safetyOverhead =
     16 * 1024 * 1024; // textures, pipelines, backbuffers, driver overhead, etc.
   const budgetUsable = Math.max(32 * 1024 * 1024, budgetBytes - safetyOverhead);
+  // The generation history ring is sized from what the grid resources leave of this budget.
+  r.memoryBudgetBytes = budgetUsable;
 
   let maxGridByBudget = 4;
 
@@ -168,7 +174,8 @@ export async function initRenderer(r) {
 
   // Estimate total GPU memory pressure from persistent buffers.
   // We allocate 2 full grid buffers (ping-pong) plus a full living-cell list buffer.
-  // Each cell entry is a u32 (4 bytes).
+  // Each cell entry is a u32 (4 bytes). Cell ages exist only in the age color mode and are
+  // taken from what the history ring would get (see historyDepthForBudget).
   for (let n = 4; n <= maxGrid; n++) {
     const total = n ** 3;
     const bytes = 3 * total * 4;
@@ -179,7 +186,28 @@ export async function initRenderer(r) {
     }
   }
 
-  r.maxSupportedGridSize = Math.max(4, Math.min(maxGrid, maxGridByBudget));
+  const maxUnpackedGrid = Math.max(4, Math.min(maxGrid, maxGridByBudget));
+  r.maxUnpackedCellCount = maxUnpackedGrid ** 3;
+
+  // Larger grids switch to the bit-packed layout (2-state rules only). Their living-cell list is
+  // capped at the render limit above, so memory is dominated by the two one-bit-per-cell buffers.
+  r.maxDrawnCells = maxGridByRender ** 3;
+  let maxPackedGrid = 0;
+  for (let n = maxUnpackedGrid + 1; n <= MAX_PACKED_GRID_SIZE; n++) {
+    const gridBytes = G3DL_LAYOUT.GRID.bufferBytes([n, n, n], true);
+    const bytes = 2 * gridBytes + Math.min(n ** 3, r.maxDrawnCells) * 4;
+    if (gridBytes <= perBufferLimit && bytes <= budgetUsable) {
+      maxPackedGrid = n;
+    } else {
+      break; // bytes increases monotonically with n
+    }
+  }
+
+  r.maxSupportedGridSize = Math.max(maxUnpackedGrid, maxPackedGrid);
+
+  // Non-cubic grids share the same cell budget (maxSupportedGridSize^3), so a single axis may
+  // reach the packed-coordinate limit as long as the other axes are thin enough.
+  r.maxGridAxisSize = MAX_PACKED_GRID_SIZE;
 
   r.context = r.canvas.getContext("webgpu");
   if (!r.context) throw new Error("Failed to get WebGPU context");
@@ -364,6 +392,20 @@ export async function destroyRenderer(r) {
     r.bgPipeline = null;
     r.renderPipeline = null;
     r.computePipeline = null;
+    r.ltlPipeline = null;
+    r.ageComputePipeline = null;
+    r.ageLtlPipeline = null;
+    r.ageExtractPipeline = null;
+    r.packedComputePipeline = null;
+    r.packedLtlPipeline = null;
+    r.packedExtractPipeline = null;
+    r.packedInitPipeline = null;
+    r.activeRegionPipeline = null;
+    r.packedActiveRegionPipeline = null;
+    r.editPipeline = null;
+    r.packedEditPipeline = null;
+    r.slicePipeline = null;
+    r.packedSlicePipeline = null;
     r.extractPipeline = null;
     r.initPipeline = null;
     r.drawArgsPipeline = null;
@@ -376,11 +418,17 @@ export async function destroyRenderer(r) {
     r.drawArgsBindGroup = null;
     r.gridProjBindGroup = null;
     r.computeBindGroups = [null, null];
+    r.ltlBindGroups = [null, null];
+    r.activeRegionBindGroups = [null, null];
+    r.activeBoxBindGroups = [null, null];
+    r.editBindGroups = [null, null];
+    r.sliceBindGroups = [null, null];
     r.extractBindGroups = [null, null];
     r.initBindGroups = [null, null];
 
     r._ensureEssentialPipelinesPromise = null;
     r._ensureAabbPipelinesPromise = null;
+    r._ensureLtlPipelinePromise = null;
 
     // Drop WebGPU device/context references.
     r._canvasConfig = null;
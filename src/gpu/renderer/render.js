@@ -47,17 +47,14 @@ export function renderFrame(r) {
   pass.draw(3);
 
   // Optional subtle projection of the outer grid box (drawn blended over the background).
-  if (
-    r.gridProjectionEnabled > 0.5 &&
-    r.gridProjPipeline &&
-    r.gridProjBindGroup &&
-    r.gridProjInstanceBuffer
-  ) {
-    if (r.gridProjInstanceCount > 0) {
+  // The slice editor's plane follows the 6 box faces and is drawn even with the box off.
+  if (r.gridProjPipeline && r.gridProjBindGroup && r.gridProjInstanceBuffer) {
+    const first = r.gridProjectionEnabled > 0.5 ? 0 : 6;
+    if (r.gridProjInstanceCount > first) {
       pass.setPipeline(r.gridProjPipeline);
       pass.setBindGroup(0, r.gridProjBindGroup);
       pass.setVertexBuffer(0, r.gridProjInstanceBuffer);
-      pass.draw(6, r.gridProjInstanceCount);
+      pass.draw(6, r.gridProjInstanceCount - first, 0, first);
     }
   }
 
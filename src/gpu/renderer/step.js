@@ -1,4 +1,19 @@
 import { G3DL_LAYOUT } from "../dataLayout.js";
+import {
+  LTL_TILE_SIZE,
+  MAX_RULE_RANGES,
+  BOUNDARY_AXIS_BITS,
+  MAX_GENERATIONS_PER_STEP,
+  INIT_FILL_RANDOM,
+  INIT_FILL_NOISE,
+  EDIT_MODE_PICK,
+  SLICE_MODE_READ,
+  SLICE_MODE_WRITE,
+  SLICE_UV_AXES,
+  SLICE_WORKGROUP_SIZE,
+} from "../constants.js";
+import { initNoiseLevel } from "../util/initNoise.js";
+import { clearHistory, encodeHistoryPush, popHistory } from "../resources/history.js";
 
 /**
  * Simulation-step helpers.
@@ -16,6 +31,9 @@ import { G3DL_LAYOUT } from "../dataLayout.js";
  * memory pressure from queued work.
  *
  * This helper lives in step.js because it is part of the step-submission policy.
+ * `r._stepsSincePace` counts generations rather than submits, so a batched step of K
+ * generations is due for pacing as soon as it alone exceeds `r._paceEveryNSteps`; at most one
+ * batch is then queued behind the GPU.
  *
  * @param {import("../renderer.js").WebGPURenderer} r
  * @param {boolean} [force=false]
@@ -44,25 +62,116 @@ async function maybePace(r, force = false) {
 }
 
 
+/**
+ * Pack [lo, hi] rule ranges into the params array starting at `base` (two ranges per vec4).
+ * Unused slots are zeroed so stale ranges never leak into the uniform.
+ *
+ * @returns {number} number of ranges written
+ */
+function writeRuleRanges(params, base, ranges) {
+  const n = Math.min(ranges.length, MAX_RULE_RANGES);
+  for (let i = 0; i < MAX_RULE_RANGES; i++) {
+    params[base + i * 2] = i < n ? ranges[i][0] : 0;
+    params[base + i * 2 + 1] = i < n ? ranges[i][1] : 0;
+  }
+  return n;
+}
+
 function writeStepParams(r) {
   // Update per-step simulation parameters
   const simP = G3DL_LAYOUT.PARAMS.SIM.U32;
-  r._computeParams[simP.GRID_SIZE] = r.gridSize;
-  r._computeParams[simP.SURVIVE_RULE] = r.surviveRule;
-  r._computeParams[simP.BIRTH_RULE] = r.birthRule;
-  r._computeParams[simP.TOROIDAL] = r.toroidal ? 1 : 0;
+  r._computeParams.set(r.gridDims, simP.GRID_SIZE);
+  r._computeParams[simP.SURVIVE_RANGE_COUNT] = writeRuleRanges(
+    r._computeParams,
+    simP.SURVIVE_RANGES,
+    r.surviveRanges,
+  );
+  r._computeParams[simP.BIRTH_RANGE_COUNT] = writeRuleRanges(
+    r._computeParams,
+    simP.BIRTH_RANGES,
+    r.birthRanges,
+  );
+  r._computeParams[simP.BOUNDARY] =
+    r.boundaryModes[0] |
+    (r.boundaryModes[1] << BOUNDARY_AXIS_BITS) |
+    (r.boundaryModes[2] << (2 * BOUNDARY_AXIS_BITS));
   r._computeParams[simP.CHANGE_ENABLED] = r.enableChangeDetection ? 1 : 0;
-  // PAD0..PAD2 are zero-initialized and never mutated.
+  r._computeParams[simP.STATE_COUNT] = r.stateCount;
+  r._computeParams[simP.NEIGHBOR_MASK] = r.neighborMask;
+  r._computeParams[simP.RADIUS] = r.neighborRadius;
+  r._computeParams[simP.SHAPE] = r.neighborShape;
+  // PAD0 is zero-initialized and never mutated.
   r._queueWriteU32(r.computeParamsBuffer, 0, r._computeParams);
 
   // Update per-step extraction parameters (maxCells affects draw clamping)
+  writeExtractParams(r);
+}
+
+function writeExtractParams(r) {
   const extP = G3DL_LAYOUT.PARAMS.EXTRACT.U32;
-  r._extractParams[extP.GRID_SIZE] = r.gridSize;
+  r._extractParams.set(r.gridDims, extP.GRID_SIZE);
   r._extractParams[extP.MAX_CELLS] = r.maxCells;
-  // PAD0..PAD1 are zero-initialized and never mutated.
+  r._extractParams[extP.STATE_COUNT] = r.stateCount;
+  // PAD0..PAD2 are zero-initialized and never mutated.
   r._queueWriteU32(r.extractParamsBuffer, 0, r._extractParams);
 }
 
+/**
+ * Prepare counters for a full-grid extraction of contents written outside a step
+ * (randomize, step back, ...). The stats readback is synchronous so the UI updates at once.
+ *
+ * @returns {Promise<number>} readback slot, or -1
+ */
+async function prepareFullExtract(r) {
+  // A recreated grid gets its cell ages back with its first extraction.
+  await r._ensureCellAges();
+  writeExtractParams(r);
+  // Reset population counter before the extract pass runs.
+  r._queueWriteU32(r.atomicCounterBuffer, 0, r._u32_0);
+  // New contents: extract the full grid and rebuild the live-cell boxes on the next step.
+  r._invalidateActiveRegion();
+  // Force the change-flag true so UI state (e.g., auto-stop) cannot latch onto a stale 0.
+  r._queueWriteU32(r.changeCounterBuffer, 0, r._u32_1);
+  return await r._acquireReadbackSlot(true);
+}
+
+/**
+ * Reset every cell's age, for grid contents that do not continue the current run (the ages
+ * are not part of the history or of loaded cells). Edits keep the ages.
+ */
+function encodeClearAges(r, encoder) {
+  if (r.cellAgeBuffer) encoder.clearBuffer(r.cellAgeBuffer);
+}
+
+/** Extract living cells of grid buffer `bufIdx`, build draw args and copy stats to `slot`. */
+function encodeFullExtract(r, encoder, bufIdx, slot) {
+  const wg = computeWorkgroups(r);
+  const grid = r._gridPipelines();
+
+  // Extract living cells for rendering
+  {
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(grid.extract);
+    pass.setBindGroup(0, r.extractBindGroups[bufIdx]);
+    pass.dispatchWorkgroups(wg.wgX, wg.wgY, wg.wgZ);
+    pass.end();
+  }
+
+  // Build indirect draw args (clamps instance count to maxCells)
+  {
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(r.drawArgsPipeline);
+    pass.setBindGroup(0, r.drawArgsBindGroup);
+    pass.dispatchWorkgroups(1, 1, 1);
+    pass.end();
+  }
+
+  if (slot >= 0) {
+    encoder.copyBufferToBuffer(r.atomicCounterBuffer, 0, r.statsStagingBuffers[slot], 0, 4);
+    encoder.copyBufferToBuffer(r.changeCounterBuffer, 0, r.changeStagingBuffers[slot], 0, 4);
+  }
+}
+
 function resetExtractAndChangeCounters(r) {
   // Reset population counter and change-flag.
   r._queueWriteU32(r.atomicCounterBuffer, 0, r._u32_0);
@@ -74,58 +183,148 @@ function resetExtractAndChangeCounters(r) {
   }
 }
 
+/** Dispatch size for the grid-wide kernels; packed grids run one invocation per u32 word. */
 function computeWorkgroups(r) {
+  const x = r.gridPacked ? G3DL_LAYOUT.GRID.packedWordsPerRow(r.gridDims[0]) : r.gridDims[0];
+  return {
+    wgX: Math.ceil(x / r.workgroupSize.x),
+    wgY: Math.ceil(r.gridDims[1] / r.workgroupSize.y),
+    wgZ: Math.ceil(r.gridDims[2] / r.workgroupSize.z),
+  };
+}
+
+/** Dispatch size for the radius-R kernel, whose workgroup is a fixed LTL_TILE_SIZE cube. */
+function ltlWorkgroups(r) {
   return {
-    wgX: Math.ceil(r.gridSize / r.workgroupSize.x),
-    wgY: Math.ceil(r.gridSize / r.workgroupSize.y),
-    wgZ: Math.ceil(r.gridSize / r.workgroupSize.z),
+    wgX: Math.ceil(r.gridDims[0] / LTL_TILE_SIZE),
+    wgY: Math.ceil(r.gridDims[1] / LTL_TILE_SIZE),
+    wgZ: Math.ceil(r.gridDims[2] / LTL_TILE_SIZE),
   };
 }
 
 /**
- * Encode simulation+extraction+indirect-args compute passes.
+ * Encode simulation+extraction+indirect-args compute passes for one generation.
+ *
+ * With `active`, the simulation and extraction dispatch only the active region: a region
+ * pass derives their origin and indirect args from the live-cell boxes, and an AABB
+ * reduction over the new live-cell list refreshes the written buffer's box afterwards.
+ * Only the `last` generation of a batch builds draw args; earlier ones skip extraction
+ * unless the active-region boxes need it.
  *
  * Pass separation is intentional: it makes data dependencies explicit and relies only
  * on WebGPU's pass-to-pass visibility guarantees (portable across backends/drivers).
  */
-function encodeStepPasses(r, encoder, prevBufIdx, nextBufIdx, wg) {
-  // Simulation
+function encodeStepPasses(r, encoder, prevBufIdx, nextBufIdx, wg, { active = false, last = true } = {}) {
+  const grid = r._gridPipelines();
+  const REGION = G3DL_LAYOUT.ACTIVE_REGION;
+
+  if (active) {
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(grid.activeRegion);
+    pass.setBindGroup(0, r.activeRegionBindGroups[prevBufIdx]);
+    pass.dispatchWorkgroups(1, 1, 1);
+    pass.end();
+  }
+
+  // The packed radius-R kernel ORs live bits into the output, so it must start cleared.
+  if (r.gridPacked && r.neighborRadius > 1) {
+    encoder.clearBuffer(r.gridBuffers[nextBufIdx]);
+  }
+
+  // Simulation (radius-R neighborhoods use the tiled kernel)
   {
     const pass = encoder.beginComputePass();
-    pass.setPipeline(r.computePipeline);
-    pass.setBindGroup(0, r.computeBindGroups[prevBufIdx]);
-    pass.dispatchWorkgroups(wg.wgX, wg.wgY, wg.wgZ);
+    if (r.neighborRadius > 1) {
+      const lwg = ltlWorkgroups(r);
+      pass.setPipeline(grid.ltl);
+      pass.setBindGroup(0, r.ltlBindGroups[prevBufIdx]);
+      if (active) pass.dispatchWorkgroupsIndirect(r.activeArgsBuffer, REGION.SIM_ARGS_OFFSET);
+      else pass.dispatchWorkgroups(lwg.wgX, lwg.wgY, lwg.wgZ);
+    } else {
+      pass.setPipeline(grid.compute);
+      pass.setBindGroup(0, r.computeBindGroups[prevBufIdx]);
+      if (active) pass.dispatchWorkgroupsIndirect(r.activeArgsBuffer, REGION.SIM_ARGS_OFFSET);
+      else pass.dispatchWorkgroups(wg.wgX, wg.wgY, wg.wgZ);
+    }
     pass.end();
   }
 
   // Extraction
-  {
+  if (active || last) {
     const pass = encoder.beginComputePass();
-    pass.setPipeline(r.extractPipeline);
+    pass.setPipeline(grid.extract);
     pass.setBindGroup(0, r.extractBindGroups[nextBufIdx]);
-    pass.dispatchWorkgroups(wg.wgX, wg.wgY, wg.wgZ);
+    if (active) pass.dispatchWorkgroupsIndirect(r.activeArgsBuffer, REGION.EXTRACT_ARGS_OFFSET);
+    else pass.dispatchWorkgroups(wg.wgX, wg.wgY, wg.wgZ);
     pass.end();
   }
 
   // Indirect args
-  {
+  if (last) {
     const pass = encoder.beginComputePass();
     pass.setPipeline(r.drawArgsPipeline);
     pass.setBindGroup(0, r.drawArgsBindGroup);
     pass.dispatchWorkgroups(1, 1, 1);
     pass.end();
   }
+
+  // Live-cell box of the new generation (the region pass reset it to empty).
+  if (active) {
+    const box = r.activeBoxBuffers[nextBufIdx];
+    encoder.copyBufferToBuffer(r.atomicCounterBuffer, 0, box, REGION.BOX_U32.COUNT * 4, 4);
+    {
+      const pass = encoder.beginComputePass();
+      pass.setPipeline(r.aabbArgsPipeline);
+      pass.setBindGroup(0, r.aabbArgsBindGroup);
+      pass.dispatchWorkgroups(1);
+      pass.end();
+    }
+    {
+      const pass = encoder.beginComputePass();
+      pass.setPipeline(r.aabbPipeline);
+      pass.setBindGroup(0, r.activeBoxBindGroups[nextBufIdx]);
+      pass.dispatchWorkgroupsIndirect(r.aabbDispatchArgsBuffer, 0);
+      pass.end();
+    }
+  }
 }
 
+/**
+ * Advance the simulation by `options.generations` (default 1) in a single submit.
+ *
+ * Intermediate generations only run the simulation pass; live cells are extracted after the
+ * last one. With change detection enabled, the change flag is reset before the last
+ * generation, so it still reports whether the final step changed anything.
+ * The starting state is pushed to the history ring, so stepBack() undoes the whole batch.
+ *
+ * @param {import("../renderer.js").WebGPURenderer} r
+ * @param {{ syncStats?: boolean, pace?: boolean, generations?: number }} [options]
+ * @returns {Promise<boolean>} whether the (last) step changed any cell
+ */
 export async function stepSimulation(r, options = {}) {
   const syncStats = !!options.syncStats;
   const pace = options.pace !== false;
+  const n = Math.floor(Number(options.generations));
+  const generations = Number.isFinite(n) ? Math.min(MAX_GENERATIONS_PER_STEP, Math.max(1, n)) : 1;
 
   const prev = r.currentBuffer;
-  const next = 1 - prev;
+  // Buffers alternate every generation.
+  const next = generations % 2 === 1 ? 1 - prev : prev;
   const wg = computeWorkgroups(r);
 
+  if (r.gridPacked && !(await r._ensurePackedPipelines())) {
+    throw new Error("Bit-packed grids are unavailable on this device.");
+  }
+  // Before the radius-R pipeline, which has an age-tracking variant.
+  await r._ensureCellAges();
+  if (r.neighborRadius > 1 && !(await r._ensureLtlPipeline())) {
+    throw new Error("Radius-R neighborhoods are unavailable on this device.");
+  }
+  // Active-region stepping is an optimization: run full steps if it cannot compile.
+  const active = r.activeRegionEnabled && (await r._ensureActiveRegionPipelines());
+
   writeStepParams(r);
+  r._syncActiveRegion(active);
   resetExtractAndChangeCounters(r);
 
   // Schedule a readback only when needed (or if sync requested)
@@ -136,9 +335,19 @@ export async function stepSimulation(r, options = {}) {
   }
 
   const encoder = r.device.createCommandEncoder();
-  encodeStepPasses(r, encoder, prev, next, wg);
+  encodeHistoryPush(r, encoder, prev);
+  for (let g = 0; g < generations; g++) {
+    const last = g === generations - 1;
+    const src = (prev + g) % 2;
+    if (g > 0) {
+      // Counters were reset by queue writes for the first generation only.
+      if (active) encoder.clearBuffer(r.atomicCounterBuffer, 0, 4);
+      if (last && r.enableChangeDetection) encoder.clearBuffer(r.changeCounterBuffer, 0, 4);
+    }
+    encodeStepPasses(r, encoder, src, 1 - src, wg, { active, last });
+  }
 
-  const stepGeneration = r.generation + 1;
+  const stepGeneration = r.generation + generations;
 
   if (slot >= 0) {
     encoder.copyBufferToBuffer(r.atomicCounterBuffer, 0, r.statsStagingBuffers[slot], 0, 4);
@@ -149,7 +358,7 @@ export async function stepSimulation(r, options = {}) {
 
   // Optional pacing to keep the GPU submission queue bounded.
   if (pace) {
-    r._stepsSincePace++;
+    r._stepsSincePace += generations;
     await maybePace(r, false);
   }
 
@@ -169,93 +378,338 @@ export async function stepSimulation(r, options = {}) {
   return r.lastStepChanged;
 }
 
-export async function randomizeGrid(r, density = 0.15, initSize = null) {
-  const size = r.gridSize;
-  const region = Math.min(initSize || size, size);
-  const off = Math.floor((size - region) / 2);
+export async function randomizeGrid(r, density = 0.15, initSize = null, seed = null) {
+  if (r.gridPacked && !(await r._ensurePackedPipelines())) {
+    throw new Error("Bit-packed grids are unavailable on this device.");
+  }
+
+  // The Gen0 cube is centered and clipped per axis (a thin slab gets a flattened region).
+  const dims = r.gridDims;
+  const region = dims.map((d) => Math.min(initSize || d, d));
+  const off = dims.map((d, i) => Math.floor((d - region[i]) / 2));
+
+  // Seed changes per reset for a new random field, unless one is given (shared URLs).
+  const soupSeed =
+    seed != null
+      ? seed >>> 0
+      : ((typeof performance !== "undefined" && performance.now
+          ? Math.floor(performance.now() * 1000)
+          : Date.now()) ^
+          Math.floor(Math.random() * 0xffffffff)) >>>
+        0;
+
+  // The noise fill leaves only the blobs eligible (the threshold is the share of the region
+  // outside them); raise the per-cell probability by the share left so the density is kept
+  // (until the blobs are full).
+  let d = Math.max(0, Math.min(1, Number(density) || 0));
+  const noise = r.gen0Noise;
+  const edge = Math.max(...region);
+  const noisePeriod = noise ? Math.max(1, Math.round(edge / Math.min(noise.frequency, edge))) : 0;
+  let noiseLevel = 0;
+  if (noise) {
+    const { level, coverage } = initNoiseLevel({
+      region,
+      seed: soupSeed,
+      period: noisePeriod,
+      octaves: noise.octaves,
+      below: noise.threshold,
+    });
+    noiseLevel = level;
+    d = coverage > 0 ? Math.min(1, d / coverage) : 0;
+  }
 
   // Convert density (0..1) to a u32 threshold for comparison.
-  const d = Math.max(0, Math.min(1, Number(density) || 0));
   const threshold = Math.min(0xffffffff, Math.max(0, Math.floor(d * 4294967295)));
 
-  // Seed changes per reset for a new random field.
-  const seed =
-    ((typeof performance !== "undefined" && performance.now
-      ? Math.floor(performance.now() * 1000)
-      : Date.now()) ^
-      Math.floor(Math.random() * 0xffffffff)) >>>
-    0;
-
   const initP = G3DL_LAYOUT.PARAMS.INIT.U32;
-  r._initParams[initP.GRID_SIZE] = size;
-  r._initParams[initP.REGION] = region;
-  r._initParams[initP.OFFSET] = off;
+  r._initParams.set(dims, initP.GRID_SIZE);
+  r._initParams.set(region, initP.REGION);
+  r._initParams.set(off, initP.OFFSET);
   r._initParams[initP.THRESHOLD] = threshold >>> 0;
-  r._initParams[initP.SEED] = seed;
+  r._initParams[initP.SEED] = soupSeed;
+  r._initParams[initP.SHAPE] = r.gen0Shape;
+  r._initParams[initP.SYMMETRY] = r.gen0Symmetry;
+  r._initParams[initP.FILL] = noise ? INIT_FILL_NOISE : INIT_FILL_RANDOM;
+  r._initParams[initP.NOISE_PERIOD] = noisePeriod;
+  r._initParams[initP.NOISE_OCTAVES] = noise ? noise.octaves : 0;
+  r._initParams[initP.NOISE_LEVEL] = noiseLevel;
   // PAD0..PAD2 are zero-initialized and never mutated.
   r._queueWriteU32(r.initParamsBuffer, 0, r._initParams);
 
-  const wg = computeWorkgroups(r);
-
-  // Prepare extraction parameters and counters up front.
-  const extP = G3DL_LAYOUT.PARAMS.EXTRACT.U32;
-  r._extractParams[extP.GRID_SIZE] = r.gridSize;
-  r._extractParams[extP.MAX_CELLS] = r.maxCells;
-  // PAD0..PAD1 are zero-initialized and never mutated.
-  r._queueWriteU32(r.extractParamsBuffer, 0, r._extractParams);
-
-  // Reset population counter before the extract pass runs.
-  r._queueWriteU32(r.atomicCounterBuffer, 0, r._u32_0);
-  // Force the change-flag true so UI state (e.g., auto-stop) cannot latch onto a stale 0.
-  r._queueWriteU32(r.changeCounterBuffer, 0, r._u32_1);
-
   // Randomization should update UI state immediately, so we sync stats here.
-  const syncStats = true;
-  const slot = await r._acquireReadbackSlot(syncStats);
+  const slot = await prepareFullExtract(r);
 
   const encoder = r.device.createCommandEncoder();
+  const grid = r._gridPipelines();
+  const wg = computeWorkgroups(r);
 
-  // 1) Initialize the grid
+  // Initialize the grid
   {
     const pass = encoder.beginComputePass();
-    pass.setPipeline(r.initPipeline);
+    pass.setPipeline(grid.init);
     pass.setBindGroup(0, r.initBindGroups[r.currentBuffer]);
     pass.dispatchWorkgroups(wg.wgX, wg.wgY, wg.wgZ);
     pass.end();
   }
+  encodeClearAges(r, encoder);
+  encodeFullExtract(r, encoder, r.currentBuffer, slot);
 
-  // 2) Extract living cells for rendering
-  {
-    const pass = encoder.beginComputePass();
-    pass.setPipeline(r.extractPipeline);
-    pass.setBindGroup(0, r.extractBindGroups[r.currentBuffer]);
-    pass.dispatchWorkgroups(wg.wgX, wg.wgY, wg.wgZ);
-    pass.end();
+  r.device.queue.submit([encoder.finish()]);
+
+  // Randomization resets the simulation timeline.
+  r.population = 0;
+  r.generation = 0;
+  r.lastStepChanged = true;
+  r.gen0Seed = soupSeed;
+  clearHistory(r);
+
+  // Stats correspond to generation 0.
+  if (slot >= 0) {
+    await r._startReadback(slot, 0);
+  }
+}
+
+/**
+ * Restore the newest history entry into the current grid buffer. Cell ages restart from 0.
+ *
+ * @param {import("../renderer.js").WebGPURenderer} r
+ * @returns {Promise<boolean>} false when the history is empty
+ */
+export async function stepBackSimulation(r) {
+  if (r.historyCount === 0) return false;
+
+  const slot = await prepareFullExtract(r);
+  const entry = popHistory(r);
+
+  const encoder = r.device.createCommandEncoder();
+  const gridBytes = G3DL_LAYOUT.GRID.bufferBytes(r.gridDims, r.gridPacked);
+  encoder.copyBufferToBuffer(entry.buffer, 0, r.gridBuffers[r.currentBuffer], 0, gridBytes);
+  encodeClearAges(r, encoder);
+  encodeFullExtract(r, encoder, r.currentBuffer, slot);
+  r.device.queue.submit([encoder.finish()]);
+
+  r.generation = entry.generation;
+  r.lastStepChanged = true;
+
+  if (slot >= 0) {
+    await r._startReadback(slot, entry.generation);
+  }
+  return true;
+}
+
+/**
+ * Write an exact grid state (e.g. from a pattern file) into the current grid buffer and
+ * re-extract its live cells. The history and cell ages are cleared unless `keepHistory` is
+ * set (for edits of the current state), and stats are read back before this resolves.
+ *
+ * @param {import("../renderer.js").WebGPURenderer} r
+ * @param {ArrayLike<number>} cells One state per cell for r.gridDims, x-major, then y, then z.
+ * @param {number} generation Generation number to resume from.
+ * @param {boolean} [keepHistory]
+ */
+export async function loadGridCells(r, cells, generation = 0, keepHistory = false) {
+  const dims = r.gridDims;
+  const cellCount = dims[0] * dims[1] * dims[2];
+  if (!cells || cells.length !== cellCount) {
+    throw new Error(`Cell data does not match the ${dims.join("×")} grid.`);
+  }
+  if (r.gridPacked && !(await r._ensurePackedPipelines())) {
+    throw new Error("Bit-packed grids are unavailable on this device.");
+  }
+
+  let data;
+  if (r.gridPacked) {
+    data = G3DL_LAYOUT.GRID.packCells(cells, dims);
+  } else {
+    // Clamp out-of-range states to the last dying state of the current rule.
+    const maxState = r.stateCount - 1;
+    data = new Uint32Array(cellCount);
+    for (let i = 0; i < cellCount; i++) data[i] = Math.min(cells[i], maxState);
+  }
+
+  const gen = Math.max(0, Math.floor(Number(generation)) || 0);
+  const slot = await prepareFullExtract(r);
+  r._queueWriteU32(r.gridBuffers[r.currentBuffer], 0, data);
+
+  const encoder = r.device.createCommandEncoder();
+  if (!keepHistory) encodeClearAges(r, encoder);
+  encodeFullExtract(r, encoder, r.currentBuffer, slot);
+  r.device.queue.submit([encoder.finish()]);
+
+  r.population = 0;
+  r.generation = gen;
+  r.lastStepChanged = true;
+  if (!keepHistory) {
+    r.gen0Seed = null;
+    clearHistory(r);
+  }
+
+  if (slot >= 0) {
+    await r._startReadback(slot, gen);
+  }
+}
+
+/** Smallest ray direction component passed to the edit kernel (it divides by each one). */
+const MIN_RAY_COMPONENT = 1e-6;
+
+/**
+ * Edit the first cell along a ray in the current grid buffer (see G3DL_SHADERS.edit) and
+ * re-extract its live cells. The generation and history are kept; stats are read back
+ * before this resolves. EDIT_MODE_PICK only finds the cell.
+ *
+ * @param {import("../renderer.js").WebGPURenderer} r
+ * @param {{ origin: ArrayLike<number>, dir: ArrayLike<number> }} ray In cell units: cell
+ *   (x, y, z) spans [x, x + 1) along each axis.
+ * @param {number} mode EDIT_MODE_ADD, EDIT_MODE_REMOVE or EDIT_MODE_PICK
+ * @returns {Promise<[number, number, number] | null>} the edited cell, or null if none
+ */
+export async function editCellAlongRay(r, { origin, dir }, mode) {
+  if (!(await r._ensureEditPipeline())) {
+    throw new Error("Cell editing is unavailable on this device.");
   }
 
-  // 3) Build indirect draw args (clamps instance count to maxCells)
+  const P = G3DL_LAYOUT.PARAMS.EDIT;
+  for (let a = 0; a < 3; a++) {
+    const d = dir[a];
+    r._editParamsF32[P.F32.ORIGIN + a] = origin[a];
+    r._editParamsF32[P.F32.DIR + a] =
+      Math.abs(d) >= MIN_RAY_COMPONENT ? d : d < 0 ? -MIN_RAY_COMPONENT : MIN_RAY_COMPONENT;
+  }
+  r._editParams[P.U32.MODE] = mode;
+  r._editParams.set(r.gridDims, P.U32.GRID_SIZE);
+  // PAD0..PAD1 are zero-initialized and never mutated.
+  r._queueWriteU32(r.editParamsBuffer, 0, r._editParams);
+
+  // Picking leaves the grid alone, so there is nothing to re-extract.
+  const pick = mode === EDIT_MODE_PICK;
+  const slot = pick ? -1 : await prepareFullExtract(r);
+  const encoder = r.device.createCommandEncoder();
   {
     const pass = encoder.beginComputePass();
-    pass.setPipeline(r.drawArgsPipeline);
-    pass.setBindGroup(0, r.drawArgsBindGroup);
-    pass.dispatchWorkgroups(1, 1, 1);
+    pass.setPipeline(r._gridPipelines().edit);
+    pass.setBindGroup(0, r.editBindGroups[r.currentBuffer]);
+    pass.dispatchWorkgroups(1);
     pass.end();
   }
+  encoder.copyBufferToBuffer(r.editResultBuffer, 0, r.editStagingBuffer, 0, G3DL_LAYOUT.EDIT_RESULT.BYTES);
+  if (!pick) encodeFullExtract(r, encoder, r.currentBuffer, slot);
+  r.device.queue.submit([encoder.finish()]);
+  if (!pick) r.lastStepChanged = true;
+
+  const staging = r.editStagingBuffer;
+  await staging.mapAsync(GPUMapMode.READ);
+  const res = new Uint32Array(staging.getMappedRange().slice(0));
+  staging.unmap();
 
   if (slot >= 0) {
-    encoder.copyBufferToBuffer(r.atomicCounterBuffer, 0, r.statsStagingBuffers[slot], 0, 4);
-    encoder.copyBufferToBuffer(r.changeCounterBuffer, 0, r.changeStagingBuffers[slot], 0, 4);
+    await r._startReadback(slot, r.generation);
+  }
+  const R = G3DL_LAYOUT.EDIT_RESULT.U32;
+  return res[R.EDITED] ? [res[R.X], res[R.Y], res[R.Z]] : null;
+}
+
+/**
+ * Width (along u) and height (along v) of layer `index` along `axis`.
+ *
+ * @returns {[number, number]}
+ */
+function sliceSize(r, axis, index) {
+  const dims = r.gridDims;
+  if (!(axis >= 0 && axis < 3) || !(index >= 0 && index < dims[axis])) {
+    throw new Error(`Layer ${index} along axis ${axis} is outside the ${dims.join("×")} grid.`);
+  }
+  const [uAxis, vAxis] = SLICE_UV_AXES[axis];
+  return [dims[uAxis], dims[vAxis]];
+}
+
+/**
+ * Write the slice params for layer `index` along `axis` and encode the slice copy pass.
+ * The layer must be valid (see sliceSize).
+ */
+function encodeSliceCopy(r, encoder, axis, index, mode) {
+  const dims = r.gridDims;
+  const [uAxis, vAxis] = SLICE_UV_AXES[axis];
+  const P = G3DL_LAYOUT.PARAMS.SLICE.U32;
+  r._sliceParams.set(dims, P.GRID_SIZE);
+  r._sliceParams[P.AXIS] = axis;
+  r._sliceParams[P.U_AXIS] = uAxis;
+  r._sliceParams[P.V_AXIS] = vAxis;
+  r._sliceParams[P.INDEX] = index;
+  r._sliceParams[P.MODE] = mode;
+  r._queueWriteU32(r.sliceParamsBuffer, 0, r._sliceParams);
+
+  const pass = encoder.beginComputePass();
+  pass.setPipeline(r._gridPipelines().slice);
+  pass.setBindGroup(0, r.sliceBindGroups[r.currentBuffer]);
+  pass.dispatchWorkgroups(
+    Math.ceil(dims[uAxis] / SLICE_WORKGROUP_SIZE),
+    Math.ceil(dims[vAxis] / SLICE_WORKGROUP_SIZE),
+  );
+  pass.end();
+}
+
+/**
+ * Read one axis-aligned layer of the current grid buffer (see G3DL_SHADERS.slice).
+ *
+ * @param {import("../renderer.js").WebGPURenderer} r
+ * @param {number} axis 0..2 (X, Y, Z)
+ * @param {number} index Layer along `axis`.
+ * @returns {Promise<{cells: Uint8Array, width: number, height: number}>} One state per cell,
+ *   u-major, with u and v along SLICE_UV_AXES[axis].
+ */
+export async function readGridSlice(r, axis, index) {
+  if (!(await r._ensureSlicePipeline())) {
+    throw new Error("The slice editor is unavailable on this device.");
   }
 
+  const [width, height] = sliceSize(r, axis, index);
+  const encoder = r.device.createCommandEncoder();
+  encodeSliceCopy(r, encoder, axis, index, SLICE_MODE_READ);
+  const bytes = width * height * 4;
+  encoder.copyBufferToBuffer(r.sliceBuffer, 0, r.sliceStagingBuffer, 0, bytes);
   r.device.queue.submit([encoder.finish()]);
 
-  // Randomization resets the simulation timeline.
-  r.population = 0;
-  r.generation = 0;
+  const staging = r.sliceStagingBuffer;
+  await staging.mapAsync(GPUMapMode.READ, 0, bytes);
+  const cells = new Uint8Array(new Uint32Array(staging.getMappedRange(0, bytes)));
+  staging.unmap();
+  return { cells, width, height };
+}
+
+/**
+ * Replace one axis-aligned layer of the current grid buffer with `cells` (laid out as in
+ * readGridSlice) and re-extract its live cells. The generation and history are kept; stats
+ * are read back before this resolves.
+ *
+ * @param {import("../renderer.js").WebGPURenderer} r
+ * @param {number} axis 0..2 (X, Y, Z)
+ * @param {number} index Layer along `axis`.
+ * @param {ArrayLike<number>} cells
+ */
+export async function writeGridSlice(r, axis, index, cells) {
+  if (!(await r._ensureSlicePipeline())) {
+    throw new Error("The slice editor is unavailable on this device.");
+  }
+  const [width, height] = sliceSize(r, axis, index);
+  const count = width * height;
+  if (!cells || cells.length !== count) {
+    throw new Error("Slice data does not match the grid layer.");
+  }
+
+  // Clamp out-of-range states to the last dying state (packed grids store alive/dead only).
+  const maxState = r.gridPacked ? 1 : r.stateCount - 1;
+  const data = new Uint32Array(count);
+  for (let i = 0; i < count; i++) data[i] = Math.min(cells[i], maxState);
+  r._queueWriteU32(r.sliceBuffer, 0, data);
+
+  const slot = await prepareFullExtract(r);
+  const encoder = r.device.createCommandEncoder();
+  encodeSliceCopy(r, encoder, axis, index, SLICE_MODE_WRITE);
+  encodeFullExtract(r, encoder, r.currentBuffer, slot);
+  r.device.queue.submit([encoder.finish()]);
   r.lastStepChanged = true;
 
-  // Stats correspond to generation 0.
   if (slot >= 0) {
-    await r._startReadback(slot, 0);
+    await r._startReadback(slot, r.generation);
   }
 }
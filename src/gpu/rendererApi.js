@@ -13,8 +13,17 @@ const REQUIRED_METHODS = [
   "init",
   "render",
   "step",
+  "stepBack",
+  "setHistoryDepth",
   "resize",
   "randomize",
+  "readCells",
+  "readLiveCells",
+  "loadCells",
+  "editCellAt",
+  "pickCellAt",
+  "readSlice",
+  "writeSlice",
   // Camera controls (used by OrbitControls)
   "rotate",
   "pan",
@@ -25,14 +34,32 @@ const REQUIRED_METHODS = [
   "updateInertia",
   "setGridSize",
   "getMaxSupportedGridSize",
+  "getMaxGridAxisSize",
+  "getMaxSupportedCellCount",
   "setSurviveRule",
   "setBirthRule",
+  "setSurviveRanges",
+  "setBirthRanges",
+  "setStateCount",
+  "setNeighborhoodMask",
+  "setNeighborhoodRadius",
+  "setBoundaryModes",
   "setToroidal",
+  "setActiveRegionEnabled",
+  "setGen0Shape",
+  "setGen0Noise",
   "setChangeDetectionEnabled",
   "setCellColors",
+  "setCellColorMode",
   "setBackgroundColors",
   "setLanternLightingEnabled",
   "setGridProjectionEnabled",
+  "setSlicePlane",
+  "setSelectionBox",
+  "setClipBox",
+  "setClipBoxVisible",
+  "setClipPeel",
+  "cellRayAt",
   "setCameraOverride",
   "clearCameraOverride",
   "commitCameraOverrideToUser",
@@ -40,9 +67,13 @@ const REQUIRED_METHODS = [
 
 const REQUIRED_FIELDS = [
   "gridSize",
+  "gridDims",
+  "gridPacked",
   "cellSize",
   "population",
   "generation",
+  "historyDepth",
+  "historyCount",
   "statsValidGeneration",
   "cameraQuat",
   "cameraMatrix",
@@ -4,8 +4,15 @@
  * This function intentionally mutates the renderer instance by writing:
  *  - bgBindGroup, cellBindGroup
  *  - computeBindGroups[], extractBindGroups[], initBindGroups[]
+ *  - optional ltlBindGroups[] (radius-R simulation)
  *  - drawArgsBindGroup
  *  - optional gridProjBindGroup, aabbBindGroup, aabbArgsBindGroup
+ *  - optional activeRegionBindGroups[], activeBoxBindGroups[] (active-region steps)
+ *  - optional editBindGroups[] (cell editing)
+ *  - optional sliceBindGroups[] (slice editor)
+ *
+ * Grid bind groups use the pipelines of the active grid layout (u32 or bit-packed, see
+ * WebGPURenderer._gridPipelines()); they stay null until those pipelines are compiled.
  */
 export function rebuildBindGroups(r) {
   if (!r.device) throw new Error("WebGPU device not initialized.");
@@ -16,12 +23,13 @@ export function rebuildBindGroups(r) {
     entries: [{ binding: 0, resource: { buffer: r.bgUniformBuffer } }],
   });
 
-  // Render bind group (uniform + living cell list)
+  // Render bind group (uniform + living cell list + their ages)
   r.cellBindGroup = r.device.createBindGroup({
     layout: r.renderPipeline.getBindGroupLayout(0),
     entries: [
       { binding: 0, resource: { buffer: r.uniformBuffer } },
       { binding: 1, resource: { buffer: r.livingCellsBuffer } },
+      { binding: 2, resource: { buffer: r.livingAgesBuffer } },
     ],
   });
 
@@ -48,6 +56,7 @@ export function rebuildBindGroups(r) {
       entries: [
         { binding: 0, resource: { buffer: r.atomicCounterBuffer } },
         { binding: 1, resource: { buffer: r.aabbDispatchArgsBuffer } },
+        { binding: 2, resource: { buffer: r.livingCellsBuffer } },
       ],
     });
   } else {
@@ -55,6 +64,46 @@ export function rebuildBindGroups(r) {
     r.aabbArgsBindGroup = null;
   }
 
+  // Active-region bind groups (optional), indexed by the buffer a step reads:
+  // region args read box[i] and rewrite box[1 - i]; the AABB reduction refills box[i].
+  const grid = r._gridPipelines();
+  const boxes = r.activeBoxBuffers;
+  // Simulation and extraction also carry the cell ages once allocated (see _gridPipelines()).
+  const simAges = r.cellAgeBuffer ? [{ binding: 5, resource: { buffer: r.cellAgeBuffer } }] : [];
+  const extractAges = !r.cellAgeBuffer
+    ? []
+    : [
+        { binding: 5, resource: { buffer: r.cellAgeBuffer } },
+        { binding: 6, resource: { buffer: r.livingAgesBuffer } },
+      ];
+  for (let i = 0; i < 2; i++) {
+    r.activeRegionBindGroups[i] =
+      grid.activeRegion && boxes && boxes[i]
+        ? r.device.createBindGroup({
+            layout: grid.activeRegion.getBindGroupLayout(0),
+            entries: [
+              { binding: 0, resource: { buffer: r.computeParamsBuffer } },
+              { binding: 1, resource: { buffer: boxes[i] } },
+              { binding: 2, resource: { buffer: boxes[1 - i] } },
+              { binding: 3, resource: { buffer: r.activeOriginBuffer } },
+              { binding: 4, resource: { buffer: r.activeArgsBuffer } },
+              { binding: 5, resource: { buffer: r.livingCellsBuffer } },
+            ],
+          })
+        : null;
+    r.activeBoxBindGroups[i] =
+      r.aabbPipeline && boxes && boxes[i]
+        ? r.device.createBindGroup({
+            layout: r.aabbPipeline.getBindGroupLayout(0),
+            entries: [
+              { binding: 0, resource: { buffer: r.atomicCounterBuffer } },
+              { binding: 1, resource: { buffer: r.livingCellsBuffer } },
+              { binding: 2, resource: { buffer: boxes[i] } },
+            ],
+          })
+        : null;
+  }
+
   // Grid projection bind group (uniform only)
   if (r.gridProjPipeline) {
     r.gridProjBindGroup = r.device.createBindGroup({
@@ -66,63 +115,96 @@ export function rebuildBindGroups(r) {
   }
 
   // Compute bind groups (double-buffered state)
-  r.computeBindGroups[0] = r.device.createBindGroup({
-    layout: r.computePipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: r.computeParamsBuffer } },
-      { binding: 1, resource: { buffer: r.gridBuffers[0] } },
-      { binding: 2, resource: { buffer: r.gridBuffers[1] } },
-      { binding: 3, resource: { buffer: r.changeCounterBuffer } },
-    ],
-  });
-
-  r.computeBindGroups[1] = r.device.createBindGroup({
-    layout: r.computePipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: r.computeParamsBuffer } },
-      { binding: 1, resource: { buffer: r.gridBuffers[1] } },
-      { binding: 2, resource: { buffer: r.gridBuffers[0] } },
-      { binding: 3, resource: { buffer: r.changeCounterBuffer } },
-    ],
-  });
+  for (let i = 0; i < 2; i++) {
+    r.computeBindGroups[i] = grid.compute
+      ? r.device.createBindGroup({
+          layout: grid.compute.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: r.computeParamsBuffer } },
+            { binding: 1, resource: { buffer: r.gridBuffers[i] } },
+            { binding: 2, resource: { buffer: r.gridBuffers[1 - i] } },
+            { binding: 3, resource: { buffer: r.changeCounterBuffer } },
+            { binding: 4, resource: { buffer: r.activeOriginBuffer } },
+            ...simAges,
+          ],
+        })
+      : null;
+  }
 
-  // Extract bind groups (read current grid, write living list + counter)
-  r.extractBindGroups[0] = r.device.createBindGroup({
-    layout: r.extractPipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: r.extractParamsBuffer } },
-      { binding: 1, resource: { buffer: r.gridBuffers[0] } },
-      { binding: 2, resource: { buffer: r.livingCellsBuffer } },
-      { binding: 3, resource: { buffer: r.atomicCounterBuffer } },
-    ],
-  });
+  // Radius-R simulation bind groups (optional; same bindings as the 3x3x3 kernel)
+  for (let i = 0; i < 2; i++) {
+    r.ltlBindGroups[i] = grid.ltl
+      ? r.device.createBindGroup({
+          layout: grid.ltl.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: r.computeParamsBuffer } },
+            { binding: 1, resource: { buffer: r.gridBuffers[i] } },
+            { binding: 2, resource: { buffer: r.gridBuffers[1 - i] } },
+            { binding: 3, resource: { buffer: r.changeCounterBuffer } },
+            { binding: 4, resource: { buffer: r.activeOriginBuffer } },
+            ...simAges,
+          ],
+        })
+      : null;
+  }
 
-  r.extractBindGroups[1] = r.device.createBindGroup({
-    layout: r.extractPipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: r.extractParamsBuffer } },
-      { binding: 1, resource: { buffer: r.gridBuffers[1] } },
-      { binding: 2, resource: { buffer: r.livingCellsBuffer } },
-      { binding: 3, resource: { buffer: r.atomicCounterBuffer } },
-    ],
-  });
+  // Extract bind groups (read current grid and ages, write living list + ages + counter)
+  for (let i = 0; i < 2; i++) {
+    r.extractBindGroups[i] = grid.extract
+      ? r.device.createBindGroup({
+          layout: grid.extract.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: r.extractParamsBuffer } },
+            { binding: 1, resource: { buffer: r.gridBuffers[i] } },
+            { binding: 2, resource: { buffer: r.livingCellsBuffer } },
+            { binding: 3, resource: { buffer: r.atomicCounterBuffer } },
+            { binding: 4, resource: { buffer: r.activeOriginBuffer } },
+            ...extractAges,
+          ],
+        })
+      : null;
+  }
 
   // Init bind groups (GPU random initialization; write grid buffer)
-  r.initBindGroups[0] = r.device.createBindGroup({
-    layout: r.initPipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: r.initParamsBuffer } },
-      { binding: 1, resource: { buffer: r.gridBuffers[0] } },
-    ],
-  });
+  for (let i = 0; i < 2; i++) {
+    r.initBindGroups[i] = grid.init
+      ? r.device.createBindGroup({
+          layout: grid.init.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: r.initParamsBuffer } },
+            { binding: 1, resource: { buffer: r.gridBuffers[i] } },
+          ],
+        })
+      : null;
+  }
 
-  r.initBindGroups[1] = r.device.createBindGroup({
-    layout: r.initPipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: r.initParamsBuffer } },
-      { binding: 1, resource: { buffer: r.gridBuffers[1] } },
-    ],
-  });
+  // Edit bind groups (optional; edit grid buffer in place, write the edit result)
+  for (let i = 0; i < 2; i++) {
+    r.editBindGroups[i] = grid.edit
+      ? r.device.createBindGroup({
+          layout: grid.edit.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: r.editParamsBuffer } },
+            { binding: 1, resource: { buffer: r.gridBuffers[i] } },
+            { binding: 2, resource: { buffer: r.editResultBuffer } },
+          ],
+        })
+      : null;
+  }
+
+  // Slice bind groups (optional; copy one grid layer to or from the slice buffer)
+  for (let i = 0; i < 2; i++) {
+    r.sliceBindGroups[i] = grid.slice
+      ? r.device.createBindGroup({
+          layout: grid.slice.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: r.sliceParamsBuffer } },
+            { binding: 1, resource: { buffer: r.gridBuffers[i] } },
+            { binding: 2, resource: { buffer: r.sliceBuffer } },
+          ],
+        })
+      : null;
+  }
 
   // Draw args bind group (counter -> indirect args buffer)
   r.drawArgsBindGroup = r.device.createBindGroup({
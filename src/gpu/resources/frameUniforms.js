@@ -1,5 +1,6 @@
 import { G3DL_LAYOUT } from "../dataLayout.js";
 import { mat4LookAt, mat4Perspective } from "../../util/math3d.js";
+import { CAMERA_FOV_Y, CELL_COLOR_MODE_HEIGHT, PEEL_PERIOD_SECONDS } from "../constants.js";
 
 /**
  * Update per-frame uniforms used by rendering and background shading.
@@ -20,7 +21,7 @@ import { mat4LookAt, mat4Perspective } from "../../util/math3d.js";
  */
 export function createRenderUniformBuffer(r) {
   r.uniformBuffer = r._createBuffer("uniformBuffer", {
-    // G3DL_LAYOUT.UNIFORMS.DATA_BYTES is the active region (currently 240 bytes),
+    // G3DL_LAYOUT.UNIFORMS.DATA_BYTES is the active region (currently 272 bytes),
     // but we keep extra room to allow future expansion without reallocating.
     size: 512,
     usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
@@ -41,7 +42,32 @@ export function createBgUniformBuffer(r) {
 
 
 /**
- * Updates the render uniform buffer (camera, colors, lantern parameters, time).
+ * Write the clipping slab (r.clipBox, or the whole grid) into the render uniforms. With the
+ * animated peel on (r.clipPeelAxis >= 0), the far plane along that axis sweeps from the top
+ * of the slab to its bottom and back.
+ *
+ * @param {import("../renderer.js").WebGPURenderer} r
+ * @param {Float32Array} u
+ * @param {number} timeSec
+ */
+function writeClipUniforms(r, u, timeSec) {
+  const uf = G3DL_LAYOUT.UNIFORMS.F32;
+  const box = r.clipBox;
+  for (let a = 0; a < 3; a++) {
+    u[uf.CLIP_MIN + a] = box ? box.min[a] : 0;
+    u[uf.CLIP_MAX + a] = box ? box.max[a] + 1 : r.gridDims[a];
+  }
+  const axis = r.clipPeelAxis;
+  if (axis >= 0 && axis < 3) {
+    const lo = u[uf.CLIP_MIN + axis];
+    const hi = u[uf.CLIP_MAX + axis];
+    const phase = (timeSec / PEEL_PERIOD_SECONDS) % 1;
+    u[uf.CLIP_MAX + axis] = lo + (hi - lo) * Math.abs(phase * 2 - 1);
+  }
+}
+
+/**
+ * Updates the render uniform buffer (camera, colors, lantern parameters, time, clipping).
  *
  * @param {import("../renderer.js").WebGPURenderer} r
  */
@@ -51,7 +77,7 @@ function updateRenderUniforms(r) {
   const asp = w / h;
 
   // Projection
-  mat4Perspective(r._proj, Math.PI / 4, asp, 0.1, 1000);
+  mat4Perspective(r._proj, CAMERA_FOV_Y, asp, 0.1, 1000);
 
   // Camera: either user trackball camera (default) or an explicit override (Screen show).
   // `camDir` points from the camera to the target (used for lighting).
@@ -161,19 +187,26 @@ function updateRenderUniforms(r) {
   const cdz = r._target[2] - r._eye[2];
   u[uf.CAMERA_DIR + 3] = Math.max(1e-6, Math.hypot(cdx, cdy, cdz));
 
-  // gridSize/cellSize (PAD0..PAD1 are zero-initialized and never mutated)
-  u[uf.GRID_SIZE] = r.gridSize;
+  // grid dimensions (vec3) + cellSize
+  u[uf.GRID_SIZE + 0] = r.gridDims[0];
+  u[uf.GRID_SIZE + 1] = r.gridDims[1];
+  u[uf.GRID_SIZE + 2] = r.gridDims[2];
   u[uf.CELL_SIZE] = r.cellSize;
 
-  // lantern (PAD2..PAD3 are zero-initialized and never mutated)
+  // lantern (PAD3 is zero-initialized and never mutated)
   u[uf.LANTERN_ENABLED] = r.lanternEnabled;
   u[uf.LANTERN_STRENGTH] = r.lanternStrength;
 
+  // Without cell ages (bit-packed grids, or before they are allocated) keep the height gradient.
+  u[uf.COLOR_MODE] = r.cellAgeBuffer ? r.cellColorMode : CELL_COLOR_MODE_HEIGHT;
+
   // time (seconds since renderer creation; PAD4..PAD6 are zero-initialized and never mutated)
   const nowMs =
     typeof performance !== "undefined" && performance.now ? performance.now() : Date.now();
   u[uf.TIME] = (nowMs - r._startTimeMs) * 0.001;
 
+  writeClipUniforms(r, u, u[uf.TIME]);
+
   // Haze: rgb + strength.
   // - Strength is a maximum blend amount in [0..0.30], clamped by setHazeStrength().
   // - Haze color is derived from the background gradient midpoint so the effect
@@ -4,6 +4,8 @@
  * These functions manage vertex/index data and small geometry-related vertex buffers.
  */
 
+import { SLICE_UV_AXES } from "../constants.js";
+
 /**
  * Create cube geometry buffers (vertex + index) used to render individual live cells.
  *
@@ -42,24 +44,29 @@ export function createCubeGeometry(r) {
 }
 
 /**
- * (Re)build the instance buffer used to render the outer grid projection faces.
+ * (Re)build the instance buffer used to render the outer grid projection faces, followed by
+ * the highlighted slice plane (r.slicePlane), the selection box (r.selectionBox) and the
+ * clipping box handles (r.clipBox, while r.clipBoxVisible) when there are any. Instances carry
+ * the highlight kind in center.w (1 slice, 2 selection, 3 clipping).
  *
  * @param {object} r Renderer instance (WebGPURenderer)
  */
 export function rebuildGridProjectionInstances(r) {
   if (!r.gridProjInstanceBuffer || !r.device) return;
 
-  const size = r.gridSize * r.cellSize;
-  const half = size * 0.5;
+  // Per-axis extents: non-cubic grids get box-shaped projection faces.
+  const sx = r.gridDims[0] * r.cellSize;
+  const sy = r.gridDims[1] * r.cellSize;
+  const sz = r.gridDims[2] * r.cellSize;
   const eps = r.cellSize * 0.02;
 
-  const d = new Float32Array(6 * 12);
+  const d = new Float32Array(r.gridProjMaxInstanceCount * 12);
   let o = 0;
-  const push = (cx, cy, cz, ux, uy, uz, vx, vy, vz) => {
+  const push = (cx, cy, cz, ux, uy, uz, vx, vy, vz, highlight = 0) => {
     d[o + 0] = cx;
     d[o + 1] = cy;
     d[o + 2] = cz;
-    d[o + 3] = 0;
+    d[o + 3] = highlight;
     d[o + 4] = ux;
     d[o + 5] = uy;
     d[o + 6] = uz;
@@ -72,18 +79,56 @@ export function rebuildGridProjectionInstances(r) {
   };
 
   // +X face
-  push(half + eps, 0, 0, 0, 0, size, 0, size, 0);
+  push(sx * 0.5 + eps, 0, 0, 0, 0, sz, 0, sy, 0);
   // -X face
-  push(-half - eps, 0, 0, 0, size, 0, 0, 0, size);
+  push(-sx * 0.5 - eps, 0, 0, 0, sy, 0, 0, 0, sz);
   // +Y face
-  push(0, half + eps, 0, size, 0, 0, 0, 0, size);
+  push(0, sy * 0.5 + eps, 0, sx, 0, 0, 0, 0, sz);
   // -Y face
-  push(0, -half - eps, 0, 0, 0, size, size, 0, 0);
+  push(0, -sy * 0.5 - eps, 0, 0, 0, sz, sx, 0, 0);
   // +Z face
-  push(0, 0, half + eps, 0, size, 0, size, 0, 0);
+  push(0, 0, sz * 0.5 + eps, 0, sy, 0, sx, 0, 0);
   // -Z face
-  push(0, 0, -half - eps, size, 0, 0, 0, size, 0);
+  push(0, 0, -sz * 0.5 - eps, sx, 0, 0, 0, sy, 0);
+
+  // Slice plane through the middle of its layer, once per winding (back faces are culled).
+  const plane = r.slicePlane;
+  if (plane && plane.index < r.gridDims[plane.axis]) {
+    const [ua, va] = SLICE_UV_AXES[plane.axis];
+    const c = [0, 0, 0];
+    const u = [0, 0, 0];
+    const v = [0, 0, 0];
+    c[plane.axis] = (plane.index + 0.5 - r.gridDims[plane.axis] * 0.5) * r.cellSize;
+    u[ua] = r.gridDims[ua] * r.cellSize;
+    v[va] = r.gridDims[va] * r.cellSize;
+    push(...c, ...u, ...v, 1);
+    push(...c, ...v, ...u, 1);
+  }
+
+  // Cell boxes: six faces each, once per winding so the far ones show through.
+  const pushBox = (box, highlight) => {
+    if (!box || !box.max.every((m, a) => m < r.gridDims[a])) return;
+    const size = [0, 1, 2].map((a) => (box.max[a] - box.min[a] + 1) * r.cellSize);
+    const mid = [0, 1, 2].map(
+      (a) => ((box.min[a] + box.max[a] + 1) * 0.5 - r.gridDims[a] * 0.5) * r.cellSize,
+    );
+    for (let a = 0; a < 3; a++) {
+      const [ua, va] = SLICE_UV_AXES[a];
+      const u = [0, 0, 0];
+      const v = [0, 0, 0];
+      u[ua] = size[ua];
+      v[va] = size[va];
+      for (const side of [-0.5, 0.5]) {
+        const c = mid.slice();
+        c[a] += side * size[a];
+        push(...c, ...u, ...v, highlight);
+        push(...c, ...v, ...u, highlight);
+      }
+    }
+  };
+  pushBox(r.selectionBox, 2);
+  if (r.clipBoxVisible) pushBox(r.clipBox, 3);
 
-  r.gridProjInstanceCount = 6;
+  r.gridProjInstanceCount = o / 12;
   r._queueWriteF32(r.gridProjInstanceBuffer, 0, d);
 }
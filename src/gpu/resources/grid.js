@@ -3,16 +3,22 @@ import {
   createReadbackResources,
   destroyReadbackResources,
 } from "../readback.js";
+import { createHistoryResources, destroyHistoryResources } from "./history.js";
 
 /**
  * Grid resource lifecycle helpers.
  *
  * This module owns creation and destruction of the buffers that scale with gridSize:
- *  - ping-pong cell state buffers
+ *  - ping-pong cell state buffers (u32 per cell, or bit-packed; see G3DL_LAYOUT.GRID)
  *  - living cell instance list + atomic counters
+ *  - cell ages (per cell and per listed live cell; u32 grids in the age color mode only)
  *  - per-grid parameter buffers
  *  - readback staging buffers (population/stats)
  *  - AABB readback resources (optional Screen show feature)
+ *  - active-region boxes, dispatch origin and indirect args
+ *  - cell edit params, result and staging buffers
+ *  - slice editor params, slice and staging buffers
+ *  - the generation history ring (see history.js)
  */
 
 /**
@@ -43,6 +49,10 @@ export function destroyGridResources(r) {
   // Living cell list + counters
   tryDestroy(r.livingCellsBuffer);
   r.livingCellsBuffer = null;
+  tryDestroy(r.cellAgeBuffer);
+  r.cellAgeBuffer = null;
+  tryDestroy(r.livingAgesBuffer);
+  r.livingAgesBuffer = null;
   tryDestroy(r.atomicCounterBuffer);
   r.atomicCounterBuffer = null;
   tryDestroy(r.changeCounterBuffer);
@@ -69,6 +79,43 @@ export function destroyGridResources(r) {
   r.aabbReadbackPromise = null;
   r.lastAabb = null;
 
+  // Active-region stepping
+  if (r.activeBoxBuffers) {
+    for (let i = 0; i < r.activeBoxBuffers.length; i++) {
+      tryDestroy(r.activeBoxBuffers[i]);
+      r.activeBoxBuffers[i] = null;
+    }
+  }
+  tryDestroy(r.activeOriginBuffer);
+  r.activeOriginBuffer = null;
+  tryDestroy(r.activeArgsBuffer);
+  r.activeArgsBuffer = null;
+  r.activeRegionBindGroups = [null, null];
+  r.activeBoxBindGroups = [null, null];
+  r._activeRegionValid = false;
+
+  destroyHistoryResources(r);
+
+  // Cell editing (the staging buffer may have been mapped)
+  tryUnmap(r.editStagingBuffer);
+  tryDestroy(r.editStagingBuffer);
+  r.editStagingBuffer = null;
+  tryDestroy(r.editResultBuffer);
+  r.editResultBuffer = null;
+  tryDestroy(r.editParamsBuffer);
+  r.editParamsBuffer = null;
+  r.editBindGroups = [null, null];
+
+  // Slice editor (the staging buffer may have been mapped)
+  tryUnmap(r.sliceStagingBuffer);
+  tryDestroy(r.sliceStagingBuffer);
+  r.sliceStagingBuffer = null;
+  tryDestroy(r.sliceBuffer);
+  r.sliceBuffer = null;
+  tryDestroy(r.sliceParamsBuffer);
+  r.sliceParamsBuffer = null;
+  r.sliceBindGroups = [null, null];
+
   // Per-grid parameter buffers
   tryDestroy(r.computeParamsBuffer);
   r.computeParamsBuffer = null;
@@ -83,7 +130,30 @@ export function destroyGridResources(r) {
 }
 
 /**
- * Allocate all grid-sized buffers for the current gridSize.
+ * Allocate the cell ages for the current u32 grid (created zeroed): one per grid cell and one
+ * per listed live cell, replacing the stand-in list. Called once the age color mode needs them
+ * (see WebGPURenderer._ensureCellAges()); bind groups must be rebuilt afterwards.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ */
+export function createCellAgeBuffers(r) {
+  if (r.gridPacked || r.cellAgeBuffer) return;
+  const total = r.gridDims[0] * r.gridDims[1] * r.gridDims[2];
+  try {
+    if (r.livingAgesBuffer) r.livingAgesBuffer.destroy();
+  } catch (_) {}
+  r.cellAgeBuffer = r._createBuffer("cellAgeBuffer", {
+    size: total * 4,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+  });
+  r.livingAgesBuffer = r._createBuffer("livingAgesBuffer", {
+    size: r.maxCells * 4,
+    usage: GPUBufferUsage.STORAGE,
+  });
+}
+
+/**
+ * Allocate all grid-sized buffers for the current gridDims.
  *
  * @param {object} r Renderer instance (WebGPURenderer)
  */
@@ -91,22 +161,32 @@ export function createGridBuffers(r) {
   // Clean up old GPU resources to avoid leaks when resizing the grid
   destroyGridResources(r);
 
-  const total = r.gridSize ** 3;
+  const total = r.gridDims[0] * r.gridDims[1] * r.gridDims[2];
+  const gridBytes = G3DL_LAYOUT.GRID.bufferBytes(r.gridDims, r.gridPacked);
 
   for (let i = 0; i < 2; i++) {
     r.gridBuffers[i] = r._createBuffer(`gridBuffer[${i}]`, {
-      size: total * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      size: gridBytes,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
     });
   }
 
-  const maxCells = total;
+  // Large (packed) grids cap the drawn instances; the population counter stays exact.
+  const maxCells = Math.min(total, r.maxDrawnCells);
   r.livingCellsBuffer = r._createBuffer("livingCellsBuffer", {
     size: maxCells * 4,
-    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
   });
   r.maxCells = maxCells;
 
+  // Cell ages cost two more grid-sized buffers, so they are only allocated once the age color
+  // mode needs them (see createCellAgeBuffers()). Until then the render bind group gets a
+  // one-entry stand-in list that the height color mode never reads.
+  r.livingAgesBuffer = r._createBuffer("livingAgesBuffer", {
+    size: 4,
+    usage: GPUBufferUsage.STORAGE,
+  });
+
   r.atomicCounterBuffer = r._createBuffer("atomicCounterBuffer", {
     size: 4,
     usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
@@ -146,6 +226,23 @@ export function createGridBuffers(r) {
   r.aabbReadbackPromise = null;
   r.lastAabb = null;
 
+  // Active-region stepping: one live-cell box per grid buffer, plus the GPU-written dispatch
+  // origin (zero = full grid, as created) and indirect args. Boxes are filled on first use.
+  for (let i = 0; i < 2; i++) {
+    r.activeBoxBuffers[i] = r._createBuffer(`activeBoxBuffer[${i}]`, {
+      size: G3DL_LAYOUT.ACTIVE_REGION.BOX_BYTES,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+  }
+  r.activeOriginBuffer = r._createBuffer("activeOriginBuffer", {
+    size: G3DL_LAYOUT.ACTIVE_REGION.ORIGIN_BYTES,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+  });
+  r.activeArgsBuffer = r._createBuffer("activeArgsBuffer", {
+    size: G3DL_LAYOUT.ACTIVE_REGION.ARGS_BYTES,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDIRECT,
+  });
+
   // Update indirect draw args params (maxCells may have changed)
   r._updateDrawArgsParams();
 
@@ -166,4 +263,37 @@ export function createGridBuffers(r) {
     size: G3DL_LAYOUT.PARAMS.INIT.BYTES,
     usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
   });
+
+  // Cell editing: ray params, the kernel's result and its readback copy.
+  r.editParamsBuffer = r._createBuffer("editParamsBuffer", {
+    size: G3DL_LAYOUT.PARAMS.EDIT.BYTES,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+  });
+  r.editResultBuffer = r._createBuffer("editResultBuffer", {
+    size: G3DL_LAYOUT.EDIT_RESULT.BYTES,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+  });
+  r.editStagingBuffer = r._createBuffer("editStagingBuffer", {
+    size: G3DL_LAYOUT.EDIT_RESULT.BYTES,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+
+  // Slice editor: params, one u32 state per cell of the largest grid face, and its readback.
+  const [gx, gy, gz] = r.gridDims;
+  const sliceBytes = Math.max(gx * gy, gx * gz, gy * gz) * 4;
+  r.sliceParamsBuffer = r._createBuffer("sliceParamsBuffer", {
+    size: G3DL_LAYOUT.PARAMS.SLICE.BYTES,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+  });
+  r.sliceBuffer = r._createBuffer("sliceBuffer", {
+    size: sliceBytes,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+  });
+  r.sliceStagingBuffer = r._createBuffer("sliceStagingBuffer", {
+    size: sliceBytes,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+
+  // History gets whatever memory budget the buffers above leave.
+  createHistoryResources(r);
 }
@@ -0,0 +1,111 @@
+import { G3DL_LAYOUT } from "../dataLayout.js";
+
+/**
+ * Generation history ring (Step Back).
+ *
+ * Each entry is a full copy of a grid buffer, taken on the GPU at the start of a step (so it
+ * holds the state *before* that step) together with its generation number. Entries are popped
+ * newest-first by stepBack(); stepping forward again after a pop reuses the freed slots.
+ *
+ * The ring is sized from the memory budget left over by the grid resources (see
+ * historyDepthForBudget), so large grids get a shallower history, possibly none.
+ * Buffers are allocated through the renderer's BufferManager like all grid-sized resources.
+ */
+
+/**
+ * Entries that fit next to the current grid resources, capped at the requested depth.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ * @returns {number}
+ */
+export function historyDepthForBudget(r) {
+  const gridBytes = G3DL_LAYOUT.GRID.bufferBytes(r.gridDims, r.gridPacked);
+  if (!(gridBytes > 0)) return 0;
+  // Two grid buffers and the live-cell list, plus the cell ages once allocated.
+  const ageBytes = r.cellAgeBuffer ? gridBytes + r.maxCells * 4 : 0;
+  const usedBytes = 2 * gridBytes + r.maxCells * 4 + ageBytes;
+  const freeBytes = Math.max(0, r.memoryBudgetBytes - usedBytes);
+  return Math.max(0, Math.min(r.historyDepthRequested, Math.floor(freeBytes / gridBytes)));
+}
+
+/**
+ * Destroy the history ring and forget all entries.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ */
+export function destroyHistoryResources(r) {
+  for (const b of r.historyBuffers) {
+    try {
+      if (b) b.destroy();
+    } catch (_) {}
+  }
+  r.historyBuffers = [];
+  r.historyGenerations = [];
+  r.historyDepth = 0;
+  clearHistory(r);
+}
+
+/**
+ * (Re)allocate the history ring for the current grid and requested depth.
+ * Existing entries are dropped.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ */
+export function createHistoryResources(r) {
+  destroyHistoryResources(r);
+
+  const depth = historyDepthForBudget(r);
+  const gridBytes = G3DL_LAYOUT.GRID.bufferBytes(r.gridDims, r.gridPacked);
+  for (let i = 0; i < depth; i++) {
+    r.historyBuffers.push(
+      r._createBuffer(`historyBuffer[${i}]`, {
+        size: gridBytes,
+        usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+      }),
+    );
+  }
+  r.historyGenerations = new Array(depth).fill(0);
+  r.historyDepth = depth;
+}
+
+/**
+ * Forget all entries (e.g. on a new random state) without releasing memory.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ */
+export function clearHistory(r) {
+  r.historyHead = 0;
+  r.historyCount = 0;
+}
+
+/**
+ * Encode a copy of grid buffer `bufIdx` (at generation r.generation) into the ring,
+ * overwriting the oldest entry when full.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ * @param {GPUCommandEncoder} encoder
+ * @param {number} bufIdx
+ */
+export function encodeHistoryPush(r, encoder, bufIdx) {
+  if (r.historyDepth === 0) return;
+  const slot = r.historyHead;
+  const gridBytes = G3DL_LAYOUT.GRID.bufferBytes(r.gridDims, r.gridPacked);
+  encoder.copyBufferToBuffer(r.gridBuffers[bufIdx], 0, r.historyBuffers[slot], 0, gridBytes);
+  r.historyGenerations[slot] = r.generation;
+  r.historyHead = (slot + 1) % r.historyDepth;
+  r.historyCount = Math.min(r.historyCount + 1, r.historyDepth);
+}
+
+/**
+ * Remove the newest entry.
+ *
+ * @param {object} r Renderer instance (WebGPURenderer)
+ * @returns {{ buffer: GPUBuffer, generation: number } | null}
+ */
+export function popHistory(r) {
+  if (r.historyCount === 0) return null;
+  const slot = (r.historyHead + r.historyDepth - 1) % r.historyDepth;
+  r.historyHead = slot;
+  r.historyCount--;
+  return { buffer: r.historyBuffers[slot], generation: r.historyGenerations[slot] };
+}
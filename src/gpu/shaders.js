@@ -11,6 +11,36 @@
  */
 
 import { G3DL_LAYOUT } from "./dataLayout.js";
+import {
+  MOORE_NEIGHBOR_MASK,
+  MAX_NEIGHBOR_RADIUS,
+  NEIGHBOR_SHAPE_SPHERE,
+  LTL_TILE_SIZE,
+  MAX_RULE_RANGES,
+  BOUNDARY_WRAP,
+  BOUNDARY_ALIVE,
+  BOUNDARY_MIRROR,
+  BOUNDARY_AXIS_BITS,
+  INIT_SHAPE_SPHERE,
+  INIT_SHAPE_SHELL,
+  INIT_SHAPE_CYLINDER,
+  INIT_SHAPE_SLAB,
+  INIT_SHAPE_PLANE,
+  INIT_SHELL_CELLS,
+  INIT_SLAB_CELLS,
+  INIT_SYMMETRY_NONE,
+  INIT_SYMMETRY_MIRROR_X,
+  INIT_SYMMETRY_MIRROR_XYZ,
+  INIT_SYMMETRY_ROTATE_2,
+  INIT_SYMMETRY_ROTATE_4,
+  INIT_FILL_NOISE,
+  EDIT_MODE_ADD,
+  EDIT_MODE_PICK,
+  CELL_AGE_MAX,
+  CELL_COLOR_MODE_AGE,
+  SLICE_MODE_WRITE,
+  SLICE_WORKGROUP_SIZE,
+} from "./constants.js";
 
 // ES module note:
 // This file is intentionally a pure module (no global wrappers / IIFEs).
@@ -59,23 +89,159 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
     }
   }
 
+  /**
+   * Rule evaluation shared by both simulation kernels (expects `params: Params` in scope).
+   *
+   * Survive/birth rules are lists of inclusive neighbor-count ranges packed two per vec4:
+   * range i lives in ranges[i / 2].xy (even i) or .zw (odd i).
+   */
+  function simulationRules() {
+    return wgsl`
+        fn inRange(packed: vec4<u32>, odd: bool, count: u32) -> bool {
+            let r = select(packed.xy, packed.zw, odd);
+            return count >= r.x && count <= r.y;
+        }
+
+        fn survives(count: u32) -> bool {
+            let n = min(params.surviveRangeCount, ${MAX_RULE_RANGES}u);
+            for (var i = 0u; i < n; i++) {
+                if (inRange(params.surviveRanges[i >> 1u], (i & 1u) != 0u, count)) { return true; }
+            }
+            return false;
+        }
+
+        fn isBorn(count: u32) -> bool {
+            let n = min(params.birthRangeCount, ${MAX_RULE_RANGES}u);
+            for (var i = 0u; i < n; i++) {
+                if (inRange(params.birthRanges[i >> 1u], (i & 1u) != 0u, count)) { return true; }
+            }
+            return false;
+        }
+
+        // Next state of a cell in state curr with the given number of alive neighbors.
+        fn nextState(curr: u32, neighbors: u32, stateCount: u32) -> u32 {
+            if (curr == 1u) {
+                if (survives(neighbors)) { return 1u; }
+                return select(0u, 2u, stateCount > 2u);
+            }
+            if (curr == 0u) {
+                return select(0u, 1u, isBorn(neighbors));
+            }
+            // Dying: advance through the refractory states, then die.
+            return select(0u, curr + 1u, curr + 1u < stateCount);
+        }
+
+        // Age after a step from curr to next (see CELL_AGE_MAX): one more generation while
+        // the cell stays alive, 0 otherwise (births included).
+        fn nextAge(age: u32, curr: u32, next: u32) -> u32 {
+            return select(0u, min(age + 1u, ${CELL_AGE_MAX}u), curr == 1u && next == 1u);
+        }
+    `;
+  }
+
+  /**
+   * Bit-packed grid addressing (see G3DL_LAYOUT.GRID): X rows padded to whole u32 words,
+   * one bit per cell. Expects Params and gridIn to be declared by the including shader.
+   */
+  function packedGridAccess() {
+    return wgsl`
+        fn wordsPerRow() -> u32 {
+            return (params.gridSize.x + 31u) / 32u;
+        }
+
+        // Index of the word holding cells 32*wx..32*wx+31 of row (y, z).
+        fn wordIndex(wx: u32, y: u32, z: u32) -> u32 {
+            return wx + (y + z * params.gridSize.y) * wordsPerRow();
+        }
+
+        fn packedCell(x: u32, y: u32, z: u32) -> u32 {
+            return (gridIn[wordIndex(x >> 5u, y, z)] >> (x & 31u)) & 1u;
+        }
+    `;
+  }
+
+  /**
+   * Boundary handling shared by the simulation kernels: maps neighbor coordinates that fall
+   * outside the grid through the per-axis modes packed in params.boundary (BOUNDARY_* in
+   * constants.js). Expects Params and gridIn to be declared by the including shader (and
+   * packedGridAccess() when packed).
+   */
+  function boundaryRules({ packed = false } = {}) {
+    const readCell = packed
+      ? "return packedCell(u32(x), u32(y), u32(z));"
+      : "return select(0u, 1u, gridIn[u32(x) + u32(y) * gs.x + u32(z) * gs.x * gs.y] == 1u);";
+    return wgsl`
+        const OUTSIDE_DEAD: i32 = -1;
+        const OUTSIDE_ALIVE: i32 = -2;
+
+        // Reflect c back into 0..size-1 (-1 reads 0, size reads size-1). The period is 2*size,
+        // so offsets wider than the axis still land inside.
+        fn mirrorCoord(c: i32, size: i32) -> i32 {
+            let p = 2 * size;
+            let m = ((c % p) + p) % p;
+            return select(m, p - 1 - m, m >= size);
+        }
+
+        // Map coordinate c on an axis (0=x, 1=y, 2=z) into 0..size-1, or OUTSIDE_DEAD/OUTSIDE_ALIVE.
+        fn boundaryCoord(c: i32, size: i32, axis: u32) -> i32 {
+            if (c >= 0 && c < size) { return c; }
+            let mode = (params.boundary >> (axis * ${BOUNDARY_AXIS_BITS}u)) & 3u;
+            switch mode {
+                case ${BOUNDARY_WRAP}u: { return ((c % size) + size) % size; }
+                case ${BOUNDARY_ALIVE}u: { return OUTSIDE_ALIVE; }
+                case ${BOUNDARY_MIRROR}u: { return mirrorCoord(c, size); }
+                default: { return OUTSIDE_DEAD; }
+            }
+        }
+
+        // 1 if the neighbor at mapped coordinates (from boundaryCoord) counts as alive.
+        // A dead-boundary axis wins over an alive-boundary axis.
+        fn neighborAlive(x: i32, y: i32, z: i32) -> u32 {
+            if (x == OUTSIDE_DEAD || y == OUTSIDE_DEAD || z == OUTSIDE_DEAD) { return 0u; }
+            if (x < 0 || y < 0 || z < 0) { return 1u; }
+            let gs = params.gridSize;
+            // Dying cells are refractory: only fully alive (1) cells count.
+            ${readCell}
+        }
+    `;
+  }
+
   /**
    * Simulation compute shader
    * ------------------------
-   * Updates a 3D u32 grid (0=dead, 1=alive), with a 26-neighborhood rule.
+   * Updates a 3D u32 grid using the neighbors selected by a 3x3x3 mask
+   * (Moore/26 by default; von Neumann/6, faces+edges/18 or a custom mask).
+   *
+   * Cell states ("Generations" rules):
+   *  - 0 = dead, 1 = alive, 2..stateCount-1 = dying (refractory).
+   *  - Only alive cells count as neighbors.
+   *  - An alive cell that fails the survive rule starts dying (or dies at once when stateCount=2).
+   *  - Dying cells advance one state per generation and become dead after the last one.
    *
    * Bindings (group(0)):
    *  - binding(0): uniform Params
-   *      gridSize      : u32   // cubic dimension (N)
-   *      surviveRule   : u32   // bitmask: if bit[count] set => alive cell survives
-   *      birthRule     : u32   // bitmask: if bit[count] set => dead cell becomes alive
-   *      toroidal      : u32   // 1=toroidal wrap, 0=hard edges
-   *      changeEnabled : u32   // 1=set changeCount non-zero on any state flip
+   *      gridSize      : vec3<u32> // grid dimensions (X, Y, Z); cells are x-major, then y, then z
+   *      surviveRangeCount / surviveRanges : alive cell survives if count is in any range
+   *      birthRangeCount / birthRanges     : dead cell becomes alive if count is in any range
+   *      boundary      : u32   // per-axis boundary modes, 2 bits per axis (dead/wrap/alive/mirror)
+   *      changeEnabled : u32   // 1=set changeCount non-zero on any state change
+   *      stateCount    : u32   // number of states (2=classic Life; 0 is treated as 2)
+   *      neighborMask  : u32   // bit (dx+1)+(dy+1)*3+(dz+1)*9 set => neighbor counted (0 => Moore)
+   *      radius/shape  : u32   // unused here (radius > 1 runs simulationLtL instead)
    *  - binding(1): storage, read       gridIn  : array<u32>  // generation n
    *  - binding(2): storage, read_write gridOut : array<u32>  // generation n+1
    *  - binding(3): storage, read_write changeCount : atomic<u32> // binary change flag (0/1)
+   *  - binding(4): storage, read       activeOrigin : vec4<u32>  // dispatch origin (cells; 0 = full grid)
+   *  - binding(5): storage, read_write cellAges : array<u32>     // per-cell age, updated in place
+   *
+   * ages=false builds the variant without the cellAges binding, used until the age color mode
+   * is first selected (see WebGPURenderer.setCellColorMode()).
+   *
+   * Invocations are offset by activeOrigin so an active-region step (see activeRegion()) can
+   * dispatch only the box around the live cells. Cells outside it are dead, so their age is
+   * already 0.
    */
-  function simulation({ workgroupSize }) {
+  function simulation({ workgroupSize, ages = false }) {
     validateWorkgroupSize(workgroupSize);
     return wgsl`
         ${G3DL_LAYOUT.PARAMS.SIM.WGSL_STRUCT}
@@ -83,19 +249,28 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
         @group(0) @binding(1) var<storage, read> gridIn: array<u32>;
         @group(0) @binding(2) var<storage, read_write> gridOut: array<u32>;
         @group(0) @binding(3) var<storage, read_write> changeCount: atomic<u32>;
+        @group(0) @binding(4) var<storage, read> activeOrigin: vec4<u32>;
+        ${ages ? "@group(0) @binding(5) var<storage, read_write> cellAges: array<u32>;" : ""}
 
-        @compute @workgroup_size(${workgroupSize.x}, ${workgroupSize.y}, ${workgroupSize.z})
-        fn main(@builtin(global_invocation_id) id: vec3<u32>) {
-            if (id.x >= params.gridSize || id.y >= params.gridSize || id.z >= params.gridSize) { return; }
+        ${simulationRules()}
 
+        ${boundaryRules()}
+
+        @compute @workgroup_size(${workgroupSize.x}, ${workgroupSize.y}, ${workgroupSize.z})
+        fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+            let id = gid + activeOrigin.xyz;
             let gs = params.gridSize;
-            let plane = gs * gs;
-            let idx0 = id.x + id.y * gs + id.z * plane;
+            if (any(id >= gs)) { return; }
+
+            let plane = gs.x * gs.y;
+            let idx0 = id.x + id.y * gs.x + id.z * plane;
+            let stateCount = max(params.stateCount, 2u);
+            let nmask = select(params.neighborMask, ${MOORE_NEIGHBOR_MASK}u, params.neighborMask == 0u);
 
             // Current cell is always in-bounds here; read directly.
             let curr = gridIn[idx0];
 
-            let size = i32(gs);
+            let size = vec3<i32>(gs);
             let x0 = i32(id.x);
             let y0 = i32(id.y);
             let z0 = i32(id.z);
@@ -103,43 +278,26 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
             var neighbors = 0u;
 
             for (var dz: i32 = -1; dz <= 1; dz++) {
-                var z = z0 + dz;
-                if (params.toroidal != 0u) {
-                    if (z < 0) { z += size; } else if (z >= size) { z -= size; }
-                } else {
-                    if (z < 0 || z >= size) { continue; }
-                }
+                let z = boundaryCoord(z0 + dz, size.z, 2u);
+                if (z == OUTSIDE_DEAD) { continue; }
 
                 for (var dy: i32 = -1; dy <= 1; dy++) {
-                    var y = y0 + dy;
-                    if (params.toroidal != 0u) {
-                        if (y < 0) { y += size; } else if (y >= size) { y -= size; }
-                    } else {
-                        if (y < 0 || y >= size) { continue; }
-                    }
+                    let y = boundaryCoord(y0 + dy, size.y, 1u);
+                    if (y == OUTSIDE_DEAD) { continue; }
 
                     for (var dx: i32 = -1; dx <= 1; dx++) {
                         if (dx == 0 && dy == 0 && dz == 0) { continue; }
+                        let nbit = u32((dx + 1) + (dy + 1) * 3 + (dz + 1) * 9);
+                        if (((nmask >> nbit) & 1u) == 0u) { continue; }
 
-                        var x = x0 + dx;
-                        if (params.toroidal != 0u) {
-                            if (x < 0) { x += size; } else if (x >= size) { x -= size; }
-                        } else {
-                            if (x < 0 || x >= size) { continue; }
-                        }
-
-                        let nidx = u32(x) + u32(y) * gs + u32(z) * plane;
-                        neighbors += gridIn[nidx];
+                        neighbors += neighborAlive(boundaryCoord(x0 + dx, size.x, 0u), y, z);
                     }
                 }
             }
 
-            var next = 0u;
-            let bit = 1u << neighbors;
-            if (curr != 0u && (params.surviveRule & bit) != 0u) { next = 1u; }
-            else if (curr == 0u && (params.birthRule & bit) != 0u) { next = 1u; }
-
+            let next = nextState(curr, neighbors, stateCount);
             gridOut[idx0] = next;
+            ${ages ? "cellAges[idx0] = nextAge(cellAges[idx0], curr, next);" : ""}
 
             // Fold change detection into the main compute pass.
             if (params.changeEnabled != 0u && curr != next) {
@@ -152,21 +310,236 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
     `;
   }
 
+  /**
+   * Bit-packed simulation compute shader
+   * -----------------------------------
+   * simulation() for the packed grid layout (G3DL_LAYOUT.GRID): one invocation per u32 word,
+   * i.e. a run of up to 32 cells along X. Each neighbor row is read as one word; only the
+   * neighbors left and right of the run go through the boundary mapping.
+   *
+   * A bit holds only alive/dead, so this kernel always runs 2-state rules (stateCount is ignored).
+   * Same Params and bindings as simulation() but without cellAges (packed grids track no ages);
+   * gridIn/gridOut hold packed words.
+   */
+  function simulationPacked({ workgroupSize }) {
+    validateWorkgroupSize(workgroupSize);
+    return wgsl`
+        ${G3DL_LAYOUT.PARAMS.SIM.WGSL_STRUCT}
+        @group(0) @binding(0) var<uniform> params: Params;
+        @group(0) @binding(1) var<storage, read> gridIn: array<u32>;
+        @group(0) @binding(2) var<storage, read_write> gridOut: array<u32>;
+        @group(0) @binding(3) var<storage, read_write> changeCount: atomic<u32>;
+        @group(0) @binding(4) var<storage, read> activeOrigin: vec4<u32>;
+
+        ${simulationRules()}
+
+        ${packedGridAccess()}
+
+        ${boundaryRules({ packed: true })}
+
+        @compute @workgroup_size(${workgroupSize.x}, ${workgroupSize.y}, ${workgroupSize.z})
+        fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+            let id = gid + vec3<u32>(activeOrigin.x >> 5u, activeOrigin.yz);
+            let gs = params.gridSize;
+            if (id.x >= wordsPerRow() || id.y >= gs.y || id.z >= gs.z) { return; }
+
+            let nmask = select(params.neighborMask, ${MOORE_NEIGHBOR_MASK}u, params.neighborMask == 0u);
+            let size = vec3<i32>(gs);
+            let x0 = i32(id.x * 32u);
+            // Cells of this word inside the grid (the last word of a row may be partial).
+            let n = min(32u, gs.x - id.x * 32u);
+            let y0 = i32(id.y);
+            let z0 = i32(id.z);
+
+            var counts: array<u32, 32>;
+
+            for (var dz: i32 = -1; dz <= 1; dz++) {
+                let z = boundaryCoord(z0 + dz, size.z, 2u);
+                if (z == OUTSIDE_DEAD) { continue; }
+
+                for (var dy: i32 = -1; dy <= 1; dy++) {
+                    let y = boundaryCoord(y0 + dy, size.y, 1u);
+                    if (y == OUTSIDE_DEAD) { continue; }
+
+                    // This word's run in the neighbor row (all alive past an alive boundary).
+                    var row = 0xFFFFFFFFu;
+                    if (y >= 0 && z >= 0) { row = gridIn[wordIndex(id.x, u32(y), u32(z))]; }
+
+                    for (var dx: i32 = -1; dx <= 1; dx++) {
+                        if (dx == 0 && dy == 0 && dz == 0) { continue; }
+                        let nbit = u32((dx + 1) + (dy + 1) * 3 + (dz + 1) * 9);
+                        if (((nmask >> nbit) & 1u) == 0u) { continue; }
+
+                        for (var b = 0u; b < n; b++) {
+                            let xb = i32(b) + dx;
+                            if (xb >= 0 && xb < i32(n)) {
+                                counts[b] += (row >> u32(xb)) & 1u;
+                            } else {
+                                counts[b] += neighborAlive(boundaryCoord(x0 + xb, size.x, 0u), y, z);
+                            }
+                        }
+                    }
+                }
+            }
+
+            let idx = wordIndex(id.x, id.y, id.z);
+            let curr = gridIn[idx];
+            var next = 0u;
+            for (var b = 0u; b < n; b++) {
+                next |= nextState((curr >> b) & 1u, counts[b], 2u) << b;
+            }
+            gridOut[idx] = next;
+
+            if (params.changeEnabled != 0u && curr != next) {
+                atomicOr(&changeCount, 1u);
+            }
+        }
+    `;
+  }
+
+  /**
+   * Larger-than-Life simulation compute shader
+   * -----------------------------------------
+   * Same Params, bindings, state transitions and ages as simulation(), but counts alive cells in
+   * a radius-R cube ((2R+1)^3 - 1 neighbors) or sphere (dx²+dy²+dz² <= R², center excluded),
+   * for R in 2..MAX_NEIGHBOR_RADIUS.
+   *
+   * Tiling: each ${LTL_TILE_SIZE}^3 workgroup first stages its block plus an R-cell halo in workgroup
+   * memory (one alive flag per cell, boundary mode applied while loading), then every invocation
+   * sums its neighborhood from that tile. This turns ~(2R+1)^3 storage reads per cell into
+   * ~((T+2R)/T)^3, which is what keeps R=5 (1330 neighbors) interactive.
+   *
+   * The workgroup size is fixed (not device-tuned) because it sizes the shared tile.
+   *
+   * ages=true adds the cellAges binding, as in simulation(). packed=true builds the variant for
+   * the bit-packed grid layout (2-state rules only, never with ages). Words are shared between
+   * workgroups, so cells are set with atomicOr: the caller must clear gridOut before each
+   * dispatch.
+   */
+  function simulationLtL({ packed = false, ages = false } = {}) {
+    const withAges = ages && !packed;
+    const T = LTL_TILE_SIZE;
+    const span = T + 2 * MAX_NEIGHBOR_RADIUS;
+    const update = packed
+      ? wgsl`
+            let curr = packedCell(id.x, id.y, id.z);
+            let next = nextState(curr, neighbors, 2u);
+            if (next != 0u) {
+                atomicOr(&gridOut[wordIndex(id.x >> 5u, id.y, id.z)], 1u << (id.x & 31u));
+            }`
+      : wgsl`
+            let idx0 = id.x + id.y * gs.x + id.z * plane;
+            let curr = gridIn[idx0];
+            let next = nextState(curr, neighbors, max(params.stateCount, 2u));
+            gridOut[idx0] = next;
+            ${withAges ? "cellAges[idx0] = nextAge(cellAges[idx0], curr, next);" : ""}`;
+    return wgsl`
+        ${G3DL_LAYOUT.PARAMS.SIM.WGSL_STRUCT}
+        @group(0) @binding(0) var<uniform> params: Params;
+        @group(0) @binding(1) var<storage, read> gridIn: array<u32>;
+        @group(0) @binding(2) var<storage, read_write> gridOut: ${packed ? "array<atomic<u32>>" : "array<u32>"};
+        @group(0) @binding(3) var<storage, read_write> changeCount: atomic<u32>;
+        @group(0) @binding(4) var<storage, read> activeOrigin: vec4<u32>;
+        ${withAges ? "@group(0) @binding(5) var<storage, read_write> cellAges: array<u32>;" : ""}
+
+        ${simulationRules()}
+
+        ${packed ? packedGridAccess() : ""}
+
+        ${boundaryRules({ packed })}
+
+        const TILE: u32 = ${T}u;
+        const MAX_RADIUS: u32 = ${MAX_NEIGHBOR_RADIUS}u;
+        // Alive flags for the block + halo; sized for MAX_RADIUS, indexed with the runtime span.
+        var<workgroup> tile: array<u32, ${span * span * span}>;
+
+        // Largest w with w*w <= v (v >= 0).
+        fn isqrt(v: i32) -> i32 {
+            var w = i32(sqrt(f32(v)));
+            if (w * w > v) { w -= 1; }
+            if ((w + 1) * (w + 1) <= v) { w += 1; }
+            return w;
+        }
+
+        @compute @workgroup_size(${T}, ${T}, ${T})
+        fn main(
+            @builtin(local_invocation_id) lid: vec3<u32>,
+            @builtin(local_invocation_index) lidx: u32,
+            @builtin(workgroup_id) wid: vec3<u32>,
+        ) {
+            let gs = params.gridSize;
+            let plane = gs.x * gs.y;
+            let size = vec3<i32>(gs);
+            let r = clamp(params.radius, 1u, MAX_RADIUS);
+            let span = TILE + 2u * r;
+            let spanPlane = span * span;
+            let block = wid * TILE + activeOrigin.xyz;
+            let id = block + lid;
+            let origin = vec3<i32>(block) - vec3<i32>(i32(r));
+
+            // 1) Cooperative load of the tile (every invocation participates, even past the grid edge).
+            for (var t = lidx; t < spanPlane * span; t += TILE * TILE * TILE) {
+                let x = boundaryCoord(origin.x + i32(t % span), size.x, 0u);
+                let y = boundaryCoord(origin.y + i32((t / span) % span), size.y, 1u);
+                let z = boundaryCoord(origin.z + i32(t / spanPlane), size.z, 2u);
+                tile[t] = neighborAlive(x, y, z);
+            }
+            workgroupBarrier();
+
+            if (any(id >= gs)) { return; }
+
+            // 2) Sum the neighborhood from the tile, one x-run per (dy, dz) row.
+            let ri = i32(r);
+            let c = vec3<i32>(lid) + vec3<i32>(ri);
+            let sphere = params.shape == ${NEIGHBOR_SHAPE_SPHERE}u;
+            var neighbors = 0u;
+            for (var dz: i32 = -ri; dz <= ri; dz++) {
+                for (var dy: i32 = -ri; dy <= ri; dy++) {
+                    var w = ri;
+                    if (sphere) {
+                        let rem = ri * ri - dy * dy - dz * dz;
+                        if (rem < 0) { continue; }
+                        w = isqrt(rem);
+                    }
+                    let row = u32(c.z + dz) * spanPlane + u32(c.y + dy) * span;
+                    for (var x = c.x - w; x <= c.x + w; x++) {
+                        neighbors += tile[row + u32(x)];
+                    }
+                }
+            }
+            // The center cell is inside every row sweep above; it is not its own neighbor.
+            let center = u32(c.x) + u32(c.y) * span + u32(c.z) * spanPlane;
+            neighbors -= tile[center];
+${update}
+
+            if (params.changeEnabled != 0u && curr != next) {
+                atomicOr(&changeCount, 1u);
+            }
+        }
+    `;
+  }
+
   /**
    * Extract live cells compute shader
    * --------------------------------
-   * Scans the grid and compacts live cells into a packed u32 list.
+   * Scans the grid and compacts live (and dying) cells into a packed u32 list.
    *
-   * Packing: x (10 bits) | y (10 bits) << 10 | z (10 bits) << 20.
-   * This supports gridSize up to 1024 (renderer clamps to <= 256 today).
+   * Packing: x (10 bits) | y (10 bits) << 10 | z (10 bits) << 20 | decay (2 bits) << 30.
+   * This supports grid dimensions up to 1024 per axis (MAX_PACKED_GRID_SIZE).
+   * decay is 0 for alive cells and 1..3 for dying states (quantized over the state range).
+   * With ages=true, each cell's age is also written to the same index of the parallel cellAges
+   * list (bindings 5 and 6 exist only in that variant).
    *
    * Bindings (group(0)):
-   *  - binding(0): uniform Params { gridSize, maxCells, ... }
+   *  - binding(0): uniform Params { gridSize (vec3), maxCells, stateCount, ... }
    *  - binding(1): storage, read       grid   : array<u32>
    *  - binding(2): storage, read_write cells  : array<u32>   // packed XYZ
    *  - binding(3): storage, read_write counter: atomic<u32>  // population
+   *  - binding(4): storage, read       activeOrigin: vec4<u32> // dispatch origin (as in simulation())
+   *  - binding(5): storage, read       ages   : array<u32>   // per-cell age (see simulation())
+   *  - binding(6): storage, read_write cellAges: array<u32>  // age per listed cell
    */
-  function extract({ workgroupSize }) {
+  function extract({ workgroupSize, ages = false }) {
     validateWorkgroupSize(workgroupSize);
     return wgsl`
             ${G3DL_LAYOUT.PARAMS.EXTRACT.WGSL_STRUCT}
@@ -174,15 +547,28 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
             @group(0) @binding(1) var<storage, read> grid: array<u32>;
             @group(0) @binding(2) var<storage, read_write> cells: array<u32>;
             @group(0) @binding(3) var<storage, read_write> counter: atomic<u32>;
+            @group(0) @binding(4) var<storage, read> activeOrigin: vec4<u32>;
+            ${ages ? "@group(0) @binding(5) var<storage, read> ages: array<u32>;" : ""}
+            ${ages ? "@group(0) @binding(6) var<storage, read_write> cellAges: array<u32>;" : ""}
+
+            // Map dying states 2..stateCount-1 onto decay levels 1..3 (0 = alive).
+            fn decayLevel(s: u32) -> u32 {
+                if (s <= 1u || params.stateCount <= 2u) { return 0u; }
+                return min(1u + ((s - 2u) * 3u) / (params.stateCount - 2u), 3u);
+            }
 
             @compute @workgroup_size(${workgroupSize.x}, ${workgroupSize.y}, ${workgroupSize.z})
-            fn main(@builtin(global_invocation_id) id: vec3<u32>) {
-                if (id.x >= params.gridSize || id.y >= params.gridSize || id.z >= params.gridSize) { return; }
-                let idx = id.x + id.y * params.gridSize + id.z * params.gridSize * params.gridSize;
-                if (grid[idx] != 0u) {
+            fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+                let id = gid + activeOrigin.xyz;
+                let gs = params.gridSize;
+                if (any(id >= gs)) { return; }
+                let idx = id.x + id.y * gs.x + id.z * gs.x * gs.y;
+                let s = grid[idx];
+                if (s != 0u) {
                     let cellIdx = atomicAdd(&counter, 1u);
                     if (cellIdx < params.maxCells) {
-                        cells[cellIdx] = (id.x & 0x3FFu) | ((id.y & 0x3FFu) << 10u) | ((id.z & 0x3FFu) << 20u);
+                        cells[cellIdx] = (id.x & 0x3FFu) | ((id.y & 0x3FFu) << 10u) | ((id.z & 0x3FFu) << 20u) | (decayLevel(s) << 30u);
+                        ${ages ? "cellAges[cellIdx] = ages[idx];" : ""}
                     }
                 }
             }
@@ -191,26 +577,60 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
   }
 
   /**
-   * GPU-side random/grid initialization shader
-   * ------------------------------------------
-   * Populates the grid with deterministic pseudo-random values, constrained to a sub-region.
+   * Bit-packed extract compute shader
+   * --------------------------------
+   * extract() for the packed grid layout: one invocation per u32 word, reserving list slots
+   * for all of its live cells with a single atomicAdd. Packed cells are never dying, so the
+   * decay bits are always 0 (params.stateCount is ignored).
    *
-   * Bindings (group(0)):
-   *  - binding(0): uniform Params
-   *      gridSize   : u32
-   *      region     : u32   // size of cube region to randomize
-   *      offset     : u32   // offset of region from 0
-   *      threshold  : u32   // 0..0xFFFFFFFF: alive if hash3(x,y,z,seed) < threshold
-   *      seed       : u32
-   *  - binding(1): storage, read_write grid : array<u32>
+   * Same Params and bindings as extract() but without the ages (packed grids track none);
+   * grid holds packed words.
    */
-  function init({ workgroupSize }) {
+  function extractPacked({ workgroupSize }) {
     validateWorkgroupSize(workgroupSize);
     return wgsl`
-            ${G3DL_LAYOUT.PARAMS.INIT.WGSL_STRUCT}
+            ${G3DL_LAYOUT.PARAMS.EXTRACT.WGSL_STRUCT}
             @group(0) @binding(0) var<uniform> params: Params;
-            @group(0) @binding(1) var<storage, read_write> grid: array<u32>;
+            @group(0) @binding(1) var<storage, read> grid: array<u32>;
+            @group(0) @binding(2) var<storage, read_write> cells: array<u32>;
+            @group(0) @binding(3) var<storage, read_write> counter: atomic<u32>;
+            @group(0) @binding(4) var<storage, read> activeOrigin: vec4<u32>;
+
+            @compute @workgroup_size(${workgroupSize.x}, ${workgroupSize.y}, ${workgroupSize.z})
+            fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+                let id = gid + vec3<u32>(activeOrigin.x >> 5u, activeOrigin.yz);
+                let gs = params.gridSize;
+                let wordsPerRow = (gs.x + 31u) / 32u;
+                if (id.x >= wordsPerRow || id.y >= gs.y || id.z >= gs.z) { return; }
+
+                var word = grid[id.x + (id.y + id.z * gs.y) * wordsPerRow];
+                if (word == 0u) { return; }
 
+                var cellIdx = atomicAdd(&counter, countOneBits(word));
+                let yz = ((id.y & 0x3FFu) << 10u) | ((id.z & 0x3FFu) << 20u);
+                while (word != 0u) {
+                    let b = firstTrailingBit(word);
+                    word &= word - 1u;
+                    if (cellIdx < params.maxCells) {
+                        cells[cellIdx] = ((id.x * 32u + b) & 0x3FFu) | yz;
+                    }
+                    cellIdx++;
+                }
+            }
+    `;
+  }
+
+  /**
+   * Per-cell Gen0 test shared by both init kernels, so a seed gives the same pattern in either
+   * grid layout. Expects `params: Params` (INIT) in scope.
+   *
+   * Shapes and symmetry work in doubled coordinates centered on the region (d = 2 * local -
+   * region + 1), which keep half-cell centers exact: mirrored cells have opposite d, and
+   * rotations about Y map cells to cells when the X and Z extents match. The noise fill is
+   * integer value noise in the same coordinates; gpu/util/initNoise.js mirrors it on the CPU.
+   */
+  function initCell() {
+    return wgsl`
             fn hash32(v: u32) -> u32 {
                 var x = v;
                 x ^= x >> 16u;
@@ -226,25 +646,375 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
                 return hash32(n);
             }
 
+            fn insideShape(p: vec3<u32>, d: vec3<i32>) -> bool {
+                let r = params.region;
+                let u = vec3<f32>(d) / vec3<f32>(r);
+                switch params.shape {
+                    case ${INIT_SHAPE_SPHERE}u: { return dot(u, u) <= 1.0; }
+                    case ${INIT_SHAPE_SHELL}u: {
+                        if (dot(u, u) > 1.0) { return false; }
+                        // Inner ellipsoid: the region shrunk by the wall on every side.
+                        let wall = 2u * ${INIT_SHELL_CELLS}u;
+                        if (any(r <= vec3<u32>(wall))) { return true; }
+                        let v = vec3<f32>(d) / vec3<f32>(r - wall);
+                        return dot(v, v) > 1.0;
+                    }
+                    case ${INIT_SHAPE_CYLINDER}u: { return u.x * u.x + u.z * u.z <= 1.0; }
+                    case ${INIT_SHAPE_SLAB}u, ${INIT_SHAPE_PLANE}u: {
+                        let t = min(select(${INIT_SLAB_CELLS}u, 1u, params.shape == ${INIT_SHAPE_PLANE}u), r.y);
+                        let start = params.offset.y + (r.y - t) / 2u;
+                        return p.y >= start && p.y < start + t;
+                    }
+                    default: { return true; }
+                }
+            }
+
+            fn noiseFade(t: i32) -> i32 {
+                return (t * t * (768 - 2 * t)) >> 16u;
+            }
+
+            fn noiseLerp(a: i32, b: i32, s: i32) -> i32 {
+                return a + (((b - a) * s) >> 8u);
+            }
+
+            fn latticeValue(i: vec3<u32>, salt: u32) -> i32 {
+                return i32(hash3(i.x, i.y, i.z, salt) >> 24u);
+            }
+
+            // Fractal value noise at doubled coordinates q: octave o adds 0..255 << (octaves - 1 - o)
+            // on a lattice of max(1, noisePeriod >> o) cells.
+            fn noiseAt(q: vec3<i32>) -> u32 {
+                var n = 0u;
+                for (var o = 0u; o < params.noiseOctaves; o++) {
+                    let s = 2u * max(1u, params.noisePeriod >> o);
+                    // Shift to non-negative coordinates (|q| < 2048 <= 1024 * s) before dividing.
+                    let qq = vec3<u32>(q + vec3<i32>(i32(1024u * s)));
+                    let i = qq / s;
+                    let t = vec3<i32>((qq % s) * 256u / s);
+                    let f = vec3<i32>(noiseFade(t.x), noiseFade(t.y), noiseFade(t.z));
+                    let salt = params.seed ^ ((o + 1u) * 0x9e3779b9u);
+                    let x00 = noiseLerp(latticeValue(i, salt), latticeValue(i + vec3<u32>(1u, 0u, 0u), salt), f.x);
+                    let x10 = noiseLerp(latticeValue(i + vec3<u32>(0u, 1u, 0u), salt), latticeValue(i + vec3<u32>(1u, 1u, 0u), salt), f.x);
+                    let x01 = noiseLerp(latticeValue(i + vec3<u32>(0u, 0u, 1u), salt), latticeValue(i + vec3<u32>(1u, 0u, 1u), salt), f.x);
+                    let x11 = noiseLerp(latticeValue(i + vec3<u32>(0u, 1u, 1u), salt), latticeValue(i + vec3<u32>(1u, 1u, 1u), salt), f.x);
+                    let v = noiseLerp(noiseLerp(x00, x10, f.y), noiseLerp(x01, x11, f.y), f.z);
+                    n += u32(v) << (params.noiseOctaves - 1u - o);
+                }
+                return n;
+            }
+
+            // Canonical image of d under the symmetry; every image of a cell hashes the same.
+            fn symmetryImage(d: vec3<i32>) -> vec3<i32> {
+                var q = d;
+                switch params.symmetry {
+                    case ${INIT_SYMMETRY_MIRROR_X}u: { q.x = abs(q.x); }
+                    case ${INIT_SYMMETRY_MIRROR_XYZ}u: { q = abs(q); }
+                    case ${INIT_SYMMETRY_ROTATE_2}u: {
+                        if (q.x < 0 || (q.x == 0 && q.z < 0)) { q = vec3<i32>(-q.x, q.y, -q.z); }
+                    }
+                    case ${INIT_SYMMETRY_ROTATE_4}u: {
+                        // Quarter turns until the cell is in the x > 0, z >= 0 quadrant.
+                        for (var i = 0; i < 3; i++) {
+                            if ((q.x > 0 && q.z >= 0) || (q.x == 0 && q.z == 0)) { break; }
+                            q = vec3<i32>(-q.z, q.y, q.x);
+                        }
+                    }
+                    default: {}
+                }
+                return q;
+            }
+
+            fn initAlive(p: vec3<u32>) -> bool {
+                let lo = params.offset;
+                if (any(p < lo) || any(p >= lo + params.region)) { return false; }
+
+                let d = 2 * vec3<i32>(p - lo) - vec3<i32>(params.region) + 1;
+                if (!insideShape(p, d)) { return false; }
+
+                let q = symmetryImage(d);
+                if (params.fill == ${INIT_FILL_NOISE}u && noiseAt(q) < params.noiseLevel) { return false; }
+
+                // Without symmetry, hash grid coordinates as before so existing seeds keep
+                // their soups.
+                var h: u32;
+                if (params.symmetry == ${INIT_SYMMETRY_NONE}u) {
+                    h = hash3(p.x, p.y, p.z, params.seed);
+                } else {
+                    let qu = bitcast<vec3<u32>>(q);
+                    h = hash3(qu.x, qu.y, qu.z, params.seed);
+                }
+                return h < params.threshold;
+            }
+    `;
+  }
+
+  /**
+   * GPU-side random/grid initialization shader
+   * ------------------------------------------
+   * Populates the grid with deterministic pseudo-random values, constrained to a sub-region.
+   *
+   * Bindings (group(0)):
+   *  - binding(0): uniform Params
+   *      gridSize   : vec3<u32>
+   *      region     : vec3<u32>  // size of the box region to randomize, per axis
+   *      offset     : vec3<u32>  // offset of region from 0, per axis
+   *      threshold  : u32   // 0..0xFFFFFFFF: alive if hash3(x,y,z,seed) < threshold
+   *      seed       : u32
+   *      shape      : u32   // INIT_SHAPE_*: cells of the region that may start alive
+   *      symmetry   : u32   // INIT_SYMMETRY_*: hash at a canonical image of each cell
+   *      fill       : u32   // INIT_FILL_*: noise keeps cells where noiseAt() >= noiseLevel
+   *      noisePeriod, noiseOctaves, noiseLevel : u32
+   *  - binding(1): storage, read_write grid : array<u32>
+   */
+  function init({ workgroupSize }) {
+    validateWorkgroupSize(workgroupSize);
+    return wgsl`
+            ${G3DL_LAYOUT.PARAMS.INIT.WGSL_STRUCT}
+            @group(0) @binding(0) var<uniform> params: Params;
+            @group(0) @binding(1) var<storage, read_write> grid: array<u32>;
+
+            ${initCell()}
+
             @compute @workgroup_size(${workgroupSize.x}, ${workgroupSize.y}, ${workgroupSize.z})
             fn main(@builtin(global_invocation_id) id: vec3<u32>) {
-                if (id.x >= params.gridSize || id.y >= params.gridSize || id.z >= params.gridSize) { return; }
+                let gs = params.gridSize;
+                if (any(id >= gs)) { return; }
 
+                let idx = id.x + id.y * gs.x + id.z * gs.x * gs.y;
+                grid[idx] = select(0u, 1u, initAlive(id));
+            }
+        
+    `;
+  }
+
+  /**
+   * Bit-packed GPU initialization shader
+   * ------------------------------------
+   * init() for the packed grid layout: one invocation per u32 word (up to 32 cells along X).
+   * Same Params and bindings as init(); grid holds packed words.
+   */
+  function initPacked({ workgroupSize }) {
+    validateWorkgroupSize(workgroupSize);
+    return wgsl`
+            ${G3DL_LAYOUT.PARAMS.INIT.WGSL_STRUCT}
+            @group(0) @binding(0) var<uniform> params: Params;
+            @group(0) @binding(1) var<storage, read_write> grid: array<u32>;
+
+            ${initCell()}
+
+            @compute @workgroup_size(${workgroupSize.x}, ${workgroupSize.y}, ${workgroupSize.z})
+            fn main(@builtin(global_invocation_id) id: vec3<u32>) {
                 let gs = params.gridSize;
-                let plane = gs * gs;
-                let idx = id.x + id.y * gs + id.z * plane;
+                let wordsPerRow = (gs.x + 31u) / 32u;
+                if (id.x >= wordsPerRow || id.y >= gs.y || id.z >= gs.z) { return; }
 
                 let lo = params.offset;
                 let hi = params.offset + params.region;
 
-                var alive = 0u;
-                if (id.x >= lo && id.x < hi && id.y >= lo && id.y < hi && id.z >= lo && id.z < hi) {
-                    let r = hash3(id.x, id.y, id.z, params.seed);
-                    alive = select(0u, 1u, r < params.threshold);
+                var word = 0u;
+                if (id.y >= lo.y && id.y < hi.y && id.z >= lo.z && id.z < hi.z) {
+                    let x0 = id.x * 32u;
+                    let n = min(32u, gs.x - x0);
+                    for (var b = 0u; b < n; b++) {
+                        let x = x0 + b;
+                        if (initAlive(vec3<u32>(x, id.y, id.z))) {
+                            word |= 1u << b;
+                        }
+                    }
                 }
-                grid[idx] = alive;
+                grid[id.x + (id.y + id.z * gs.y) * wordsPerRow] = word;
             }
-        
+    `;
+  }
+
+  /**
+   * Cell edit shader
+   * ----------------
+   * A single invocation walks the picking ray through the grid cell by cell (3D DDA) and
+   * edits the grid in place: EDIT_MODE_REMOVE kills the first non-dead cell, EDIT_MODE_ADD
+   * makes the empty cell in front of it alive. A ray that hits nothing adds the last cell it
+   * crosses, against the far grid wall; one that hits a cell on the near wall adds nothing.
+   * EDIT_MODE_PICK reports the first non-dead cell without changing the grid.
+   * The ray direction must have no zero component (the caller nudges them).
+   *
+   * packed=true edits bits of the packed grid layout (G3DL_LAYOUT.GRID).
+   *
+   * Bindings (group(0)):
+   *  - binding(0): uniform Params (EDIT)       // ray in cell units, mode, gridSize
+   *  - binding(1): storage, read_write grid       : array<u32>     // current grid buffer
+   *  - binding(2): storage, read_write editResult : array<u32, 4>  // G3DL_LAYOUT.EDIT_RESULT
+   */
+  function edit({ packed = false }) {
+    const cellAccess = packed
+      ? `
+        fn cellWord(c: vec3<i32>) -> u32 {
+            let gs = params.gridSize;
+            return u32(c.x) / 32u + (u32(c.y) + u32(c.z) * gs.y) * ((gs.x + 31u) / 32u);
+        }
+        fn isLive(c: vec3<i32>) -> bool {
+            return ((grid[cellWord(c)] >> (u32(c.x) & 31u)) & 1u) != 0u;
+        }
+        fn setCell(c: vec3<i32>, alive: bool) {
+            let w = cellWord(c);
+            let bit = 1u << (u32(c.x) & 31u);
+            grid[w] = select(grid[w] & ~bit, grid[w] | bit, alive);
+        }`
+      : `
+        fn cellIndex(c: vec3<i32>) -> u32 {
+            let gs = params.gridSize;
+            return u32(c.x) + (u32(c.y) + u32(c.z) * gs.y) * gs.x;
+        }
+        fn isLive(c: vec3<i32>) -> bool { return grid[cellIndex(c)] != 0u; }
+        fn setCell(c: vec3<i32>, alive: bool) { grid[cellIndex(c)] = select(0u, 1u, alive); }`;
+    return wgsl`
+        ${G3DL_LAYOUT.PARAMS.EDIT.WGSL_STRUCT}
+        @group(0) @binding(0) var<uniform> params: Params;
+        @group(0) @binding(1) var<storage, read_write> grid: array<u32>;
+        @group(0) @binding(2) var<storage, read_write> editResult: array<u32, 4>;
+        ${cellAccess}
+
+        fn writeEdit(c: vec3<i32>, alive: bool) {
+            if (params.mode != ${EDIT_MODE_PICK}u) {
+                setCell(c, alive);
+            }
+            editResult[0] = 1u;
+            editResult[1] = u32(c.x);
+            editResult[2] = u32(c.y);
+            editResult[3] = u32(c.z);
+        }
+
+        @compute @workgroup_size(1)
+        fn main() {
+            editResult[0] = 0u;
+            let size = vec3<i32>(params.gridSize);
+            let o = params.origin;
+            let d = params.dir;
+            let inv = vec3<f32>(1.0) / d;
+
+            // Clip the ray to the grid box [0, size].
+            let t0 = -o * inv;
+            let t1 = (vec3<f32>(size) - o) * inv;
+            let tn = min(t0, t1);
+            let tf = max(t0, t1);
+            let tEnter = max(max(tn.x, tn.y), max(tn.z, 0.0));
+            let tExit = min(tf.x, min(tf.y, tf.z));
+            if (tEnter > tExit) { return; }
+
+            var c = clamp(vec3<i32>(floor(o + d * tEnter)), vec3<i32>(0), size - vec3<i32>(1));
+            let dirPos = d > vec3<f32>(0.0);
+            let stepDir = select(vec3<i32>(-1), vec3<i32>(1), dirPos);
+            let tDelta = abs(inv);
+            var tMax = (vec3<f32>(c) + select(vec3<f32>(0.0), vec3<f32>(1.0), dirPos) - o) * inv;
+
+            var prev = c;
+            var hasPrev = false;
+            let maxSteps = u32(size.x + size.y + size.z);
+            for (var i = 0u; i < maxSteps; i++) {
+                if (isLive(c)) {
+                    if (params.mode != ${EDIT_MODE_ADD}u) {
+                        writeEdit(c, false);
+                    } else if (hasPrev) {
+                        writeEdit(prev, true);
+                    }
+                    return;
+                }
+                prev = c;
+                hasPrev = true;
+                if (tMax.x < tMax.y && tMax.x < tMax.z) {
+                    c.x += stepDir.x;
+                    tMax.x += tDelta.x;
+                } else if (tMax.y < tMax.z) {
+                    c.y += stepDir.y;
+                    tMax.y += tDelta.y;
+                } else {
+                    c.z += stepDir.z;
+                    tMax.z += tDelta.z;
+                }
+                if (any(c < vec3<i32>(0)) || any(c >= size)) { break; }
+            }
+            if (params.mode == ${EDIT_MODE_ADD}u && hasPrev) {
+                writeEdit(prev, true);
+            }
+        }
+    `;
+  }
+
+  /**
+   * Slice copy shader
+   * -----------------
+   * Copies one axis-aligned layer of the grid to the slice buffer (SLICE_MODE_READ) or back
+   * (SLICE_MODE_WRITE), one invocation per slice cell. The slice holds one state per cell,
+   * u-major, with u and v along params.uAxis and params.vAxis (SLICE_UV_AXES).
+   *
+   * packed=true reads and writes bits of the packed grid layout (G3DL_LAYOUT.GRID). When u
+   * runs along X, several slice cells share a grid word, so the invocation at the word's first
+   * bit writes the whole word; padding bits are left clear.
+   *
+   * Bindings (group(0)):
+   *  - binding(0): uniform Params (SLICE)  // gridSize, axes, layer index, mode
+   *  - binding(1): storage, read_write grid       : array<u32>  // current grid buffer
+   *  - binding(2): storage, read_write sliceCells : array<u32>  // one state per slice cell
+   */
+  function slice({ packed = false }) {
+    const cellAccess = packed
+      ? `
+        fn cellWord(c: vec3<u32>) -> u32 {
+            let gs = params.gridSize;
+            return c.x / 32u + (c.y + c.z * gs.y) * ((gs.x + 31u) / 32u);
+        }
+        fn readCell(c: vec3<u32>) -> u32 {
+            return (grid[cellWord(c)] >> (c.x & 31u)) & 1u;
+        }
+        fn writeCell(c: vec3<u32>, s: u32) {
+            if (params.uAxis != 0u) {
+                let w = cellWord(c);
+                let bit = 1u << (c.x & 31u);
+                grid[w] = select(grid[w] & ~bit, grid[w] | bit, s != 0u);
+                return;
+            }
+            if ((c.x & 31u) != 0u) { return; }
+            let n = min(32u, params.gridSize.x - c.x);
+            var word = 0u;
+            for (var b = 0u; b < n; b++) {
+                if (sliceCells[sliceIndex + b] != 0u) { word |= 1u << b; }
+            }
+            grid[cellWord(c)] = word;
+        }`
+      : `
+        fn cellIndex(c: vec3<u32>) -> u32 {
+            let gs = params.gridSize;
+            return c.x + (c.y + c.z * gs.y) * gs.x;
+        }
+        fn readCell(c: vec3<u32>) -> u32 { return grid[cellIndex(c)]; }
+        fn writeCell(c: vec3<u32>, s: u32) { grid[cellIndex(c)] = s; }`;
+    return wgsl`
+        ${G3DL_LAYOUT.PARAMS.SLICE.WGSL_STRUCT}
+        @group(0) @binding(0) var<uniform> params: Params;
+        @group(0) @binding(1) var<storage, read_write> grid: array<u32>;
+        @group(0) @binding(2) var<storage, read_write> sliceCells: array<u32>;
+
+        // Slice index of the current invocation (read by the packed word writer).
+        var<private> sliceIndex: u32;
+        ${cellAccess}
+
+        @compute @workgroup_size(${SLICE_WORKGROUP_SIZE}, ${SLICE_WORKGROUP_SIZE})
+        fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+            let gs = params.gridSize;
+            let su = gs[params.uAxis];
+            if (id.x >= su || id.y >= gs[params.vAxis]) { return; }
+
+            var c = vec3<u32>(0u);
+            c[params.axis] = params.index;
+            c[params.uAxis] = id.x;
+            c[params.vAxis] = id.y;
+            sliceIndex = id.x + id.y * su;
+
+            if (params.mode == ${SLICE_MODE_WRITE}u) {
+                writeCell(c, sliceCells[sliceIndex]);
+            } else {
+                sliceCells[sliceIndex] = readCell(c);
+            }
+        }
     `;
   }
 
@@ -253,6 +1023,7 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
    * --------------------------------------------------------
    * Consumes the compact live-cell list and atomically computes min/max per axis.
    * The AABB buffer is initialized by JS before dispatch (e.g., min=0xFFFFFFFF, max=0).
+   * The population can exceed the list capacity on large grids; only listed cells are read.
    *
    * Bindings (group(0)):
    *  - binding(0): storage, read_write counter: atomic<u32>  // population
@@ -286,7 +1057,7 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
         @builtin(global_invocation_id) gid: vec3<u32>
       ) {
         let idx = gid.x;
-        let count = atomicLoad(&counter);
+        let count = min(atomicLoad(&counter), arrayLength(&cells));
 
         var minX: u32 = 0xFFFFFFFFu;
         var minY: u32 = 0xFFFFFFFFu;
@@ -358,6 +1129,7 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
    * Bindings (group(0)):
    *  - binding(0): storage, read_write counter: atomic<u32>
    *  - binding(1): storage, read_write args   : array<u32>  // dispatch x,y,z as u32
+   *  - binding(2): storage, read       cells  : array<u32>  // live-cell list (capacity only)
    */
   function aabbArgs({ aabbWorkgroupSize }) {
     if (typeof aabbWorkgroupSize !== "number" || !isFinite(aabbWorkgroupSize)) {
@@ -368,10 +1140,12 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
 
       @group(0) @binding(0) var<storage, read_write> counter: atomic<u32>;
       @group(0) @binding(1) var<storage, read_write> args: array<u32>;
+      @group(0) @binding(2) var<storage, read> cells: array<u32>;
 
       @compute @workgroup_size(1)
       fn main() {
-        let count = atomicLoad(&counter);
+        // Only listed cells are reduced (the population can exceed the list on large grids).
+        let count = min(atomicLoad(&counter), arrayLength(&cells));
         let groups = (count + WG - 1u) / WG;
         args[0] = groups;
         args[1] = 1u;
@@ -382,6 +1156,127 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
     `;
   }
 
+  /**
+   * Active-region args shader
+   * -------------------------
+   * Picks the part of the grid a step has to visit, without CPU readback: the live-cell box of
+   * gridIn grown by the neighborhood radius, joined with the box of the stale generation still
+   * in gridOut (so every leftover cell gets overwritten). Writes the dispatch origin and the
+   * indirect args of the simulation and extraction passes, then resets boxOut for the AABB
+   * reduction that runs after extraction.
+   *
+   * An axis whose grown box crosses a wrapped edge uses its full extent. The whole grid is used
+   * when cells can be born away from live cells (B0 rules, alive boundaries) or when a box was
+   * reduced from a truncated live-cell list.
+   *
+   * packed=true emits X dispatch sizes in words (G3DL_LAYOUT.GRID); the origin stays in cells.
+   *
+   * Bindings (group(0)):
+   *  - binding(0): uniform Params (SIM)    // gridSize, boundary, radius, birth ranges
+   *  - binding(1): storage, read       boxIn  : Box            // live cells of gridIn
+   *  - binding(2): storage, read_write boxOut : Box            // stale cells of gridOut
+   *  - binding(3): storage, read_write origin : vec4<u32>      // bound as activeOrigin
+   *  - binding(4): storage, read_write args   : array<u32, 8>  // simulation, extraction
+   *  - binding(5): storage, read       cells  : array<u32>     // live-cell list (capacity only)
+   */
+  function activeRegion({ workgroupSize, packed = false }) {
+    validateWorkgroupSize(workgroupSize);
+    const AXIS_BITS = BOUNDARY_AXIS_BITS;
+    return wgsl`
+        ${G3DL_LAYOUT.PARAMS.SIM.WGSL_STRUCT}
+        ${G3DL_LAYOUT.ACTIVE_REGION.BOX_WGSL_STRUCT}
+        @group(0) @binding(0) var<uniform> params: Params;
+        @group(0) @binding(1) var<storage, read> boxIn: Box;
+        @group(0) @binding(2) var<storage, read_write> boxOut: Box;
+        @group(0) @binding(3) var<storage, read_write> origin: vec4<u32>;
+        @group(0) @binding(4) var<storage, read_write> args: array<u32, 8>;
+        @group(0) @binding(5) var<storage, read> cells: array<u32>;
+
+        const WG = vec3<u32>(${workgroupSize.x}u, ${workgroupSize.y}u, ${workgroupSize.z}u);
+        const TILE: u32 = ${LTL_TILE_SIZE}u;
+        const PACKED: bool = ${packed ? "true" : "false"};
+
+        fn isEmpty(b: Box) -> bool { return b.minX > b.maxX; }
+        // A list shorter than the population misses cells, so its box may be too small.
+        fn isPartial(b: Box) -> bool { return b.count > arrayLength(&cells); }
+        fn boxMin(b: Box) -> vec3<i32> { return vec3<i32>(vec3<u32>(b.minX, b.minY, b.minZ)); }
+        fn boxMax(b: Box) -> vec3<i32> { return vec3<i32>(vec3<u32>(b.maxX, b.maxY, b.maxZ)); }
+        fn axisMode(a: u32) -> u32 { return (params.boundary >> (a * ${AXIS_BITS}u)) & 3u; }
+        fn divCeil(a: vec3<u32>, b: vec3<u32>) -> vec3<u32> { return (a + b - 1u) / b; }
+
+        @compute @workgroup_size(1)
+        fn main() {
+            let size = vec3<i32>(params.gridSize);
+            let r = i32(max(params.radius, 1u));
+            let inBox = boxIn;
+            let outBox = boxOut;
+
+            var full = isPartial(inBox) || isPartial(outBox) ||
+                (params.birthRangeCount > 0u && params.birthRanges[0].x == 0u);
+            for (var a = 0u; a < 3u; a++) {
+                if (axisMode(a) == ${BOUNDARY_ALIVE}u) { full = true; }
+            }
+
+            var lo = vec3<i32>(0);
+            var hi = size - vec3<i32>(1);
+            if (!full) {
+                lo = size;
+                hi = vec3<i32>(-1);
+                if (!isEmpty(inBox)) {
+                    let grownLo = boxMin(inBox) - vec3<i32>(r);
+                    let grownHi = boxMax(inBox) + vec3<i32>(r);
+                    lo = max(grownLo, vec3<i32>(0));
+                    hi = min(grownHi, size - vec3<i32>(1));
+                    for (var a = 0u; a < 3u; a++) {
+                        let crosses = grownLo[a] < 0 || grownHi[a] >= size[a];
+                        if (axisMode(a) == ${BOUNDARY_WRAP}u && crosses) {
+                            lo[a] = 0;
+                            hi[a] = size[a] - 1;
+                        }
+                    }
+                }
+                if (!isEmpty(outBox)) {
+                    lo = min(lo, boxMin(outBox));
+                    hi = max(hi, boxMax(outBox));
+                }
+            }
+
+            var ext = vec3<u32>(0u);
+            var wordsX = 0u;
+            if (all(hi >= lo)) {
+                ext = vec3<u32>(hi - lo + vec3<i32>(1));
+                wordsX = (u32(hi.x) >> 5u) - (u32(lo.x) >> 5u) + 1u;
+                origin = vec4<u32>(vec3<u32>(lo), 0u);
+            } else {
+                origin = vec4<u32>(0u);
+            }
+
+            // One invocation per cell (per word when packed); radius-R runs TILE^3 blocks of cells.
+            let perInvocation = select(ext, vec3<u32>(wordsX, ext.y, ext.z), PACKED);
+            var sim = divCeil(perInvocation, WG);
+            if (params.radius > 1u) { sim = divCeil(ext, vec3<u32>(TILE)); }
+            let ex = divCeil(perInvocation, WG);
+            args[0] = sim.x;
+            args[1] = sim.y;
+            args[2] = sim.z;
+            args[3] = 0u;
+            args[4] = ex.x;
+            args[5] = ex.y;
+            args[6] = ex.z;
+            args[7] = 0u;
+
+            // gridOut is about to be rewritten; its box is rebuilt by the AABB reduction.
+            boxOut.minX = 0xFFFFFFFFu;
+            boxOut.minY = 0xFFFFFFFFu;
+            boxOut.minZ = 0xFFFFFFFFu;
+            boxOut.maxX = 0u;
+            boxOut.maxY = 0u;
+            boxOut.maxZ = 0u;
+            boxOut.count = 0u;
+        }
+    `;
+  }
+
   /**
    * Draw-indirect args builder compute shader
    * -----------------------------------------
@@ -419,10 +1314,15 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
    * Cell render pipeline shader
    * ---------------------------
    * Renders instanced cubes for each live cell in the compact list.
+   * Cells are colored by height (u.cellColorBottom..u.cellColorTop along Y) or, with
+   * u.colorMode = CELL_COLOR_MODE_AGE, by age through agePalette().
+   * Dying cells ("Generations" rules) are shaded toward a dim ember tone by decay level.
+   * Cells outside the clipping slab (u.clipMin..u.clipMax) are discarded in the vertex stage.
    *
    * Bindings (group(0)):
    *  - binding(0): uniform Uniforms  // camera, colors, lantern params, time, etc.
-   *  - binding(1): storage, read cells: array<u32>  // packed XYZ per instance
+   *  - binding(1): storage, read cells: array<u32>  // packed XYZ + decay per instance
+   *  - binding(2): storage, read cellAges: array<u32>  // age per instance (see extract())
    */
   function render() {
     return wgsl`
@@ -440,6 +1340,24 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
 
             @group(0) @binding(0) var<uniform> u: Uniforms;
             @group(0) @binding(1) var<storage, read> cells: array<u32>;
+            @group(0) @binding(2) var<storage, read> cellAges: array<u32>;
+
+            // Age palette: newborn cells are pale yellow, then orange, magenta and violet, and
+            // cells alive for CELL_AGE_MAX generations deep blue. Log-scaled, so each doubling
+            // of age moves about as far along it.
+            fn agePalette(age: u32) -> vec3<f32> {
+                let t = clamp(log2(f32(age) + 1.0) / log2(${CELL_AGE_MAX}.0 + 1.0), 0.0, 1.0) * 4.0;
+                let k = min(u32(t), 3u);
+                let f = t - f32(k);
+                var stops = array<vec3<f32>, 5>(
+                    vec3<f32>(0.98, 0.96, 0.45),
+                    vec3<f32>(0.99, 0.62, 0.22),
+                    vec3<f32>(0.86, 0.27, 0.50),
+                    vec3<f32>(0.52, 0.16, 0.78),
+                    vec3<f32>(0.16, 0.24, 0.86)
+                );
+                return mix(stops[k], stops[k + 1u], f);
+            }
 
             // Small, cheap integer hash used to assign each cell a stable phase.
             fn hash3(x: u32, y: u32, z: u32) -> f32 {
@@ -460,19 +1378,40 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
                 let uy = (p >> 10u) & 0x3FFu;
                 let uz = (p >> 20u) & 0x3FFu;
                 let off = vec3<f32>(f32(ux), f32(uy), f32(uz));
+
+                // Clipped cells collapse to one point outside the view volume, so the whole
+                // cube is dropped before rasterization.
+                if (any(off < u.clipMin.xyz) || any(off >= u.clipMax.xyz)) {
+                    var clipped: VOut;
+                    clipped.pos = vec4<f32>(2.0, 2.0, 2.0, 1.0);
+                    return clipped;
+                }
+
                 // Center cell *centers* at the world origin.
-                // Cell indices are 0..gridSize-1, so the center index is (gridSize-1)/2.
-                let gridCenter = (u.gridSize - 1.0) * 0.5;
-                let centered = off - vec3<f32>(gridCenter);
+                // Cell indices are 0..gridSize-1 per axis, so the center index is (gridSize-1)/2.
+                let gridCenter = (u.gridSize - vec3<f32>(1.0)) * 0.5;
+                let centered = off - gridCenter;
                 let wpos = (pos * u.cellSize * 0.9) + (centered * u.cellSize);
 
                 // Calculate cell color based on Y position (gradient along vertical axis).
-                // Cell indices run 0..gridSize-1, so divide by (gridSize-1) to let the
+                // Cell indices run 0..gridSize.y-1, so divide by (gridSize.y-1) to let the
                 // topmost layer reach the configured top color exactly. Clamp the denominator
-                // to 1.0 so a 1x1x1 grid remains well-defined.
-                let gradientDenom = max(u.gridSize - 1.0, 1.0);
+                // to 1.0 so a single-layer grid remains well-defined.
+                let gradientDenom = max(u.gridSize.y - 1.0, 1.0);
                 let t = off.y / gradientDenom;
-                let color = mix(u.cellColorBottom.rgb, u.cellColorTop.rgb, t);
+                var color = mix(u.cellColorBottom.rgb, u.cellColorTop.rgb, t);
+                if (u.colorMode > ${CELL_COLOR_MODE_AGE}.0 - 0.5) {
+                    color = agePalette(cellAges[i]);
+                }
+
+                // Decaying cells: desaturate toward a dim ember tone, darker as they age.
+                let decay = p >> 30u;
+                if (decay != 0u) {
+                    let f = f32(decay) / 3.0;
+                    let luma = dot(color, vec3<f32>(0.299, 0.587, 0.114));
+                    let ember = vec3<f32>(luma * 0.9 + 0.18, luma * 0.45 + 0.04, luma * 0.35 + 0.02);
+                    color = mix(color, ember, 0.55 + 0.35 * f) * (1.0 - 0.45 * f);
+                }
 
                 var o: VOut;
                 o.norm = norm;
@@ -568,6 +1507,9 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
    * Grid projection overlay shader
    * ------------------------------
    * Draws 3 orthogonal grid planes (XY/YZ/ZX) projected in 3D as wireframe-like quads.
+   * Instances with center.w = 1 (the slice editor's plane) are drawn in a stronger accent tint,
+   * and those with center.w = 2 (the selection box faces) or 3 (the clipping box handles) in
+   * distinct tints with bright edges.
    *
    * Bindings (group(0)):
    *  - binding(0): uniform Uniforms  // same as render() for camera + colors
@@ -582,6 +1524,7 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
             @builtin(position) pos: vec4<f32>,
             @location(0) local: vec2<f32>, // [-0.5..0.5] quad-local, used for subtle alpha shaping
             @location(1) viewZ: f32, // View-space depth for haze
+            @location(2) @interpolate(flat) highlight: f32,
         };
 
         fn localForVertex(vid: u32) -> vec2<f32> {
@@ -605,6 +1548,7 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
 
             var o: VOut;
             o.local = l;
+            o.highlight = center.w;
             let viewPos = u.view * vec4<f32>(wpos, 1.0);
             o.pos = u.projection * viewPos;
             o.viewZ = -viewPos.z;
@@ -617,6 +1561,18 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
             let fade = 1.0 - smoothstep(0.40, 0.50, edge);  // fade toward edges
             var a = 0.11 * (0.65 + 0.35 * fade);
             var rgb = vec3<f32>(0.82, 0.86, 0.95);
+            if (i.highlight > 2.5) {
+                // Clipping box handles: like the selection box, in a cooler tint.
+                a = 0.08 + 0.40 * (1.0 - fade);
+                rgb = vec3<f32>(0.45, 0.72, 1.0);
+            } else if (i.highlight > 1.5) {
+                // Selection box: faint faces with bright edges.
+                a = 0.10 + 0.45 * (1.0 - fade);
+                rgb = vec3<f32>(0.45, 1.0, 0.7);
+            } else if (i.highlight > 0.5) {
+                a = 0.24 * (0.75 + 0.25 * fade);
+                rgb = vec3<f32>(1.0, 0.78, 0.36);
+            }
 
             // Apply the same exponential haze as the main cell renderer.
             if (u.haze.w > 0.0001) {
@@ -687,10 +1643,17 @@ import { G3DL_LAYOUT } from "./dataLayout.js";
 
 export const G3DL_SHADERS = Object.freeze({
   simulation,
+  simulationPacked,
+  simulationLtL,
   extract,
+  extractPacked,
   init,
+  initPacked,
+  edit,
+  slice,
   aabb,
   aabbArgs,
+  activeRegion,
   drawArgs,
   render,
   gridProjection,
@@ -0,0 +1,107 @@
+/**
+ * CPU mirror of the Gen0 init kernels' hash and value noise (G3DL_SHADERS initCell).
+ *
+ * The noise fill keeps cells where the noise is at or above a level. The renderer samples this
+ * mirror to place that level at a share of the Gen0 region, and to raise the per-cell
+ * probability by the share left so the density slider keeps its meaning. The self-test
+ * compares the kernels with it. All noise math is integer, so the mirror is exact.
+ *
+ * Noise coordinates are doubled and centered on the Gen0 region (see initCell), which lets
+ * the symmetry fold apply to the noise as well as to the per-cell hash.
+ */
+
+/**
+ * hash32(seed ^ mix(x, y, z)) of the init kernels.
+ *
+ * @param {number} x u32 (or i32, hashed as its bit pattern)
+ * @param {number} y
+ * @param {number} z
+ * @param {number} seed u32
+ * @returns {number} u32
+ */
+export function initHash3(x, y, z, seed) {
+  let v = (seed ^ Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) >>> 0;
+  v ^= v >>> 16;
+  v = Math.imul(v, 0x7feb352d);
+  v ^= v >>> 15;
+  v = Math.imul(v, 0x846ca68b);
+  v ^= v >>> 16;
+  return v >>> 0;
+}
+
+/**
+ * Largest noise value for an octave count (each octave adds 0..255 at half the weight of the
+ * previous one).
+ *
+ * @param {number} octaves
+ * @returns {number}
+ */
+export function initNoiseMax(octaves) {
+  return 255 * ((1 << octaves) - 1);
+}
+
+const fade = (t) => (t * t * (768 - 2 * t)) >> 16;
+const lerp = (a, b, s) => a + (((b - a) * s) >> 8);
+
+/**
+ * Noise at doubled, centered coordinates `q`.
+ *
+ * @param {ArrayLike<number>} q |q| < 2048 per axis
+ * @param {number} seed u32
+ * @param {number} period lattice spacing of the first octave, in cells
+ * @param {number} octaves
+ * @returns {number} 0..initNoiseMax(octaves)
+ */
+export function initNoiseAt(q, seed, period, octaves) {
+  let n = 0;
+  for (let o = 0; o < octaves; o++) {
+    const s = 2 * Math.max(1, period >> o);
+    const i = [0, 0, 0];
+    const f = [0, 0, 0];
+    for (let a = 0; a < 3; a++) {
+      const qq = q[a] + 1024 * s;
+      i[a] = Math.floor(qq / s);
+      f[a] = fade(Math.floor(((qq % s) * 256) / s));
+    }
+    const salt = (seed ^ Math.imul(o + 1, 0x9e3779b9)) >>> 0;
+    const v = (dx, dy, dz) => initHash3(i[0] + dx, i[1] + dy, i[2] + dz, salt) >>> 24;
+    const x00 = lerp(v(0, 0, 0), v(1, 0, 0), f[0]);
+    const x10 = lerp(v(0, 1, 0), v(1, 1, 0), f[0]);
+    const x01 = lerp(v(0, 0, 1), v(1, 0, 1), f[0]);
+    const x11 = lerp(v(0, 1, 1), v(1, 1, 1), f[0]);
+    n += lerp(lerp(x00, x10, f[1]), lerp(x01, x11, f[1]), f[2]) << (octaves - 1 - o);
+  }
+  return n;
+}
+
+/**
+ * Noise level that leaves about `below` of the Gen0 region outside the blobs, and the share
+ * of the region at or above it, from about 4096 evenly spaced cells.
+ *
+ * @param {{ region: ArrayLike<number>, seed: number, period: number, octaves: number,
+ *   below: number }} opts below 0..1
+ * @returns {{ level: number, coverage: number }} coverage 0..1
+ */
+export function initNoiseLevel({ region, seed, period, octaves, below }) {
+  const cells = region[0] * region[1] * region[2];
+  const stride = Math.max(1, Math.ceil(Math.cbrt(cells / 4096)));
+  const samples = [];
+  const q = [0, 0, 0];
+  for (let z = 0; z < region[2]; z += stride) {
+    q[2] = 2 * z - region[2] + 1;
+    for (let y = 0; y < region[1]; y += stride) {
+      q[1] = 2 * y - region[1] + 1;
+      for (let x = 0; x < region[0]; x += stride) {
+        q[0] = 2 * x - region[0] + 1;
+        samples.push(initNoiseAt(q, seed, period, octaves));
+      }
+    }
+  }
+  if (!samples.length) return { level: 0, coverage: 1 };
+  samples.sort((a, b) => a - b);
+  const level = samples[Math.min(samples.length - 1, Math.floor(below * samples.length))];
+  // Ties at the level stay in the blobs, so count the share actually left.
+  let covered = 0;
+  for (const v of samples) if (v >= level) covered++;
+  return { level, coverage: covered / samples.length };
+}
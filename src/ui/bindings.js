@@ -4,7 +4,7 @@
  * This module preserves a stable bindUI(dom, handlers) API while delegating
  * implementation details to smaller, cohesive modules:
  * - controls.js: buttons/sliders/inputs/checkboxes
- * - panels.js: Settings/Help/About panel UX and wheel capture policy
+ * - panels.js: Settings/Help/Slice editor/About panel UX and wheel capture policy
  */
 
 import { bindControls } from "./controls.js";
@@ -13,11 +13,14 @@ import { createPanelManager } from "./panels.js";
 /**
  * @typedef {Object} BindUiHandlers
  * @property {(e?: Event) => void | Promise<void>} step
+ * @property {(e?: Event) => void | Promise<void>} stepBack
  * @property {(e?: Event) => void} togglePlay
  * @property {(e?: Event) => void | Promise<void>} reset
  * @property {(e?: Event) => void} toggleFullscreen
  * @property {(e?: Event) => void} handleSpeedPreview
  * @property {(e?: Event) => void} handleSpeedChange
+ * @property {(e?: Event) => void} handleGenerationsChange
+ * @property {(e?: Event) => void} handleHistoryChange
  * @property {(e?: Event) => void | Promise<void>} handleSizeChange
  * @property {(e?: Event) => void} validateSizeInput
  * @property {(e: KeyboardEvent) => void} handleSizeKeydown
@@ -26,16 +29,23 @@ import { createPanelManager } from "./panels.js";
  * @property {(e: KeyboardEvent) => void} handleInitSizeKeydown
  * @property {(e?: Event) => void} handleDensityPreview
  * @property {(e?: Event) => void | Promise<void>} handleDensityChange
+ * @property {() => void | Promise<void>} handleSeedChange
+ * @property {(e?: Event) => void} handleSeedLockChange
+ * @property {() => void | Promise<void>} handleGen0ShapeChange
  * @property {(e?: PointerEvent) => void} [handleDensityPointerDown]
  * @property {(e?: PointerEvent) => void} [handleDensityPointerUpGlobal]
  * @property {(e?: FocusEvent) => void} [handleDensityBlur]
  * @property {(e?: MouseEvent) => void} [handleDensityMouseLeave]
+ * @property {(e?: Event) => void} handleCellColorModeChange
  * @property {(e?: Event) => void} handleCellColorPreview
  * @property {(e?: Event) => void} handleCellColorCommit
  * @property {(e?: Event) => void} handleBgColorPreview
  * @property {(e?: Event) => void} handleBgColorCommit
  * @property {(e?: Event) => void} handlePresetChange
+ * @property {(e?: Event) => void} handleNeighborhoodChange
+ * @property {(e: Event) => void} handleNeighborMaskClick
  * @property {(e?: Event) => void} handleRuleInputChange
+ * @property {(e?: Event) => void} handleRuleNotationChange
  * @property {(e: KeyboardEvent) => void} handleRuleKeydown
  * @property {(e?: Event) => void} handleHazePreview
  * @property {(e?: Event) => void} handleHazeChange
@@ -45,8 +55,40 @@ import { createPanelManager } from "./panels.js";
  * @property {(e?: Event) => void} handleLanternChange
  * @property {(e?: Event) => void} handleScreenShowChange
  * @property {(e?: Event) => void} handleGridProjectionChange
- * @property {(e?: Event) => void} handleToroidalChange
+ * @property {(e?: Event) => void} handleBoundaryChange
  * @property {(e?: Event) => void} handleStableStopChange
+ * @property {(e?: Event) => void} handleActiveRegionChange
+ * @property {() => void | Promise<void>} handleSavePattern
+ * @property {() => void | Promise<void>} handleExportRle3
+ * @property {() => void | Promise<void>} handleExportVox
+ * @property {() => void} handleOpenPattern
+ * @property {() => void | Promise<void>} handlePatternFileChange
+ * @property {() => void | Promise<void>} handleExportStl
+ * @property {() => void | Promise<void>} handleExportObj
+ * @property {() => void} handleImportMesh
+ * @property {() => void | Promise<void>} handleMeshFileChange
+ * @property {() => void} handleImportImages
+ * @property {() => void | Promise<void>} handleImageFileChange
+ * @property {(e: DragEvent) => void} handleImageDragOver
+ * @property {(e: DragEvent) => void | Promise<void>} handleImageDrop
+ * @property {() => void} handleEditModeChange
+ * @property {() => void | Promise<void>} handleCopySelection
+ * @property {() => void | Promise<void>} handleCutSelection
+ * @property {() => void | Promise<void>} handlePasteSelection
+ * @property {() => void | Promise<void>} handleCropSelection
+ * @property {() => void} handleRotateClipboard
+ * @property {() => void} handleMirrorClipboard
+ * @property {() => void} handleClipAxisChange
+ * @property {(which: "min" | "max") => void} handleClipRangeInput
+ * @property {() => void} handleResetClip
+ * @property {() => void} handlePeelChange
+ * @property {() => void} handleSlicePanelOpen
+ * @property {() => void} handleSlicePanelClose
+ * @property {() => void} handleSliceAxisChange
+ * @property {() => void} handleSliceLayerInput
+ * @property {(e: PointerEvent) => void} handleSlicePointerDown
+ * @property {(e: PointerEvent) => void} handleSlicePointerMove
+ * @property {(e: PointerEvent) => void} handleSlicePointerUp
  * @property {() => void} handleCopyUrlButton
  * @property {() => void | Promise<void>} [handleSelfTestButton]
  * @property {(e: KeyboardEvent) => void} handleKeyDown
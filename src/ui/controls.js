@@ -24,6 +24,7 @@ export function bindControls(dom, handlers) {
   const d = dom;
 
   // Control buttons
+  add(d.stepBackBtn, "click", handlers.stepBack);
   add(d.stepBtn, "click", handlers.step);
   add(d.playBtn, "click", handlers.togglePlay);
   add(d.resetBtn, "click", handlers.reset);
@@ -32,10 +33,14 @@ export function bindControls(dom, handlers) {
   // Sliders and inputs
   add(d.speedSlider, "input", handlers.handleSpeedPreview);
   add(d.speedSlider, "change", handlers.handleSpeedChange);
+  add(d.generationsSelect, "change", handlers.handleGenerationsChange);
+  add(d.historySelect, "change", handlers.handleHistoryChange);
 
-  add(d.sizeInput, "change", handlers.handleSizeChange);
-  add(d.sizeInput, "input", handlers.validateSizeInput);
-  add(d.sizeInput, "keydown", handlers.handleSizeKeydown);
+  for (const input of [d.sizeInput, d.sizeYInput, d.sizeZInput]) {
+    add(input, "change", handlers.handleSizeChange);
+    add(input, "input", handlers.validateSizeInput);
+    add(input, "keydown", handlers.handleSizeKeydown);
+  }
 
   add(d.initSizeInput, "change", handlers.handleInitSizeChange);
   add(d.initSizeInput, "input", handlers.validateInitSizeInput);
@@ -44,6 +49,15 @@ export function bindControls(dom, handlers) {
   add(d.densitySlider, "input", handlers.handleDensityPreview);
   add(d.densitySlider, "change", handlers.handleDensityChange);
 
+  add(d.seedInput, "change", () => handlers.handleSeedChange());
+  add(d.seedLockCheckbox, "change", handlers.handleSeedLockChange);
+  add(d.gen0ShapeSelect, "change", () => handlers.handleGen0ShapeChange());
+  add(d.gen0SymmetrySelect, "change", () => handlers.handleGen0ShapeChange());
+  add(d.gen0FillSelect, "change", () => handlers.handleGen0ShapeChange());
+  for (const input of [d.noiseFrequencyInput, d.noiseOctavesInput, d.noiseLevelInput]) {
+    add(input, "change", () => handlers.handleGen0ShapeChange());
+  }
+
   // Haze is a purely visual effect, so we apply it immediately on drag.
   add(d.hazeSlider, "input", handlers.handleHazePreview);
   add(d.hazeSlider, "change", handlers.handleHazeChange);
@@ -86,6 +100,8 @@ export function bindControls(dom, handlers) {
     add(d.densitySlider, "mouseleave", handlers.handleDensityMouseLeave);
   }
 
+  add(d.cellColorModeSelect, "change", handlers.handleCellColorModeChange);
+
   // Color pickers can emit very frequent 'input' events (especially on mobile OS pickers),
   // so preview updates may be throttled by the controller.
   add(d.cellColorPicker, "input", handlers.handleCellColorPreview);
@@ -106,20 +122,74 @@ export function bindControls(dom, handlers) {
 
   // Game rule preset and rule inputs
   add(d.presetSelect, "change", handlers.handlePresetChange);
+  add(d.neighborhoodSelect, "change", handlers.handleNeighborhoodChange);
+  // Delegated: one listener for all cells of the custom mask editor.
+  add(d.neighborMaskEditor, "click", handlers.handleNeighborMaskClick);
+  add(d.neighborRadiusInput, "change", handlers.handleNeighborhoodChange);
+  add(d.neighborRadiusInput, "keydown", handlers.handleRuleKeydown);
+  add(d.ruleNotationInput, "input", handlers.handleRuleNotationChange);
+  add(d.ruleNotationInput, "change", handlers.handleRuleNotationChange);
+  add(d.ruleNotationInput, "keydown", handlers.handleRuleKeydown);
   add(d.surviveInput, "input", handlers.handleRuleInputChange);
   add(d.birthInput, "input", handlers.handleRuleInputChange);
+  add(d.statesInput, "input", handlers.handleRuleInputChange);
   // Use "change" (blur/commit) for commit-only behaviors (e.g., toast warnings).
   add(d.surviveInput, "change", handlers.handleRuleInputChange);
   add(d.birthInput, "change", handlers.handleRuleInputChange);
+  add(d.statesInput, "change", handlers.handleRuleInputChange);
   add(d.surviveInput, "keydown", handlers.handleRuleKeydown);
   add(d.birthInput, "keydown", handlers.handleRuleKeydown);
+  add(d.statesInput, "keydown", handlers.handleRuleKeydown);
+
+  for (const select of [d.boundaryXSelect, d.boundaryYSelect, d.boundaryZSelect]) {
+    add(select, "change", handlers.handleBoundaryChange);
+  }
 
   // Toggles
-  add(d.toroidalCheckbox, "change", handlers.handleToroidalChange);
   add(d.stableStopCheckbox, "change", handlers.handleStableStopChange);
   add(d.lanternCheckbox, "change", handlers.handleLanternChange);
   add(d.screenShowCheckbox, "change", handlers.handleScreenShowChange);
   add(d.gridProjectionCheckbox, "change", handlers.handleGridProjectionChange);
+  add(d.activeRegionCheckbox, "change", handlers.handleActiveRegionChange);
+
+  // Pattern files
+  add(d.savePatternBtn, "click", () => handlers.handleSavePattern());
+  add(d.exportRle3Btn, "click", () => handlers.handleExportRle3());
+  add(d.exportVoxBtn, "click", () => handlers.handleExportVox());
+  add(d.openPatternBtn, "click", () => handlers.handleOpenPattern());
+  add(d.patternFileInput, "change", () => handlers.handlePatternFileChange());
+  add(d.exportStlBtn, "click", () => handlers.handleExportStl());
+  add(d.exportObjBtn, "click", () => handlers.handleExportObj());
+  add(d.importMeshBtn, "click", () => handlers.handleImportMesh());
+  add(d.meshFileInput, "change", () => handlers.handleMeshFileChange());
+  add(d.importImagesBtn, "click", () => handlers.handleImportImages());
+  add(d.imageFileInput, "change", () => handlers.handleImageFileChange());
+  add(d.canvas, "dragover", (e) => handlers.handleImageDragOver(e));
+  add(d.canvas, "drop", (e) => handlers.handleImageDrop(e));
+  add(d.editModeSelect, "change", () => handlers.handleEditModeChange());
+
+  // Selection and clipboard
+  add(d.copySelectionBtn, "click", () => handlers.handleCopySelection());
+  add(d.cutSelectionBtn, "click", () => handlers.handleCutSelection());
+  add(d.pasteSelectionBtn, "click", () => handlers.handlePasteSelection());
+  add(d.cropSelectionBtn, "click", () => handlers.handleCropSelection());
+  add(d.rotateClipboardBtn, "click", () => handlers.handleRotateClipboard());
+  add(d.mirrorClipboardBtn, "click", () => handlers.handleMirrorClipboard());
+
+  // Clipping planes
+  add(d.clipAxisSelect, "change", () => handlers.handleClipAxisChange());
+  add(d.clipMinInput, "input", () => handlers.handleClipRangeInput("min"));
+  add(d.clipMaxInput, "input", () => handlers.handleClipRangeInput("max"));
+  add(d.resetClipBtn, "click", () => handlers.handleResetClip());
+  add(d.peelCheckbox, "change", () => handlers.handlePeelChange());
+
+  // Slice editor
+  add(d.sliceAxisSelect, "change", () => handlers.handleSliceAxisChange());
+  add(d.sliceLayerInput, "input", () => handlers.handleSliceLayerInput());
+  add(d.sliceCanvas, "pointerdown", (e) => handlers.handleSlicePointerDown(e));
+  add(d.sliceCanvas, "pointermove", (e) => handlers.handleSlicePointerMove(e));
+  add(d.sliceCanvas, "pointerup", (e) => handlers.handleSlicePointerUp(e));
+  add(d.sliceCanvas, "pointercancel", (e) => handlers.handleSlicePointerUp(e));
 
   if (d.copyUrlBtn) {
     add(d.copyUrlBtn, "click", () => handlers.handleCopyUrlButton());
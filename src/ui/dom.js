@@ -26,42 +26,103 @@ function byId(id) {
  * @typedef {Object} DomCache
  * @property {HTMLCanvasElement|null} canvas
  * @property {HTMLElement|null} app
+ * @property {HTMLButtonElement|null} stepBackBtn
  * @property {HTMLButtonElement|null} stepBtn
  * @property {HTMLButtonElement|null} playBtn
  * @property {HTMLButtonElement|null} resetBtn
  * @property {HTMLButtonElement|null} settingsBtn
  * @property {HTMLButtonElement|null} helpBtn
+ * @property {HTMLButtonElement|null} sliceBtn
  * @property {HTMLButtonElement|null} fullscreenBtn
  * @property {SVGElement|null} fullscreenEnterIcon
  * @property {SVGElement|null} fullscreenExitIcon
  * @property {HTMLElement|null} settingsPanel
  * @property {HTMLElement|null} helpPanel
+ * @property {HTMLElement|null} slicePanel
+ * @property {HTMLSelectElement|null} sliceAxisSelect
+ * @property {HTMLSelectElement|null} sliceToolSelect
+ * @property {HTMLInputElement|null} sliceLayerInput
+ * @property {HTMLElement|null} sliceLayerValue
+ * @property {HTMLCanvasElement|null} sliceCanvas
  * @property {HTMLElement|null} controls
  * @property {SVGElement|null} playIcon
  * @property {SVGElement|null} pauseIcon
  * @property {HTMLInputElement|null} speedSlider
- * @property {HTMLInputElement|null} sizeInput
+ * @property {HTMLSelectElement|null} generationsSelect
+ * @property {HTMLSelectElement|null} historySelect
+ * @property {HTMLInputElement|null} sizeInput Grid X edge
+ * @property {HTMLInputElement|null} sizeYInput
+ * @property {HTMLInputElement|null} sizeZInput
  * @property {HTMLInputElement|null} initSizeInput
  * @property {HTMLInputElement|null} densitySlider
  * @property {HTMLElement|null} densityTip
+ * @property {HTMLInputElement|null} seedInput
+ * @property {HTMLInputElement|null} seedLockCheckbox
+ * @property {HTMLSelectElement|null} gen0ShapeSelect
+ * @property {HTMLSelectElement|null} gen0SymmetrySelect
+ * @property {HTMLSelectElement|null} gen0FillSelect
+ * @property {HTMLInputElement|null} noiseFrequencyInput
+ * @property {HTMLInputElement|null} noiseOctavesInput
+ * @property {HTMLInputElement|null} noiseLevelInput
+ * @property {HTMLSelectElement|null} cellColorModeSelect
  * @property {HTMLInputElement|null} cellColorPicker
  * @property {HTMLInputElement|null} cellColorPicker2
  * @property {HTMLInputElement|null} bgColorPicker
  * @property {HTMLInputElement|null} bgColorPicker2
  * @property {HTMLSelectElement|null} presetSelect
+ * @property {HTMLInputElement|null} ruleNotationInput
  * @property {HTMLInputElement|null} surviveInput
  * @property {HTMLInputElement|null} birthInput
- * @property {HTMLInputElement|null} toroidalCheckbox
+ * @property {HTMLInputElement|null} statesInput
+ * @property {HTMLSelectElement|null} neighborhoodSelect
+ * @property {HTMLElement|null} neighborMaskEditor
+ * @property {HTMLInputElement|null} neighborRadiusInput
+ * @property {HTMLSelectElement|null} boundaryXSelect
+ * @property {HTMLSelectElement|null} boundaryYSelect
+ * @property {HTMLSelectElement|null} boundaryZSelect
  * @property {HTMLInputElement|null} stableStopCheckbox
  * @property {HTMLInputElement|null} lanternCheckbox
  * @property {HTMLInputElement|null} hazeSlider
  * @property {HTMLInputElement|null} screenShowCheckbox
+ * @property {HTMLButtonElement|null} savePatternBtn
+ * @property {HTMLButtonElement|null} exportRle3Btn
+ * @property {HTMLButtonElement|null} exportVoxBtn
+ * @property {HTMLButtonElement|null} openPatternBtn
+ * @property {HTMLInputElement|null} patternFileInput
+ * @property {HTMLInputElement|null} meshMergeCheckbox
+ * @property {HTMLInputElement|null} meshGapCheckbox
+ * @property {HTMLButtonElement|null} exportStlBtn
+ * @property {HTMLButtonElement|null} exportObjBtn
+ * @property {HTMLInputElement|null} meshImportSizeInput
+ * @property {HTMLInputElement|null} meshSurfaceCheckbox
+ * @property {HTMLButtonElement|null} importMeshBtn
+ * @property {HTMLInputElement|null} meshFileInput
+ * @property {HTMLInputElement|null} imageThresholdInput
+ * @property {HTMLInputElement|null} heightmapHeightInput
+ * @property {HTMLButtonElement|null} importImagesBtn
+ * @property {HTMLInputElement|null} imageFileInput
+ * @property {HTMLSelectElement|null} editModeSelect
+ * @property {HTMLButtonElement|null} copySelectionBtn
+ * @property {HTMLButtonElement|null} cutSelectionBtn
+ * @property {HTMLButtonElement|null} pasteSelectionBtn
+ * @property {HTMLButtonElement|null} cropSelectionBtn
+ * @property {HTMLSelectElement|null} clipboardAxisSelect
+ * @property {HTMLButtonElement|null} rotateClipboardBtn
+ * @property {HTMLButtonElement|null} mirrorClipboardBtn
+ * @property {HTMLSelectElement|null} clipAxisSelect
+ * @property {HTMLInputElement|null} clipMinInput
+ * @property {HTMLInputElement|null} clipMaxInput
+ * @property {HTMLElement|null} clipRangeValue
+ * @property {HTMLButtonElement|null} resetClipBtn
+ * @property {HTMLInputElement|null} peelCheckbox
  * @property {HTMLButtonElement|null} copyUrlBtn
  * @property {HTMLElement|null} selfTestGroup
  * @property {HTMLButtonElement|null} selfTestBtn
  * @property {HTMLInputElement|null} gridProjectionCheckbox
+ * @property {HTMLInputElement|null} activeRegionCheckbox
  * @property {HTMLElement|null} generationDisplay
  * @property {HTMLElement|null} populationDisplay
+ * @property {HTMLElement|null} seedDisplay
  * @property {HTMLElement|null} statsPanel
  * @property {HTMLButtonElement|null} infoBtn
  * @property {HTMLElement|null} header
@@ -73,6 +134,7 @@ function byId(id) {
 const _dom = (() => {
   const canvas = /** @type {HTMLCanvasElement|null} */ (byId("glCanvas"));
   const app = byId("app");
+  const stepBackBtn = /** @type {HTMLButtonElement|null} */ (byId("stepBackBtn"));
   const stepBtn = /** @type {HTMLButtonElement|null} */ (byId("stepBtn"));
   const playBtn = /** @type {HTMLButtonElement|null} */ (byId("playBtn"));
   const resetBtn = /** @type {HTMLButtonElement|null} */ (byId("resetBtn"));
@@ -80,6 +142,7 @@ const _dom = (() => {
     byId("settingsBtn")
   );
   const helpBtn = /** @type {HTMLButtonElement|null} */ (byId("helpBtn"));
+  const sliceBtn = /** @type {HTMLButtonElement|null} */ (byId("sliceBtn"));
   const fullscreenBtn = /** @type {HTMLButtonElement|null} */ (
     byId("fullscreenBtn")
   );
@@ -91,13 +154,23 @@ const _dom = (() => {
   );
   const settingsPanel = byId("settings-panel");
   const helpPanel = byId("help-panel");
+  const slicePanel = byId("slice-panel");
+  const sliceAxisSelect = /** @type {HTMLSelectElement|null} */ (byId("sliceAxisSelect"));
+  const sliceToolSelect = /** @type {HTMLSelectElement|null} */ (byId("sliceToolSelect"));
+  const sliceLayerInput = /** @type {HTMLInputElement|null} */ (byId("sliceLayerInput"));
+  const sliceLayerValue = byId("sliceLayerValue");
+  const sliceCanvas = /** @type {HTMLCanvasElement|null} */ (byId("sliceCanvas"));
   const controls = byId("controls");
   const playIcon = /** @type {SVGElement|null} */ (byId("playIcon"));
   const pauseIcon = /** @type {SVGElement|null} */ (byId("pauseIcon"));
   const speedSlider = /** @type {HTMLInputElement|null} */ (
     byId("speedSlider")
   );
+  const generationsSelect = /** @type {HTMLSelectElement|null} */ (byId("generationsSelect"));
+  const historySelect = /** @type {HTMLSelectElement|null} */ (byId("historySelect"));
   const sizeInput = /** @type {HTMLInputElement|null} */ (byId("sizeInput"));
+  const sizeYInput = /** @type {HTMLInputElement|null} */ (byId("sizeYInput"));
+  const sizeZInput = /** @type {HTMLInputElement|null} */ (byId("sizeZInput"));
   const initSizeInput = /** @type {HTMLInputElement|null} */ (
     byId("initSizeInput")
   );
@@ -105,6 +178,17 @@ const _dom = (() => {
     byId("densitySlider")
   );
   const densityTip = byId("densityTip");
+  const seedInput = /** @type {HTMLInputElement|null} */ (byId("seedInput"));
+  const seedLockCheckbox = /** @type {HTMLInputElement|null} */ (byId("seedLockCheckbox"));
+  const gen0ShapeSelect = /** @type {HTMLSelectElement|null} */ (byId("gen0ShapeSelect"));
+  const gen0SymmetrySelect = /** @type {HTMLSelectElement|null} */ (byId("gen0SymmetrySelect"));
+  const gen0FillSelect = /** @type {HTMLSelectElement|null} */ (byId("gen0FillSelect"));
+  const noiseFrequencyInput = /** @type {HTMLInputElement|null} */ (byId("noiseFrequencyInput"));
+  const noiseOctavesInput = /** @type {HTMLInputElement|null} */ (byId("noiseOctavesInput"));
+  const noiseLevelInput = /** @type {HTMLInputElement|null} */ (byId("noiseLevelInput"));
+  const cellColorModeSelect = /** @type {HTMLSelectElement|null} */ (
+    byId("cellColorModeSelect")
+  );
   const cellColorPicker = /** @type {HTMLInputElement|null} */ (
     byId("cellColorPicker")
   );
@@ -120,13 +204,24 @@ const _dom = (() => {
   const presetSelect = /** @type {HTMLSelectElement|null} */ (
     byId("presetSelect")
   );
+  const ruleNotationInput = /** @type {HTMLInputElement|null} */ (
+    byId("ruleNotationInput")
+  );
   const surviveInput = /** @type {HTMLInputElement|null} */ (
     byId("surviveInput")
   );
   const birthInput = /** @type {HTMLInputElement|null} */ (byId("birthInput"));
-  const toroidalCheckbox = /** @type {HTMLInputElement|null} */ (
-    byId("toroidalCheckbox")
+  const statesInput = /** @type {HTMLInputElement|null} */ (byId("statesInput"));
+  const neighborhoodSelect = /** @type {HTMLSelectElement|null} */ (
+    byId("neighborhoodSelect")
   );
+  const neighborMaskEditor = byId("neighborMaskEditor");
+  const neighborRadiusInput = /** @type {HTMLInputElement|null} */ (
+    byId("neighborRadiusInput")
+  );
+  const boundaryXSelect = /** @type {HTMLSelectElement|null} */ (byId("boundaryXSelect"));
+  const boundaryYSelect = /** @type {HTMLSelectElement|null} */ (byId("boundaryYSelect"));
+  const boundaryZSelect = /** @type {HTMLSelectElement|null} */ (byId("boundaryZSelect"));
   const stableStopCheckbox = /** @type {HTMLInputElement|null} */ (
     byId("stableStopCheckbox")
   );
@@ -137,14 +232,49 @@ const _dom = (() => {
   const screenShowCheckbox = /** @type {HTMLInputElement|null} */ (
     byId("screenShowCheckbox")
   );
+  const savePatternBtn = /** @type {HTMLButtonElement|null} */ (byId("savePatternBtn"));
+  const exportRle3Btn = /** @type {HTMLButtonElement|null} */ (byId("exportRle3Btn"));
+  const exportVoxBtn = /** @type {HTMLButtonElement|null} */ (byId("exportVoxBtn"));
+  const openPatternBtn = /** @type {HTMLButtonElement|null} */ (byId("openPatternBtn"));
+  const patternFileInput = /** @type {HTMLInputElement|null} */ (byId("patternFileInput"));
+  const meshMergeCheckbox = /** @type {HTMLInputElement|null} */ (byId("meshMergeCheckbox"));
+  const meshGapCheckbox = /** @type {HTMLInputElement|null} */ (byId("meshGapCheckbox"));
+  const exportStlBtn = /** @type {HTMLButtonElement|null} */ (byId("exportStlBtn"));
+  const exportObjBtn = /** @type {HTMLButtonElement|null} */ (byId("exportObjBtn"));
+  const meshImportSizeInput = /** @type {HTMLInputElement|null} */ (byId("meshImportSizeInput"));
+  const meshSurfaceCheckbox = /** @type {HTMLInputElement|null} */ (byId("meshSurfaceCheckbox"));
+  const importMeshBtn = /** @type {HTMLButtonElement|null} */ (byId("importMeshBtn"));
+  const meshFileInput = /** @type {HTMLInputElement|null} */ (byId("meshFileInput"));
+  const imageThresholdInput = /** @type {HTMLInputElement|null} */ (byId("imageThresholdInput"));
+  const heightmapHeightInput = /** @type {HTMLInputElement|null} */ (byId("heightmapHeightInput"));
+  const importImagesBtn = /** @type {HTMLButtonElement|null} */ (byId("importImagesBtn"));
+  const imageFileInput = /** @type {HTMLInputElement|null} */ (byId("imageFileInput"));
+  const editModeSelect = /** @type {HTMLSelectElement|null} */ (byId("editModeSelect"));
+  const copySelectionBtn = /** @type {HTMLButtonElement|null} */ (byId("copySelectionBtn"));
+  const cutSelectionBtn = /** @type {HTMLButtonElement|null} */ (byId("cutSelectionBtn"));
+  const pasteSelectionBtn = /** @type {HTMLButtonElement|null} */ (byId("pasteSelectionBtn"));
+  const cropSelectionBtn = /** @type {HTMLButtonElement|null} */ (byId("cropSelectionBtn"));
+  const clipboardAxisSelect = /** @type {HTMLSelectElement|null} */ (byId("clipboardAxisSelect"));
+  const rotateClipboardBtn = /** @type {HTMLButtonElement|null} */ (byId("rotateClipboardBtn"));
+  const mirrorClipboardBtn = /** @type {HTMLButtonElement|null} */ (byId("mirrorClipboardBtn"));
+  const clipAxisSelect = /** @type {HTMLSelectElement|null} */ (byId("clipAxisSelect"));
+  const clipMinInput = /** @type {HTMLInputElement|null} */ (byId("clipMinInput"));
+  const clipMaxInput = /** @type {HTMLInputElement|null} */ (byId("clipMaxInput"));
+  const clipRangeValue = byId("clipRangeValue");
+  const resetClipBtn = /** @type {HTMLButtonElement|null} */ (byId("resetClipBtn"));
+  const peelCheckbox = /** @type {HTMLInputElement|null} */ (byId("peelCheckbox"));
   const copyUrlBtn = /** @type {HTMLButtonElement|null} */ (byId("copyUrlBtn"));
   const selfTestGroup = byId("selfTestGroup");
   const selfTestBtn = /** @type {HTMLButtonElement|null} */ (byId("selfTestBtn"));
   const gridProjectionCheckbox = /** @type {HTMLInputElement|null} */ (
     byId("gridProjectionCheckbox")
   );
+  const activeRegionCheckbox = /** @type {HTMLInputElement|null} */ (
+    byId("activeRegionCheckbox")
+  );
   const generationDisplay = byId("generation");
   const populationDisplay = byId("population");
+  const seedDisplay = byId("seedDisplay");
 
   const statsPanel = byId("stats");
   const infoBtn = /** @type {HTMLButtonElement|null} */ (byId("infoBtn"));
@@ -159,42 +289,103 @@ const _dom = (() => {
   return {
     canvas,
     app,
+    stepBackBtn,
     stepBtn,
     playBtn,
     resetBtn,
     settingsBtn,
     helpBtn,
+    sliceBtn,
     fullscreenBtn,
     fullscreenEnterIcon,
     fullscreenExitIcon,
     settingsPanel,
     helpPanel,
+    slicePanel,
+    sliceAxisSelect,
+    sliceToolSelect,
+    sliceLayerInput,
+    sliceLayerValue,
+    sliceCanvas,
     controls,
     playIcon,
     pauseIcon,
     speedSlider,
+    generationsSelect,
+    historySelect,
     sizeInput,
+    sizeYInput,
+    sizeZInput,
     initSizeInput,
     densitySlider,
     densityTip,
+    seedInput,
+    seedLockCheckbox,
+    gen0ShapeSelect,
+    gen0SymmetrySelect,
+    gen0FillSelect,
+    noiseFrequencyInput,
+    noiseOctavesInput,
+    noiseLevelInput,
+    cellColorModeSelect,
     cellColorPicker,
     cellColorPicker2,
     bgColorPicker,
     bgColorPicker2,
     presetSelect,
+    ruleNotationInput,
     surviveInput,
     birthInput,
-    toroidalCheckbox,
+    statesInput,
+    neighborhoodSelect,
+    neighborMaskEditor,
+    neighborRadiusInput,
+    boundaryXSelect,
+    boundaryYSelect,
+    boundaryZSelect,
     stableStopCheckbox,
     lanternCheckbox,
     hazeSlider,
     screenShowCheckbox,
+    savePatternBtn,
+    exportRle3Btn,
+    exportVoxBtn,
+    openPatternBtn,
+    patternFileInput,
+    meshMergeCheckbox,
+    meshGapCheckbox,
+    exportStlBtn,
+    exportObjBtn,
+    meshImportSizeInput,
+    meshSurfaceCheckbox,
+    importMeshBtn,
+    meshFileInput,
+    imageThresholdInput,
+    heightmapHeightInput,
+    importImagesBtn,
+    imageFileInput,
+    editModeSelect,
+    copySelectionBtn,
+    cutSelectionBtn,
+    pasteSelectionBtn,
+    cropSelectionBtn,
+    clipboardAxisSelect,
+    rotateClipboardBtn,
+    mirrorClipboardBtn,
+    clipAxisSelect,
+    clipMinInput,
+    clipMaxInput,
+    clipRangeValue,
+    resetClipBtn,
+    peelCheckbox,
     copyUrlBtn,
     selfTestGroup,
     selfTestBtn,
     gridProjectionCheckbox,
+    activeRegionCheckbox,
     generationDisplay,
     populationDisplay,
+    seedDisplay,
     statsPanel,
     infoBtn,
     header,
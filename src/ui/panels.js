@@ -1,5 +1,5 @@
 /**
- * Panel UX (Settings / Help / About) and related global capture policies.
+ * Panel UX (Settings / Help / Slice editor / About) and related global capture policies.
  *
  * This module intentionally does NOT install a pointer/touch blocking overlay.
  * Instead, it captures wheel events to prevent page scrolling and optionally
@@ -33,7 +33,7 @@ export function createPanelManager(dom, handlers) {
   // We only capture wheel events to prevent page scroll and optionally route zoom to the scene.
   /** @type {AbortController|null} */
   let wheelCaptureAc = null;
-  const PANEL_SCROLL_SELECTOR = "#settings-panel, #help-panel";
+  const PANEL_SCROLL_SELECTOR = "#settings-panel, #help-panel, #slice-panel";
 
   const PANELS = [
     {
@@ -67,6 +67,24 @@ export function createPanelManager(dom, handlers) {
         if (d.helpBtn) d.helpBtn.classList.remove("active");
       },
     },
+    {
+      // The slice editor highlights its layer in the 3D view while open.
+      key: "slice",
+      panelEl: d.slicePanel,
+      btnEl: d.sliceBtn,
+      isOpen: () => !!d.slicePanel && !d.slicePanel.classList.contains("hidden"),
+      open: () => {
+        if (!d.slicePanel || !d.sliceBtn) return;
+        d.slicePanel.classList.remove("hidden");
+        d.sliceBtn.classList.add("active");
+        handlers.handleSlicePanelOpen?.();
+      },
+      close: () => {
+        if (d.slicePanel) d.slicePanel.classList.add("hidden");
+        if (d.sliceBtn) d.sliceBtn.classList.remove("active");
+        handlers.handleSlicePanelClose?.();
+      },
+    },
     {
       key: "about",
       panelEl: d.header,
@@ -90,7 +108,7 @@ export function createPanelManager(dom, handlers) {
 
   /**
    * Toggle a named panel and ensure overlay capture policies stay in sync.
-   * @param {"settings"|"help"|"about"} key
+   * @param {"settings"|"help"|"slice"|"about"} key
    */
   function togglePanel(key) {
     const p = PANELS_BY_KEY[key];
@@ -186,6 +204,10 @@ export function createPanelManager(dom, handlers) {
     togglePanel("help");
   }
 
+  function toggleSlicePanel() {
+    togglePanel("slice");
+  }
+
   function toggleAboutPanel() {
     togglePanel("about");
   }
@@ -203,6 +225,13 @@ export function createPanelManager(dom, handlers) {
     });
   }
 
+  if (d.sliceBtn) {
+    add(d.sliceBtn, "click", (e) => {
+      e.preventDefault();
+      toggleSlicePanel();
+    });
+  }
+
   if (d.infoBtn) {
     add(d.infoBtn, "click", (e) => {
       e.preventDefault();
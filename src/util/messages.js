@@ -17,7 +17,21 @@ export const LOG_MSG = Object.freeze({
   GRID_ALLOC_FALLBACK: "Failed to allocate grid resources; falling back to a smaller grid size:",
   RECOVER_INIT_SIZE_FAILED: "Failed to recover after init size error:",
 
+  PATTERN_SAVE_FAILED: "Pattern save failed:",
+  PATTERN_LOAD_FAILED: "Pattern load failed:",
+  URL_PATTERN_FAILED: "Share URL pattern readback failed; sharing the soup seed instead:",
+
   AABB_PIPELINE_FAILED: "AABB pipeline compilation failed; Screen show targeting will be disabled",
+  LTL_PIPELINE_FAILED: "Radius-R simulation pipeline compilation failed:",
+  PACKED_PIPELINE_FAILED: "Bit-packed grid pipeline compilation failed:",
+  AGE_PIPELINE_FAILED: "Cell age pipeline compilation failed; coloring by height:",
+  ACTIVE_REGION_PIPELINE_FAILED: "Active-region pipeline compilation failed; stepping the full grid:",
+  EDIT_PIPELINE_FAILED: "Cell edit pipeline compilation failed:",
+  CELL_EDIT_FAILED: "Cell edit failed:",
+  SLICE_PIPELINE_FAILED: "Slice editor pipeline compilation failed:",
+  SLICE_READ_FAILED: "Slice readback failed:",
+  SLICE_WRITE_FAILED: "Slice write failed:",
+  SELECTION_FAILED: "Selection edit failed:",
 
   BUFFER_UNREGISTERED_WRITE:
     "G3DL debug: writeBuffer() called on an unregistered buffer; size validation skipped. " +